@@ -11,10 +11,22 @@ import preferenceRoutes from './routes/preferences.js';
 import faviconRoutes from './routes/favicon.js';
 import digestRoutes from './routes/digest.js';
 import aiRoutes from './routes/ai.js';
+import adminRoutes from './routes/admin.js';
+import filterRoutes from './routes/filters.js';
+import pushRoutes from './routes/push.js';
+import searchRoutes from './routes/search.js';
+import tagRoutes from './routes/tags.js';
+import highlightRoutes from './routes/highlights.js';
+import archiveRoutes from './routes/archive.js';
+import exportRoutes from './routes/export.js';
+import shareRoutes from './routes/share.js';
 
 import helmet from 'helmet';
-import { UserStore } from './utils/user-store.js';
+import { UserStore, ROLE_ADMIN } from './utils/user-store.js';
+import { MinifluxConfigStore } from './utils/miniflux-config-store.js';
+import { PreferenceStore } from './utils/preference-store.js';
 import { DigestScheduler } from './jobs/digest-scheduler.js';
+import { AIPrefetchScheduler } from './jobs/ai-prefetch-scheduler.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -24,6 +36,12 @@ async function startServer() {
         // Initialize User Store (creates default admin if needed)
         await UserStore.init();
 
+        // 旧版单用户的 Miniflux 配置归属最早创建的管理员
+        const admin = (await UserStore.listUsers()).find(user => user.role === ROLE_ADMIN);
+        if (admin) {
+            await MinifluxConfigStore.migrateLegacyConfig(PreferenceStore.getUserId(admin));
+        }
+
         const PORT = process.env.PORT || 3000;
         const app = express();
 
@@ -56,6 +74,15 @@ async function startServer() {
         app.use('/api/favicon', faviconRoutes);
         app.use('/api/digest', digestRoutes);
         app.use('/api/ai', aiRoutes);
+        app.use('/api/admin', adminRoutes);
+        app.use('/api/filters', filterRoutes);
+        app.use('/api/push', pushRoutes);
+        app.use('/api/search', searchRoutes);
+        app.use('/api/tags', tagRoutes);
+        app.use('/api/highlights', highlightRoutes);
+        app.use('/api/archive', archiveRoutes);
+        app.use('/api/export', exportRoutes);
+        app.use('/api/share', shareRoutes);
 
 
 
@@ -88,6 +115,8 @@ async function startServer() {
             console.log(`Tidyflux Adapter running on http://localhost:${PORT}`);
             // 启动简报调度器
             DigestScheduler.start();
+            // 启动翻译预取
+            AIPrefetchScheduler.start();
         });
     } catch (error) {
         console.error('Failed to start server:', error);
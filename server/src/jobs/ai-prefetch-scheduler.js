@@ -0,0 +1,61 @@
+import { getMinifluxClient } from '../middleware/auth.js';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { AICacheService } from '../services/ai-cache-service.js';
+
+// 每 30 分钟预取一次
+const PREFETCH_INTERVAL = 30 * 60 * 1000;
+
+let running = false;
+
+export const AIPrefetchScheduler = {
+    /**
+     * 启动翻译预取调度器
+     */
+    start() {
+        console.log('Starting AI Prefetch Scheduler...');
+
+        const run = async () => {
+            try {
+                await this.runCheck();
+            } catch (err) {
+                console.error('AI Prefetch Scheduler runCheck error:', err);
+            }
+            setTimeout(run, PREFETCH_INTERVAL);
+        };
+
+        // 第一次延迟 1 分钟启动，避开启动时的简报补跑
+        setTimeout(run, 60000);
+    },
+
+    /**
+     * 为开启了预取的用户翻译收藏和指定订阅源的文章
+     */
+    async runCheck() {
+        if (running) return;
+        running = true;
+
+        try {
+            const userIds = await PreferenceStore.getActiveUserIds();
+
+            for (const userId of userIds) {
+                try {
+                    const prefs = await PreferenceStore.get(userId);
+                    const settings = prefs.ai_prefetch;
+                    if (!settings || (!settings.starred && !settings.feedIds?.length)) continue;
+
+                    const minifluxClient = await getMinifluxClient(userId);
+                    if (!minifluxClient) continue;
+
+                    const stats = await AICacheService.prefetchTranslations(userId, minifluxClient, prefs);
+                    if (stats.translated > 0) {
+                        console.log(`Prefetched ${stats.translated} translation blocks in ${stats.entries} articles for user ${userId}`);
+                    }
+                } catch (error) {
+                    console.error(`Error in AI prefetch for user ${userId}:`, error.message);
+                }
+            }
+        } finally {
+            running = false;
+        }
+    }
+};
@@ -0,0 +1,353 @@
+/**
+ * Cron Engine - 简报任务的 Cron 解析与时间计算
+ *
+ * 支持标准 5 段表达式（分 时 日 月 周）：*、n、a-b、列表、步长（*\/n、a-b/n、n/n）、
+ * 月份与星期的英文缩写，星期中 0 和 7 均表示周日。
+ * 日与星期同时限定时按标准 cron 语义取并集。
+ * 所有计算都在指定的 IANA 时区中进行。
+ */
+
+const FIELD_DEFS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, aliases: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], aliasBase: 1 },
+    { name: 'dayOfWeek', min: 0, max: 7, aliases: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], aliasBase: 0 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const MINUTE_MS = 60 * 1000;
+// 夏令时切换的最大调整幅度
+const MAX_DST_SHIFT_MS = 3 * 60 * MINUTE_MS;
+// 计算下次执行时间时最多向后查找的范围（覆盖 2 月 29 日这类每 4 年一次的表达式）
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+/**
+ * 服务器默认时区（受 TZ 环境变量影响）
+ */
+export const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+function parseValue(token, def) {
+    const upper = token.toUpperCase();
+    if (def.aliases) {
+        const index = def.aliases.indexOf(upper);
+        if (index !== -1) return index + def.aliasBase;
+    }
+    if (!/^\d+$/.test(token)) {
+        throw new Error(`Invalid value "${token}" in ${def.name}`);
+    }
+    const value = parseInt(token, 10);
+    if (value < def.min || value > def.max) {
+        throw new Error(`Value ${value} out of range in ${def.name}`);
+    }
+    return value;
+}
+
+function parseField(field, def) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        if (!part) throw new Error(`Empty list item in ${def.name}`);
+
+        const [rangePart, stepPart, extra] = part.split('/');
+        if (extra !== undefined) throw new Error(`Invalid step in ${def.name}`);
+
+        let step = 1;
+        if (stepPart !== undefined) {
+            if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) === 0) {
+                throw new Error(`Invalid step "${stepPart}" in ${def.name}`);
+            }
+            step = parseInt(stepPart, 10);
+        }
+
+        let start;
+        let end;
+        if (rangePart === '*') {
+            start = def.min;
+            end = def.max;
+        } else if (rangePart.includes('-')) {
+            const [a, b] = rangePart.split('-');
+            start = parseValue(a, def);
+            end = parseValue(b, def);
+            if (start > end) throw new Error(`Invalid range "${rangePart}" in ${def.name}`);
+        } else {
+            start = parseValue(rangePart, def);
+            // n/step 表示从 n 开始到最大值
+            end = stepPart !== undefined ? def.max : start;
+        }
+
+        for (let v = start; v <= end; v += step) {
+            values.add(v);
+        }
+    }
+
+    // 星期中的 7 等同于 0（周日）
+    if (def.name === 'dayOfWeek' && values.has(7)) {
+        values.delete(7);
+        values.add(0);
+    }
+
+    return values;
+}
+
+/**
+ * 解析 Cron 表达式
+ * @param {string} expression
+ * @returns {{minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, dayOfMonthAny: boolean, dayOfWeekAny: boolean}}
+ * @throws {Error} 表达式无效时
+ */
+export function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('Cron expression must have 5 fields');
+    }
+
+    const schedule = {};
+    FIELD_DEFS.forEach((def, i) => {
+        schedule[def.name] = parseField(parts[i], def);
+    });
+    schedule.dayOfMonthAny = parts[2] === '*';
+    schedule.dayOfWeekAny = parts[4] === '*';
+    return schedule;
+}
+
+export function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 无效或未设置的时区回退到服务器时区
+ */
+export function resolveTimeZone(timeZone) {
+    return isValidTimeZone(timeZone) ? timeZone : SERVER_TIME_ZONE;
+}
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+    let formatter = formatterCache.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        });
+        formatterCache.set(timeZone, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * 获取某一时刻在指定时区中的日期时间字段
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10) % 24,
+        minute: parseInt(parts.minute, 10),
+        dayOfWeek: WEEKDAYS[parts.weekday]
+    };
+}
+
+function matchesDay(schedule, parts) {
+    const domMatch = schedule.dayOfMonth.has(parts.day);
+    const dowMatch = schedule.dayOfWeek.has(parts.dayOfWeek);
+    if (schedule.dayOfMonthAny || schedule.dayOfWeekAny) {
+        return domMatch && dowMatch;
+    }
+    return domMatch || dowMatch;
+}
+
+function floorToMinute(time) {
+    return Math.floor(time / MINUTE_MS) * MINUTE_MS;
+}
+
+// 当地日期时间按 UTC 换算的时间戳（墙上时间），用于比较先后与计算时区偏移
+function toWallTime(parts) {
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+}
+
+function getWallTimeAt(time, zone) {
+    return toWallTime(getZonedParts(new Date(time), zone));
+}
+
+/**
+ * 截至 time 已经出现过的最晚墙上时间
+ * time 处于夏令时结束后的重复时间段时，切换前的墙上时间比当前更晚
+ */
+function getLatestWallTime(time, zone) {
+    const offsetAt = (t) => getWallTimeAt(t, zone) - t;
+    const offset = offsetAt(time);
+    let latest = getWallTimeAt(time, zone);
+
+    const earlier = time - MAX_DST_SHIFT_MS;
+    if (offsetAt(earlier) > offset) {
+        // 二分查找切换前的最后一分钟
+        let before = earlier;
+        let after = time;
+        while (after - before > MINUTE_MS) {
+            const mid = floorToMinute((before + after) / 2);
+            if (offsetAt(mid) > offset) before = mid;
+            else after = mid;
+        }
+        latest = Math.max(latest, getWallTimeAt(before, zone));
+    }
+    return latest;
+}
+
+/**
+ * 当地时间下一天的第一个时刻
+ * 夏令时切换当天不是 24 小时，按切换前后的两个时区偏移分别换算零点，取其中属于下一天的较早者；
+ * 零点不存在（切换发生在零点）时得到当天第一个存在的时刻
+ */
+function getNextLocalDayStart(time, parts, zone) {
+    const midnight = Date.UTC(parts.year, parts.month - 1, parts.day + 1);
+    const guess = midnight - (toWallTime(parts) - time);
+    const offsetThen = getWallTimeAt(guess, zone) - guess;
+
+    const candidates = [guess, midnight - offsetThen]
+        .filter(t => t > time && getWallTimeAt(t, zone) >= midnight);
+    return candidates.length > 0 ? Math.min(...candidates) : time + MINUTE_MS;
+}
+
+/**
+ * 判断某一时刻（精确到分钟）是否匹配表达式
+ * @param {string|Object} expression - 表达式或 parseCron 的结果
+ * @param {Date} date
+ * @param {string} [timeZone]
+ */
+export function matchesCron(expression, date, timeZone) {
+    const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+    const parts = getZonedParts(date, resolveTimeZone(timeZone));
+    return schedule.month.has(parts.month)
+        && matchesDay(schedule, parts)
+        && schedule.hour.has(parts.hour)
+        && schedule.minute.has(parts.minute);
+}
+
+/**
+ * 计算 from 之后（不含）的执行时间
+ * 按分钟逐步推进，日期或小时不匹配时直接跳到下一天/下一小时。
+ * 夏令时结束时重复出现的当地时间只计算第一次，同一分钟不会执行两次
+ * @param {string|Object} expression
+ * @param {Object} [options]
+ * @param {Date|number} [options.from] - 起始时间，默认当前时间
+ * @param {Date|number} [options.until] - 截止时间（含），默认向后查找 5 年
+ * @param {number} [options.count] - 最多返回的次数
+ * @param {string} [options.timeZone]
+ * @returns {Date[]}
+ */
+export function getNextRuns(expression, { from = Date.now(), until = null, count = 5, timeZone } = {}) {
+    const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+    const zone = resolveTimeZone(timeZone);
+    const start = floorToMinute(new Date(from).getTime()) + MINUTE_MS;
+    const end = until !== null ? new Date(until).getTime() : start + MAX_SEARCH_MS;
+
+    const runs = [];
+    let time = start;
+    // 已经过的最晚墙上时间（含 from 本身），之后回退的时间段为重复时间
+    let latestWall = getLatestWallTime(start - MINUTE_MS, zone);
+    while (time <= end && runs.length < count) {
+        const parts = getZonedParts(new Date(time), zone);
+        const wall = toWallTime(parts);
+
+        if (wall <= latestWall) {
+            // 跳过重复的时间段，直到墙上时间超过已经过的时间
+            time += latestWall - wall + MINUTE_MS;
+            continue;
+        }
+        latestWall = wall;
+
+        if (!schedule.month.has(parts.month) || !matchesDay(schedule, parts)) {
+            time = getNextLocalDayStart(time, parts, zone);
+            continue;
+        }
+        if (!schedule.hour.has(parts.hour)) {
+            time += (60 - parts.minute) * MINUTE_MS;
+            continue;
+        }
+        if (schedule.minute.has(parts.minute)) {
+            runs.push(new Date(time));
+        }
+        time += MINUTE_MS;
+    }
+
+    return runs;
+}
+
+/**
+ * 计算 (after, until] 区间内最近一次应执行的时间，用于补跑错过的任务
+ * @returns {{slot: Date|null, missed: number}} 最近的执行时间与区间内的执行次数
+ */
+export function getLatestDueRun(expression, { after, until = Date.now(), timeZone } = {}) {
+    const runs = getNextRuns(expression, { from: after, until, count: Infinity, timeZone });
+    return {
+        slot: runs.length > 0 ? runs[runs.length - 1] : null,
+        missed: runs.length
+    };
+}
+
+/**
+ * 获取某一时刻在指定时区中补零的日期时间字段，用于标题等模板中的时间变量
+ * @returns {{yyyy: string, MM: string, dd: string, HH: string, mm: string, ss: string}}
+ */
+export function getTemplateDateVars(date, timeZone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: resolveTimeZone(timeZone),
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+    for (const { type, value } of formatter.formatToParts(date)) {
+        parts[type] = value;
+    }
+    return { yyyy: parts.year, MM: parts.month, dd: parts.day, HH: parts.hour, mm: parts.minute, ss: parts.second };
+}
+
+/**
+ * 在指定时区中格式化时间
+ */
+export function formatInTimeZone(date, timeZone, locale = 'zh-CN') {
+    return new Date(date).toLocaleString(locale, {
+        timeZone: resolveTimeZone(timeZone),
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: false
+    });
+}
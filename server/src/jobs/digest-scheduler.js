@@ -1,7 +1,11 @@
 import { getMinifluxClient } from '../middleware/auth.js';
 import { PreferenceStore } from '../utils/preference-store.js';
 import { DigestService } from '../services/digest-service.js';
-import cron from 'node-cron';
+import { WebPushService } from '../services/webpush-service.js';
+import { PushChannelService } from '../services/push-channel-service.js';
+import { AIProfileService } from '../services/ai-profile-service.js';
+import { DigestRunStore } from '../utils/digest-run-store.js';
+import { isValidCron, getLatestDueRun, getTemplateDateVars } from './cron-engine.js';
 import fetch from 'node-fetch';
 
 /**
@@ -15,19 +19,13 @@ function getCurrentTimeStr() {
 }
 
 /**
- * 替换模板变量
+ * 替换模板变量，时间变量按任务的时区计算
  */
-function replaceTemplateVars(template, content = '', title = '') {
-    const now = new Date();
+function replaceTemplateVars(template, content = '', title = '', timeZone) {
     const replacements = {
         title: title,
         summary_content: content,
-        yyyy: now.getFullYear(),
-        MM: String(now.getMonth() + 1).padStart(2, '0'),
-        dd: String(now.getDate()).padStart(2, '0'),
-        HH: String(now.getHours()).padStart(2, '0'),
-        mm: String(now.getMinutes()).padStart(2, '0'),
-        ss: String(now.getSeconds()).padStart(2, '0')
+        ...getTemplateDateVars(new Date(), timeZone)
     };
 
     let result = template;
@@ -42,12 +40,12 @@ function replaceTemplateVars(template, content = '', title = '') {
 /**
  * 发送推送通知
  */
-async function sendPushNotification(pushSettings, content, title) {
+async function sendPushNotification(pushSettings, content, title, timeZone) {
     const { url, method, body: bodyTemplate } = pushSettings;
     
     if (!url) return;
 
-    let processedBody = replaceTemplateVars(bodyTemplate || '', content, title);
+    let processedBody = replaceTemplateVars(bodyTemplate || '', content, title, timeZone);
     
     // 处理中英文引号
     processedBody = processedBody.replace(/[""]/g, '"').replace(/['']/g, "'");
@@ -73,77 +71,180 @@ async function sendPushNotification(pushSettings, content, title) {
     }
 }
 
+// 任务停机期间错过的执行最多补跑多久之前的（多次错过只补跑最近一次）
+const CATCH_UP_WINDOW_MS = 24 * 60 * 60 * 1000;
+// 关闭补跑时仍容忍的调度延迟
+const SCHEDULE_GRACE_MS = 2 * 60 * 1000;
+
+// 每个任务最近一次已触发的计划时间（`${userId}:${taskId}` -> ms），保证同一分钟不会执行两次
+const lastScheduledSlots = new Map();
+
 /**
- * 检查cron表达式是否匹配当前时间
+ * 获取任务最近一次已触发的计划时间，首次从运行记录中恢复
  */
-function shouldRunCronTask(cronExpression) {
-    try {
-        if (!cron.validate(cronExpression)) {
-            return false;
+async function getLastScheduledSlot(userId, taskId) {
+    const key = `${userId}:${taskId}`;
+    if (!lastScheduledSlots.has(key)) {
+        const runs = await DigestRunStore.getByTask(userId, taskId);
+        const last = runs.find(r => r.scheduledFor);
+        lastScheduledSlots.set(key, last ? new Date(last.scheduledFor).getTime() : null);
+    }
+    return lastScheduledSlots.get(key);
+}
+
+/**
+ * 计算任务当前应执行的计划时间
+ * 检查区间从上次触发时间、任务修改时间与补跑窗口中取最晚者开始，到当前时间为止
+ * @returns {Promise<{slot: Date, catchUp: boolean}|null>}
+ */
+async function findDueSlot(userId, task, now) {
+    const lastSlot = await getLastScheduledSlot(userId, task.id);
+    const updatedAt = task.updatedAt ? new Date(task.updatedAt).getTime() : NaN;
+
+    // 没有执行记录的任务无法判断是否错过，只检查当前时间
+    const canCatchUp = task.catchUp !== false && (lastSlot !== null || !isNaN(updatedAt));
+    const after = Math.max(
+        lastSlot ?? 0,
+        isNaN(updatedAt) ? 0 : updatedAt,
+        now - (canCatchUp ? CATCH_UP_WINDOW_MS : SCHEDULE_GRACE_MS)
+    );
+
+    const { slot } = getLatestDueRun(task.cronExpression, { after, until: now, timeZone: task.timeZone });
+    if (!slot) return null;
+
+    return { slot, catchUp: now - slot.getTime() >= SCHEDULE_GRACE_MS };
+}
+
+/**
+ * 根据任务配置构建简报生成参数
+ */
+function buildTaskDigestOptions(task, aiConfig, aiChain) {
+    const scopes = task.scopes || [];
+    const digestOptions = {
+        scope: 'all',
+        hours: 24,
+        targetLang: aiConfig.targetLang || 'zh-CN',
+        aiConfig: aiChain,
+        prompt: task.customPrompt || aiConfig.digestPrompt,
+        includeRead: task.includeRead || false
+    };
+
+    // 如果指定了时间范围，使用timeRange参数
+    if (task.timeRange) {
+        digestOptions.timeRange = parseInt(task.timeRange);
+    }
+
+    if (scopes.length > 0 && !scopes.includes('all')) {
+        // 提取所有分类ID
+        const categoryIds = scopes
+            .filter(s => s.startsWith('group_'))
+            .map(s => parseInt(s.replace('group_', '')));
+
+        if (categoryIds.length > 0) {
+            digestOptions.categoryIds = categoryIds;
+            digestOptions.scope = 'group';
         }
-        
-        const now = new Date();
-        const parts = cronExpression.split(' ');
-        if (parts.length !== 5) return false;
-
-        const [minute, hour, dayOfMonth, month, dayOfWeek] = parts;
-        
-        const m = now.getMinutes();
-        const h = now.getHours();
-        const d = now.getDate();
-        const mo = now.getMonth() + 1;
-        const dow = now.getDay();
-
-        return matchesCronField(m, minute, 0, 59) &&
-               matchesCronField(h, hour, 0, 23) &&
-               matchesCronField(d, dayOfMonth, 1, 31) &&
-               matchesCronField(mo, month, 1, 12) &&
-               matchesCronField(dow, dayOfWeek, 0, 6);
-    } catch (error) {
-        console.error('Error checking cron expression:', error);
-        return false;
     }
+
+    return digestOptions;
 }
 
 /**
- * 检查值是否匹配cron字段
+ * 按任务配置推送简报，返回各推送方式的结果（单个方式失败不影响其他方式）
  */
-function matchesCronField(value, field, min, max) {
-    if (field === '*') return true;
-    
-    // 处理步长 */n 或 start-end/step
-    if (field.includes('/')) {
-        const parts = field.split('/');
-        const step = parseInt(parts[1]);
-        
-        if (parts[0] === '*') {
-            // */n 表示从min开始，每隔step执行
-            return (value - min) % step === 0;
-        } else if (parts[0].includes('-')) {
-            // start-end/step
-            const [start, end] = parts[0].split('-').map(Number);
-            return value >= start && value <= end && (value - start) % step === 0;
-        } else {
-            // n/step (从n开始)
-            const start = parseInt(parts[0]);
-            return value >= start && (value - start) % step === 0;
+async function deliverTaskDigest(userId, task, prefs, digest, title) {
+    const push = {};
+    const pushSettings = prefs.push_settings || {};
+
+    // Webhook 推送
+    if (task.enablePush && pushSettings.url) {
+        try {
+            const response = await sendPushNotification(pushSettings, digest.content, title, task.timeZone);
+            push.webhook = { success: response.ok, status: response.status };
+            console.log(`Push notification sent for task: ${task.title}`);
+        } catch (pushError) {
+            push.webhook = { success: false, error: pushError.message };
+            console.error(`Push notification error for task ${task.title}:`, pushError);
         }
     }
-    
-    // 处理范围 n-m
-    if (field.includes('-')) {
-        const [start, end] = field.split('-').map(Number);
-        return value >= start && value <= end;
+
+    // 浏览器推送
+    if (task.enableWebPush) {
+        try {
+            push.webPush = await WebPushService.sendDigest(userId, digest, title);
+            console.log(`Web Push sent for task ${task.title}: ${push.webPush.sent} delivered, ${push.webPush.failed} failed`);
+        } catch (pushError) {
+            push.webPush = { sent: 0, failed: 0, error: pushError.message };
+            console.error(`Web Push error for task ${task.title}:`, pushError);
+        }
     }
-    
-    // 处理列表 n,m,o
-    if (field.includes(',')) {
-        const values = field.split(',').map(Number);
-        return values.includes(value);
+
+    // 内置推送渠道
+    if (Array.isArray(task.pushChannels) && task.pushChannels.length > 0) {
+        push.channels = await PushChannelService.sendToChannels(userId, task.pushChannels, {
+            title,
+            content: digest.content,
+            recipients: task.emailRecipients,
+            subject: task.emailSubject ? replaceTemplateVars(task.emailSubject, '', title, task.timeZone) : undefined
+        });
+        const sent = push.channels.filter(r => r.success).length;
+        console.log(`Push channels for task ${task.title}: ${sent}/${push.channels.length} delivered`);
+    }
+
+    return Object.keys(push).length > 0 ? push : null;
+}
+
+/**
+ * 执行一次任务并写入运行记录
+ */
+async function executeTaskRun(userId, task, run) {
+    try {
+        const prefs = await PreferenceStore.get(userId);
+
+        const aiConfig = prefs.ai_config || {};
+        // 任务指定的 AI 配置优先，否则使用简报用途的配置
+        const aiChain = AIProfileService.resolveChain(prefs, { action: 'digest', profileId: task.aiProfileId });
+        if (aiChain.length === 0) {
+            throw new Error('AI not configured');
+        }
+
+        const minifluxClient = await getMinifluxClient(userId);
+        if (!minifluxClient) {
+            throw new Error('Miniflux client not available');
+        }
+
+        const digestOptions = buildTaskDigestOptions(task, aiConfig, aiChain);
+
+        // 替换标题中的时间变量
+        const processedTitle = replaceTemplateVars(task.digestTitle || task.title || 'Digest', '', '', task.timeZone);
+        digestOptions.customTitle = processedTitle;
+
+        const result = await DigestService.generate(minifluxClient, userId, digestOptions);
+        if (!result.success) {
+            throw new Error(result.error || 'Digest generation failed');
+        }
+
+        console.log(`Digest generated for user ${userId} [Task: ${task.title}]:`, result.digest.id);
+
+        // 没有新文章时不推送
+        const push = result.digest.id
+            ? await deliverTaskDigest(userId, task, prefs, result.digest, processedTitle)
+            : null;
+
+        return await DigestRunStore.finish(userId, run.id, {
+            status: 'success',
+            articleCount: result.digest.articleCount || 0,
+            digestId: result.digest.id,
+            usage: result.usage || null,
+            push
+        });
+    } catch (err) {
+        console.error(`Error in digest generation for user ${userId} [Task: ${task.title}]:`, err);
+        return await DigestRunStore.finish(userId, run.id, {
+            status: 'failed',
+            error: err.message || String(err)
+        });
     }
-    
-    // 处理单个值
-    return value === parseInt(field);
 }
 
 export const DigestScheduler = {
@@ -153,6 +254,9 @@ export const DigestScheduler = {
     start() {
         console.log('Starting Digest Scheduler...');
 
+        // 上次进程退出时未完成的运行记录
+        DigestRunStore.markInterrupted();
+
         const run = async () => {
             try {
                 await this.runCheck();
@@ -168,12 +272,51 @@ export const DigestScheduler = {
         setTimeout(run, 10000);
     },
 
+    /**
+     * 开始执行简报任务：立即创建运行记录并返回，生成与推送在后台进行
+     * @param {string} userId
+     * @param {Object} task - digest_tasks 中的任务
+     * @param {Object} [options]
+     * @param {string} [options.trigger] - schedule | catchup | retry
+     * @param {string} [options.retryOf] - 重试的原运行记录 ID
+     * @param {string} [options.scheduledFor] - 计划执行时间（ISO）
+     * @returns {Promise<Object|null>} 运行记录，重试的记录仍在运行时返回 null
+     */
+    async startTask(userId, task, { trigger = 'schedule', retryOf = null, scheduledFor = null } = {}) {
+        const run = await DigestRunStore.start(userId, task.id, {
+            trigger,
+            retryOf,
+            scheduledFor,
+            taskTitle: task.title || ''
+        });
+        if (!run) return null;
+
+        executeTaskRun(userId, task, run).catch(err => {
+            console.error(`Digest run ${run.id} error:`, err);
+        });
+
+        return run;
+    },
+
+    /**
+     * 按任务的推送设置推送简报（手动触发时传入临时任务）
+     * @param {string} userId
+     * @param {Object} task - { title, enablePush, enableWebPush, pushChannels, emailRecipients, emailSubject, timeZone }
+     * @param {Object} prefs - 用户偏好
+     * @param {Object} digest - 生成的简报
+     * @param {string} title - 推送标题
+     * @returns {Promise<Object|null>} 各推送方式的结果
+     */
+    deliverDigest(userId, task, prefs, digest, title) {
+        return deliverTaskDigest(userId, task, prefs, digest, title);
+    },
+
     /**
      * 执行调度检查
      */
     async runCheck() {
         const currentTime = getCurrentTimeStr();
-        const userIds = await PreferenceStore.getAllUserIds();
+        const userIds = await PreferenceStore.getActiveUserIds();
 
         for (const userId of userIds) {
             try {
@@ -196,13 +339,14 @@ export const DigestScheduler = {
 
                     console.log(`Triggering old-format scheduled digest for user ${userId} [Scope: ${task.scope}] at ${currentTime}`);
 
-                    const aiConfig = prefs.ai_config;
-                    if (!aiConfig?.apiKey) {
+                    const aiConfig = prefs.ai_config || {};
+                    const aiChain = AIProfileService.resolveChain(prefs, { action: 'digest' });
+                    if (aiChain.length === 0) {
                         console.error(`Skipping digest for ${userId}: AI not configured.`);
                         continue;
                     }
 
-                    const minifluxClient = await getMinifluxClient();
+                    const minifluxClient = await getMinifluxClient(userId);
                     if (!minifluxClient) {
                         console.error(`Skipping digest for ${userId}: Miniflux client not available.`);
                         continue;
@@ -214,7 +358,7 @@ export const DigestScheduler = {
                         scope: task.scope || 'all',
                         hours: task.hours || 24,
                         targetLang: targetLang,
-                        aiConfig: aiConfig,
+                        aiConfig: aiChain,
                         prompt: aiConfig.digestPrompt
                     };
 
@@ -240,84 +384,25 @@ export const DigestScheduler = {
 
                 // 处理新的cron任务
                 const digestTasks = prefs.digest_tasks || [];
-                const pushSettings = prefs.push_settings || {};
+                const now = Date.now();
 
                 for (const task of digestTasks) {
-                    if (!task.cronExpression) continue;
-                    
-                    // 检查是否应该执行
-                    if (!shouldRunCronTask(task.cronExpression)) continue;
+                    if (!task.id || !task.cronExpression || !isValidCron(task.cronExpression)) continue;
 
-                    console.log(`Triggering cron digest task for user ${userId} [Task: ${task.title}]`);
-
-                    const aiConfig = prefs.ai_config;
-                    if (!aiConfig?.apiKey) {
-                        console.error(`Skipping digest for ${userId}: AI not configured.`);
-                        continue;
-                    }
-
-                    const minifluxClient = await getMinifluxClient();
-                    if (!minifluxClient) {
-                        console.error(`Skipping digest for ${userId}: Miniflux client not available.`);
-                        continue;
-                    }
-
-                    // 处理任务范围
-                    const scopes = task.scopes || [];
-                    let digestOptions = {
-                        scope: 'all',
-                        hours: 24,
-                        targetLang: aiConfig.targetLang || 'zh-CN',
-                        aiConfig: aiConfig,
-                        prompt: task.customPrompt || aiConfig.digestPrompt,
-                        includeRead: task.includeRead || false
-                    };
-
-                    // 如果指定了时间范围，使用timeRange参数
-                    if (task.timeRange) {
-                        digestOptions.timeRange = parseInt(task.timeRange);
-                    }
+                    // 检查是否应该执行
+                    const due = await findDueSlot(userId, task, now);
+                    if (!due) continue;
 
-                    if (scopes.length > 0 && !scopes.includes('all')) {
-                        // 提取所有分类ID
-                        const categoryIds = scopes
-                            .filter(s => s.startsWith('group_'))
-                            .map(s => parseInt(s.replace('group_', '')));
-                        
-                        if (categoryIds.length > 0) {
-                            digestOptions.categoryIds = categoryIds;
-                            digestOptions.scope = 'group';
-                        }
-                    }
+                    // 先记录计划时间再执行，防止重复触发
+                    lastScheduledSlots.set(`${userId}:${task.id}`, due.slot.getTime());
 
-                    // 替换标题中的时间变量
-                    const processedTitle = replaceTemplateVars(task.digestTitle || task.title || 'Digest');
-                    
-                    // 将自定义标题添加到选项中
-                    digestOptions.customTitle = processedTitle;
+                    console.log(`Triggering cron digest task for user ${userId} [Task: ${task.title}]${due.catchUp ? ` (catch-up for ${due.slot.toISOString()})` : ''}`);
 
-                    // 异步执行生成任务
-                    DigestService.generate(minifluxClient, userId, digestOptions)
-                        .then(async result => {
-                            if (result.success) {
-                                console.log(`Digest generated for user ${userId} [Task: ${task.title}]:`, result.digest.id);
-                                
-                                // 如果启用推送，发送推送通知
-                                if (task.enablePush && pushSettings.url) {
-                                    try {
-                                        await sendPushNotification(pushSettings, result.digest.content, processedTitle);
-                                        console.log(`Push notification sent for task: ${task.title}`);
-                                    } catch (pushError) {
-                                        console.error(`Push notification error for task ${task.title}:`, pushError);
-                                    }
-                                }
-                            } else {
-                                console.error(`Digest generation failed for user ${userId} [Task: ${task.title}]:`, result);
-                            }
-                        })
-                        .catch(err => {
-                            console.error(`Error in digest generation for user ${userId} [Task: ${task.title}]:`, err);
-                        });
+                    // 异步执行，结果写入运行记录
+                    await this.startTask(userId, task, {
+                        trigger: due.catchUp ? 'catchup' : 'schedule',
+                        scheduledFor: due.slot.toISOString()
+                    });
                 }
             } catch (error) {
                 console.error(`Error in digest scheduler for user ${userId}:`, error);
@@ -1,6 +1,8 @@
 import jwt from 'jsonwebtoken';
 import { MinifluxClient } from '../miniflux.js';
 import { MinifluxConfigStore } from '../utils/miniflux-config-store.js';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { UserStore, ROLE_ADMIN } from '../utils/user-store.js';
 import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
@@ -12,6 +14,8 @@ const __dirname = path.dirname(__filename);
 const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
 const JWT_SECRET_FILE = path.join(DATA_DIR, '.jwt-secret');
 const TOKEN_EXPIRATION = process.env.TOKEN_EXPIRATION || '365d';
+// 图标令牌有效期（秒）
+const FAVICON_TOKEN_MAX_AGE = 30 * 24 * 60 * 60;
 
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
@@ -43,10 +47,11 @@ function getJwtSecret() {
 }
 
 const JWT_SECRET = getJwtSecret();
+// 图标令牌使用单独派生的密钥签名，不能当作登录令牌使用
+const FAVICON_TOKEN_SECRET = crypto.createHmac('sha256', JWT_SECRET).update('favicon').digest('hex');
 
-// 缓存 MinifluxClient 单例实例
-let minifluxClientInstance = null;
-let lastConfigHash = null;
+// MinifluxClient 连接池，按用户缓存实例: userId -> { hash, client }
+const minifluxClientPool = new Map();
 
 function getConfigHash(config) {
     if (!config) return null;
@@ -54,33 +59,41 @@ function getConfigHash(config) {
 }
 
 /**
- * 异步获取 MinifluxClient
+ * 异步获取指定用户的 MinifluxClient
+ * @param {string} userId - PreferenceStore 用户 ID
  */
-export async function getMinifluxClient() {
-    const config = await MinifluxConfigStore.getConfig();
+export async function getMinifluxClient(userId) {
+    const config = await MinifluxConfigStore.getConfig(userId);
+    if (!config) {
+        minifluxClientPool.delete(userId);
+        return null;
+    }
+
     const currentHash = getConfigHash(config);
+    const cached = minifluxClientPool.get(userId);
 
     // 如果配置变化了，需要重新创建实例
-    if (currentHash !== lastConfigHash) {
-        minifluxClientInstance = null;
-        lastConfigHash = currentHash;
+    if (cached && cached.hash === currentHash) {
+        return cached.client;
     }
 
-    if (!minifluxClientInstance && config) {
-        minifluxClientInstance = new MinifluxClient(
-            config.url,
-            config.username,
-            config.password,
-            config.apiKey
-        );
-    }
-    return minifluxClientInstance;
+    const client = new MinifluxClient(
+        config.url,
+        config.username,
+        config.password,
+        config.apiKey
+    );
+    minifluxClientPool.set(userId, { hash: currentHash, client });
+    return client;
 }
 
-// 清除缓存的客户端实例（配置更新时调用）
-export function clearMinifluxClientCache() {
-    minifluxClientInstance = null;
-    lastConfigHash = null;
+// 清除缓存的客户端实例（配置更新时调用），不传 userId 则清空整个连接池
+export function clearMinifluxClientCache(userId) {
+    if (userId === undefined) {
+        minifluxClientPool.clear();
+    } else {
+        minifluxClientPool.delete(userId);
+    }
 }
 
 /**
@@ -96,10 +109,16 @@ export async function authenticateToken(req, res, next) {
 
     try {
         const user = jwt.verify(token, JWT_SECRET);
-        req.user = user;
 
-        // 异步获取 MinifluxClient 并挂载到 request 对象
-        req.miniflux = await getMinifluxClient();
+        // 以用户存储中的状态为准：已删除或已禁用的账号立即失效，角色变更立即生效
+        const storedUser = await UserStore.getUser(user.username);
+        if (!storedUser || storedUser.disabled) {
+            return res.status(401).json({ error: '账号不可用' });
+        }
+        req.user = { ...user, role: storedUser.role };
+
+        // 异步获取当前用户的 MinifluxClient 并挂载到 request 对象
+        req.miniflux = await getMinifluxClient(PreferenceStore.getUserId(user));
         if (!req.miniflux) {
             console.warn('Miniflux service is not configured!');
         }
@@ -111,6 +130,16 @@ export async function authenticateToken(req, res, next) {
     }
 }
 
+/**
+ * 管理员权限中间件（需在 authenticateToken 之后使用）
+ */
+export function requireAdmin(req, res, next) {
+    if (req.user?.role !== ROLE_ADMIN) {
+        return res.status(403).json({ error: '需要管理员权限' });
+    }
+    next();
+}
+
 /**
  * 生成 JWT Token
  */
@@ -122,4 +151,28 @@ export function generateToken(payload) {
     );
 }
 
+/**
+ * 生成图标令牌
+ * 图标通过 <img> 加载无法携带 Authorization 头，改为在 URL 中携带只能用于获取图标的短期令牌
+ * @returns {{token: string, expiresAt: string}}
+ */
+export function generateFaviconToken(username) {
+    const token = jwt.sign({ username }, FAVICON_TOKEN_SECRET, { expiresIn: FAVICON_TOKEN_MAX_AGE });
+    return { token, expiresAt: new Date(Date.now() + FAVICON_TOKEN_MAX_AGE * 1000).toISOString() };
+}
+
+/**
+ * 校验图标令牌，返回对应的可用用户，无效时返回 null
+ */
+export async function verifyFaviconToken(token) {
+    if (!token) return null;
+    try {
+        const { username } = jwt.verify(String(token), FAVICON_TOKEN_SECRET);
+        const user = await UserStore.getUser(username);
+        return user && !user.disabled ? user : null;
+    } catch (error) {
+        return null;
+    }
+}
+
 export { JWT_SECRET };
@@ -0,0 +1,168 @@
+import express from 'express';
+import { authenticateToken, requireAdmin, clearMinifluxClientCache } from '../middleware/auth.js';
+import { UserStore, USER_ROLES, ROLE_READER, validatePassword } from '../utils/user-store.js';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { DigestStore } from '../utils/digest-store.js';
+import { DigestRunStore } from '../utils/digest-run-store.js';
+import { MinifluxConfigStore } from '../utils/miniflux-config-store.js';
+import { ClusterService } from '../services/cluster-service.js';
+import { SearchIndexStore } from '../utils/search-index-store.js';
+import { SearchService } from '../services/search-service.js';
+import { TagStore } from '../utils/tag-store.js';
+import { HighlightStore } from '../utils/highlight-store.js';
+import { ArchiveStore } from '../utils/archive-store.js';
+import { AICacheStore } from '../utils/ai-cache-store.js';
+import { AIUsageStore } from '../utils/ai-usage-store.js';
+
+const router = express.Router();
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.@-]{1,64}$/;
+
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * GET /api/admin/users
+ * 获取用户列表
+ */
+router.get('/users', async (req, res) => {
+    try {
+        const users = await UserStore.listUsers();
+        res.json({ users });
+    } catch (error) {
+        console.error('List users error:', error);
+        res.status(500).json({ error: '获取用户列表失败' });
+    }
+});
+
+/**
+ * POST /api/admin/users
+ * 创建用户
+ */
+router.post('/users', async (req, res) => {
+    try {
+        const { username, password, role = ROLE_READER } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({ error: '请填写完整信息' });
+        }
+        if (!USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({ error: '用户名格式无效' });
+        }
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).json({ error: '无效的角色' });
+        }
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+        if (await UserStore.getUser(username)) {
+            return res.status(409).json({ error: '用户已存在' });
+        }
+
+        await UserStore.createUser(username, password, role);
+        res.json({ success: true, user: await UserStore.getUser(username) });
+    } catch (error) {
+        console.error('Create user error:', error);
+        res.status(500).json({ error: '创建用户失败' });
+    }
+});
+
+/**
+ * PATCH /api/admin/users/:username
+ * 修改角色或禁用/启用用户
+ */
+router.patch('/users/:username', async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { role, disabled } = req.body;
+
+        if (username === req.user.username && (disabled || (role && role !== req.user.role))) {
+            return res.status(400).json({ error: '不能禁用自己或修改自己的角色' });
+        }
+        if (role !== undefined && !USER_ROLES.includes(role)) {
+            return res.status(400).json({ error: '无效的角色' });
+        }
+
+        const user = await UserStore.updateUser(username, { role, disabled });
+        res.json({ success: true, user });
+    } catch (error) {
+        if (error.message === 'User not found') {
+            return res.status(404).json({ error: '用户不存在' });
+        }
+        if (error.message === 'Last admin') {
+            return res.status(400).json({ error: '至少需要保留一个可用的管理员' });
+        }
+        console.error('Update user error:', error);
+        res.status(500).json({ error: '更新用户失败' });
+    }
+});
+
+/**
+ * POST /api/admin/users/:username/reset-password
+ * 重置用户密码
+ */
+router.post('/users/:username/reset-password', async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { newPassword } = req.body;
+
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        await UserStore.changePassword(username, newPassword);
+        res.json({ success: true });
+    } catch (error) {
+        if (error.message === 'User not found') {
+            return res.status(404).json({ error: '用户不存在' });
+        }
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: '重置密码失败' });
+    }
+});
+
+/**
+ * DELETE /api/admin/users/:username
+ * 删除用户及其偏好设置、简报和 Miniflux 配置
+ */
+router.delete('/users/:username', async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        if (username === req.user.username) {
+            return res.status(400).json({ error: '不能删除自己' });
+        }
+
+        await UserStore.deleteUser(username);
+
+        const userId = PreferenceStore.getUserId({ username });
+        await Promise.all([
+            PreferenceStore.delete(userId),
+            DigestStore.deleteAllForUser(userId),
+            DigestRunStore.deleteAllForUser(userId),
+            TagStore.deleteAllForUser(userId),
+            HighlightStore.deleteAllForUser(userId),
+            ArchiveStore.deleteAllForUser(userId),
+            AICacheStore.deleteAllForUser(userId),
+            AIUsageStore.deleteAllForUser(userId),
+            SearchService.clearUser(userId).then(() => SearchIndexStore.deleteAllForUser(userId)),
+            MinifluxConfigStore.clearManualConfig(userId)
+        ]);
+        clearMinifluxClientCache(userId);
+        ClusterService.clearUser(userId);
+
+        res.json({ success: true });
+    } catch (error) {
+        if (error.message === 'User not found') {
+            return res.status(404).json({ error: '用户不存在' });
+        }
+        if (error.message === 'Last admin') {
+            return res.status(400).json({ error: '至少需要保留一个可用的管理员' });
+        }
+        console.error('Delete user error:', error);
+        res.status(500).json({ error: '删除用户失败' });
+    }
+});
+
+export default router;
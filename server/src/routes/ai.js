@@ -1,115 +1,279 @@
 import express from 'express';
-import fetch from 'node-fetch';
 import { authenticateToken } from '../middleware/auth.js';
 import { PreferenceStore } from '../utils/preference-store.js';
+import { isAIConfigured } from '../services/ai-provider-service.js';
+import { AIProfileService, AI_ACTIONS, DEFAULT_PROFILE_ID } from '../services/ai-profile-service.js';
+import { AICacheService, CACHED_ACTIONS } from '../services/ai-cache-service.js';
+import { AICacheStore } from '../utils/ai-cache-store.js';
+import { AIUsageService } from '../services/ai-usage-service.js';
+import { AskService, DEFAULT_ASK_DAYS } from '../services/ask-service.js';
 
 const router = express.Router();
 
 /**
- * POST /api/ai/chat
- * 通用 AI 对话接口 (支持流式响应)
+ * 将 AI 结果以 OpenAI 兼容格式返回（流式为 SSE）
+ * @param {Function} run - (onDelta, signal) => Promise<{content, usage, cached?, budgetWarning?, sources?}>
  */
-const normalizeApiUrl = (url) => {
-    let normalized = url.trim();
-    if (!normalized.endsWith('/')) normalized += '/';
-    if (!normalized.endsWith('chat/completions')) {
-        normalized += 'chat/completions';
+async function sendAIResponse(res, stream, run) {
+    // 客户端断开连接时及时中止上游请求
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    const writeEvent = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+    const writeDelta = (delta) => writeEvent({ choices: [{ index: 0, delta: { content: delta } }] });
+    const startStream = () => {
+        if (res.headersSent) return;
+        // 设置 SSE 响应头
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+    };
+
+    let result;
+    try {
+        result = await run(
+            stream
+                ? (delta) => {
+                    startStream();
+                    writeDelta(delta);
+                }
+                : undefined,
+            controller.signal
+        );
+    } catch (error) {
+        if (error.name === 'AbortError') return res.end();
+        if (!res.headersSent) {
+            return res.status(error.status || 502).json({ error: error.message });
+        }
+        // 流式输出中途出错
+        writeEvent({ error: { message: error.message } });
+        return res.end();
     }
-    return normalized;
-};
 
+    const usage = result.usage && {
+        prompt_tokens: result.usage.promptTokens,
+        completion_tokens: result.usage.completionTokens,
+        total_tokens: result.usage.totalTokens
+    };
+    // 附加信息：命中缓存、本月费用已超出预算（warn 模式）、问答引用的文章
+    const extra = {
+        ...(result.cached ? { cached: true } : {}),
+        ...(result.budgetWarning ? { budget_warning: true } : {}),
+        ...(result.sources ? { sources: result.sources } : {})
+    };
+
+    if (stream) {
+        startStream();
+        // 命中缓存时一次性输出全部内容
+        if (result.cached) writeDelta(result.content);
+        if (usage || Object.keys(extra).length > 0) {
+            writeEvent({ choices: [], ...(usage ? { usage } : {}), ...extra });
+        }
+        res.write('data: [DONE]\n\n');
+        res.end();
+    } else {
+        res.json({
+            choices: [{ index: 0, message: { role: 'assistant', content: result.content } }],
+            ...(usage ? { usage } : {}),
+            ...extra
+        });
+    }
+}
+
+/**
+ * POST /api/ai/chat
+ * 通用 AI 对话接口 (支持流式响应)
+ * action 指定用途（translate / summarize / chat），按用途路由到对应的 AI 配置；
+ * 无论使用哪个提供商，响应都转换为 OpenAI 兼容格式（流式为 SSE）
+ */
 router.post('/chat', authenticateToken, async (req, res) => {
     try {
         const userId = PreferenceStore.getUserId(req.user);
         const prefs = await PreferenceStore.get(userId);
-        const aiConfig = prefs.ai_config || {};
+        const { messages, stream } = req.body;
+        const action = AI_ACTIONS.includes(req.body.action) ? req.body.action : 'chat';
 
-        if (!aiConfig.apiUrl || !aiConfig.apiKey) {
-            return res.status(400).json({ error: 'AI 未在服务端配置' });
+        if (!Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({ error: 'messages 必须是非空数组' });
         }
 
-        const apiUrl = normalizeApiUrl(aiConfig.apiUrl);
+        // 按用途选择 AI 配置（含备用配置）
+        const chain = AIProfileService.resolveChain(prefs, { action });
+        if (chain.length === 0) {
+            return res.status(400).json({ error: 'AI 未在服务端配置' });
+        }
 
-        const { messages, model, stream, temperature } = req.body;
+        await sendAIResponse(res, stream, (onDelta, signal) =>
+            AIProfileService.chat(chain, { messages, signal, onDelta, track: { userId, action } })
+        );
+    } catch (error) {
+        console.error('AI Chat Proxy Error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else {
+            res.end();
+        }
+    }
+});
 
-        const controller = new AbortController();
-        // 设置 600秒 (10分钟) 超时
-        const timeout = setTimeout(() => {
-            controller.abort();
-        }, 600000);
+/**
+ * POST /api/ai/article
+ * 翻译或总结文章内容，结果按文章缓存；regenerate 为 true 时忽略缓存重新生成
+ * 提示词由服务端根据 AI 设置构建，响应格式同 /api/ai/chat，命中缓存时带 cached: true
+ */
+router.post('/article', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const prefs = await PreferenceStore.get(userId);
+        const { action, content, targetLang, stream, regenerate } = req.body;
+        const entryId = /^\d+$/.test(String(req.body.entryId)) ? parseInt(req.body.entryId, 10) : 0;
 
-        let response;
-        try {
-            // 转发请求给 AI 提供商
-            response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${aiConfig.apiKey}`
-                },
-                body: JSON.stringify({
-                    model: model || aiConfig.model || 'gpt-4.1-mini',
-                    temperature: temperature ?? aiConfig.temperature ?? 1,
-                    messages,
-                    stream: !!stream
-                }),
-                signal: controller.signal
-            });
-        } finally {
-            clearTimeout(timeout);
+        if (!CACHED_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: '不支持的操作' });
         }
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            let errorMsg = `AI API Error: ${response.status}`;
-            try {
-                const errorJson = JSON.parse(errorText);
-                if (errorJson.error && errorJson.error.message) {
-                    errorMsg = errorJson.error.message;
-                }
-            } catch (e) {
-                // ignore json parse error
-            }
-            return res.status(response.status).json({ error: errorMsg });
+        if (entryId <= 0) {
+            return res.status(400).json({ error: '无效的文章 ID' });
+        }
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ error: '请提供文章内容' });
+        }
+        if (AIProfileService.resolveChain(prefs, { action }).length === 0) {
+            return res.status(400).json({ error: 'AI 未在服务端配置' });
         }
 
-        if (stream) {
-            // 设置 SSE 响应头
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
+        await sendAIResponse(res, stream, (onDelta, signal) =>
+            AICacheService.process(userId, prefs, {
+                entryId,
+                action,
+                content,
+                targetLang: targetLang || prefs.ai_config?.targetLang || 'zh-CN',
+                regenerate: !!regenerate,
+                onDelta,
+                signal
+            })
+        );
+    } catch (error) {
+        console.error('AI Article Error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else {
+            res.end();
+        }
+    }
+});
 
-            // 创建用于中止上游请求的 controller
-            const streamController = new AbortController();
+/**
+ * POST /api/ai/ask
+ * 基于订阅文章回答问题：检索近期相关文章后由 AI 回答并标注引用
+ * body: { question, history, groupId, days, stream }，响应格式同 /api/ai/chat，最后附带 sources
+ */
+router.post('/ask', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const prefs = await PreferenceStore.get(userId);
+        const { question, history, stream } = req.body;
 
-            // 监听客户端断开连接，及时中止上游请求
-            req.on('close', () => {
-                if (!res.writableEnded) {
-                    streamController.abort();
-                    response.body?.destroy?.();
-                }
-            });
+        if (typeof question !== 'string' || !question.trim()) {
+            return res.status(400).json({ error: '请输入问题' });
+        }
+        if (AIProfileService.resolveChain(prefs, { action: 'chat' }).length === 0) {
+            return res.status(400).json({ error: 'AI 未在服务端配置' });
+        }
 
-            // 将 AI 响应流直接通过管道传输给客户端
-            response.body.pipe(res);
+        const groupId = parseInt(req.body.groupId);
+        const days = parseInt(req.body.days);
 
-            // 监听错误
-            response.body.on('error', (err) => {
-                if (err.name !== 'AbortError') {
-                    console.error('Stream error:', err);
-                }
-                res.end();
-            });
+        await sendAIResponse(res, stream, (onDelta, signal) =>
+            AskService.ask(userId, req.miniflux, prefs, {
+                question,
+                history,
+                groupId: groupId > 0 ? groupId : null,
+                days: days >= 0 ? days : DEFAULT_ASK_DAYS,
+                onDelta,
+                signal
+            })
+        );
+    } catch (error) {
+        console.error('AI Ask Error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal Server Error' });
         } else {
-            const data = await response.json();
-            res.json(data);
+            res.end();
         }
+    }
+});
+
+/**
+ * GET /api/ai/cache
+ * 获取 AI 结果缓存用量
+ */
+router.get('/cache', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        res.json(await AICacheStore.stats(userId));
+    } catch (error) {
+        console.error('Get AI cache stats error:', error);
+        res.status(500).json({ error: '获取缓存信息失败' });
+    }
+});
 
+/**
+ * DELETE /api/ai/cache
+ * 清空 AI 结果缓存
+ */
+router.delete('/cache', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        await AICacheStore.clear(userId);
+        res.json({ success: true });
     } catch (error) {
-        console.error('AI Chat Proxy Error:', error);
-        if (!res.headersSent) {
-            res.status(500).json({ error: 'Internal Server Error' });
+        console.error('Clear AI cache error:', error);
+        res.status(500).json({ error: '清空缓存失败' });
+    }
+});
+
+/**
+ * GET /api/ai/usage
+ * 获取最近若干天（days，默认 30）的 Token 用量、费用与预算状态
+ */
+router.get('/usage', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const prefs = await PreferenceStore.get(userId);
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+        res.json(await AIUsageService.getSummary(userId, prefs, days));
+    } catch (error) {
+        console.error('Get AI usage error:', error);
+        res.status(500).json({ error: '获取用量统计失败' });
+    }
+});
+
+/**
+ * PUT /api/ai/usage/settings
+ * 保存价格表、货币与月度预算
+ */
+router.put('/usage/settings', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+
+        let settings;
+        try {
+            settings = AIUsageService.normalizeSettings(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (await AIUsageService.saveSettings(userId, settings)) {
+            res.json({ success: true, settings });
+        } else {
+            res.status(500).json({ error: '保存用量设置失败' });
         }
+    } catch (error) {
+        console.error('Save AI usage settings error:', error);
+        res.status(500).json({ error: '保存用量设置失败' });
     }
 });
 
@@ -119,57 +283,38 @@ router.post('/chat', authenticateToken, async (req, res) => {
  */
 router.post('/test', authenticateToken, async (req, res) => {
     try {
-        let { apiUrl, apiKey, model } = req.body;
+        let { provider, apiUrl, apiKey, model, profileId } = req.body;
 
         // Ensure we handle the case where apiKey is masked
+        // profileId 指定已保存的命名配置时使用其 API Key，否则使用默认配置的
         if (!apiKey || apiKey === '********') {
             const userId = PreferenceStore.getUserId(req.user);
-            const prefs = await PreferenceStore.get(userId);
-            if (prefs.ai_config?.apiKey) {
-                apiKey = prefs.ai_config.apiKey;
+            if (profileId && profileId !== DEFAULT_PROFILE_ID) {
+                const { profiles } = await AIProfileService.getProfiles(userId);
+                apiKey = profiles.find(p => p.id === profileId)?.apiKey || '';
             } else {
-                return res.status(400).json({ error: '请提供完整的 API URL 和 Key' });
+                const prefs = await PreferenceStore.get(userId);
+                apiKey = prefs.ai_config?.apiKey || '';
             }
         }
 
-        if (!apiUrl || !apiKey) {
-            return res.status(400).json({ error: '请提供完整的 API URL 和 Key' });
+        const aiConfig = { provider, apiUrl, apiKey, model };
+        if (!isAIConfigured(aiConfig)) {
+            return res.status(400).json({ error: '请提供完整的 AI 配置' });
         }
 
-        const targetUrl = normalizeApiUrl(apiUrl);
-
         // 发送一个简单的测试请求
-        const response = await fetch(targetUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: model || 'gpt-4.1-mini',
+        let result;
+        try {
+            result = await AIProfileService.chat([aiConfig], {
                 messages: [{ role: 'user', content: 'Hi' }],
-                max_tokens: 5
-            })
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            let errorMsg = `API Error: ${response.status}`;
-            try {
-                const errorJson = JSON.parse(errorText);
-                if (errorJson.error && errorJson.error.message) {
-                    errorMsg = errorJson.error.message;
-                }
-            } catch (e) {
-                // ignore
-            }
-            return res.status(response.status).json({ success: false, error: errorMsg });
+                maxTokens: 5
+            });
+        } catch (error) {
+            return res.status(error.status || 502).json({ success: false, error: error.message });
         }
 
-        const data = await response.json();
-        const reply = data.choices?.[0]?.message?.content || '';
-
-        res.json({ success: true, message: 'Connection successful', reply });
+        res.json({ success: true, message: 'Connection successful', reply: result.content });
 
     } catch (error) {
         console.error('AI Test Error:', error);
@@ -177,4 +322,52 @@ router.post('/test', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/ai/profiles
+ * 获取命名 AI 配置列表（API Key 已打码）与用途路由
+ */
+router.get('/profiles', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const { profiles, routing } = await AIProfileService.getProfiles(userId);
+        res.json({ profiles: AIProfileService.maskProfiles(profiles), routing });
+    } catch (error) {
+        console.error('Get AI profiles error:', error);
+        res.status(500).json({ error: '获取 AI 配置失败' });
+    }
+});
+
+/**
+ * PUT /api/ai/profiles
+ * 保存命名 AI 配置列表与用途路由（整体替换）
+ */
+router.put('/profiles', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const { profiles, routing } = req.body;
+
+        if (!Array.isArray(profiles)) {
+            return res.status(400).json({ error: 'profiles 必须是数组' });
+        }
+
+        const existing = (await AIProfileService.getProfiles(userId)).profiles;
+        let normalized;
+        try {
+            normalized = profiles.map(p => AIProfileService.normalizeProfile(p, existing));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const saved = await AIProfileService.saveProfiles(userId, normalized, routing || {});
+        if (saved) {
+            res.json({ success: true, profiles: AIProfileService.maskProfiles(saved.profiles), routing: saved.routing });
+        } else {
+            res.status(500).json({ error: '保存 AI 配置失败' });
+        }
+    } catch (error) {
+        console.error('Save AI profiles error:', error);
+        res.status(500).json({ error: '保存 AI 配置失败' });
+    }
+});
+
 export default router;
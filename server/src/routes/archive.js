@@ -0,0 +1,124 @@
+/**
+ * Archive Routes - 文章存档 API
+ *
+ * 存档快照保存在 Tidyflux 数据目录，Miniflux 清理旧文章后仍可阅读
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { ArchiveStore } from '../utils/archive-store.js';
+import { ArchiveService } from '../services/archive-service.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/archive
+ * 分页获取存档列表，q 参数按关键词检索标题与正文
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+        const { items, total } = await ArchiveStore.list(userId, {
+            query: String(req.query.q || ''),
+            page,
+            limit
+        });
+
+        res.json({
+            items,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasMore: page * limit < total
+            }
+        });
+    } catch (error) {
+        console.error('Get archive error:', error);
+        res.status(500).json({ error: '获取存档失败' });
+    }
+});
+
+/**
+ * GET /api/archive/entries/:entryId
+ * 查询文章是否已存档
+ */
+router.get('/entries/:entryId', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const item = await ArchiveStore.findByEntry(userId, parseInt(req.params.entryId));
+        res.json({ item });
+    } catch (error) {
+        console.error('Get archive status error:', error);
+        res.status(500).json({ error: '获取存档失败' });
+    }
+});
+
+/**
+ * GET /api/archive/:id
+ * 获取存档快照（含正文）
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const item = await ArchiveStore.get(userId, req.params.id);
+        if (!item) {
+            return res.status(404).json({ error: '存档不存在' });
+        }
+        res.json({ item });
+    } catch (error) {
+        console.error('Get archive item error:', error);
+        res.status(500).json({ error: '获取存档失败' });
+    }
+});
+
+/**
+ * POST /api/archive
+ * 存档文章：{ entryId }，已存档的文章重新生成快照
+ */
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const entryId = parseInt(req.body.entryId);
+        if (!entryId) {
+            return res.status(400).json({ error: '请提供文章 ID' });
+        }
+
+        const userId = PreferenceStore.getUserId(req.user);
+        let item;
+        try {
+            item = await ArchiveService.archiveEntry(req.miniflux, userId, entryId);
+        } catch (error) {
+            if (error.status === 404) {
+                return res.status(404).json({ error: '文章不存在' });
+            }
+            throw error;
+        }
+        res.json({ success: true, item });
+    } catch (error) {
+        console.error('Archive entry error:', error);
+        res.status(500).json({ error: '存档失败' });
+    }
+});
+
+/**
+ * DELETE /api/archive/:id
+ * 删除存档
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        if (!await ArchiveStore.delete(userId, req.params.id)) {
+            return res.status(404).json({ error: '存档不存在' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete archive error:', error);
+        res.status(500).json({ error: '删除存档失败' });
+    }
+});
+
+export default router;
@@ -1,9 +1,20 @@
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
 import { extractThumbnailUrl, extractFirstImage, getThumbnailUrl, sanitizeHtml } from '../utils.js';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { FilterService } from '../services/filter-service.js';
+import { ClusterService } from '../services/cluster-service.js';
+import { SearchService } from '../services/search-service.js';
+import { TagStore } from '../utils/tag-store.js';
+import { HighlightStore, MAX_QUOTE_LENGTH, MAX_CONTEXT_LENGTH } from '../utils/highlight-store.js';
 
 const router = express.Router();
 
+// 当前页被过滤规则全部隐藏时，最多继续向后获取的次数
+const MAX_FILTER_REFILLS = 3;
+// 按标签列出文章时并发获取的文章数
+const TAGGED_FETCH_CONCURRENCY = 10;
+
 /**
  * Helper to map Miniflux entry to Tidyflux Article
  * Content is passed through without sanitization - RSS sources are trusted
@@ -18,6 +29,7 @@ function mapEntryToArticle(entry, thumbnail) {
         url: entry.url,
         author: entry.author || '',
         published_at: entry.published_at,
+        changed_at: entry.changed_at,
         thumbnail_url: thumbnail,
         enclosures: entry.enclosures || [],
         feed_title: entry.feed?.title || '',
@@ -26,6 +38,72 @@ function mapEntryToArticle(entry, thumbnail) {
     };
 }
 
+// 文章的首张图片：优先图片附件，其次正文
+function findEntryImage(entry) {
+    if (entry.enclosures && entry.enclosures.length > 0) {
+        const image = entry.enclosures.find(e => e.mime_type && e.mime_type.startsWith('image/'));
+        if (image) return image.url;
+    }
+    return extractFirstImage(entry.content, '') || null;
+}
+
+// 校验路径中的文章 ID，通过后保存到 req.entryId
+function requireEntryId(req, res, next) {
+    const entryId = /^\d+$/.test(req.params.id) ? parseInt(req.params.id, 10) : 0;
+    if (entryId <= 0) {
+        return res.status(400).json({ error: '无效的文章 ID' });
+    }
+    req.entryId = entryId;
+    next();
+}
+
+/**
+ * 按标签列出文章（最近添加标签的在前）
+ * 标签保存在本地，按页逐篇从 Miniflux 获取；已被 Miniflux 清理的文章跳过
+ * @returns {Promise<Object|null>} 标签不存在时返回 null
+ */
+async function getTaggedArticles(miniflux, userId, tagId, page, limit) {
+    const entryIds = await TagStore.getEntryIds(userId, tagId);
+    if (!entryIds) return null;
+    const offset = (page - 1) * limit;
+    const pageIds = entryIds.slice(offset, offset + limit);
+
+    const entries = [];
+    for (let i = 0; i < pageIds.length; i += TAGGED_FETCH_CONCURRENCY) {
+        const batch = await Promise.all(pageIds.slice(i, i + TAGGED_FETCH_CONCURRENCY).map(id =>
+            // 不重试：已删除的文章会一直返回 404
+            miniflux.request(`/entries/${id}`, {}, 0).catch(error => {
+                if (error.status !== 404) console.error(`Get tagged entry ${id} error:`, error.message);
+                return null;
+            })
+        ));
+        entries.push(...batch.filter(Boolean));
+    }
+
+    const articles = entries.map(entry => {
+        const imageUrl = findEntryImage(entry);
+        return mapEntryToArticle(entry, imageUrl ? getThumbnailUrl(imageUrl) : null);
+    });
+
+    return {
+        articles,
+        pagination: {
+            page,
+            limit,
+            total: entryIds.length,
+            totalPages: Math.ceil(entryIds.length / limit),
+            hasMore: offset + pageIds.length < entryIds.length
+        }
+    };
+}
+
+// 同步全文索引中的已读状态（供保存的搜索统计未读），不阻塞响应
+function updateSearchReadStatus(req, target, isRead) {
+    SearchService.setReadStatus(PreferenceStore.getUserId(req.user), target, isRead).catch(err => {
+        console.error('Update search read status error:', err);
+    });
+}
+
 // Get articles
 router.get('/', authenticateToken, async (req, res) => {
     try {
@@ -41,14 +119,31 @@ router.get('/', authenticateToken, async (req, res) => {
             after_id,
             before_published_at,
             before_id,
-            search
+            search,
+            tag_id,
+            offset: offsetParam
         } = req.query;
 
+        // 按标签筛选时不经过 Miniflux 列表接口与过滤规则
+        if (tag_id) {
+            const userId = PreferenceStore.getUserId(req.user);
+            const result = await getTaggedArticles(req.miniflux, userId, tag_id, parseInt(page) || 1, parseInt(limit) || 50);
+            if (!result) {
+                return res.status(404).json({ error: '标签不存在' });
+            }
+            return res.json(result);
+        }
+
         let offset = (parseInt(page) - 1) * parseInt(limit);
+        // 上一页因过滤规则补取过时，客户端以返回的 nextOffset 继续
+        if (offsetParam !== undefined && /^\d+$/.test(offsetParam)) {
+            offset = parseInt(offsetParam);
+        }
 
         // If using cursor-based pagination, we reset offset
         // Cursor pagination is more stable for lists that change (e.g., marking as read)
-        if (after_published_at || after_id || before_published_at || before_id) {
+        const useCursor = Boolean(after_published_at || after_id || before_published_at || before_id);
+        if (useCursor) {
             offset = 0;
         }
 
@@ -82,10 +177,42 @@ router.get('/', authenticateToken, async (req, res) => {
             params.before_entry_id = before_id;
         }
 
-        const entriesData = await req.miniflux.getEntries(params);
+        const userId = PreferenceStore.getUserId(req.user);
+        const filterRules = await FilterService.getRules(userId);
+        const canRefill = !after_published_at && !after_id;
+
+        // Fetch a page and apply user filter rules (hide / mark read / star).
+        // If every entry of the page gets filtered out, keep fetching further so pagination doesn't stall.
+        let entries = [];
+        let total = 0;
+        let hasMore = false;
+        let nextOffset = null;
+        for (let attempt = 0; ; attempt++) {
+            const entriesData = await req.miniflux.getEntries(params);
+
+            // entriesData is { total: 123, entries: [...] }
+            const rawEntries = entriesData.entries || [];
+            if (attempt === 0) total = entriesData.total;
+            hasMore = params.offset + rawEntries.length < entriesData.total;
+            nextOffset = useCursor ? null : params.offset + rawEntries.length;
+
+            const filtered = await FilterService.applyRules(req.miniflux, rawEntries, filterRules);
+            entries = filtered.entries;
+            if (params.status === 'unread' && filtered.readIds.length > 0) {
+                const readIds = new Set(filtered.readIds);
+                entries = entries.filter(entry => !readIds.has(entry.id));
+            }
+
+            if (entries.length > 0 || !hasMore || !canRefill || attempt >= MAX_FILTER_REFILLS) break;
 
-        // entriesData is { total: 123, entries: [...] }
-        const entries = entriesData.entries || [];
+            if (params.before_entry_id || params.before) {
+                const last = rawEntries[rawEntries.length - 1];
+                params.before = Math.floor(new Date(last.published_at).getTime() / 1000);
+                params.before_entry_id = last.id;
+            } else {
+                params.offset += rawEntries.length;
+            }
+        }
 
         // Stabilize sort order: Miniflux might return indeterminate order for same-second timestamps.
         // We enforce sorting by published_at DESC, then id DESC.
@@ -95,27 +222,32 @@ router.get('/', authenticateToken, async (req, res) => {
             if (timeA !== timeB) return timeB - timeA;
             return b.id - a.id;
         });
-        const total = entriesData.total;
+
+        // 顺带写入全文索引（更新已读/收藏状态），不阻塞响应
+        SearchService.indexEntries(userId, entries).catch(err => {
+            console.error('Index entries for search error:', err);
+        });
+
+        // 相似文章聚类：同一报道的文章共享 cluster_id
+        const clusters = ClusterService.annotate(userId, entries);
 
         const entryUrls = new Map();
         const articles = entries.map(entry => {
             // Try to find a thumbnail from enclosures or content
             let thumbnail = null;
-            let rawImageUrl = null;
-            if (entry.enclosures && entry.enclosures.length > 0) {
-                const image = entry.enclosures.find(e => e.mime_type && e.mime_type.startsWith('image/'));
-                if (image) rawImageUrl = image.url;
-            }
-            if (!rawImageUrl) {
-                rawImageUrl = extractFirstImage(entry.content, '');
-            }
+            const rawImageUrl = findEntryImage(entry);
 
             if (rawImageUrl) {
                 entryUrls.set(entry.id, rawImageUrl);
                 thumbnail = getThumbnailUrl(rawImageUrl);
             }
 
-            return mapEntryToArticle(entry, thumbnail);
+            const cluster = clusters.get(entry.id);
+            return {
+                ...mapEntryToArticle(entry, thumbnail),
+                cluster_id: cluster.clusterId,
+                related_count: cluster.relatedCount
+            };
         });
 
         // 异步预热缩略图缓存
@@ -128,7 +260,9 @@ router.get('/', authenticateToken, async (req, res) => {
                 limit: parseInt(limit),
                 total,
                 totalPages: Math.ceil(total / parseInt(limit)),
-                hasMore: offset + articles.length < total
+                hasMore,
+                // 下一页的偏移量（补取后不等于 page * limit），游标分页时不使用
+                nextOffset
             }
         });
     } catch (error) {
@@ -168,6 +302,7 @@ router.post('/:id/read', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
         await req.miniflux.updateEntriesStatus(parseInt(id), 'read');
+        updateSearchReadStatus(req, { entryIds: [parseInt(id)] }, true);
         res.json({ success: true });
     } catch (error) {
         console.error('Mark read error:', error);
@@ -180,6 +315,7 @@ router.delete('/:id/read', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
         await req.miniflux.updateEntriesStatus(parseInt(id), 'unread');
+        updateSearchReadStatus(req, { entryIds: [parseInt(id)] }, false);
         res.json({ success: true });
     } catch (error) {
         console.error('Mark unread error:', error);
@@ -197,6 +333,7 @@ router.post('/batch-read', authenticateToken, async (req, res) => {
 
         // Miniflux supports batch update: PUT /v1/entries with { entry_ids: [...], status: 'read' }
         await req.miniflux.updateEntriesStatus(ids.map(id => parseInt(id)), 'read');
+        updateSearchReadStatus(req, { entryIds: ids.map(id => parseInt(id)) }, true);
         res.json({ success: true, count: ids.length });
     } catch (error) {
         console.error('Batch mark read error:', error);
@@ -225,6 +362,8 @@ router.post('/mark-all-read', authenticateToken, async (req, res) => {
             await req.miniflux.request(`/users/${me.id}/mark-all-as-read`, { method: 'PUT' });
         }
 
+        updateSearchReadStatus(req, feed_id ? { feedId: feed_id } : group_id ? { groupId: group_id } : { all: true }, true);
+
         res.json({ success: true });
     } catch (error) {
         console.error('Mark all read error:', error);
@@ -257,6 +396,140 @@ router.delete('/:id/favorite', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/articles/:id/tags
+ * 获取文章的标签
+ */
+router.get('/:id/tags', authenticateToken, requireEntryId, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const tags = await TagStore.getEntryTags(userId, req.entryId);
+        res.json({ tags });
+    } catch (error) {
+        console.error('Get article tags error:', error);
+        res.status(500).json({ error: '获取标签失败' });
+    }
+});
+
+/**
+ * POST /api/articles/:id/tags
+ * 为文章添加标签：{ tagId } 添加已有标签，{ name } 按名称添加（不存在则创建）
+ */
+router.post('/:id/tags', authenticateToken, requireEntryId, async (req, res) => {
+    try {
+        const { tagId, name } = req.body;
+        if (!tagId && !(typeof name === 'string' && name.trim())) {
+            return res.status(400).json({ error: '请提供标签' });
+        }
+
+        const userId = PreferenceStore.getUserId(req.user);
+        const tags = await TagStore.addEntryTag(userId, req.entryId, { tagId, name });
+        if (!tags) {
+            return res.status(404).json({ error: '标签不存在' });
+        }
+        res.json({ success: true, tags });
+    } catch (error) {
+        console.error('Add article tag error:', error);
+        res.status(500).json({ error: '添加标签失败' });
+    }
+});
+
+/**
+ * PUT /api/articles/:id/tags
+ * 替换文章的全部标签：{ tagIds: [] }
+ */
+router.put('/:id/tags', authenticateToken, requireEntryId, async (req, res) => {
+    try {
+        const { tagIds } = req.body;
+        if (!Array.isArray(tagIds)) {
+            return res.status(400).json({ error: 'Invalid tagIds array' });
+        }
+
+        const userId = PreferenceStore.getUserId(req.user);
+        const tags = await TagStore.setEntryTags(userId, req.entryId, tagIds);
+        res.json({ success: true, tags });
+    } catch (error) {
+        console.error('Set article tags error:', error);
+        res.status(500).json({ error: '保存标签失败' });
+    }
+});
+
+/**
+ * DELETE /api/articles/:id/tags/:tagId
+ * 移除文章的标签
+ */
+router.delete('/:id/tags/:tagId', authenticateToken, requireEntryId, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const tags = await TagStore.removeEntryTag(userId, req.entryId, req.params.tagId);
+        res.json({ success: true, tags });
+    } catch (error) {
+        console.error('Remove article tag error:', error);
+        res.status(500).json({ error: '移除标签失败' });
+    }
+});
+
+/**
+ * GET /api/articles/:id/highlights
+ * 获取文章的高亮与批注
+ */
+router.get('/:id/highlights', authenticateToken, requireEntryId, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const highlights = await HighlightStore.getByEntry(userId, req.entryId);
+        res.json({ highlights });
+    } catch (error) {
+        console.error('Get article highlights error:', error);
+        res.status(500).json({ error: '获取高亮失败' });
+    }
+});
+
+/**
+ * POST /api/articles/:id/highlights
+ * 添加高亮：{ quote: { exact, prefix, suffix }, position: { start, end }, note }
+ */
+router.post('/:id/highlights', authenticateToken, requireEntryId, async (req, res) => {
+    try {
+        const { quote, position, note } = req.body;
+        if (!quote || typeof quote.exact !== 'string' || !quote.exact.trim() || quote.exact.length > MAX_QUOTE_LENGTH) {
+            return res.status(400).json({ error: '高亮文本无效' });
+        }
+        // 前后文可省略
+        const invalidContext = (text) => text !== undefined && text !== null && (typeof text !== 'string' || text.length > MAX_CONTEXT_LENGTH);
+        if (invalidContext(quote.prefix) || invalidContext(quote.suffix)) {
+            return res.status(400).json({ error: '高亮前后文无效' });
+        }
+        if (!position || !Number.isInteger(position.start) || !Number.isInteger(position.end) ||
+            position.start < 0 || position.end <= position.start) {
+            return res.status(400).json({ error: '高亮位置无效' });
+        }
+
+        const entryId = req.entryId;
+        let entry;
+        try {
+            entry = await req.miniflux.getEntry(entryId);
+        } catch (error) {
+            if (error.status === 404) {
+                return res.status(404).json({ error: '文章不存在' });
+            }
+            throw error;
+        }
+
+        const userId = PreferenceStore.getUserId(req.user);
+        const highlight = await HighlightStore.add(userId, {
+            entryId,
+            article: { title: entry.title, url: entry.url, feedTitle: entry.feed?.title },
+            quote,
+            position,
+            note
+        });
+        res.json({ success: true, highlight });
+    } catch (error) {
+        console.error('Add highlight error:', error);
+        res.status(500).json({ error: '保存高亮失败' });
+    }
+});
+
 // Fetch article content (Readability mode)
 // PUT /api/articles/:id/fetch-content
 // Note: We keep frontend interface as PUT as it modifies state, but backend calls Miniflux's GET endpoint
@@ -1,7 +1,8 @@
 import express from 'express';
-import { generateToken, authenticateToken, clearMinifluxClientCache, getMinifluxClient } from '../middleware/auth.js';
-import { UserStore } from '../utils/user-store.js';
+import { generateToken, generateFaviconToken, authenticateToken, clearMinifluxClientCache } from '../middleware/auth.js';
+import { UserStore, validatePassword } from '../utils/user-store.js';
 import { MinifluxConfigStore } from '../utils/miniflux-config-store.js';
+import { PreferenceStore } from '../utils/preference-store.js';
 import { MinifluxClient } from '../miniflux.js';
 import dns from 'dns';
 import { promisify } from 'util';
@@ -59,8 +60,8 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ error: '用户名或密码错误' });
         }
 
-        // Check if Miniflux is configured (env or manual)
-        const safeConfig = await MinifluxConfigStore.getSafeConfig();
+        // Check if Miniflux is configured for this user (env or manual)
+        const safeConfig = await MinifluxConfigStore.getSafeConfig(PreferenceStore.getUserId(user));
 
         const token = generateToken({
             id: user.username,
@@ -73,9 +74,11 @@ router.post('/login', async (req, res) => {
                 id: user.username,
                 username: user.username,
                 email: '',
+                role: user.role,
                 minifluxConfigured: safeConfig.configured
             },
-            token
+            token,
+            faviconToken: generateFaviconToken(user.username)
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -83,6 +86,15 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// Current user info
+router.get('/me', authenticateToken, async (req, res) => {
+    res.json({
+        id: req.user.username,
+        username: req.user.username,
+        role: req.user.role
+    });
+});
+
 router.post('/register', (req, res) => {
     res.status(403).json({ error: 'Miniflux 模式不支持注册，请直接登录' });
 });
@@ -93,6 +105,11 @@ router.post('/change-password', authenticateToken, async (req, res) => {
         const { newPassword } = req.body;
         const username = req.user.username;
 
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
         await UserStore.changePassword(username, newPassword);
         res.json({ success: true, message: '密码修改成功' });
     } catch (error) {
@@ -103,7 +120,7 @@ router.post('/change-password', authenticateToken, async (req, res) => {
 
 // Get Miniflux config (safe info only)
 router.get('/miniflux-config', authenticateToken, async (req, res) => {
-    const safeConfig = await MinifluxConfigStore.getSafeConfig();
+    const safeConfig = await MinifluxConfigStore.getSafeConfig(PreferenceStore.getUserId(req.user));
     const envConfigured = MinifluxConfigStore.isEnvConfigured();
 
     res.json({
@@ -115,7 +132,7 @@ router.get('/miniflux-config', authenticateToken, async (req, res) => {
 // Check connection status of current config
 router.get('/miniflux-status', authenticateToken, async (req, res) => {
     try {
-        const config = await MinifluxConfigStore.getConfig();
+        const config = await MinifluxConfigStore.getConfig(PreferenceStore.getUserId(req.user));
         if (!config) {
             return res.json({ connected: false, error: '未配置' });
         }
@@ -132,11 +149,11 @@ router.get('/miniflux-status', authenticateToken, async (req, res) => {
     }
 });
 
-// Save Miniflux manual config
-// Save Miniflux manual config
+// Save Miniflux manual config for current user
 router.post('/miniflux-config', authenticateToken, async (req, res) => {
     try {
         const { url, username, password, apiKey, authType } = req.body;
+        const userId = PreferenceStore.getUserId(req.user);
 
         if (!url) {
             return res.status(400).json({ error: '请填写 Miniflux URL' });
@@ -161,18 +178,18 @@ router.post('/miniflux-config', authenticateToken, async (req, res) => {
         }
 
         // 保存配置
-        const success = await MinifluxConfigStore.saveManualConfig(url, username, password, apiKey, authType);
+        const success = await MinifluxConfigStore.saveManualConfig(userId, url, username, password, apiKey, authType);
         if (!success) {
             return res.status(500).json({ error: '保存配置失败' });
         }
 
-        // 清除客户端缓存，使用新配置
-        clearMinifluxClientCache();
+        // 清除该用户的客户端缓存，使用新配置
+        clearMinifluxClientCache(userId);
 
         res.json({
             success: true,
             message: '配置保存成功',
-            config: await MinifluxConfigStore.getSafeConfig()
+            config: await MinifluxConfigStore.getSafeConfig(userId)
         });
     } catch (error) {
         if (error.message.startsWith('请填写') || error.message === 'Cannot resolve hostname' || error.message === 'Use http or https') {
@@ -218,17 +235,19 @@ router.post('/miniflux-test', authenticateToken, async (req, res) => {
 // Clear manual config
 router.delete('/miniflux-config', authenticateToken, async (req, res) => {
     try {
-        // 不允许删除环境变量配置
-        if (MinifluxConfigStore.isEnvConfigured()) {
+        const userId = PreferenceStore.getUserId(req.user);
+
+        // 没有自己的配置时使用的是环境变量配置，不允许通过界面删除
+        if (!await MinifluxConfigStore.isManualConfigured(userId) && MinifluxConfigStore.isEnvConfigured()) {
             return res.status(400).json({ error: '环境变量配置无法通过界面删除' });
         }
 
-        const success = await MinifluxConfigStore.clearManualConfig();
+        const success = await MinifluxConfigStore.clearManualConfig(userId);
         if (!success) {
             return res.status(500).json({ error: '清除配置失败' });
         }
 
-        clearMinifluxClientCache();
+        clearMinifluxClientCache(userId);
         res.json({ success: true, message: '配置已清除' });
     } catch (error) {
         console.error('Clear miniflux config error:', error);
@@ -237,8 +256,9 @@ router.delete('/miniflux-config', authenticateToken, async (req, res) => {
 });
 
 // Legacy env-config endpoint (for backwards compatibility)
+// 未登录时无法确定用户，仅返回环境变量配置
 router.get('/env-config', async (req, res) => {
-    const safeConfig = await MinifluxConfigStore.getSafeConfig();
+    const safeConfig = await MinifluxConfigStore.getSafeConfig(null);
     res.json(safeConfig);
 });
 
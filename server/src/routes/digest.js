@@ -8,26 +8,23 @@ import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
 import { DigestStore } from '../utils/digest-store.js';
 import { DigestService, getRecentUnreadArticles } from '../services/digest-service.js';
+import { FilterService } from '../services/filter-service.js';
 import { PreferenceStore } from '../utils/preference-store.js';
-import cron from 'node-cron';
-import fetch from 'node-fetch';
+import { AIProfileService } from '../services/ai-profile-service.js';
+import { DigestRunStore } from '../utils/digest-run-store.js';
+import { DigestScheduler } from '../jobs/digest-scheduler.js';
+import { parseCron, getNextRuns, formatInTimeZone, isValidTimeZone, resolveTimeZone, getTemplateDateVars } from '../jobs/cron-engine.js';
 
 const router = express.Router();
 
 /**
- * 替换模板变量
+ * 替换模板变量，时间变量按任务的时区计算
  */
-function replaceTemplateVars(template, content = '', title = '') {
-    const now = new Date();
+function replaceTemplateVars(template, content = '', title = '', timeZone) {
     const replacements = {
         title: title,
         summary_content: content,
-        yyyy: now.getFullYear(),
-        MM: String(now.getMonth() + 1).padStart(2, '0'),
-        dd: String(now.getDate()).padStart(2, '0'),
-        HH: String(now.getHours()).padStart(2, '0'),
-        mm: String(now.getMinutes()).padStart(2, '0'),
-        ss: String(now.getSeconds()).padStart(2, '0')
+        ...getTemplateDateVars(new Date(), timeZone)
     };
 
     let result = template;
@@ -104,6 +101,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
 /**
  * POST /api/digest/generate
  * 生成简报并存储
+ * 流式模式下逐段推送 delta 事件，文章较多触发分批生成时会推送 progress 事件（stage: map | reduce）
+ * 客户端断开连接即取消生成，已生成的部分内容会被保存
  */
 router.post('/generate', authenticateToken, async (req, res) => {
     // Check if client wants stream
@@ -129,14 +128,15 @@ router.post('/generate', authenticateToken, async (req, res) => {
             hours = 12,
             targetLang = '简体中文',
             prompt: customPrompt,
+            mode,
             aiConfig
         } = req.body;
 
         const userId = PreferenceStore.getUserId(req.user);
         const prefs = await PreferenceStore.get(userId);
-        const storedAiConfig = prefs.ai_config || {};
+        const aiChain = AIProfileService.resolveChain(prefs, { action: 'digest' });
 
-        if (!storedAiConfig.apiKey) {
+        if (aiChain.length === 0) {
             const error = { error: 'AI service not configured' };
             if (useStream) {
                 sendEvent({ type: 'error', data: error });
@@ -150,10 +150,11 @@ router.post('/generate', authenticateToken, async (req, res) => {
             hours: parseInt(hours),
             targetLang,
             prompt: customPrompt,
-            aiConfig: storedAiConfig
+            aiConfig: aiChain
         };
 
         if (isNaN(options.hours)) options.hours = 12;
+        if (['auto', 'single', 'chunked'].includes(mode)) options.mode = mode;
 
         if (feedId) {
             options.feedId = parseInt(feedId);
@@ -181,20 +182,40 @@ router.post('/generate', authenticateToken, async (req, res) => {
         if (useStream) {
             sendEvent({ type: 'status', message: 'generating' });
 
-            // Keep connection alive with simple comments/heartbeat if needed, 
-            // but for now we just await the result.
-            // If the generation takes effective time (> 2min), we might need heartbeats.
+            // 分批模式的总结阶段没有增量输出，保持心跳以免连接被代理断开
             const heartbeat = setInterval(() => {
                 res.write(': heartbeat\n\n');
             }, 10000);
 
+            // 客户端断开（取消生成）时中止上游 AI 请求，已生成的内容会被保存
+            const controller = new AbortController();
+            res.on('close', () => {
+                clearInterval(heartbeat);
+                if (!res.writableEnded) controller.abort();
+            });
+
+            // 分批模式下推送各阶段进度
+            options.onProgress = (progress) => {
+                sendEvent({ type: 'progress', ...progress });
+            };
+            // 逐段推送 AI 生成的内容
+            options.onDelta = (text) => {
+                sendEvent({ type: 'delta', text });
+            };
+            options.signal = controller.signal;
+
             try {
                 const result = await DigestService.generate(req.miniflux, userId, options);
                 clearInterval(heartbeat);
+                if (controller.signal.aborted) return;
                 sendEvent({ type: 'result', data: result });
                 res.end();
             } catch (err) {
                 clearInterval(heartbeat);
+                if (controller.signal.aborted) {
+                    console.log('Generate digest cancelled by client');
+                    return;
+                }
                 console.error('Generate digest error:', err);
                 sendEvent({ type: 'error', data: { error: err.message || '生成简报失败' } });
                 res.end();
@@ -309,6 +330,7 @@ router.get('/preview', authenticateToken, async (req, res) => {
             options.groupId = parsedGroupId;
         }
 
+        options.filterRules = await FilterService.getRules(PreferenceStore.getUserId(req.user));
         const articles = await getRecentUnreadArticles(req.miniflux, options);
 
         res.json({
@@ -335,53 +357,42 @@ router.get('/preview', authenticateToken, async (req, res) => {
 
 /**
  * POST /api/digest/parse-cron
- * 解析Cron表达式并返回下5次执行时间
+ * 解析Cron表达式并返回任务时区中的下5次执行时间
  */
 router.post('/parse-cron', authenticateToken, async (req, res) => {
     try {
-        const { expression } = req.body;
-        
-        console.log('[parse-cron] Received expression:', expression);
-        
+        const { expression, timeZone, taskId } = req.body;
+
         if (!expression) {
-            console.log('[parse-cron] No expression provided');
             return res.status(400).json({ error: 'Cron expression is required' });
         }
 
-        // 验证cron表达式
-        const isValid = cron.validate(expression);
-        console.log('[parse-cron] Validation result:', isValid);
-        
-        if (!isValid) {
-            console.log('[parse-cron] Invalid cron expression');
-            return res.status(400).json({ error: 'Invalid cron expression' });
+        if (timeZone && !isValidTimeZone(timeZone)) {
+            return res.status(400).json({ error: 'Invalid time zone' });
         }
 
-        // 计算下5次执行时间
-        const nextRuns = [];
-        const now = new Date();
-        let currentDate = new Date(now);
-
-        // 使用简单的方法计算接下来的执行时间
-        for (let i = 0; i < 5; i++) {
-            currentDate = getNextCronDate(expression, currentDate);
-            if (currentDate) {
-                nextRuns.push(currentDate.toLocaleString('zh-CN', { 
-                    year: 'numeric', 
-                    month: '2-digit', 
-                    day: '2-digit', 
-                    hour: '2-digit', 
-                    minute: '2-digit',
-                    second: '2-digit',
-                    hour12: false 
-                }));
-            }
+        let schedule;
+        try {
+            schedule = parseCron(expression);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid cron expression', message: error.message });
+        }
+
+        // 未指定时区时使用已保存任务的时区
+        let zone = timeZone;
+        if (!zone && taskId) {
+            const userId = PreferenceStore.getUserId(req.user);
+            const prefs = await PreferenceStore.get(userId);
+            zone = (prefs.digest_tasks || []).find(t => t.id === taskId)?.timeZone;
         }
+        zone = resolveTimeZone(zone);
 
-        console.log('[parse-cron] Next runs:', nextRuns);
+        const nextRuns = getNextRuns(schedule, { count: 5, timeZone: zone })
+            .map(date => formatInTimeZone(date, zone));
 
         res.json({
             success: true,
+            timeZone: zone,
             nextRuns
         });
     } catch (error) {
@@ -390,6 +401,54 @@ router.post('/parse-cron', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/digest/tasks/:id/runs
+ * 获取简报任务的运行记录
+ */
+router.get('/tasks/:id/runs', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+        const runs = await DigestRunStore.getByTask(userId, req.params.id, limit);
+        res.json({ runs });
+    } catch (error) {
+        console.error('Get digest runs error:', error);
+        res.status(500).json({ error: '获取运行记录失败' });
+    }
+});
+
+/**
+ * POST /api/digest/tasks/:id/runs/:runId/retry
+ * 按当前任务配置重新执行一次，新的运行记录关联原记录
+ */
+router.post('/tasks/:id/runs/:runId/retry', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const { id, runId } = req.params;
+
+        const prefs = await PreferenceStore.get(userId);
+        const task = (prefs.digest_tasks || []).find(t => t.id === id);
+        if (!task) {
+            return res.status(404).json({ error: '任务不存在' });
+        }
+
+        const original = await DigestRunStore.get(userId, runId);
+        if (!original || original.taskId !== id) {
+            return res.status(404).json({ error: '运行记录不存在' });
+        }
+
+        // 原记录或它的另一次重试仍在运行时返回 null
+        const run = await DigestScheduler.startTask(userId, task, { trigger: 'retry', retryOf: runId });
+        if (!run) {
+            return res.status(409).json({ error: '任务正在运行' });
+        }
+        res.json({ success: true, run });
+    } catch (error) {
+        console.error('Retry digest run error:', error);
+        res.status(500).json({ error: '重试失败' });
+    }
+});
+
 /**
  * POST /api/digest/manual-trigger
  * 手动触发简报生成任务
@@ -403,14 +462,22 @@ router.post('/manual-trigger', authenticateToken, async (req, res) => {
             customPrompt,
             timeRange,
             includeRead,
-            enablePush
+            enablePush,
+            enableWebPush,
+            pushChannels,
+            emailRecipients,
+            emailSubject,
+            aiProfileId
         } = req.body;
+        // 时间变量按任务的时区计算，未指定或无效时使用服务器时区
+        const timeZone = isValidTimeZone(req.body.timeZone) ? req.body.timeZone : undefined;
 
         const userId = PreferenceStore.getUserId(req.user);
         const prefs = await PreferenceStore.get(userId);
         const storedAiConfig = prefs.ai_config || {};
+        const aiChain = AIProfileService.resolveChain(prefs, { action: 'digest', profileId: aiProfileId });
 
-        if (!storedAiConfig.apiKey) {
+        if (aiChain.length === 0) {
             return res.status(400).json({ error: 'AI service not configured' });
         }
 
@@ -420,7 +487,7 @@ router.post('/manual-trigger', authenticateToken, async (req, res) => {
             hours: 24,
             targetLang: storedAiConfig.targetLang || '简体中文',
             prompt: customPrompt,
-            aiConfig: storedAiConfig,
+            aiConfig: aiChain,
             includeRead: includeRead || false
         };
 
@@ -447,29 +514,32 @@ router.post('/manual-trigger', authenticateToken, async (req, res) => {
 
         // 处理简报标题（替换时间变量）
         if (digestTitle) {
-            const processedTitle = replaceTemplateVars(digestTitle);
+            const processedTitle = replaceTemplateVars(digestTitle, '', '', timeZone);
             digestOptions.customTitle = processedTitle;
         }
 
         // 生成简报
         const result = await DigestService.generate(req.miniflux, userId, digestOptions);
 
-        // 如果启用推送，发送推送
-        if (enablePush && result.success) {
-            const pushSettings = prefs.push_settings || {};
-            if (pushSettings.url) {
-                try {
-                    const pushTitle = digestTitle ? replaceTemplateVars(digestTitle) : title;
-                    await sendPushNotification(pushSettings, result.digest.content, pushTitle);
-                } catch (pushError) {
-                    console.error('Push notification error:', pushError);
-                }
-            }
+        // 按任务相同的方式推送（Webhook / 浏览器推送 / 内置渠道），没有新文章时不推送
+        let push = null;
+        if (result.success && result.digest?.id) {
+            const pushTitle = digestTitle ? replaceTemplateVars(digestTitle, '', '', timeZone) : title;
+            push = await DigestScheduler.deliverDigest(userId, {
+                title: title || pushTitle,
+                enablePush,
+                enableWebPush,
+                pushChannels,
+                emailRecipients,
+                emailSubject,
+                timeZone
+            }, prefs, result.digest, pushTitle);
         }
 
         res.json({
             success: true,
-            digest: result.digest
+            digest: result.digest,
+            pushChannels: push?.channels || []
         });
     } catch (error) {
         console.error('Manual trigger error:', error);
@@ -477,117 +547,4 @@ router.post('/manual-trigger', authenticateToken, async (req, res) => {
     }
 });
 
-/**
- * 辅助函数：获取下一次cron执行时间
- */
-function getNextCronDate(expression, fromDate) {
-    const parts = expression.split(' ');
-    if (parts.length !== 5) return null;
-
-    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts;
-    
-    let nextDate = new Date(fromDate);
-    nextDate.setSeconds(0);
-    nextDate.setMilliseconds(0);
-    nextDate.setMinutes(nextDate.getMinutes() + 1); // 从下一分钟开始
-
-    // 简单实现：最多尝试1000次
-    for (let i = 0; i < 1000; i++) {
-        if (matchesCron(nextDate, minute, hour, dayOfMonth, month, dayOfWeek)) {
-            return nextDate;
-        }
-        nextDate.setMinutes(nextDate.getMinutes() + 1);
-    }
-
-    return null;
-}
-
-/**
- * 辅助函数：检查日期是否匹配cron表达式
- */
-function matchesCron(date, minute, hour, dayOfMonth, month, dayOfWeek) {
-    const m = date.getMinutes();
-    const h = date.getHours();
-    const d = date.getDate();
-    const mo = date.getMonth() + 1;
-    const dow = date.getDay();
-
-    if (!matchesCronField(m, minute, 0, 59)) return false;
-    if (!matchesCronField(h, hour, 0, 23)) return false;
-    if (!matchesCronField(d, dayOfMonth, 1, 31)) return false;
-    if (!matchesCronField(mo, month, 1, 12)) return false;
-    if (!matchesCronField(dow, dayOfWeek, 0, 6)) return false;
-
-    return true;
-}
-
-/**
- * 辅助函数：检查值是否匹配cron字段
- */
-function matchesCronField(value, field, min, max) {
-    if (field === '*') return true;
-    
-    // 处理步长 */n 或 start-end/step
-    if (field.includes('/')) {
-        const parts = field.split('/');
-        const step = parseInt(parts[1]);
-        
-        if (parts[0] === '*') {
-            // */n 表示从min开始，每隔step执行
-            return (value - min) % step === 0;
-        } else if (parts[0].includes('-')) {
-            // start-end/step
-            const [start, end] = parts[0].split('-').map(Number);
-            return value >= start && value <= end && (value - start) % step === 0;
-        } else {
-            // n/step (从n开始)
-            const start = parseInt(parts[0]);
-            return value >= start && (value - start) % step === 0;
-        }
-    }
-    
-    // 处理范围 n-m
-    if (field.includes('-')) {
-        const [start, end] = field.split('-').map(Number);
-        return value >= start && value <= end;
-    }
-    
-    // 处理列表 n,m,o
-    if (field.includes(',')) {
-        const values = field.split(',').map(Number);
-        return values.includes(value);
-    }
-    
-    // 处理单个值
-    return value === parseInt(field);
-}
-
-/**
- * 辅助函数：发送推送通知
- */
-async function sendPushNotification(pushSettings, content, title) {
-    const { url, method, body: bodyTemplate } = pushSettings;
-    
-    if (!url) return;
-
-    let processedBody = replaceTemplateVars(bodyTemplate || '', content, title);
-    
-    // 处理中英文引号
-    processedBody = processedBody.replace(/[""]/g, '"').replace(/['']/g, "'");
-
-    const options = {
-        method: method || 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        }
-    };
-
-    if (method === 'POST' && processedBody) {
-        options.body = processedBody;
-    }
-
-    const response = await fetch(url, options);
-    return response;
-}
-
 export default router;
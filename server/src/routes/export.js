@@ -0,0 +1,108 @@
+/**
+ * Export Routes - 文章与简报导出 API
+ *
+ * 文章导出为 Markdown（多篇时打包为 ZIP）或 PDF，
+ * 简报导出为 Markdown、PDF，或连同来源文章导出为 EPUB
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { DigestStore } from '../utils/digest-store.js';
+import {
+    MAX_EXPORT_ARTICLES,
+    fetchEntries,
+    articleToMarkdown,
+    articlesToMarkdownZip,
+    articlesToPdf,
+    digestToMarkdown,
+    digestToPdf,
+    digestToEpub
+} from '../services/export-service.js';
+
+const router = express.Router();
+
+const CONTENT_TYPES = {
+    markdown: 'text/markdown; charset=utf-8',
+    zip: 'application/zip',
+    pdf: 'application/pdf',
+    epub: 'application/epub+zip'
+};
+
+function sendFile(res, type, filename, data) {
+    res.setHeader('Content-Type', CONTENT_TYPES[type]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(data);
+}
+
+/**
+ * GET /api/export/articles
+ * 导出文章：ids 为逗号分隔的文章 ID，format 为 markdown 或 pdf
+ */
+router.get('/articles', authenticateToken, async (req, res) => {
+    try {
+        const format = req.query.format || 'markdown';
+        if (!['markdown', 'pdf'].includes(format)) {
+            return res.status(400).json({ error: '不支持的导出格式' });
+        }
+
+        const ids = [...new Set(String(req.query.ids || '').split(',').map(id => parseInt(id)).filter(Boolean))];
+        if (ids.length === 0) {
+            return res.status(400).json({ error: '请提供文章 ID' });
+        }
+        if (ids.length > MAX_EXPORT_ARTICLES) {
+            return res.status(400).json({ error: `一次最多导出 ${MAX_EXPORT_ARTICLES} 篇文章` });
+        }
+
+        const entries = await fetchEntries(req.miniflux, ids);
+        if (entries.length === 0) {
+            return res.status(404).json({ error: '文章不存在' });
+        }
+
+        if (format === 'pdf') {
+            return sendFile(res, 'pdf', 'tidyflux_articles.pdf', articlesToPdf(entries));
+        }
+        if (entries.length === 1) {
+            return sendFile(res, 'markdown', 'tidyflux_article.md', articleToMarkdown(entries[0]));
+        }
+        sendFile(res, 'zip', 'tidyflux_articles.zip', articlesToMarkdownZip(entries));
+    } catch (error) {
+        console.error('Export articles error:', error);
+        res.status(500).json({ error: '导出失败' });
+    }
+});
+
+/**
+ * GET /api/export/digests/:id
+ * 导出简报：format 为 markdown、pdf 或 epub，PDF 与 EPUB 包含来源文章全文
+ */
+router.get('/digests/:id', authenticateToken, async (req, res) => {
+    try {
+        const format = req.query.format || 'markdown';
+        if (!['markdown', 'pdf', 'epub'].includes(format)) {
+            return res.status(400).json({ error: '不支持的导出格式' });
+        }
+
+        const userId = PreferenceStore.getUserId(req.user);
+        const digest = await DigestStore.get(userId, req.params.id);
+        if (!digest) {
+            return res.status(404).json({ error: '简报不存在' });
+        }
+
+        // 早期生成的简报没有记录来源文章，只导出简报本身
+        const entries = await fetchEntries(req.miniflux, (digest.articleIds || []).slice(0, MAX_EXPORT_ARTICLES));
+
+        if (format === 'epub') {
+            return sendFile(res, 'epub', 'tidyflux_digest.epub', await digestToEpub(digest, entries));
+        }
+        if (format === 'pdf') {
+            return sendFile(res, 'pdf', 'tidyflux_digest.pdf', digestToPdf(digest, entries));
+        }
+        sendFile(res, 'markdown', 'tidyflux_digest.md', digestToMarkdown(digest, entries));
+    } catch (error) {
+        console.error('Export digest error:', error);
+        res.status(500).json({ error: '导出失败' });
+    }
+});
+
+export default router;
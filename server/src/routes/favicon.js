@@ -3,8 +3,8 @@ import fs from 'fs/promises';
 import { existsSync, mkdirSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { MinifluxClient } from '../miniflux.js';
-import { MinifluxConfigStore } from '../utils/miniflux-config-store.js';
+import { getMinifluxClient, authenticateToken, generateFaviconToken, verifyFaviconToken } from '../middleware/auth.js';
+import { PreferenceStore } from '../utils/preference-store.js';
 
 const router = express.Router();
 
@@ -28,12 +28,19 @@ const DEFAULT_MAX_AGE = 604800; // 7 days in seconds
 const ERROR_MAX_AGE = 600; // 10 minutes in seconds
 
 /**
- * 异步获取 Miniflux 客户端
+ * 根据请求中的图标令牌解析用户 ID
+ * 图标通过 <img> 加载无法携带 Authorization 头，因此用签名的 t 参数区分用户的 Miniflux 连接
  */
-async function getMinifluxClient() {
-    const config = await MinifluxConfigStore.getConfig();
-    if (!config) return null;
-    return new MinifluxClient(config.url, config.username, config.password, config.apiKey);
+async function resolveUserId(token) {
+    const user = await verifyFaviconToken(token);
+    return user ? PreferenceStore.getUserId(user) : null;
+}
+
+/**
+ * 获取缓存文件名前缀（不同用户可能连接不同的 Miniflux 实例）
+ */
+function getCacheKey(userId, feedId) {
+    return userId ? `${userId}_feed_${feedId}` : `feed_${feedId}`;
 }
 
 /**
@@ -55,9 +62,9 @@ async function serveDefaultIcon(res, maxAge = ERROR_MAX_AGE) {
 /**
  * 辅助函数：检查有效缓存
  */
-async function _checkCache(feedId) {
-    const cacheFile = path.join(CACHE_DIR, `feed_${feedId}.png`);
-    const cacheMetaFile = path.join(CACHE_DIR, `feed_${feedId}.json`);
+async function _checkCache(cacheKey) {
+    const cacheFile = path.join(CACHE_DIR, `${cacheKey}.png`);
+    const cacheMetaFile = path.join(CACHE_DIR, `${cacheKey}.json`);
 
     try {
         const metaData = await fs.readFile(cacheMetaFile, 'utf8');
@@ -81,9 +88,9 @@ async function _checkCache(feedId) {
 /**
  * 辅助函数：从陈旧缓存获取 (STALE)
  */
-async function _getStaleCache(feedId) {
-    const cacheFile = path.join(CACHE_DIR, `feed_${feedId}.png`);
-    const cacheMetaFile = path.join(CACHE_DIR, `feed_${feedId}.json`);
+async function _getStaleCache(cacheKey) {
+    const cacheFile = path.join(CACHE_DIR, `${cacheKey}.png`);
+    const cacheMetaFile = path.join(CACHE_DIR, `${cacheKey}.json`);
     try {
         const imageBuffer = await fs.readFile(cacheFile);
         const metaData = await fs.readFile(cacheMetaFile, 'utf8');
@@ -101,9 +108,9 @@ async function _getStaleCache(feedId) {
 /**
  * 辅助函数：通过 API 获取并保存缓存
  */
-async function _fetchAndCacheIcon(feedId, miniflux) {
-    const cacheFile = path.join(CACHE_DIR, `feed_${feedId}.png`);
-    const cacheMetaFile = path.join(CACHE_DIR, `feed_${feedId}.json`);
+async function _fetchAndCacheIcon(feedId, cacheKey, miniflux) {
+    const cacheFile = path.join(CACHE_DIR, `${cacheKey}.png`);
+    const cacheMetaFile = path.join(CACHE_DIR, `${cacheKey}.json`);
 
     const iconData = await miniflux.request(`/feeds/${feedId}/icon`);
     if (!iconData?.data) {
@@ -136,19 +143,29 @@ async function _fetchAndCacheIcon(feedId, miniflux) {
     };
 }
 
+/**
+ * 获取图标令牌
+ */
+router.get('/token', authenticateToken, (req, res) => {
+    res.json(generateFaviconToken(req.user.username));
+});
+
 /**
  * 获取订阅源图标
  */
 router.get('/', async (req, res) => {
-    const { feedId } = req.query;
+    const { feedId, t } = req.query;
 
-    if (!feedId) {
+    if (!feedId || !/^\d+$/.test(feedId)) {
         return serveDefaultIcon(res);
     }
 
     try {
+        const userId = await resolveUserId(t);
+        const cacheKey = getCacheKey(userId, feedId);
+
         // 1. 检查有效缓存 (HIT)
-        const hit = await _checkCache(feedId);
+        const hit = await _checkCache(cacheKey);
         if (hit) {
             res.set('Content-Type', hit.mimeType);
             res.set('Cache-Control', `public, max-age=${DEFAULT_MAX_AGE}`);
@@ -157,21 +174,21 @@ router.get('/', async (req, res) => {
         }
 
         // 2. 获取 Miniflux 客户端
-        const miniflux = await getMinifluxClient();
+        const miniflux = await getMinifluxClient(userId);
         if (!miniflux) {
             return serveDefaultIcon(res);
         }
 
         // 3. 尝试从 API 获取 (MISS)
         try {
-            const result = await _fetchAndCacheIcon(feedId, miniflux);
+            const result = await _fetchAndCacheIcon(feedId, cacheKey, miniflux);
             res.set('Content-Type', result.mimeType);
             res.set('Cache-Control', `public, max-age=${DEFAULT_MAX_AGE}`);
             res.set('X-Cache', result.type);
             return res.send(result.data);
         } catch (fetchError) {
             // 4. API 失败，尝试回退到陈旧缓存 (STALE)
-            const stale = await _getStaleCache(feedId);
+            const stale = await _getStaleCache(cacheKey);
             if (stale) {
                 res.set('Content-Type', stale.mimeType);
                 res.set('Cache-Control', `public, max-age=${DEFAULT_MAX_AGE}`);
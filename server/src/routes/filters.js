@@ -0,0 +1,103 @@
+/**
+ * Filter Routes - 过滤规则 API
+ *
+ * 按用户管理关键词/正则过滤规则，并提供规则命中预览
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { FilterService } from '../services/filter-service.js';
+
+const router = express.Router();
+
+// 预览时检查的最近文章数量
+const PREVIEW_ENTRY_LIMIT = 200;
+
+/**
+ * GET /api/filters
+ * 获取过滤规则列表
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const rules = await FilterService.getRules(userId);
+        res.json({ rules });
+    } catch (error) {
+        console.error('Get filter rules error:', error);
+        res.status(500).json({ error: '获取过滤规则失败' });
+    }
+});
+
+/**
+ * PUT /api/filters
+ * 保存过滤规则列表（整体替换）
+ */
+router.put('/', authenticateToken, async (req, res) => {
+    try {
+        const { rules } = req.body;
+        if (!Array.isArray(rules)) {
+            return res.status(400).json({ error: '规则格式无效' });
+        }
+
+        let normalized;
+        try {
+            normalized = rules.map(rule => FilterService.normalizeRule(rule));
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const userId = PreferenceStore.getUserId(req.user);
+        if (!await FilterService.saveRules(userId, normalized)) {
+            return res.status(500).json({ error: '保存过滤规则失败' });
+        }
+
+        res.json({ success: true, rules: normalized });
+    } catch (error) {
+        console.error('Save filter rules error:', error);
+        res.status(500).json({ error: '保存过滤规则失败' });
+    }
+});
+
+/**
+ * POST /api/filters/preview
+ * 预览规则在最近文章中的命中情况（不执行动作）
+ */
+router.post('/preview', authenticateToken, async (req, res) => {
+    try {
+        let rule;
+        try {
+            rule = FilterService.normalizeRule(req.body.rule);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        if (!req.miniflux) {
+            return res.status(400).json({ error: 'Miniflux 未配置' });
+        }
+
+        const response = await req.miniflux.getEntries({
+            order: 'published_at',
+            direction: 'desc',
+            limit: PREVIEW_ENTRY_LIMIT
+        });
+        const entries = response.entries || [];
+        const matches = FilterService.findMatches(entries, [{ ...rule, enabled: true }]);
+
+        res.json({
+            checked: entries.length,
+            matchCount: matches.length,
+            articles: matches.slice(0, 50).map(entry => ({
+                id: entry.id,
+                title: entry.title || '',
+                feed_title: entry.feed?.title || '',
+                published_at: entry.published_at
+            }))
+        });
+    } catch (error) {
+        console.error('Preview filter rule error:', error);
+        res.status(500).json({ error: '预览失败' });
+    }
+});
+
+export default router;
@@ -0,0 +1,116 @@
+/**
+ * Highlight Routes - 高亮与批注 API
+ *
+ * 添加高亮见 POST /api/articles/:id/highlights
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { HighlightStore } from '../utils/highlight-store.js';
+
+const router = express.Router();
+
+/**
+ * 将高亮按文章分组导出为 Markdown
+ * @param {Array} highlights - 最新在前
+ * @returns {string}
+ */
+function toMarkdown(highlights) {
+    const groups = new Map();
+    for (const highlight of highlights) {
+        if (!groups.has(highlight.entryId)) groups.set(highlight.entryId, []);
+        groups.get(highlight.entryId).push(highlight);
+    }
+
+    const lines = ['# Highlights', '', `Exported ${new Date().toISOString().substring(0, 10)}`, ''];
+    for (const items of groups.values()) {
+        const first = items[0];
+        const title = first.articleTitle || `Article ${first.entryId}`;
+        lines.push(first.articleUrl ? `## [${title}](${first.articleUrl})` : `## ${title}`, '');
+        if (first.feedTitle) lines.push(`*${first.feedTitle}*`, '');
+
+        // 同一篇文章内按正文顺序排列
+        items.sort((a, b) => a.position.start - b.position.start);
+        for (const highlight of items) {
+            highlight.quote.exact.trim().split('\n').forEach(line => lines.push(`> ${line}`));
+            lines.push('');
+            if (highlight.note) lines.push(highlight.note, '');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * GET /api/highlights
+ * 获取全部高亮（最新在前）
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const highlights = await HighlightStore.getAll(userId);
+        res.json({ highlights });
+    } catch (error) {
+        console.error('Get highlights error:', error);
+        res.status(500).json({ error: '获取高亮失败' });
+    }
+});
+
+/**
+ * GET /api/highlights/export
+ * 导出高亮为 Markdown，可用 entry_id 只导出一篇文章
+ */
+router.get('/export', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const entryId = req.query.entry_id ? parseInt(req.query.entry_id) : null;
+        const highlights = entryId
+            ? await HighlightStore.getByEntry(userId, entryId)
+            : await HighlightStore.getAll(userId);
+
+        res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="tidyflux_highlights.md"');
+        res.send(toMarkdown(highlights));
+    } catch (error) {
+        console.error('Export highlights error:', error);
+        res.status(500).json({ error: '导出失败' });
+    }
+});
+
+/**
+ * PUT /api/highlights/:id
+ * 更新批注：{ note }
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const highlight = await HighlightStore.updateNote(userId, req.params.id, req.body.note);
+        if (!highlight) {
+            return res.status(404).json({ error: '高亮不存在' });
+        }
+        res.json({ success: true, highlight });
+    } catch (error) {
+        console.error('Update highlight error:', error);
+        res.status(500).json({ error: '保存批注失败' });
+    }
+});
+
+/**
+ * DELETE /api/highlights/:id
+ * 删除高亮
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        if (!await HighlightStore.delete(userId, req.params.id)) {
+            return res.status(404).json({ error: '高亮不存在' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete highlight error:', error);
+        res.status(500).json({ error: '删除高亮失败' });
+    }
+});
+
+export default router;
@@ -12,6 +12,11 @@ const maskSensitiveData = (prefs) => {
     if (masked?.ai_config?.apiKey) {
         masked.ai_config.apiKey = '********';
     }
+    // 推送渠道与分享目标含加密凭据，通过 /api/push/channels 与 /api/share/targets 单独管理
+    delete masked.push_channels;
+    delete masked.share_targets;
+    // 命名 AI 配置含加密的 API Key，通过 /api/ai/profiles 单独管理
+    delete masked.ai_profiles;
     return masked;
 };
 
@@ -49,6 +54,12 @@ router.post('/', authenticateToken, async (req, res) => {
             }
         }
 
+        // 推送渠道、分享目标与命名 AI 配置不允许通过通用偏好接口覆盖
+        delete updates.push_channels;
+        delete updates.share_targets;
+        delete updates.ai_profiles;
+        delete updates.ai_routing;
+
         // 合并更新
         const newPrefs = { ...currentPrefs, ...updates };
 
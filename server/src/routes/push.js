@@ -0,0 +1,170 @@
+/**
+ * Push Routes - Web Push 订阅与推送渠道 API
+ *
+ * 提供 VAPID 公钥，按用户管理浏览器推送订阅与内置推送渠道
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { WebPushService } from '../services/webpush-service.js';
+import { PushChannelService } from '../services/push-channel-service.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/push/vapid-public-key
+ * 获取 VAPID 公钥，供浏览器创建订阅
+ */
+router.get('/vapid-public-key', authenticateToken, async (req, res) => {
+    try {
+        const publicKey = await WebPushService.getPublicKey();
+        res.json({ publicKey });
+    } catch (error) {
+        console.error('Get VAPID public key error:', error);
+        res.status(500).json({ error: '获取推送公钥失败' });
+    }
+});
+
+/**
+ * POST /api/push/subscribe
+ * 保存当前设备的推送订阅
+ */
+router.post('/subscribe', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const { subscription } = req.body;
+
+        try {
+            await WebPushService.subscribe(userId, subscription, req.get('user-agent'));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Push subscribe error:', error);
+        res.status(500).json({ error: '保存推送订阅失败' });
+    }
+});
+
+/**
+ * POST /api/push/unsubscribe
+ * 删除当前设备的推送订阅
+ */
+router.post('/unsubscribe', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const { endpoint } = req.body;
+
+        if (!endpoint) {
+            return res.status(400).json({ error: '缺少 endpoint' });
+        }
+
+        await WebPushService.unsubscribe(userId, endpoint);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Push unsubscribe error:', error);
+        res.status(500).json({ error: '删除推送订阅失败' });
+    }
+});
+
+/**
+ * POST /api/push/test
+ * 向当前用户的所有设备发送测试通知
+ */
+router.post('/test', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const result = await WebPushService.sendToUser(userId, {
+            title: 'Tidyflux',
+            body: req.body?.message || 'This is a test notification from Tidyflux.',
+            url: '/'
+        });
+        res.json({ success: result.sent > 0, ...result });
+    } catch (error) {
+        console.error('Push test error:', error);
+        res.status(500).json({ error: '发送测试通知失败' });
+    }
+});
+
+/**
+ * GET /api/push/channels
+ * 获取推送渠道列表（敏感字段已打码）
+ */
+router.get('/channels', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const channels = await PushChannelService.getChannels(userId);
+        res.json({ channels: PushChannelService.maskChannels(channels) });
+    } catch (error) {
+        console.error('Get push channels error:', error);
+        res.status(500).json({ error: '获取推送渠道失败' });
+    }
+});
+
+/**
+ * PUT /api/push/channels
+ * 保存推送渠道列表（整体替换）
+ */
+router.put('/channels', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const { channels } = req.body;
+
+        if (!Array.isArray(channels)) {
+            return res.status(400).json({ error: 'channels 必须是数组' });
+        }
+
+        const existing = await PushChannelService.getChannels(userId);
+        let normalized;
+        try {
+            normalized = channels.map(c => PushChannelService.normalizeChannel(c, existing));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (await PushChannelService.saveChannels(userId, normalized)) {
+            res.json({ success: true, channels: PushChannelService.maskChannels(normalized) });
+        } else {
+            res.status(500).json({ error: '保存推送渠道失败' });
+        }
+    } catch (error) {
+        console.error('Save push channels error:', error);
+        res.status(500).json({ error: '保存推送渠道失败' });
+    }
+});
+
+/**
+ * POST /api/push/channels/test
+ * 使用提交的渠道配置发送测试消息（未保存的配置也可测试）
+ */
+router.post('/channels/test', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const { channel, title, content } = req.body;
+
+        const existing = await PushChannelService.getChannels(userId);
+        let normalized;
+        try {
+            normalized = PushChannelService.normalizeChannel(channel, existing);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        try {
+            const parts = await PushChannelService.send(normalized, {
+                title: title || 'Tidyflux',
+                content: content || 'This is a test message from **Tidyflux**.'
+            });
+            res.json({ success: true, parts });
+        } catch (error) {
+            res.status(502).json({ error: error.message });
+        }
+    } catch (error) {
+        console.error('Push channel test error:', error);
+        res.status(500).json({ error: '发送测试消息失败' });
+    }
+});
+
+export default router;
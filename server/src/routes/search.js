@@ -0,0 +1,131 @@
+/**
+ * Search Routes - 全文搜索 API
+ *
+ * 在本地索引中检索文章与简报，支持短语、字段过滤、相关度排序与高亮片段；
+ * 保存的搜索（偏好设置 saved_searches）作为侧边栏中的虚拟订阅源，这里提供其未读计数
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { FilterService } from '../services/filter-service.js';
+import { SearchService } from '../services/search-service.js';
+import { getThumbnailUrl } from '../utils.js';
+
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// 同步失败（如 Miniflux 暂时不可用）时仍使用已有索引
+async function syncIndex(userId, miniflux) {
+    try {
+        await SearchService.sync(userId, miniflux);
+    } catch (error) {
+        console.error('Sync search index error:', error);
+    }
+}
+
+/**
+ * 读取结构化筛选条件（保存的搜索与请求参数共用）
+ * @param {Object} source - { groupId, unreadOnly, after, before }
+ */
+function getSearchFilters(source) {
+    const groupId = parseInt(source.groupId);
+    return {
+        groupId: groupId > 0 ? groupId : null,
+        unreadOnly: source.unreadOnly === true || source.unreadOnly === '1' || source.unreadOnly === 'true',
+        after: DATE_REGEX.test(source.after || '') ? source.after : null,
+        before: DATE_REGEX.test(source.before || '') ? source.before : null
+    };
+}
+
+/**
+ * GET /api/search?q=&page=&limit=&sort=relevance|date&group=&unread=&after=&before=
+ * 搜索文章与简报，搜索前会增量同步索引
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const query = String(req.query.q || '').trim();
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || 50));
+        const sort = req.query.sort === 'date' ? 'date' : 'relevance';
+
+        const filters = getSearchFilters({
+            groupId: req.query.group,
+            unreadOnly: req.query.unread,
+            after: req.query.after,
+            before: req.query.before
+        });
+
+        await syncIndex(userId, req.miniflux);
+
+        const filterRules = await FilterService.getRules(userId);
+        const { results, total } = await SearchService.search(userId, query, { page, limit, sort, filterRules, ...filters });
+
+        res.json({
+            results: results.map(doc => ({
+                type: doc.type,
+                id: doc.id,
+                feed_id: doc.feedId,
+                title: doc.title,
+                feed_title: doc.feedTitle,
+                author: doc.author,
+                url: doc.url,
+                published_at: doc.publishedAt,
+                thumbnail_url: doc.imageUrl ? getThumbnailUrl(doc.imageUrl) : null,
+                is_read: doc.isRead ? 1 : 0,
+                is_favorited: doc.isFavorited ? 1 : 0,
+                article_count: doc.articleCount,
+                score: doc.score,
+                highlights: doc.highlights
+            })),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasMore: page * limit < total
+            }
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ error: '搜索失败' });
+    }
+});
+
+/**
+ * GET /api/search/saved/counts
+ * 获取每个保存的搜索的未读结果数
+ */
+router.get('/saved/counts', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const prefs = await PreferenceStore.get(userId);
+        const savedSearches = Array.isArray(prefs.saved_searches) ? prefs.saved_searches : [];
+
+        const counts = {};
+        if (savedSearches.length > 0) {
+            await syncIndex(userId, req.miniflux);
+            const filterRules = await FilterService.getRules(userId);
+
+            for (const saved of savedSearches) {
+                const { total } = await SearchService.search(userId, saved.query, {
+                    limit: 1,
+                    filterRules,
+                    ...getSearchFilters(saved),
+                    unreadOnly: true
+                });
+                counts[saved.id] = total;
+            }
+        }
+
+        res.json({ counts });
+    } catch (error) {
+        console.error('Get saved search counts error:', error);
+        res.status(500).json({ error: '获取搜索计数失败' });
+    }
+});
+
+export default router;
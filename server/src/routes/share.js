@@ -0,0 +1,120 @@
+/**
+ * Share Routes - 分享目标 API
+ *
+ * 按用户管理分享目标（Wallabag、Readwise、Obsidian、Webhook），并将文章发送到指定目标
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { ShareTargetService, getAvailableTypes } from '../services/share-target-service.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/share/targets
+ * 获取分享目标列表（敏感字段已打码）与服务器可用的目标类型
+ */
+router.get('/targets', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const targets = await ShareTargetService.getTargets(userId);
+        res.json({ targets: ShareTargetService.maskTargets(targets), types: getAvailableTypes() });
+    } catch (error) {
+        console.error('Get share targets error:', error);
+        res.status(500).json({ error: '获取分享目标失败' });
+    }
+});
+
+/**
+ * PUT /api/share/targets
+ * 保存分享目标列表（整体替换）
+ */
+router.put('/targets', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const { targets } = req.body;
+
+        if (!Array.isArray(targets)) {
+            return res.status(400).json({ error: 'targets 必须是数组' });
+        }
+
+        const existing = await ShareTargetService.getTargets(userId);
+        let normalized;
+        try {
+            normalized = targets.map(t => ShareTargetService.normalizeTarget(t, existing, userId));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (await ShareTargetService.saveTargets(userId, normalized)) {
+            res.json({ success: true, targets: ShareTargetService.maskTargets(normalized) });
+        } else {
+            res.status(500).json({ error: '保存分享目标失败' });
+        }
+    } catch (error) {
+        console.error('Save share targets error:', error);
+        res.status(500).json({ error: '保存分享目标失败' });
+    }
+});
+
+/**
+ * POST /api/share/targets/test
+ * 检查提交的目标配置是否可用（未保存的配置也可测试）
+ */
+router.post('/targets/test', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const { target } = req.body;
+
+        const existing = await ShareTargetService.getTargets(userId);
+        let normalized;
+        try {
+            normalized = ShareTargetService.normalizeTarget(target, existing, userId);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        try {
+            await ShareTargetService.test(userId, normalized);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(502).json({ error: error.message });
+        }
+    } catch (error) {
+        console.error('Share target test error:', error);
+        res.status(500).json({ error: '测试分享目标失败' });
+    }
+});
+
+/**
+ * POST /api/share
+ * 将文章发送到分享目标
+ */
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const { targetId } = req.body;
+        const entryId = parseInt(req.body.entryId);
+
+        if (!targetId || !entryId) {
+            return res.status(400).json({ error: '请提供分享目标与文章 ID' });
+        }
+
+        try {
+            const target = await ShareTargetService.shareEntry(req.miniflux, userId, targetId, entryId);
+            res.json({ success: true, target: { id: target.id, name: target.name, type: target.type } });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            // 目标服务不可达、文件写入失败等
+            res.status(502).json({ error: error.message });
+        }
+    } catch (error) {
+        console.error('Share article error:', error);
+        res.status(500).json({ error: '分享失败' });
+    }
+});
+
+export default router;
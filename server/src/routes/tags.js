@@ -0,0 +1,69 @@
+/**
+ * Tag Routes - 标签管理 API
+ *
+ * 标签由 Tidyflux 保存，文章上的标签增删见 /api/articles/:id/tags
+ */
+
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { TagStore } from '../utils/tag-store.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/tags
+ * 获取标签列表（含文章数）
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        const tags = await TagStore.getTags(userId);
+        res.json({ tags });
+    } catch (error) {
+        console.error('Get tags error:', error);
+        res.status(500).json({ error: '获取标签失败' });
+    }
+});
+
+/**
+ * PUT /api/tags/:id
+ * 重命名标签
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        let tag;
+        try {
+            tag = await TagStore.renameTag(userId, req.params.id, req.body.name);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+        if (!tag) {
+            return res.status(404).json({ error: '标签不存在' });
+        }
+        res.json({ success: true, tag });
+    } catch (error) {
+        console.error('Rename tag error:', error);
+        res.status(500).json({ error: '重命名标签失败' });
+    }
+});
+
+/**
+ * DELETE /api/tags/:id
+ * 删除标签（文章本身不受影响）
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const userId = PreferenceStore.getUserId(req.user);
+        if (!await TagStore.deleteTag(userId, req.params.id)) {
+            return res.status(404).json({ error: '标签不存在' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete tag error:', error);
+        res.status(500).json({ error: '删除标签失败' });
+    }
+});
+
+export default router;
@@ -0,0 +1,252 @@
+/**
+ * AI Cache Service - 文章翻译与总结，结果按文章缓存
+ *
+ * 缓存键由文章 ID、内容哈希、用途、目标语言、提示词版本（提示词模板的哈希）以及该用途
+ * 路由到的 AI 服务与模型组成，修改提示词、切换模型或文章内容更新后自动失效。翻译按段落缓存，段落切分与前端双语翻译一致，
+ * 因此后台预取的翻译可以在打开文章时直接使用
+ */
+
+import crypto from 'crypto';
+import { AICacheStore } from '../utils/ai-cache-store.js';
+import { AIProfileService } from './ai-profile-service.js';
+import { parseHtml } from './export-service.js';
+
+export const CACHED_ACTIONS = ['translate', 'summarize'];
+
+// 与前端 ai-service.js 的默认提示词一致
+const DEFAULT_PROMPTS = {
+    translate: 'Please translate the following text into {{targetLang}}, maintaining the original format and paragraph structure. Return only the translated content, directly outputting the translation result without any additional text:\n\n{{content}}',
+    summarize: 'Please summarize this article in {{targetLang}} in a few sentences. Output the result directly without any introductory text like "Here is the summary".\n\n{{content}}'
+};
+
+const LANGUAGE_NAMES = {
+    'zh-CN': 'Simplified Chinese',
+    'zh-TW': 'Traditional Chinese',
+    'en': 'English',
+    'ja': 'Japanese',
+    'ko': 'Korean',
+    'fr': 'French',
+    'de': 'German',
+    'es': 'Spanish',
+    'pt': 'Portuguese',
+    'ru': 'Russian'
+};
+
+// 预取：每次最多处理的文章数与订阅源文章的时间范围
+const PREFETCH_MAX_ENTRIES = 20;
+const PREFETCH_HOURS = 48;
+
+function hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// 前端取 innerText，后端从 HTML 提取，空白可能不同，哈希前统一
+function normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function getPromptTemplate(aiConfig, action) {
+    let template = action === 'translate' ? aiConfig.translatePrompt : aiConfig.summarizePrompt;
+    if (!template || !template.trim()) return DEFAULT_PROMPTS[action];
+    // 自定义提示词缺少占位符时补全
+    if (!template.includes('{{content}}') && !template.includes('{content}')) {
+        template = template.trim() + '\n\n{{content}}';
+    }
+    return template;
+}
+
+function buildPrompt(template, targetLang, content) {
+    const langName = LANGUAGE_NAMES[targetLang] || targetLang;
+    return template
+        .replace(/\{\{targetLang\}\}/g, langName)
+        .replace(/\{targetLang\}/g, langName)
+        .replace(/\{\{content\}\}/g, () => content)
+        .replace(/\{content\}/g, () => content);
+}
+
+// 模型取用途路由的主配置；主配置出错时由备用配置生成的结果也记在主配置下
+function getCacheKey({ entryId, action, targetLang, content, template, config }) {
+    const model = [config?.provider || '', config?.apiUrl || '', config?.model || ''].join('/');
+    return hash([entryId, action, targetLang, hash(template).substring(0, 12), model, hash(normalizeText(content))].join('|'));
+}
+
+// ==================== 段落切分（与前端 translateBilingual 一致） ====================
+
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'canvas', 'dd', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5',
+    'h6', 'header', 'hr', 'li', 'main', 'nav', 'noscript', 'ol', 'p', 'section',
+    'table', 'tfoot', 'ul', 'video'
+]);
+const IGNORED_TAGS = new Set(['script', 'style', 'svg', 'iframe', 'button', 'code']);
+const UNTRANSLATED_TAGS = new Set(['math', 'pre', 'table']);
+
+// 近似 innerText：块级元素前后换行，避免相邻段落的文字连在一起
+function nodeText(node) {
+    if (node.text !== undefined) return node.text;
+    if (node.tag === 'br') return '\n';
+    const text = node.children.map(nodeText).join('');
+    return BLOCK_TAGS.has(node.tag) ? `\n${text}\n` : text;
+}
+
+function containsTag(node, tags) {
+    return (node.children || []).some(child => child.tag && (tags.has(child.tag) || containsTag(child, tags)));
+}
+
+function isMeaningfulText(text) {
+    return text.replace(/[\p{P}\p{S}\p{Z}\p{N}]+/gu, '').trim().length >= 1;
+}
+
+/**
+ * 提取文章中需要翻译的段落：标题，以及正文的顶层块级元素与连续的行内内容
+ * @param {Object} entry - Miniflux 文章
+ * @returns {Array<string>}
+ */
+export function extractTranslationBlocks(entry) {
+    const blocks = [];
+    const pushBlock = (text) => {
+        const trimmed = text.trim();
+        if (trimmed.length >= 2 && isMeaningfulText(trimmed)) blocks.push(trimmed);
+    };
+
+    const title = String(entry.title || '').trim();
+    if (title) blocks.push(title);
+
+    let pendingText = '';
+    const flushInline = () => {
+        pushBlock(pendingText);
+        pendingText = '';
+    };
+
+    for (const node of parseHtml(entry.content).children) {
+        if (node.tag) {
+            if (IGNORED_TAGS.has(node.tag)) continue;
+            if (UNTRANSLATED_TAGS.has(node.tag)) {
+                flushInline();
+                continue;
+            }
+            if (BLOCK_TAGS.has(node.tag)) {
+                flushInline();
+                if (!containsTag(node, UNTRANSLATED_TAGS)) pushBlock(nodeText(node));
+                continue;
+            }
+        } else if (!node.text.trim() && !pendingText) {
+            continue;
+        }
+        pendingText += nodeText(node);
+    }
+    flushInline();
+
+    return blocks;
+}
+
+// 以有限并发依次处理，任一项出错后不再开始新的项
+async function runWithConcurrency(items, concurrency, worker) {
+    let index = 0;
+    let failed = false;
+    const next = async () => {
+        while (!failed && index < items.length) {
+            try {
+                await worker(items[index++]);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, next));
+}
+
+export const AICacheService = {
+    /**
+     * 翻译或总结文章内容，优先返回缓存结果
+     * @param {string} userId
+     * @param {Object} prefs - 用户偏好
+     * @param {Object} options
+     * @param {number} options.entryId - 文章 ID
+     * @param {string} options.action - translate / summarize
+     * @param {string} options.content - 翻译的段落或总结的正文
+     * @param {string} options.targetLang - 目标语言 ID
+     * @param {boolean} [options.regenerate] - 忽略缓存重新生成
+     * @param {Function} [options.onDelta] - 流式输出回调（命中缓存时不调用）
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<{content: string, usage: Object|null, cached: boolean}>}
+     */
+    async process(userId, prefs, { entryId, action, content, targetLang, regenerate = false, onDelta, signal }) {
+        const template = getPromptTemplate(prefs.ai_config || {}, action);
+        const chain = AIProfileService.resolveChain(prefs, { action });
+        const key = getCacheKey({ entryId, action, targetLang, content, template, config: chain[0] });
+
+        if (!regenerate) {
+            const cached = await AICacheStore.get(userId, key);
+            if (cached !== null) {
+                return { content: cached, usage: null, cached: true };
+            }
+        }
+
+        const result = await AIProfileService.chat(chain, {
+            messages: [{ role: 'user', content: buildPrompt(template, targetLang, content) }],
+            onDelta,
+            signal,
+            track: { userId, action }
+        });
+
+        if (result.content) {
+            await AICacheStore.set(userId, key, { entryId, action, targetLang, content: result.content });
+        }
+        return { ...result, cached: false };
+    },
+
+    /**
+     * 预取翻译：收藏的文章和 ai_prefetch.feedIds 中订阅源的最新文章
+     * 已缓存的段落会跳过，遇到错误时停止本次预取
+     * @param {string} userId
+     * @param {Object} miniflux - Miniflux 客户端
+     * @param {Object} prefs - 用户偏好
+     * @returns {Promise<{entries: number, translated: number}>}
+     */
+    async prefetchTranslations(userId, miniflux, prefs) {
+        const settings = prefs.ai_prefetch || {};
+        const feedIds = (Array.isArray(settings.feedIds) ? settings.feedIds : []).map(id => parseInt(id)).filter(Boolean);
+        const stats = { entries: 0, translated: 0 };
+        if (!settings.starred && feedIds.length === 0) return stats;
+        const chain = AIProfileService.resolveChain(prefs, { action: 'translate' });
+        if (chain.length === 0) return stats;
+
+        const aiConfig = prefs.ai_config || {};
+        const targetLang = aiConfig.targetLang || 'zh-CN';
+        const template = getPromptTemplate(aiConfig, 'translate');
+
+        const entries = new Map();
+        if (settings.starred) {
+            const result = await miniflux.getEntries({ starred: true, order: 'published_at', direction: 'desc', limit: PREFETCH_MAX_ENTRIES });
+            (result.entries || []).forEach(entry => entries.set(entry.id, entry));
+        }
+        const publishedAfter = Math.floor(Date.now() / 1000) - PREFETCH_HOURS * 3600;
+        for (const feedId of feedIds) {
+            const result = await miniflux.getEntries({ feed_id: feedId, published_after: publishedAfter, order: 'published_at', direction: 'desc', limit: PREFETCH_MAX_ENTRIES });
+            (result.entries || []).forEach(entry => entries.set(entry.id, entry));
+        }
+
+        const latest = [...entries.values()]
+            .sort((a, b) => new Date(b.published_at) - new Date(a.published_at))
+            .slice(0, PREFETCH_MAX_ENTRIES);
+
+        for (const entry of latest) {
+            const pending = [];
+            for (const text of extractTranslationBlocks(entry)) {
+                const key = getCacheKey({ entryId: entry.id, action: 'translate', targetLang, content: text, template, config: chain[0] });
+                if (!await AICacheStore.has(userId, key)) pending.push(text);
+            }
+            if (pending.length === 0) continue;
+
+            await runWithConcurrency(pending, aiConfig.concurrency || 5, async (text) => {
+                await this.process(userId, prefs, { entryId: entry.id, action: 'translate', content: text, targetLang });
+                stats.translated++;
+            });
+            stats.entries++;
+        }
+
+        return stats;
+    }
+};
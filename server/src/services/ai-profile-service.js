@@ -0,0 +1,225 @@
+/**
+ * AI Profile Service - 多个命名的 AI 配置与按用途路由
+ *
+ * ai_config 作为默认配置（id 为 default），ai_profiles 保存其他命名配置，API Key 加密保存；
+ * ai_routing 将用途（翻译、总结、简报、对话）映射到配置，简报任务也可单独指定配置。
+ * 每个配置可指定一个备用配置（默认配置的备用配置保存在 ai_routing.defaultFallbackId），
+ * 主配置出错或被限流时自动改用备用配置
+ */
+
+import { PreferenceStore } from '../utils/preference-store.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import { AI_PROVIDERS, AIProviderService, isAIConfigured } from './ai-provider-service.js';
+import { AIUsageService } from './ai-usage-service.js';
+
+const PROFILES_KEY = 'ai_profiles';
+const ROUTING_KEY = 'ai_routing';
+const MASK = '********';
+
+export const DEFAULT_PROFILE_ID = 'default';
+export const AI_ACTIONS = ['translate', 'summarize', 'digest', 'chat'];
+
+function generateProfileId() {
+    return `aip_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// 读取时解密 API Key
+function decryptProfile(stored) {
+    const { encryptedApiKey, ...profile } = stored;
+    const apiKey = encryptedApiKey ? decrypt(encryptedApiKey) : null;
+    return { ...profile, apiKey: apiKey || '' };
+}
+
+// 保存时加密 API Key
+function encryptProfile(profile) {
+    const { apiKey, ...stored } = profile;
+    if (apiKey) stored.encryptedApiKey = encrypt(apiKey);
+    return stored;
+}
+
+function decryptProfiles(prefs) {
+    const list = Array.isArray(prefs[PROFILES_KEY]) ? prefs[PROFILES_KEY] : [];
+    return list.map(decryptProfile);
+}
+
+// 配置对应的连接参数；提示词、目标语言等仍以默认配置为准
+function profileToConfig(profile) {
+    return {
+        provider: profile.provider,
+        apiUrl: profile.apiUrl,
+        apiKey: profile.apiKey,
+        model: profile.model,
+        temperature: profile.temperature
+    };
+}
+
+export const AIProfileService = {
+    /**
+     * 读取用户的 AI 配置列表（已解密）与用途路由
+     */
+    async getProfiles(userId) {
+        const prefs = await PreferenceStore.get(userId);
+        return {
+            profiles: decryptProfiles(prefs),
+            routing: prefs[ROUTING_KEY] || {}
+        };
+    },
+
+    /**
+     * 返回给前端的配置列表，API Key 打码
+     */
+    maskProfiles(profiles) {
+        return profiles.map(profile => ({ ...profile, apiKey: profile.apiKey ? MASK : '' }));
+    },
+
+    /**
+     * 校验并规范化配置；打码的 API Key 沿用已保存的值
+     * @param {Object} profile
+     * @param {Array} existing - 已保存的配置（已解密）
+     */
+    normalizeProfile(profile, existing = []) {
+        if (!profile || typeof profile !== 'object') {
+            throw new Error('AI 配置格式无效');
+        }
+        const name = String(profile.name || '').trim();
+        if (!name) {
+            throw new Error('请填写 AI 配置名称');
+        }
+        if (!AI_PROVIDERS[profile.provider]) {
+            throw new Error('不支持的 AI 提供商');
+        }
+
+        const previous = existing.find(p => p.id === profile.id);
+        const apiKey = profile.apiKey === MASK ? (previous?.apiKey || '') : String(profile.apiKey || '').trim();
+        const temperature = parseFloat(profile.temperature);
+
+        const normalized = {
+            id: profile.id && profile.id !== DEFAULT_PROFILE_ID ? profile.id : generateProfileId(),
+            name,
+            provider: profile.provider,
+            apiUrl: String(profile.apiUrl || '').trim(),
+            apiKey,
+            model: String(profile.model || '').trim(),
+            fallbackId: profile.fallbackId ? String(profile.fallbackId) : ''
+        };
+        if (!isNaN(temperature)) normalized.temperature = temperature;
+
+        if (!isAIConfigured(normalized)) {
+            throw new Error(`AI 配置「${name}」缺少必填项：${AI_PROVIDERS[profile.provider].required.join(', ')}`);
+        }
+        return normalized;
+    },
+
+    /**
+     * 保存 AI 配置列表与用途路由（整体替换）
+     * 指向不存在配置的备用配置与路由会被清除
+     */
+    async saveProfiles(userId, profiles, routing = {}) {
+        const ids = new Set([DEFAULT_PROFILE_ID, ...profiles.map(p => p.id)]);
+        const cleaned = profiles.map(p => ({
+            ...p,
+            fallbackId: ids.has(p.fallbackId) && p.fallbackId !== p.id ? p.fallbackId : ''
+        }));
+
+        const cleanedRouting = {};
+        AI_ACTIONS.forEach(action => {
+            if (routing[action] && ids.has(routing[action])) cleanedRouting[action] = routing[action];
+        });
+        // 默认配置的备用配置
+        if (routing.defaultFallbackId && routing.defaultFallbackId !== DEFAULT_PROFILE_ID && ids.has(routing.defaultFallbackId)) {
+            cleanedRouting.defaultFallbackId = routing.defaultFallbackId;
+        }
+
+        const prefs = await PreferenceStore.get(userId);
+        prefs[PROFILES_KEY] = cleaned.map(encryptProfile);
+        prefs[ROUTING_KEY] = cleanedRouting;
+        const success = await PreferenceStore.save(userId, prefs);
+        return success ? { profiles: cleaned, routing: cleanedRouting } : null;
+    },
+
+    /**
+     * 按用途或指定配置解析要依次尝试的 AI 配置（主配置在前，备用配置在后）
+     * @param {Object} prefs - 用户偏好
+     * @param {Object} options
+     * @param {string} [options.action] - translate / summarize / digest / chat
+     * @param {string} [options.profileId] - 指定配置（如简报任务的配置），优先于用途路由
+     * @returns {Array<Object>} 已配置完整的 AI 配置列表，为空表示未配置 AI
+     */
+    resolveChain(prefs, { action, profileId } = {}) {
+        const profiles = decryptProfiles(prefs);
+        const lookup = (id) => {
+            if (id === DEFAULT_PROFILE_ID) {
+                return { id: DEFAULT_PROFILE_ID, config: prefs.ai_config || {}, fallbackId: prefs[ROUTING_KEY]?.defaultFallbackId || '' };
+            }
+            const profile = profiles.find(p => p.id === id);
+            return profile && { id: profile.id, config: profileToConfig(profile), fallbackId: profile.fallbackId };
+        };
+
+        // 指定的配置已被删除时使用默认配置
+        const primary = lookup(profileId || prefs[ROUTING_KEY]?.[action] || DEFAULT_PROFILE_ID) || lookup(DEFAULT_PROFILE_ID);
+        const chain = [primary];
+        if (primary.fallbackId && primary.fallbackId !== primary.id) {
+            const fallback = lookup(primary.fallbackId);
+            if (fallback) chain.push(fallback);
+        }
+
+        return chain.map(item => item.config).filter(isAIConfigured);
+    },
+
+    /**
+     * 依次使用配置列表发送对话请求：主配置出错（包括被限流）时改用下一个配置。
+     * 请求被中止，或流式输出已经开始后出错时不再切换，直接抛出错误
+     * @param {Array<Object>} chain - resolveChain 的结果
+     * @param {Object} options - 同 AIProviderService.chat
+     * @param {Object} [options.track] - { userId, action }，提供时检查月度预算并记录用量
+     * @returns {Promise<{content: string, usage: Object|null, budgetWarning?: boolean}>}
+     */
+    async chat(chain, options = {}) {
+        if (chain.length === 0) {
+            const error = new Error('AI 未配置，请先在设置中配置 AI API');
+            error.status = 400;
+            throw error;
+        }
+
+        const { track, ...chatOptions } = options;
+        const budgetWarning = track ? await AIUsageService.checkBudget(track.userId) : false;
+        const result = await this._chatWithFallback(chain, chatOptions, track);
+        return budgetWarning ? { ...result, budgetWarning } : result;
+    },
+
+    // 提供 track 时记录每次尝试的用量：包括失败后切换配置、被中止和出错的请求，
+    // 未返回 usage 时按提示词与已生成的部分内容估算；请求发出前已中止的不记录
+    async _chatWithFallback(chain, options, track = null) {
+        let lastError;
+        for (let i = 0; i < chain.length; i++) {
+            let started = false;
+            const onDelta = options.onDelta && ((delta) => {
+                started = true;
+                options.onDelta(delta);
+            });
+
+            const sent = !options.signal?.aborted;
+            let result = null;
+            let failure = null;
+            try {
+                result = await AIProviderService.chat(chain[i], { ...options, onDelta });
+                return result;
+            } catch (error) {
+                failure = error;
+                if (error.name === 'AbortError' || started || i === chain.length - 1) throw error;
+                console.warn(`[AI] Profile request failed (${error.status || error.message}), falling back to the next profile`);
+                lastError = error;
+            } finally {
+                if (track && sent) {
+                    await AIUsageService.record(track.userId, {
+                        action: track.action,
+                        config: chain[i],
+                        messages: options.messages,
+                        result: result || { content: failure?.partialContent || '', usage: null }
+                    });
+                }
+            }
+        }
+        throw lastError;
+    }
+};
@@ -0,0 +1,391 @@
+/**
+ * AI Provider Service - 统一的 AI 调用接口
+ *
+ * 支持 OpenAI 兼容接口、Azure OpenAI、Anthropic Messages、Gemini 与 Ollama 原生接口。
+ * 每个适配器负责自己的地址、认证头、请求体与（流式）响应格式，
+ * 调用方只处理统一的 { content, usage } 结果与带 status 的错误
+ */
+
+import fetch from 'node-fetch';
+
+// 10 分钟超时（简报生成可能较慢）
+const REQUEST_TIMEOUT_MS = 600000;
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const AZURE_API_VERSION = '2024-10-21';
+
+/**
+ * 提供商定义
+ * - defaultUrl: 未填写 API 地址时使用
+ * - defaultModel: 未填写模型时使用
+ * - required: 视为已配置所需的字段
+ */
+export const AI_PROVIDERS = {
+    openai: {
+        defaultModel: 'gpt-4.1-mini',
+        required: ['apiUrl', 'apiKey']
+    },
+    azure: {
+        defaultModel: '',
+        required: ['apiUrl', 'apiKey', 'model']
+    },
+    anthropic: {
+        defaultUrl: 'https://api.anthropic.com',
+        defaultModel: 'claude-sonnet-4-5',
+        required: ['apiKey']
+    },
+    gemini: {
+        defaultUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        defaultModel: 'gemini-2.5-flash',
+        required: ['apiKey']
+    },
+    ollama: {
+        defaultModel: 'llama3.1',
+        required: ['apiUrl']
+    }
+};
+
+function getProviderId(aiConfig) {
+    return AI_PROVIDERS[aiConfig?.provider] ? aiConfig.provider : 'openai';
+}
+
+/**
+ * 判断 AI 配置是否完整
+ * @param {Object} aiConfig
+ * @returns {boolean}
+ */
+export function isAIConfigured(aiConfig) {
+    if (!aiConfig) return false;
+    return AI_PROVIDERS[getProviderId(aiConfig)].required.every(key => aiConfig[key]);
+}
+
+function trimSlash(url) {
+    return String(url || '').trim().replace(/\/+$/, '');
+}
+
+// 拆分 system 消息（Anthropic 与 Gemini 单独传递系统提示词）
+function splitSystem(messages) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    return { system, messages: messages.filter(m => m.role !== 'system') };
+}
+
+// ==================== 适配器 ====================
+// request: 构造 { url, headers, body }
+// parse: 解析非流式响应
+// parseStream: 解析一行流式数据，返回增量文本，并将用量写入 state
+
+const openaiAdapter = {
+    url(config) {
+        let url = trimSlash(config.apiUrl);
+        if (!url.endsWith('chat/completions')) url += '/chat/completions';
+        return url;
+    },
+    headers(config) {
+        return { 'Authorization': `Bearer ${config.apiKey}` };
+    },
+    request(config, { messages, model, temperature, maxTokens, stream }) {
+        return {
+            url: this.url(config),
+            headers: this.headers(config),
+            body: {
+                model,
+                temperature,
+                messages,
+                stream,
+                ...(maxTokens ? { max_tokens: maxTokens } : {}),
+                ...(stream ? { stream_options: { include_usage: true } } : {})
+            }
+        };
+    },
+    parse(data) {
+        return {
+            content: data.choices?.[0]?.message?.content || '',
+            usage: normalizeUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens)
+        };
+    },
+    parseStream(line, state) {
+        if (!line.startsWith('data:')) return '';
+        const dataStr = line.slice(5).trim();
+        if (!dataStr || dataStr === '[DONE]') return '';
+
+        const data = JSON.parse(dataStr);
+        if (data.error) throw providerError(data.error.message || 'AI API 错误');
+        if (data.usage) state.usage = normalizeUsage(data.usage.prompt_tokens, data.usage.completion_tokens);
+        return data.choices?.[0]?.delta?.content || '';
+    }
+};
+
+const adapters = {
+    openai: openaiAdapter,
+
+    // Azure OpenAI：API 地址填写资源地址，模型填写部署名称；也可直接填写完整的 chat/completions 地址
+    azure: {
+        ...openaiAdapter,
+        url(config) {
+            let url = trimSlash(config.apiUrl);
+            if (!url.includes('/chat/completions')) {
+                url += `/openai/deployments/${encodeURIComponent(config.model)}/chat/completions`;
+            }
+            if (!/[?&]api-version=/.test(url)) {
+                url += `${url.includes('?') ? '&' : '?'}api-version=${AZURE_API_VERSION}`;
+            }
+            return url;
+        },
+        headers(config) {
+            return { 'api-key': config.apiKey };
+        }
+    },
+
+    anthropic: {
+        request(config, { messages, model, temperature, maxTokens, stream }) {
+            let url = trimSlash(config.apiUrl || AI_PROVIDERS.anthropic.defaultUrl);
+            if (!url.endsWith('/messages')) url += url.endsWith('/v1') ? '/messages' : '/v1/messages';
+
+            const split = splitSystem(messages);
+            return {
+                url,
+                headers: { 'x-api-key': config.apiKey, 'anthropic-version': ANTHROPIC_VERSION },
+                body: {
+                    model,
+                    // Anthropic 的温度范围为 0-1
+                    temperature: Math.min(temperature, 1),
+                    max_tokens: maxTokens || 8192,
+                    ...(split.system ? { system: split.system } : {}),
+                    messages: split.messages,
+                    stream
+                }
+            };
+        },
+        parse(data) {
+            return {
+                content: (data.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+                usage: normalizeUsage(data.usage?.input_tokens, data.usage?.output_tokens)
+            };
+        },
+        parseStream(line, state) {
+            if (!line.startsWith('data:')) return '';
+            const data = JSON.parse(line.slice(5).trim());
+
+            if (data.type === 'error') throw providerError(data.error?.message || 'AI API 错误');
+            if (data.type === 'message_start') {
+                state.promptTokens = data.message?.usage?.input_tokens || 0;
+            }
+            if (data.type === 'message_delta' && data.usage) {
+                state.usage = normalizeUsage(state.promptTokens, data.usage.output_tokens);
+            }
+            if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+                return data.delta.text || '';
+            }
+            return '';
+        }
+    },
+
+    gemini: {
+        request(config, { messages, model, temperature, maxTokens, stream }) {
+            const base = trimSlash(config.apiUrl || AI_PROVIDERS.gemini.defaultUrl).replace(/\/models$/, '');
+            const url = `${base}/models/${encodeURIComponent(model)}:${stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`;
+
+            const split = splitSystem(messages);
+            return {
+                url,
+                headers: { 'x-goog-api-key': config.apiKey },
+                body: {
+                    contents: split.messages.map(m => ({
+                        role: m.role === 'assistant' ? 'model' : 'user',
+                        parts: [{ text: m.content }]
+                    })),
+                    ...(split.system ? { systemInstruction: { parts: [{ text: split.system }] } } : {}),
+                    generationConfig: {
+                        temperature,
+                        ...(maxTokens ? { maxOutputTokens: maxTokens } : {})
+                    }
+                }
+            };
+        },
+        parse(data) {
+            return {
+                content: (data.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join(''),
+                usage: normalizeUsage(data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount)
+            };
+        },
+        parseStream(line, state) {
+            if (!line.startsWith('data:')) return '';
+            const data = JSON.parse(line.slice(5).trim());
+
+            if (data.error) throw providerError(data.error.message || 'AI API 错误');
+            const result = this.parse(data);
+            if (result.usage) state.usage = result.usage;
+            return result.content;
+        }
+    },
+
+    // Ollama 原生接口：流式响应为逐行 JSON；API Key 可选（用于反向代理认证）
+    ollama: {
+        request(config, { messages, model, temperature, maxTokens, stream }) {
+            let url = trimSlash(config.apiUrl);
+            if (!url.endsWith('/api/chat')) url += url.endsWith('/api') ? '/chat' : '/api/chat';
+
+            return {
+                url,
+                headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+                body: {
+                    model,
+                    messages,
+                    stream,
+                    options: {
+                        temperature,
+                        ...(maxTokens ? { num_predict: maxTokens } : {})
+                    }
+                }
+            };
+        },
+        parse(data) {
+            return {
+                content: data.message?.content || '',
+                usage: data.done ? normalizeUsage(data.prompt_eval_count, data.eval_count) : null
+            };
+        },
+        parseStream(line, state) {
+            const data = JSON.parse(line);
+
+            if (data.error) throw providerError(data.error);
+            const result = this.parse(data);
+            if (result.usage) state.usage = result.usage;
+            return result.content;
+        }
+    }
+};
+
+// ==================== 通用处理 ====================
+
+// 统一 token 用量字段
+function normalizeUsage(promptTokens, completionTokens) {
+    if (promptTokens == null && completionTokens == null) return null;
+    return {
+        promptTokens: promptTokens || 0,
+        completionTokens: completionTokens || 0,
+        totalTokens: (promptTokens || 0) + (completionTokens || 0)
+    };
+}
+
+function providerError(message, status = 502) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// 从错误响应中提取信息：OpenAI / Azure / Anthropic / Gemini 为 error.message，Ollama 为 error 字符串
+async function responseError(response) {
+    const text = await response.text().catch(() => '');
+    let message = `AI API 错误: ${response.status}`;
+    try {
+        const data = JSON.parse(text);
+        const error = Array.isArray(data) ? data[0]?.error : data.error;
+        message = error?.message || (typeof error === 'string' ? error : '') || data.message || message;
+    } catch (e) {
+        // 非 JSON 错误响应
+    }
+    return providerError(message, response.status);
+}
+
+// 逐行读取响应体
+async function readLines(body, onLine) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+        lines.forEach(line => onLine(line.trim()));
+    }
+    onLine(buffer.trim());
+}
+
+export const AIProviderService = {
+    /**
+     * 发送对话请求
+     * @param {Object} aiConfig - { provider, apiUrl, apiKey, model, temperature }
+     * @param {Object} options
+     * @param {Array} options.messages - [{ role: 'system'|'user'|'assistant', content }]
+     * @param {string} [options.model] - 覆盖配置中的模型
+     * @param {number} [options.temperature] - 覆盖配置中的温度
+     * @param {number} [options.maxTokens]
+     * @param {Function} [options.onDelta] - 提供时使用流式请求，逐段回调生成的内容
+     * @param {AbortSignal} [options.signal] - 中止上游请求
+     * @returns {Promise<{content: string, usage: Object|null}>}
+     */
+    async chat(aiConfig, { messages, model, temperature, maxTokens, onDelta, signal } = {}) {
+        if (!isAIConfigured(aiConfig)) {
+            throw providerError('AI 未配置，请先在设置中配置 AI API', 400);
+        }
+
+        // 已取消时不再发起请求（node-fetch 对已中止的 signal 会抛出未处理的流错误）
+        if (signal?.aborted) {
+            const error = new Error('The operation was aborted.');
+            error.name = 'AbortError';
+            throw error;
+        }
+
+        const providerId = getProviderId(aiConfig);
+        const adapter = adapters[providerId];
+        const stream = typeof onDelta === 'function';
+        const { url, headers, body } = adapter.request(aiConfig, {
+            messages,
+            model: model || aiConfig.model || AI_PROVIDERS[providerId].defaultModel,
+            temperature: temperature ?? aiConfig.temperature ?? 1,
+            maxTokens,
+            stream
+        });
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw await responseError(response);
+            }
+
+            if (!stream) {
+                return adapter.parse(await response.json());
+            }
+
+            const state = { usage: null };
+            let content = '';
+            try {
+                await readLines(response.body, (line) => {
+                    if (!line) return;
+                    let delta;
+                    try {
+                        delta = adapter.parseStream(line, state);
+                    } catch (error) {
+                        if (error.status) throw error;
+                        return; // 忽略不完整或非 JSON 的行
+                    }
+                    if (delta) {
+                        content += delta;
+                        onDelta(delta);
+                    }
+                });
+            } catch (error) {
+                // 中止时保留已生成的部分内容
+                error.partialContent = content;
+                throw error;
+            }
+
+            return { content, usage: state.usage };
+        } finally {
+            clearTimeout(timeout);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+};
@@ -0,0 +1,202 @@
+/**
+ * AI Usage Service - Token 用量统计、费用估算与月度预算
+ *
+ * 每次 AI 请求后记录 Token 用量：优先使用提供商返回的 usage，
+ * 未返回时按 estimateTokens 估算。费用按 ai_usage_settings 中的价格表
+ * （每百万 Token 的价格）在查询时计算，修改价格后历史费用随之更新
+ */
+
+import { PreferenceStore } from '../utils/preference-store.js';
+import { AIUsageStore, formatDate } from '../utils/ai-usage-store.js';
+import { estimateTokens } from '../utils.js';
+
+const SETTINGS_KEY = 'ai_usage_settings';
+
+export const BUDGET_MODES = ['warn', 'block'];
+
+const DEFAULT_SETTINGS = {
+    currency: 'USD',
+    prices: [],
+    monthlyBudget: 0,
+    budgetMode: 'warn'
+};
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) || number < 0 ? 0 : number;
+}
+
+// 按模型名查找价格，找不到时使用模型名为 * 的默认价格
+function findPrice(prices, model) {
+    const name = String(model || '').toLowerCase();
+    return prices.find(p => p.model.toLowerCase() === name) || prices.find(p => p.model === '*') || null;
+}
+
+function getCost(record, prices) {
+    const price = findPrice(prices, record.model);
+    if (!price) return 0;
+    return (record.promptTokens * price.input + record.completionTokens * price.output) / 1000000;
+}
+
+function getMonthStart(date = new Date()) {
+    return formatDate(new Date(date.getFullYear(), date.getMonth(), 1));
+}
+
+// 按指定字段汇总用量与费用
+function groupRecords(records, prices, keyOf) {
+    const groups = new Map();
+    for (const record of records) {
+        const key = keyOf(record);
+        const group = groups.get(key) || { key, requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+        group.requests += record.requests;
+        group.promptTokens += record.promptTokens;
+        group.completionTokens += record.completionTokens;
+        group.cost += getCost(record, prices);
+        groups.set(key, group);
+    }
+    return [...groups.values()];
+}
+
+export const AIUsageService = {
+    /**
+     * 读取用量设置（价格表、货币与月度预算）
+     */
+    getSettings(prefs) {
+        return { ...DEFAULT_SETTINGS, ...(prefs[SETTINGS_KEY] || {}) };
+    },
+
+    /**
+     * 校验并规范化用量设置
+     * @throws {Error} 设置无效时
+     */
+    normalizeSettings(settings) {
+        if (!settings || typeof settings !== 'object') {
+            throw new Error('用量设置格式无效');
+        }
+        if (settings.budgetMode && !BUDGET_MODES.includes(settings.budgetMode)) {
+            throw new Error('不支持的预算模式');
+        }
+
+        const prices = (Array.isArray(settings.prices) ? settings.prices : []).map(price => {
+            const model = String(price?.model || '').trim();
+            if (!model) {
+                throw new Error('请填写价格对应的模型名称');
+            }
+            return { model, input: toNumber(price.input), output: toNumber(price.output) };
+        });
+
+        return {
+            currency: String(settings.currency || DEFAULT_SETTINGS.currency).trim().substring(0, 8),
+            prices,
+            monthlyBudget: toNumber(settings.monthlyBudget),
+            budgetMode: settings.budgetMode || DEFAULT_SETTINGS.budgetMode
+        };
+    },
+
+    async saveSettings(userId, settings) {
+        const prefs = await PreferenceStore.get(userId);
+        prefs[SETTINGS_KEY] = settings;
+        return PreferenceStore.save(userId, prefs);
+    },
+
+    /**
+     * 记录一次 AI 请求的用量
+     * @param {string} userId
+     * @param {Object} data
+     * @param {string} data.action - translate / summarize / digest / chat
+     * @param {Object} data.config - 实际使用的 AI 配置
+     * @param {Array} data.messages - 请求消息，用于估算
+     * @param {Object} data.result - { content, usage }
+     */
+    async record(userId, { action, config, messages, result }) {
+        // 在请求的 finally 中调用，记录失败时不能抛出错误覆盖请求本身的错误
+        try {
+            const usage = result.usage;
+            const promptTokens = usage
+                ? usage.promptTokens
+                : estimateTokens((Array.isArray(messages) ? messages : []).map(m => typeof m?.content === 'string' ? m.content : '').join('\n'));
+            const completionTokens = usage ? usage.completionTokens : estimateTokens(result.content);
+
+            await AIUsageStore.add(userId, {
+                action,
+                model: config.model || config.provider || 'unknown',
+                provider: config.provider || 'openai',
+                promptTokens: promptTokens || 0,
+                completionTokens: completionTokens || 0,
+                estimated: !usage
+            });
+        } catch (error) {
+            console.error(`Record AI usage for ${userId} error:`, error);
+        }
+    },
+
+    /**
+     * 本月费用与预算状态
+     * @returns {Promise<{currency: string, budget: number, mode: string, spent: number, exceeded: boolean}>}
+     */
+    async getBudgetStatus(userId, prefs) {
+        const settings = this.getSettings(prefs);
+        const records = await AIUsageStore.list(userId, { from: getMonthStart() });
+        const spent = records.reduce((sum, record) => sum + getCost(record, settings.prices), 0);
+        return {
+            currency: settings.currency,
+            budget: settings.monthlyBudget,
+            mode: settings.budgetMode,
+            spent,
+            exceeded: settings.monthlyBudget > 0 && spent >= settings.monthlyBudget
+        };
+    },
+
+    /**
+     * 请求前检查月度预算：超出预算且为 block 模式时抛出错误
+     * @returns {Promise<boolean>} 是否已超出预算（warn 模式）
+     */
+    async checkBudget(userId) {
+        const prefs = await PreferenceStore.get(userId);
+        const status = await this.getBudgetStatus(userId, prefs);
+        if (!status.exceeded) return false;
+
+        if (status.mode === 'block') {
+            const error = new Error(`本月 AI 预算已用完（${status.spent.toFixed(2)} / ${status.budget} ${status.currency}）`);
+            error.status = 402;
+            error.budgetExceeded = true;
+            throw error;
+        }
+        return true;
+    },
+
+    /**
+     * 用量统计：最近若干天的每日用量，以及按用途、模型的汇总
+     * @param {string} userId
+     * @param {Object} prefs
+     * @param {number} [days]
+     */
+    async getSummary(userId, prefs, days = 30) {
+        const settings = this.getSettings(prefs);
+        const start = new Date();
+        start.setDate(start.getDate() - days + 1);
+        const inRange = await AIUsageStore.list(userId, { from: formatDate(start) });
+
+        // 补齐没有用量的日期，便于绘制图表
+        const byDate = new Map(groupRecords(inRange, settings.prices, r => r.date).map(g => [g.key, g]));
+        const daily = [];
+        for (let i = 0; i < days; i++) {
+            const date = new Date(start);
+            date.setDate(start.getDate() + i);
+            const key = formatDate(date);
+            const { requests = 0, promptTokens = 0, completionTokens = 0, cost = 0 } = byDate.get(key) || {};
+            daily.push({ date: key, requests, promptTokens, completionTokens, cost });
+        }
+
+        const sortByCost = (a, b) => b.cost - a.cost || (b.promptTokens + b.completionTokens) - (a.promptTokens + a.completionTokens);
+
+        return {
+            settings,
+            budget: await this.getBudgetStatus(userId, prefs),
+            daily,
+            byAction: groupRecords(inRange, settings.prices, r => r.action).sort(sortByCost),
+            byModel: groupRecords(inRange, settings.prices, r => r.model).sort(sortByCost),
+            estimatedRequests: inRange.reduce((sum, r) => sum + (r.estimatedRequests || 0), 0)
+        };
+    }
+};
@@ -0,0 +1,244 @@
+/**
+ * Archive Service - 生成文章存档快照
+ *
+ * 优先使用 Miniflux 抓取的全文，将其中的图片下载后以 data URI 内嵌，
+ * 得到不依赖原站与 Miniflux 的独立 HTML。
+ */
+
+import fetch from 'node-fetch';
+import dns from 'dns';
+import net from 'net';
+import { promisify } from 'util';
+import { ArchiveStore } from '../utils/archive-store.js';
+
+const IMAGE_TIMEOUT_MS = 15000;
+const IMAGE_CONCURRENCY = 4;
+const MAX_IMAGES = 50;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_TOTAL_IMAGE_BYTES = 30 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+const dnsLookup = promisify(dns.lookup);
+
+// 图片地址来自订阅源内容，不允许借此访问服务器本机、内网与链路本地（云服务元数据）地址
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+    .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+    .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const IMG_TAG_REGEX = /<img\b[^>]*>/gi;
+// 懒加载与响应式图片属性，内嵌后不再需要，且 srcset 会覆盖内嵌的 src
+const DROPPED_IMG_ATTRS = /\s(?:src|srcset|sizes|data-src|data-srcset|data-original|data-lazy-src|loading)\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/gi;
+
+function getAttr(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    if (!match) return null;
+    return (match[1] ?? match[2] ?? match[3]).replace(/&amp;/g, '&');
+}
+
+// 懒加载图片的真实地址通常在 data-* 属性中
+function getImageUrl(tag, baseUrl) {
+    const src = getAttr(tag, 'data-src') || getAttr(tag, 'data-original') || getAttr(tag, 'data-lazy-src') || getAttr(tag, 'src');
+    if (!src || src.startsWith('data:')) return null;
+    try {
+        const url = new URL(src, baseUrl || undefined);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+// 解析主机名，任一地址为本机、内网或链路本地地址时拒绝
+async function assertPublicHost(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = await dnsLookup(hostname, { all: true });
+    } catch (error) {
+        throw new Error(`Cannot resolve hostname ${hostname}`);
+    }
+
+    for (const { address, family } of addresses) {
+        // IPv4 映射的 IPv6 地址按 IPv4 检查
+        const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+        const blocked = mapped
+            ? BLOCKED_ADDRESSES.check(mapped[1], 'ipv4')
+            : BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+        if (blocked) throw new Error(`Access to private address ${address} is forbidden`);
+    }
+}
+
+async function downloadImage(url, referer) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), IMAGE_TIMEOUT_MS);
+    try {
+        // 手动跟随重定向，每一跳都重新检查地址
+        let current = url;
+        let response;
+        for (let redirects = 0; ; redirects++) {
+            await assertPublicHost(current);
+            response = await fetch(current, {
+                signal: controller.signal,
+                size: MAX_IMAGE_BYTES,
+                redirect: 'manual',
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (compatible; Tidyflux)',
+                    ...(referer ? { Referer: referer } : {})
+                }
+            });
+
+            const location = response.status >= 300 && response.status < 400 && response.headers.get('location');
+            if (!location) break;
+            if (redirects >= MAX_REDIRECTS) throw new Error('Too many redirects');
+            current = new URL(location, current).href;
+            if (!/^https?:$/.test(new URL(current).protocol)) throw new Error('Unsupported redirect protocol');
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+        if (!type.startsWith('image/')) throw new Error(`Unexpected content type ${type}`);
+
+        const buffer = Buffer.from(await response.arrayBuffer());
+        return { type, buffer };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * 下载正文中的图片
+ * @param {string} html
+ * @param {string} baseUrl - 文章地址，用于解析相对路径
+ * @param {Object} [limits]
+ * @param {number} [limits.maxImages]
+ * @param {number} [limits.maxTotalBytes]
+ * @returns {Promise<{images: Map<string, {type: string, buffer: Buffer}>, failedImages: number}>}
+ */
+export async function downloadImages(html, baseUrl, { maxImages = MAX_IMAGES, maxTotalBytes = MAX_TOTAL_IMAGE_BYTES } = {}) {
+    const urls = [];
+    for (const [tag] of html.matchAll(IMG_TAG_REGEX)) {
+        const url = getImageUrl(tag, baseUrl);
+        if (url && !urls.includes(url)) urls.push(url);
+    }
+
+    const images = new Map();
+    const queue = urls.slice(0, maxImages);
+    let totalBytes = 0;
+    let failedImages = urls.length - queue.length;
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const url = queue.shift();
+            try {
+                const image = await downloadImage(url, baseUrl);
+                if (totalBytes + image.buffer.length > maxTotalBytes) {
+                    failedImages++;
+                    continue;
+                }
+                totalBytes += image.buffer.length;
+                images.set(url, image);
+            } catch (e) {
+                console.warn(`Download image ${url} failed:`, e.message);
+                failedImages++;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: IMAGE_CONCURRENCY }, worker));
+
+    return { images, failedImages };
+}
+
+/**
+ * 改写正文中的图片：replacer 返回新的 src，返回 null 时移除该图片
+ * 同时去掉懒加载与响应式属性，避免覆盖新的 src
+ * @param {string} html
+ * @param {string} baseUrl
+ * @param {(url: string) => string|null} replacer
+ * @returns {string}
+ */
+export function rewriteImages(html, baseUrl, replacer) {
+    return html
+        // <picture> 中的 <source> 会优先于 <img>
+        .replace(/<source\b[^>]*>/gi, '')
+        .replace(IMG_TAG_REGEX, (tag) => {
+            const url = getImageUrl(tag, baseUrl);
+            if (!url) return tag;
+            const src = replacer(url);
+            if (src === null) return '';
+            return tag.replace(DROPPED_IMG_ATTRS, '').replace(/^<img/i, `<img src="${src}"`);
+        });
+}
+
+/**
+ * 下载正文中的图片并以 data URI 替换，失败的图片保留原地址
+ * @param {string} html
+ * @param {string} baseUrl - 文章地址，用于解析相对路径
+ * @returns {Promise<{html: string, imageCount: number, failedImages: number}>}
+ */
+async function inlineImages(html, baseUrl) {
+    const { images, failedImages } = await downloadImages(html, baseUrl);
+    const rewritten = rewriteImages(html, baseUrl, (url) => {
+        const image = images.get(url);
+        return image ? `data:${image.type};base64,${image.buffer.toString('base64')}` : url;
+    });
+    return { html: rewritten, imageCount: images.size, failedImages };
+}
+
+function stripHtml(html) {
+    return String(html || '')
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;|&apos;/gi, '\'')
+        .replace(/&amp;/gi, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+export const ArchiveService = {
+    /**
+     * 存档文章：获取全文（失败时使用 Miniflux 中的正文）、内嵌图片并保存快照
+     * @param {Object} miniflux - MinifluxClient
+     * @param {string} userId
+     * @param {number} entryId
+     * @returns {Promise<Object>} 存档元数据
+     */
+    async archiveEntry(miniflux, userId, entryId) {
+        const entry = await miniflux.getEntry(entryId);
+
+        let content = entry.content || '';
+        let fullContent = false;
+        try {
+            const fetched = await miniflux.fetchEntryContent(entryId);
+            if (fetched?.content) {
+                content = fetched.content;
+                fullContent = true;
+            }
+        } catch (e) {
+            console.warn(`Archive fetch-content for entry ${entryId} failed, using feed content:`, e.message);
+        }
+
+        content = content.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
+        const { html, imageCount, failedImages } = await inlineImages(content, entry.url);
+
+        return ArchiveStore.save(userId, {
+            entryId,
+            meta: {
+                title: entry.title,
+                url: entry.url,
+                author: entry.author,
+                feedTitle: entry.feed?.title,
+                publishedAt: entry.published_at,
+                fullContent,
+                imageCount,
+                failedImages
+            },
+            content: html,
+            text: stripHtml(html)
+        });
+    }
+};
@@ -0,0 +1,128 @@
+/**
+ * Ask Service - 基于订阅文章的 AI 问答（检索增强生成）
+ *
+ * 从本地全文索引中检索与问题相关的近期文章，连同标题、来源与链接编号放入提示词，
+ * 要求 AI 只依据这些文章回答，并以 [编号] 标注引用；编号与返回的 sources 顺序一致
+ */
+
+import { SearchService } from './search-service.js';
+import { FilterService } from './filter-service.js';
+import { AIProfileService } from './ai-profile-service.js';
+import { truncateByToken } from '../utils.js';
+
+export const DEFAULT_ASK_DAYS = 7;
+
+const MAX_SOURCES = 8;
+const SOURCE_MAX_TOKENS = 500;   // 每篇文章放入提示词的正文长度
+const MAX_HISTORY = 6;           // 携带的历史消息条数
+const HISTORY_MAX_TOKENS = 800;  // 每条历史消息的长度
+const MAX_QUESTION_LENGTH = 2000;
+
+const SYSTEM_PROMPT = `You answer questions about the user's RSS subscriptions. Use only the numbered articles below as your source of facts.
+- Cite the articles you rely on with their numbers in square brackets, such as [1] or [2][3], right after the statement they support.
+- If the articles do not contain the answer, say so plainly instead of guessing.
+- Answer in the same language as the question, using concise Markdown.
+
+Today is {{today}}.
+
+## Articles
+
+{{articles}}`;
+
+function formatSource(doc, index) {
+    const meta = [
+        doc.feedTitle && `Feed: ${doc.feedTitle}`,
+        doc.author && `Author: ${doc.author}`,
+        doc.publishedAt && `Published: ${String(doc.publishedAt).substring(0, 10)}`,
+        doc.url && `URL: ${doc.url}`
+    ].filter(Boolean).join(' | ');
+
+    return `[${index + 1}] ${doc.title}\n${meta}\n${truncateByToken(doc.text, SOURCE_MAX_TOKENS)}`;
+}
+
+// 只保留格式正确的最近几条历史消息
+function normalizeHistory(history) {
+    if (!Array.isArray(history)) return [];
+    return history
+        .filter(m => m && (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string' && m.content.trim())
+        .slice(-MAX_HISTORY)
+        .map(m => ({ role: m.role, content: truncateByToken(m.content, HISTORY_MAX_TOKENS) }));
+}
+
+export const AskService = {
+    /**
+     * 检索与问题相关的文章
+     * 追问通常省略主题，检索时同时使用上一个问题
+     * @param {string} userId
+     * @param {Object} miniflux - Miniflux 客户端，用于同步索引
+     * @param {string} question
+     * @param {Object} options - { history, groupId, days }
+     * @returns {Promise<Array>} 索引中的文章文档
+     */
+    async retrieve(userId, miniflux, question, { history = [], groupId = null, days = DEFAULT_ASK_DAYS } = {}) {
+        // 同步失败（如 Miniflux 暂时不可用）时仍使用已有索引
+        try {
+            await SearchService.sync(userId, miniflux);
+        } catch (error) {
+            console.error('Sync search index error:', error);
+        }
+
+        const lastQuestion = [...history].reverse().find(m => m.role === 'user')?.content || '';
+        const after = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+        const filterRules = await FilterService.getRules(userId);
+
+        return SearchService.retrieve(userId, `${lastQuestion} ${question}`, {
+            limit: MAX_SOURCES,
+            filterRules,
+            groupId,
+            after
+        });
+    },
+
+    /**
+     * 根据检索到的文章回答问题
+     * @param {string} userId
+     * @param {Object} miniflux - Miniflux 客户端
+     * @param {Object} prefs - 用户偏好
+     * @param {Object} options
+     * @param {string} options.question
+     * @param {Array} [options.history] - 之前的对话 [{ role, content }]
+     * @param {number} [options.groupId] - 只检索该分组
+     * @param {number} [options.days] - 检索最近几天的文章，0 为不限
+     * @param {Function} [options.onDelta] - 流式输出回调
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<{content: string, usage: Object|null, sources: Array}>}
+     */
+    async ask(userId, miniflux, prefs, { question, history, groupId = null, days = DEFAULT_ASK_DAYS, onDelta, signal }) {
+        const text = String(question).trim().substring(0, MAX_QUESTION_LENGTH);
+        const previous = normalizeHistory(history);
+        const docs = await this.retrieve(userId, miniflux, text, { history: previous, groupId, days });
+
+        const systemPrompt = SYSTEM_PROMPT
+            .replace('{{today}}', new Date().toISOString().substring(0, 10))
+            .replace('{{articles}}', () => docs.length > 0 ? docs.map(formatSource).join('\n\n') : '(No matching articles)');
+
+        const chain = AIProfileService.resolveChain(prefs, { action: 'chat' });
+        const result = await AIProfileService.chat(chain, {
+            messages: [
+                { role: 'system', content: systemPrompt },
+                ...previous,
+                { role: 'user', content: text }
+            ],
+            onDelta,
+            signal,
+            track: { userId, action: 'chat' }
+        });
+
+        return {
+            ...result,
+            sources: docs.map(doc => ({
+                id: doc.id,
+                title: doc.title,
+                feedTitle: doc.feedTitle,
+                url: doc.url,
+                publishedAt: doc.publishedAt
+            }))
+        };
+    }
+};
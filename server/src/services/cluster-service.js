@@ -0,0 +1,282 @@
+/**
+ * Cluster Service - 跨订阅源的相似文章聚类
+ *
+ * 对标题与正文开头做字符 n-gram 分片，用 MinHash 估算 Jaccard 相似度，
+ * 再通过 LSH 分桶快速找到候选文章。全部在本地计算，不依赖外部服务。
+ */
+
+const SHINGLE_SIZE = 3;
+const SNIPPET_LENGTH = 600;          // 参与比较的正文长度（字符）
+const NUM_HASHES = 60;
+const LSH_BANDS = 20;
+const LSH_ROWS = NUM_HASHES / LSH_BANDS;
+const SIMILARITY_THRESHOLD = 0.5;    // 估算相似度达到该值视为同一报道
+const CLUSTER_TIME_WINDOW_MS = 3 * 24 * 60 * 60 * 1000; // 同一组文章的发布时间跨度上限（避免周期性栏目被合并）
+const MAX_INDEXED_ENTRIES = 5000;    // 每个用户索引保留的文章数
+
+// 32 位整数混淆（MurmurHash3 fmix32），配合不同种子模拟多个独立哈希函数
+function fmix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+const HASH_SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => fmix32(i + 0x9e3779b9));
+
+// FNV-1a 字符串哈希
+function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// 标题 + 正文开头，去除 HTML、标点并统一小写
+function getEntryText(entry) {
+    const content = (entry.content || '')
+        .substring(0, SNIPPET_LENGTH * 4)
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&[a-z#0-9]+;/gi, ' ');
+
+    return `${entry.title || ''} ${content}`
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+        .substring(0, SNIPPET_LENGTH);
+}
+
+function getShingles(text) {
+    const shingles = new Set();
+    if (text.length <= SHINGLE_SIZE) {
+        shingles.add(text);
+        return shingles;
+    }
+    for (let i = 0; i <= text.length - SHINGLE_SIZE; i++) {
+        shingles.add(text.substring(i, i + SHINGLE_SIZE));
+    }
+    return shingles;
+}
+
+/**
+ * 计算文章的 MinHash 签名，没有可比较文本时返回 null
+ * @param {Object} entry - Miniflux entry
+ * @returns {Uint32Array|null}
+ */
+export function computeSignature(entry) {
+    const text = getEntryText(entry);
+    if (!text) return null;
+
+    const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+    for (const shingle of getShingles(text)) {
+        const h = hashString(shingle);
+        for (let i = 0; i < NUM_HASHES; i++) {
+            const v = fmix32(h ^ HASH_SEEDS[i]);
+            if (v < signature[i]) signature[i] = v;
+        }
+    }
+    return signature;
+}
+
+/**
+ * 由两个签名估算 Jaccard 相似度
+ */
+export function estimateSimilarity(a, b) {
+    let same = 0;
+    for (let i = 0; i < NUM_HASHES; i++) {
+        if (a[i] === b[i]) same++;
+    }
+    return same / NUM_HASHES;
+}
+
+function getBandKeys(signature) {
+    const keys = [];
+    for (let band = 0; band < LSH_BANDS; band++) {
+        const start = band * LSH_ROWS;
+        keys.push(`${band}:${Array.prototype.slice.call(signature, start, start + LSH_ROWS).join('_')}`);
+    }
+    return keys;
+}
+
+function createIndex() {
+    return {
+        entries: new Map(),   // entryId -> { signature, time, clusterId, keys }
+        buckets: new Map(),   // bandKey -> Set<entryId>
+        clusters: new Map()   // clusterId -> { members: Set<entryId>, representativeId, minTime, maxTime }
+    };
+}
+
+/**
+ * 找出新文章可以加入的聚类，没有时返回 null
+ * 只与聚类的代表文章（最早加入的一篇）比较，避免 A≈B、B≈C 把不相关的 A 与 C 串成一组；
+ * 加入后整个聚类的发布时间跨度不能超过时间窗口
+ */
+function findCluster(index, record, candidates) {
+    let bestId = null;
+    let bestSimilarity = 0;
+    const checked = new Set();
+
+    for (const id of candidates) {
+        const clusterId = index.entries.get(id)?.clusterId;
+        if (clusterId === undefined || checked.has(clusterId)) continue;
+        checked.add(clusterId);
+
+        const cluster = index.clusters.get(clusterId);
+        const span = Math.max(cluster.maxTime, record.time) - Math.min(cluster.minTime, record.time);
+        if (span > CLUSTER_TIME_WINDOW_MS) continue;
+
+        const representative = index.entries.get(cluster.representativeId);
+        const similarity = estimateSimilarity(record.signature, representative.signature);
+        if (similarity >= SIMILARITY_THRESHOLD && similarity > bestSimilarity) {
+            bestId = clusterId;
+            bestSimilarity = similarity;
+        }
+    }
+    return bestId;
+}
+
+function indexEntry(index, entry) {
+    if (index.entries.has(entry.id)) return;
+
+    const signature = computeSignature(entry);
+    const record = {
+        signature,
+        time: new Date(entry.published_at).getTime() || 0,
+        clusterId: entry.id,
+        keys: signature ? getBandKeys(signature) : []
+    };
+    index.entries.set(entry.id, record);
+
+    const candidates = new Set();
+    for (const key of record.keys) {
+        const bucket = index.buckets.get(key);
+        if (bucket) bucket.forEach(id => candidates.add(id));
+    }
+
+    const clusterId = signature ? findCluster(index, record, candidates) : null;
+    if (clusterId !== null) {
+        const cluster = index.clusters.get(clusterId);
+        cluster.members.add(entry.id);
+        cluster.minTime = Math.min(cluster.minTime, record.time);
+        cluster.maxTime = Math.max(cluster.maxTime, record.time);
+        record.clusterId = clusterId;
+    } else {
+        index.clusters.set(entry.id, {
+            members: new Set([entry.id]),
+            representativeId: entry.id,
+            minTime: record.time,
+            maxTime: record.time
+        });
+    }
+
+    for (const key of record.keys) {
+        if (!index.buckets.has(key)) index.buckets.set(key, new Set());
+        index.buckets.get(key).add(entry.id);
+    }
+}
+
+function removeEntry(index, id) {
+    const record = index.entries.get(id);
+    if (!record) return;
+
+    for (const key of record.keys) {
+        const bucket = index.buckets.get(key);
+        if (!bucket) continue;
+        bucket.delete(id);
+        if (bucket.size === 0) index.buckets.delete(key);
+    }
+    index.entries.delete(id);
+
+    const cluster = index.clusters.get(record.clusterId);
+    if (!cluster) return;
+    cluster.members.delete(id);
+    if (cluster.members.size === 0) {
+        index.clusters.delete(record.clusterId);
+        return;
+    }
+
+    // 代表文章被淘汰时由剩余最早加入的文章接替，并重新计算时间范围（聚类 ID 保持不变）
+    const members = Array.from(cluster.members, memberId => index.entries.get(memberId));
+    if (cluster.representativeId === id) {
+        cluster.representativeId = cluster.members.values().next().value;
+    }
+    cluster.minTime = Math.min(...members.map(member => member.time));
+    cluster.maxTime = Math.max(...members.map(member => member.time));
+}
+
+// 每个用户一个内存索引，使分页加载的文章之间也能保持一致的聚类 ID
+const userIndexes = new Map();
+
+export const ClusterService = {
+    /**
+     * 将文章加入用户索引，返回每篇文章的聚类信息
+     * @param {string} userId
+     * @param {Array} entries - Miniflux entries
+     * @returns {Map<number, {clusterId: number, relatedCount: number}>}
+     */
+    annotate(userId, entries) {
+        let index = userIndexes.get(userId);
+        if (!index) {
+            index = createIndex();
+            userIndexes.set(userId, index);
+        }
+
+        entries.forEach(entry => indexEntry(index, entry));
+
+        // 超出上限时淘汰最早加入的文章
+        for (const id of index.entries.keys()) {
+            if (index.entries.size <= MAX_INDEXED_ENTRIES) break;
+            removeEntry(index, id);
+        }
+
+        const result = new Map();
+        for (const entry of entries) {
+            const record = index.entries.get(entry.id);
+            const clusterId = record ? record.clusterId : entry.id;
+            const cluster = index.clusters.get(clusterId);
+            result.set(entry.id, {
+                clusterId,
+                relatedCount: cluster ? cluster.members.size - 1 : 0
+            });
+        }
+        return result;
+    },
+
+    /**
+     * 将一组文章按相似度分组（不使用用户索引），组顺序按每组首篇文章在输入中的位置
+     * @param {Array} entries
+     * @returns {Array<Array>}
+     */
+    groupEntries(entries) {
+        const index = createIndex();
+        entries.forEach(entry => indexEntry(index, entry));
+
+        const groups = new Map();
+        for (const entry of entries) {
+            const clusterId = index.entries.get(entry.id).clusterId;
+            if (!groups.has(clusterId)) groups.set(clusterId, []);
+            groups.get(clusterId).push(entry);
+        }
+        return Array.from(groups.values());
+    },
+
+    /**
+     * 选出一组中的代表文章（正文最完整的一篇）
+     */
+    pickRepresentative(group) {
+        return group.reduce((best, entry) =>
+            (entry.content || '').length > (best.content || '').length ? entry : best
+        );
+    },
+
+    /**
+     * 清除用户的聚类索引
+     */
+    clearUser(userId) {
+        userIndexes.delete(userId);
+    }
+};
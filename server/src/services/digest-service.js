@@ -1,36 +1,27 @@
-import fetch from 'node-fetch';
 import { DigestStore } from '../utils/digest-store.js';
+import { FilterService } from './filter-service.js';
+import { ClusterService } from './cluster-service.js';
+import { AIProfileService } from './ai-profile-service.js';
+import { truncateByToken, estimateTokens } from '../utils.js';
 
-// 截取文本辅助函数
-// 按 Token 估算截取文本 (1 CJK char ≈ 1 token, 4 non-CJK chars ≈ 1 token)
-function truncateByToken(text, maxTokens) {
-    if (!text) return '';
-
-    let accTokens = 0;
-    let cutIndex = 0;
-    const len = text.length;
-
-    for (let i = 0; i < len; i++) {
-        const code = text.charCodeAt(i);
-        // CJK 字符范围估算 (更精确的 Token 消耗估算)
-        // 中文通常 1 字 ≈ 1.5-2 Token，英文 1 词 ≈ 1.3 Token (约 4 字符)
-        if (code >= 0x4E00 && code <= 0x9FFF) {
-            accTokens += 1.6; // 约 625 中文字符
-        } else {
-            accTokens += 0.3; // 约 3300 英文字符 (约 700 单词)
-        }
+// 辅助函数：获取最近未读文章（已应用用户过滤规则）
+export async function getRecentUnreadArticles(miniflux, options) {
+    const { includeRead = false, filterRules = [] } = options;
+    const entries = await fetchRecentEntries(miniflux, options);
 
-        if (accTokens >= maxTokens) {
-            cutIndex = i;
-            return text.substring(0, cutIndex) + '...';
-        }
+    // 过滤规则：隐藏的文章不参与简报，被标记已读的文章在仅未读模式下同样排除
+    const filtered = await FilterService.applyRules(miniflux, entries, filterRules);
+    if (filtered.hiddenIds.length > 0 || filtered.readIds.length > 0) {
+        console.log(`[Digest Debug] Filter rules: hidden=${filtered.hiddenIds.length}, marked read=${filtered.readIds.length}`);
     }
+    if (includeRead) return filtered.entries;
 
-    return text;
+    const readIds = new Set(filtered.readIds);
+    return filtered.entries.filter(entry => !readIds.has(entry.id));
 }
 
-// 辅助函数：获取最近未读文章
-export async function getRecentUnreadArticles(miniflux, options) {
+// 辅助函数：从 Miniflux 获取最近的文章
+async function fetchRecentEntries(miniflux, options) {
     const { hours = 12, limit, feedId, groupId, categoryIds, includeRead = false } = options;
 
     const afterDate = new Date();
@@ -118,7 +109,8 @@ async function prepareArticlesForDigest(articles) {
                 category: article.feed && article.feed.category ? article.feed.category.title : '',
                 publishedAt: article.published_at,
                 summary: truncateByToken(content, maxTokens),
-                url: article.url
+                url: article.url,
+                relatedSources: article.relatedSources || []
             };
         });
 
@@ -134,37 +126,45 @@ async function prepareArticlesForDigest(articles) {
     return results;
 }
 
-// 构建简报生成的 prompt
-function buildDigestPrompt(articles, options = {}) {
-    let { targetLang = 'Simplified Chinese', scope = 'subscription', customPrompt } = options;
-
-    // 确保自定义 Prompt 包含 {{content}} 或 {content} 占位符
-    if (customPrompt && customPrompt.trim() && !customPrompt.includes('{{content}}') && !customPrompt.includes('{content}')) {
-        customPrompt = customPrompt.trim() + '\n\n{{content}}';
-    }
-
-    const articlesList = articles.map(a =>
+// 将文章格式化为 prompt 中的文章列表
+function formatArticlesList(articles) {
+    return articles.map(a =>
         `### ${a.index}. ${a.title}\n` +
         `- Source: ${a.feedTitle}\n` +
         (a.category ? `- Category: ${a.category}\n` : '') +
         `- Date: ${a.publishedAt}\n` +
         `- Link: ${a.url}\n` +
+        (a.relatedSources && a.relatedSources.length > 0 ? `- Also covered by: ${a.relatedSources.join(', ')}\n` : '') +
         `- Summary: ${a.summary}\n`
     ).join('\n');
+}
+
+// 使用自定义提示词，支持 {{variable}} 和 {variable} 两种格式
+function fillCustomPrompt(customPrompt, targetLang, content) {
+    // 确保自定义 Prompt 包含 {{content}} 或 {content} 占位符
+    if (!customPrompt.includes('{{content}}') && !customPrompt.includes('{content}')) {
+        customPrompt = customPrompt.trim() + '\n\n{{content}}';
+    }
+
+    return customPrompt
+        .replace(/\{\{targetLang\}\}/g, targetLang)
+        .replace(/\{targetLang\}/g, targetLang)
+        .replace(/\{\{content\}\}/g, () => content)
+        .replace(/\{content\}/g, () => content);
+}
 
+// 构建简报生成的 prompt
+function buildDigestPrompt(articles, options = {}) {
+    const { targetLang = 'Simplified Chinese', scope = 'subscription', customPrompt } = options;
 
-    let finalPrompt = '';
+    const articlesList = formatArticlesList(articles);
 
     if (customPrompt && customPrompt.trim()) {
-        // 使用自定义提示词，支持 {{variable}} 和 {variable} 两种格式
-        finalPrompt = customPrompt
-            .replace(/\{\{targetLang\}\}/g, targetLang)
-            .replace(/\{targetLang\}/g, targetLang)
-            .replace(/\{\{content\}\}/g, `## Article List (Total ${articles.length} articles):\n\n${articlesList}`)
-            .replace(/\{content\}/g, `## Article List (Total ${articles.length} articles):\n\n${articlesList}`);
-    } else {
-        // 默认提示词
-        finalPrompt = `You are a professional news editor. Please generate a concise digest based on the following list of recent ${scope} articles.
+        return fillCustomPrompt(customPrompt, targetLang, `## Article List (Total ${articles.length} articles):\n\n${articlesList}`);
+    }
+
+    // 默认提示词
+    return `You are a professional news editor. Please generate a concise digest based on the following list of recent ${scope} articles.
 
 ## Output Requirements:
 1. Output in ${targetLang}
@@ -177,61 +177,209 @@ function buildDigestPrompt(articles, options = {}) {
 ## Article List (Total ${articles.length} articles):
 
 ${articlesList}`;
-    }
+}
+
+// 分批模式 Map 阶段：将一批文章压缩为要点笔记，供最终合并使用
+function buildMapPrompt(articles, options = {}) {
+    const { targetLang = 'Simplified Chinese', scope = 'subscription', batchIndex, batchCount } = options;
+
+    return `You are a professional news editor preparing notes for a digest of recent ${scope} articles. This is batch ${batchIndex} of ${batchCount}.
 
-    return finalPrompt;
+## Output Requirements:
+1. Output in ${targetLang}
+2. Group related articles by topic, one bullet point per key fact or event
+3. Keep each article's number, and keep its source and link so they can be cited later
+4. Drop promotional or trivial content, but do not invent anything
+5. Output the notes directly in Markdown, no opening remarks
+
+## Article List (${articles.length} articles in this batch):
+
+${formatArticlesList(articles)}`;
 }
 
-// 调用 AI API 生成简报
-async function callAIForDigest(prompt, aiConfig) {
-    if (!aiConfig || !aiConfig.apiUrl || !aiConfig.apiKey) {
-        throw new Error('AI 未配置，请先在设置中配置 AI API');
+// 分批模式 Reduce 阶段：合并各批次的笔记生成最终简报
+function buildReducePrompt(batchSummaries, options = {}) {
+    const { targetLang = 'Simplified Chinese', scope = 'subscription', customPrompt, articleCount } = options;
+
+    const notes = batchSummaries
+        .map((summary, i) => `### Batch ${i + 1}\n\n${summary.trim()}\n`)
+        .join('\n');
+    const content = `## Article Notes (Total ${articleCount} articles, summarized in ${batchSummaries.length} batches):\n\n${notes}`;
+
+    if (customPrompt && customPrompt.trim()) {
+        return fillCustomPrompt(customPrompt, targetLang, content);
     }
 
-    const normalizeApiUrl = (url) => {
-        let normalized = url.trim();
-        if (!normalized.endsWith('/')) normalized += '/';
-        if (!normalized.endsWith('chat/completions')) {
-            normalized += 'chat/completions';
-        }
-        return normalized;
-    };
+    return `You are a professional news editor. The following notes were summarized in batches from ${articleCount} recent ${scope} articles. Please merge them into one concise digest.
+
+## Output Requirements:
+1. Output in ${targetLang}
+2. Start with a 2-3 sentence overview of today's/recent key content
+3. Categorize by topic or importance, listing key information in concise bullet points
+4. Topics may appear in several batches, combine them and remove duplicates
+5. Keep the format concise and compact, using Markdown
+6. Output the content directly, no opening remarks like "Here is the digest"
+
+${content}`;
+}
 
-    const apiUrl = normalizeApiUrl(aiConfig.apiUrl);
+/**
+ * 调用 AI API 生成简报，返回内容与 token 用量
+ * @param {string} prompt
+ * @param {Object|Array<Object>} aiConfig - 单个 AI 配置，或依次尝试的配置列表（主配置与备用配置）
+ * @param {Object} [options]
+ * @param {Function} [options.onDelta] - 提供时使用流式请求，逐段回调生成的内容
+ * @param {AbortSignal} [options.signal] - 取消生成时中止上游请求
+ * @param {string} [options.userId] - 提供时记录 Token 用量并检查月度预算
+ */
+async function callAIForDigest(prompt, aiConfig, { onDelta, signal, userId } = {}) {
+    return AIProfileService.chat([].concat(aiConfig), {
+        messages: [{ role: 'user', content: prompt }],
+        onDelta,
+        signal,
+        track: userId ? { userId, action: 'digest' } : undefined
+    });
+}
+
+// 分批（Map-Reduce）模式：文章总量超过阈值时自动启用
+const CHUNKED_TOKEN_THRESHOLD = 24000;
+const CHUNK_BATCH_SIZE = 20;
+const CHUNK_CONCURRENCY = 3;
+
+// 合并多次调用的 token 用量
+function sumUsage(usages) {
+    const valid = usages.filter(Boolean);
+    if (valid.length === 0) return null;
+    return valid.reduce((total, usage) => ({
+        promptTokens: total.promptTokens + usage.promptTokens,
+        completionTokens: total.completionTokens + usage.completionTokens,
+        totalTokens: total.totalTokens + usage.totalTokens
+    }), { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+}
 
+/**
+ * 以有限并发依次处理任务，结果顺序与输入一致
+ * 任一任务失败后不再开始新任务，并通过传给 fn 的 signal 中止仍在进行的任务
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - (item, index, signal) => Promise
+ * @param {AbortSignal} [signal] - 外部取消时同样中止所有任务
+ */
+async function mapWithConcurrency(items, limit, fn, signal) {
+    const results = new Array(items.length);
     const controller = new AbortController();
-    const timeout = setTimeout(() => {
-        controller.abort();
-    }, 600000); // 10 minutes timeout
+    const abort = () => controller.abort(signal.reason);
+    if (signal?.aborted) abort();
+    signal?.addEventListener('abort', abort, { once: true });
 
-    try {
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${aiConfig.apiKey}`
-            },
-            body: JSON.stringify({
-                model: aiConfig.model || 'gpt-4.1-mini',
-                temperature: aiConfig.temperature ?? 1,
-                messages: [
-                    { role: 'user', content: prompt }
-                ],
-                stream: false
-            }),
-            signal: controller.signal
-        });
+    let next = 0;
+    let failed = false;
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `AI API 错误: ${response.status}`);
+    const worker = async () => {
+        while (!failed && next < items.length) {
+            const i = next++;
+            try {
+                results[i] = await fn(items[i], i, controller.signal);
+            } catch (error) {
+                if (!failed) {
+                    failed = true;
+                    controller.abort(error);
+                }
+                throw error;
+            }
         }
+    };
 
-        const data = await response.json();
-        return data.choices?.[0]?.message?.content || '';
+    try {
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
     } finally {
-        clearTimeout(timeout);
+        signal?.removeEventListener('abort', abort);
+    }
+    return results;
+}
+
+// 判断是否使用分批模式：mode 为 chunked / single 时强制，auto 时按估算的 token 数决定
+function shouldUseChunkedMode(articles, mode, batchSize) {
+    if (mode === 'chunked') return articles.length > 1;
+    if (mode === 'single') return false;
+    if (articles.length <= batchSize) return false;
+
+    const totalTokens = articles.reduce((sum, a) => sum + estimateTokens(a.title) + estimateTokens(a.summary), 0);
+    return totalTokens > CHUNKED_TOKEN_THRESHOLD;
+}
+
+/**
+ * 分批生成简报：并发总结每批文章（Map），再合并为最终简报（Reduce）
+ * @param {Array} articles - prepareArticlesForDigest 的结果
+ * @param {Object} options
+ * @param {Function} [options.onProgress] - 进度回调 ({stage, completed, total})
+ * @param {Function} [options.onDelta] - 最终合并阶段的流式内容回调
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.userId] - 用于记录 Token 用量
+ * @returns {Promise<{content: string, usage: Object|null, batchCount: number}>}
+ */
+async function generateChunkedDigest(articles, options) {
+    const {
+        aiConfig,
+        targetLang,
+        scope,
+        customPrompt,
+        batchSize = CHUNK_BATCH_SIZE,
+        concurrency = CHUNK_CONCURRENCY,
+        onProgress,
+        onDelta,
+        signal,
+        userId
+    } = options;
+
+    const batches = [];
+    for (let i = 0; i < articles.length; i += batchSize) {
+        batches.push(articles.slice(i, i + batchSize));
     }
+
+    const report = (progress) => {
+        if (onProgress) {
+            try {
+                onProgress(progress);
+            } catch (e) {
+                console.error('Digest progress callback error:', e);
+            }
+        }
+    };
+
+    let completed = 0;
+    report({ stage: 'map', completed, total: batches.length });
+
+    const mapResults = await mapWithConcurrency(batches, concurrency, async (batch, i, batchSignal) => {
+        const prompt = buildMapPrompt(batch, {
+            targetLang,
+            scope,
+            batchIndex: i + 1,
+            batchCount: batches.length
+        });
+        const result = await callAIForDigest(prompt, aiConfig, { signal: batchSignal, userId });
+        completed++;
+        report({ stage: 'map', completed, total: batches.length });
+        return result;
+    }, signal);
+
+    report({ stage: 'reduce', completed: 0, total: 1 });
+
+    const reducePrompt = buildReducePrompt(mapResults.map(r => r.content), {
+        targetLang,
+        scope,
+        customPrompt,
+        articleCount: articles.length
+    });
+    const reduceResult = await callAIForDigest(reducePrompt, aiConfig, { onDelta, signal, userId });
+
+    report({ stage: 'reduce', completed: 1, total: 1 });
+
+    return {
+        content: reduceResult.content,
+        usage: sumUsage([...mapResults.map(r => r.usage), reduceResult.usage]),
+        batchCount: batches.length
+    };
 }
 
 export const DigestService = {
@@ -247,7 +395,13 @@ export const DigestService = {
             prompt: customPrompt,
             aiConfig,
             includeRead = false,
-            customTitle
+            customTitle,
+            mode = 'auto',
+            batchSize = CHUNK_BATCH_SIZE,
+            concurrency = CHUNK_CONCURRENCY,
+            onProgress,
+            onDelta,
+            signal
         } = options;
 
         // 使用 timeRange 参数（如果提供）覆盖 hours
@@ -279,7 +433,8 @@ export const DigestService = {
             scopeName = categoryNames.join(', ');
         }
 
-        const fetchOptions = { hours: effectiveHours, feedId, groupId, categoryIds, includeRead };
+        const filterRules = await FilterService.getRules(userId);
+        const fetchOptions = { hours: effectiveHours, feedId, groupId, categoryIds, includeRead, filterRules };
         const articles = await getRecentUnreadArticles(minifluxClient, fetchOptions);
 
         if (articles.length === 0) {
@@ -298,18 +453,67 @@ export const DigestService = {
             };
         }
 
-        // 准备文章数据
-        const preparedArticles = await prepareArticlesForDigest(articles);
-
-        // 构建 prompt
-        const prompt = buildDigestPrompt(preparedArticles, {
-            targetLang,
-            scope: scopeName,
-            customPrompt
+        // 多个订阅源报道同一事件时只保留一篇代表文章，并注明其他来源
+        const representatives = ClusterService.groupEntries(articles).map(group => {
+            const representative = ClusterService.pickRepresentative(group);
+            const relatedSources = [...new Set(group
+                .filter(entry => entry !== representative)
+                .map(entry => entry.feed ? entry.feed.title : '')
+                .filter(Boolean))];
+            return { ...representative, relatedSources };
         });
+        if (representatives.length < articles.length) {
+            console.log(`[Digest Debug] Clustered ${articles.length} articles into ${representatives.length} stories`);
+        }
+
+        // 准备文章数据
+        const preparedArticles = await prepareArticlesForDigest(representatives);
+
+        let digestContent;
+        let usage;
+        let partial = false;
+
+        try {
+            if (shouldUseChunkedMode(preparedArticles, mode, batchSize)) {
+                // 文章较多：分批总结后合并
+                const result = await generateChunkedDigest(preparedArticles, {
+                    aiConfig,
+                    targetLang,
+                    scope: scopeName,
+                    customPrompt,
+                    batchSize,
+                    concurrency,
+                    onProgress,
+                    onDelta,
+                    signal,
+                    userId
+                });
+                console.log(`[Digest Debug] Chunked digest: ${preparedArticles.length} articles in ${result.batchCount} batches`);
+                digestContent = result.content;
+                usage = result.usage;
+            } else {
+                // 构建 prompt
+                const prompt = buildDigestPrompt(preparedArticles, {
+                    targetLang,
+                    scope: scopeName,
+                    customPrompt
+                });
 
-        // 调用 AI
-        const digestContent = await callAIForDigest(prompt, aiConfig);
+                // 调用 AI
+                ({ content: digestContent, usage } = await callAIForDigest(prompt, aiConfig, { onDelta, signal, userId }));
+            }
+        } catch (error) {
+            // 取消生成时保存已输出的部分内容
+            if (!signal?.aborted || !error.partialContent?.trim()) throw error;
+
+            const cancelledNote = isEn
+                ? '*(Generation was cancelled, this digest is incomplete.)*'
+                : '*（生成已取消，简报内容不完整）*';
+            digestContent = `${error.partialContent.trimEnd()}\n\n---\n\n${cancelledNote}`;
+            usage = null;
+            partial = true;
+            console.log(`[Digest Debug] Digest cancelled, saved ${error.partialContent.length} chars of partial output`);
+        }
 
         // 生成标题
         let title;
@@ -336,13 +540,16 @@ export const DigestService = {
             scopeName,
             title,
             content: digestContent,
-            articleCount: preparedArticles.length,
-            hours: effectiveHours
+            articleCount: articles.length,
+            articleIds: representatives.map(article => article.id),
+            hours: effectiveHours,
+            partial
         });
 
         return {
             success: true,
-            digest: saved
+            digest: saved,
+            usage
         };
     }
 };
@@ -0,0 +1,237 @@
+/**
+ * Email Service - SMTP 邮件发送
+ * 将 Markdown 简报渲染为兼容主流邮件客户端的 HTML（表格布局 + 内联样式）
+ */
+
+import nodemailer from 'nodemailer';
+
+const CONNECTION_TIMEOUT_MS = 15000;
+
+// 邮件客户端不支持外部样式表，所有样式都需要内联
+const STYLES = {
+    body: 'margin: 0; padding: 0; background-color: #f4f4f5;',
+    container: 'max-width: 640px; width: 100%; background-color: #ffffff; border-radius: 8px;',
+    content: 'padding: 24px 28px; font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, \'PingFang SC\', \'Microsoft YaHei\', sans-serif; font-size: 15px; line-height: 1.6; color: #1f2937;',
+    title: 'margin: 0 0 16px; font-size: 22px; line-height: 1.3; color: #111827;',
+    h1: 'margin: 20px 0 8px; font-size: 20px; color: #111827;',
+    h2: 'margin: 20px 0 8px; font-size: 18px; color: #111827;',
+    h3: 'margin: 16px 0 6px; font-size: 16px; color: #111827;',
+    p: 'margin: 0 0 12px;',
+    ul: 'margin: 0 0 12px; padding-left: 22px;',
+    li: 'margin: 0 0 6px;',
+    a: 'color: #2563eb; text-decoration: underline;',
+    code: 'font-family: Menlo, Consolas, monospace; font-size: 13px; background-color: #f3f4f6; padding: 1px 4px; border-radius: 3px;',
+    quote: 'margin: 0 0 12px; padding: 4px 12px; border-left: 3px solid #d1d5db; color: #4b5563;',
+    hr: 'border: 0; border-top: 1px solid #e5e7eb; margin: 20px 0;',
+    footer: 'padding: 16px 28px; font-family: sans-serif; font-size: 12px; color: #9ca3af; border-top: 1px solid #e5e7eb;'
+};
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 仅允许 http(s)/mailto 链接，避免 javascript: 等协议
+function safeUrl(url) {
+    return /^(https?:|mailto:)/i.test(url) ? url : null;
+}
+
+/**
+ * 行内 Markdown：链接、裸 URL、粗体、斜体、行内代码
+ * 先提取链接与代码，再转义其余文本，避免重复转义
+ */
+function renderInline(text) {
+    const tokens = [];
+    const hold = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    let result = String(text)
+        .replace(/`([^`]+)`/g, (_, code) => hold(`<code style="${STYLES.code}">${escapeHtml(code)}</code>`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            const href = safeUrl(url);
+            return href
+                ? hold(`<a href="${escapeHtml(href)}" style="${STYLES.a}" target="_blank">${renderInline(label)}</a>`)
+                : match;
+        })
+        .replace(/(^|[\s(（])(https?:\/\/[^\s<>()（）]+)/g, (_, prefix, url) =>
+            prefix + hold(`<a href="${escapeHtml(url)}" style="${STYLES.a}" target="_blank">${escapeHtml(url)}</a>`));
+
+    result = escapeHtml(result)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*?)\*/g, '$1<em>$2</em>');
+
+    return result.replace(/\u0000(\d+)\u0000/g, (_, i) => tokens[i]);
+}
+
+/**
+ * 将 Markdown 渲染为邮件正文 HTML 片段（块级：标题、列表、引用、分隔线、段落）
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function renderMarkdownToEmailHtml(markdown) {
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p style="${STYLES.p}">${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            const tag = list.ordered ? 'ol' : 'ul';
+            blocks.push(`<${tag} style="${STYLES.ul}">${list.items.map(item => `<li style="${STYLES.li}">${renderInline(item)}</li>`).join('')}</${tag}>`);
+            list = null;
+        }
+    };
+
+    for (const rawLine of String(markdown || '').split('\n')) {
+        const line = rawLine.trimEnd();
+
+        if (!line.trim()) {
+            flushParagraph();
+            flushList();
+            continue;
+        }
+
+        const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+        if (heading) {
+            flushParagraph();
+            flushList();
+            const level = Math.min(heading[1].length, 3);
+            blocks.push(`<h${level} style="${STYLES['h' + level]}">${renderInline(heading[2])}</h${level}>`);
+            continue;
+        }
+
+        if (/^\s*(?:(?:-\s*){3,}|(?:\*\s*){3,}|(?:_\s*){3,})$/.test(line)) {
+            flushParagraph();
+            flushList();
+            blocks.push(`<hr style="${STYLES.hr}">`);
+            continue;
+        }
+
+        const bullet = line.match(/^\s*(?:[-*+•]|(\d+)[.)])\s+(.*)$/);
+        if (bullet) {
+            flushParagraph();
+            const ordered = !!bullet[1];
+            if (list && list.ordered !== ordered) flushList();
+            if (!list) list = { ordered, items: [] };
+            list.items.push(bullet[2]);
+            continue;
+        }
+
+        const quote = line.match(/^\s*>\s?(.*)$/);
+        if (quote) {
+            flushParagraph();
+            flushList();
+            blocks.push(`<blockquote style="${STYLES.quote}">${renderInline(quote[1])}</blockquote>`);
+            continue;
+        }
+
+        // 列表项的续行
+        if (list && /^\s{2,}/.test(rawLine)) {
+            list.items[list.items.length - 1] += ' ' + line.trim();
+            continue;
+        }
+
+        flushList();
+        paragraph.push(line.trim());
+    }
+
+    flushParagraph();
+    flushList();
+    return blocks.join('\n');
+}
+
+/**
+ * 生成完整的简报邮件 HTML
+ * @param {string} title
+ * @param {string} markdown
+ * @param {Object} [options]
+ * @param {string} [options.footer] - 页脚文字
+ */
+export function renderDigestEmail(title, markdown, options = {}) {
+    const footer = options.footer || 'Sent by Tidyflux';
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="${STYLES.body}">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="${STYLES.body}">
+<tr><td align="center" style="padding: 24px 12px;">
+<table role="presentation" cellpadding="0" cellspacing="0" border="0" style="${STYLES.container}">
+<tr><td style="${STYLES.content}">
+<h1 style="${STYLES.title}">${escapeHtml(title)}</h1>
+${renderMarkdownToEmailHtml(markdown)}
+</td></tr>
+<tr><td style="${STYLES.footer}">${escapeHtml(footer)}</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+/**
+ * 解析收件人列表（逗号、分号或换行分隔）
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export function parseRecipients(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[,;\n]/);
+    return [...new Set(list.map(s => String(s).trim()).filter(Boolean))];
+}
+
+export const EmailService = {
+    /**
+     * 根据 SMTP 配置创建发送器
+     * @param {{host: string, port?: number|string, secure?: boolean, username?: string, password?: string}} config
+     */
+    createTransport(config) {
+        const port = parseInt(config.port) || (config.secure ? 465 : 587);
+        return nodemailer.createTransport({
+            host: config.host,
+            port,
+            secure: !!config.secure,
+            auth: config.username ? { user: config.username, pass: config.password } : undefined,
+            connectionTimeout: CONNECTION_TIMEOUT_MS,
+            greetingTimeout: CONNECTION_TIMEOUT_MS
+        });
+    },
+
+    /**
+     * 发送简报邮件（HTML 正文 + Markdown 纯文本备选）
+     * @param {Object} config - SMTP 配置（含 from / to）
+     * @param {{title: string, content: string, subject?: string, recipients?: string|string[]}} message
+     * @returns {Promise<{messageId: string, accepted: string[], rejected: string[]}>}
+     */
+    async sendDigest(config, message) {
+        const recipients = parseRecipients(
+            parseRecipients(message.recipients).length > 0 ? message.recipients : config.to
+        );
+        if (recipients.length === 0) {
+            throw new Error('No email recipients');
+        }
+
+        const info = await this.createTransport(config).sendMail({
+            from: config.from,
+            to: recipients.join(', '),
+            subject: message.subject || message.title,
+            text: message.content,
+            html: renderDigestEmail(message.title, message.content)
+        });
+
+        return {
+            messageId: info.messageId,
+            accepted: info.accepted || [],
+            rejected: info.rejected || []
+        };
+    }
+};
@@ -0,0 +1,702 @@
+/**
+ * Export Service - 将文章与简报导出为 Markdown、EPUB 与 PDF
+ *
+ * Markdown 带 YAML front-matter，便于导入笔记软件；
+ * EPUB 由简报与其来源文章组成，图片下载后打包进电子书；
+ * PDF 由内置的排版器生成，不依赖无头浏览器。
+ */
+
+import crypto from 'crypto';
+import { sanitizeHtml } from '../utils.js';
+import { createZip } from '../utils/zip-writer.js';
+import { createPdf } from '../utils/pdf-writer.js';
+import { renderMarkdownToEmailHtml } from './email-service.js';
+import { downloadImages, rewriteImages } from './archive-service.js';
+
+export const MAX_EXPORT_ARTICLES = 100;
+const FETCH_CONCURRENCY = 4;
+const EPUB_MAX_IMAGES = 200;
+const EPUB_MAX_IMAGE_BYTES = 50 * 1024 * 1024;
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'iframe', 'svg', 'template', 'head', 'button', 'form', 'select', 'textarea']);
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'figure', 'figcaption',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'hr', 'table', 'tr',
+    'dl', 'dt', 'dd', 'details', 'summary'
+]);
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', hellip: '…', mdash: '—', ndash: '–',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', middot: '·', bull: '•',
+    copy: '©', reg: '®', trade: '™', times: '×', deg: '°'
+};
+
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg'
+};
+
+// EPUB 章节允许的标签与属性
+const XHTML_SANITIZE_OPTIONS = {
+    allowedTags: [
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'a', 'img', 'figure', 'figcaption',
+        'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'sub', 'sup', 'mark',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td', 'dl', 'dt', 'dd', 'div', 'span', 'section'
+    ],
+    allowedAttributes: { a: ['href', 'title'], img: ['src', 'alt', 'title'], ol: ['start'], td: ['colspan', 'rowspan'], th: ['colspan', 'rowspan'] },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    selfClosing: ['img', 'br', 'hr'],
+    // 图片均已改写为书内路径
+    allowedSchemesByTag: { img: [] },
+    allowProtocolRelative: false
+};
+
+const EPUB_STYLE = `body { font-family: serif; line-height: 1.6; margin: 0 0.5em; }
+h1 { font-size: 1.5em; line-height: 1.3; }
+.meta { color: #666; font-size: 0.85em; }
+img { max-width: 100%; height: auto; }
+blockquote { margin: 1em 0; padding-left: 1em; border-left: 3px solid #ccc; color: #444; }
+pre { white-space: pre-wrap; font-size: 0.85em; }
+`;
+
+// ==================== HTML → Markdown ====================
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function parseAttributes(source) {
+    const attrs = {};
+    for (const match of source.matchAll(/([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+        attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attrs;
+}
+
+/**
+ * 将 HTML 解析为简单的节点树：{ tag, attrs, children } 或 { text }
+ * 未闭合的标签在父元素结束时一并关闭，多余的结束标签忽略
+ */
+export function parseHtml(html) {
+    const root = { tag: 'root', attrs: {}, children: [] };
+    const stack = [root];
+    const tokenRegex = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<\/?([a-zA-Z][a-zA-Z0-9-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|[^<]+|</g;
+
+    let skipping = null;
+    for (const match of String(html || '').matchAll(tokenRegex)) {
+        const [token, rawTag, rawAttrs] = match;
+        const parent = stack[stack.length - 1];
+
+        if (!rawTag) {
+            if (!skipping && !token.startsWith('<!')) {
+                parent.children.push({ text: decodeEntities(token) });
+            }
+            continue;
+        }
+
+        const tag = rawTag.toLowerCase();
+        const isClosing = token[1] === '/';
+
+        // 跳过脚本、样式等元素的全部内容
+        if (skipping) {
+            if (isClosing && tag === skipping) skipping = null;
+            continue;
+        }
+
+        if (isClosing) {
+            const index = stack.map(n => n.tag).lastIndexOf(tag);
+            if (index > 0) stack.length = index;
+            continue;
+        }
+
+        if (SKIPPED_TAGS.has(tag)) {
+            if (!token.endsWith('/>')) skipping = tag;
+            continue;
+        }
+
+        const node = { tag, attrs: parseAttributes(rawAttrs || ''), children: [] };
+        parent.children.push(node);
+        if (!VOID_TAGS.has(tag) && !token.endsWith('/>')) stack.push(node);
+    }
+
+    return root;
+}
+
+function resolveUrl(url, baseUrl) {
+    if (!url) return '';
+    try {
+        return new URL(url, baseUrl || undefined).href;
+    } catch {
+        return url;
+    }
+}
+
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+// 链接地址中的空白与括号会打断 Markdown 语法
+function markdownUrl(url) {
+    return url.replace(/\s/g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+function textContent(node) {
+    if (node.text !== undefined) return node.text;
+    if (node.tag === 'br') return '\n';
+    return node.children.map(textContent).join('');
+}
+
+// 用标记包裹行内文本，首尾空白留在标记外侧
+function wrapInline(inner, mark) {
+    const match = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${mark}${match[2]}${mark}${match[3]}` : inner;
+}
+
+function renderInline(nodes, baseUrl) {
+    return nodes.map(node => {
+        if (node.text !== undefined) return escapeMarkdown(node.text.replace(/[\s ]+/g, ' '));
+
+        const inner = () => renderInline(node.children, baseUrl);
+        switch (node.tag) {
+            case 'br':
+                return '\n';
+            case 'strong':
+            case 'b':
+                return wrapInline(inner(), '**');
+            case 'em':
+            case 'i':
+                return wrapInline(inner(), '*');
+            case 'del':
+            case 's':
+                return wrapInline(inner(), '~~');
+            case 'code': {
+                const code = textContent(node).replace(/\s+/g, ' ');
+                if (!code.trim()) return code;
+                const fence = code.includes('`') ? '``' : '`';
+                return `${fence}${code}${fence}`;
+            }
+            case 'a': {
+                const label = inner();
+                const href = node.attrs.href || '';
+                if (!label.trim() || !href || /^(javascript|data):/i.test(href) || href.startsWith('#')) return label;
+                return `[${label.trim()}](${markdownUrl(resolveUrl(href, baseUrl))})`;
+            }
+            case 'img': {
+                const src = node.attrs['data-src'] || node.attrs['data-original'] || node.attrs.src || '';
+                if (!src || src.startsWith('data:')) return '';
+                return `![${escapeMarkdown(node.attrs.alt || '')}](${markdownUrl(resolveUrl(src, baseUrl))})`;
+            }
+            default:
+                return inner();
+        }
+    }).join('');
+}
+
+// 整理段落：每行去除首尾空白，<br> 转为 Markdown 硬换行
+function finishParagraph(text) {
+    return text.split('\n').map(line => line.replace(/ {2,}/g, ' ').trim()).filter(Boolean).join('  \n');
+}
+
+function indentLines(text, prefix, firstPrefix = prefix) {
+    return text.split('\n').map((line, i) => (i === 0 ? firstPrefix : (line ? prefix : prefix.trimEnd())) + line).join('\n');
+}
+
+function renderList(node, baseUrl) {
+    const ordered = node.tag === 'ol';
+    let index = parseInt(node.attrs.start) || 1;
+
+    return node.children
+        .filter(child => child.tag === 'li')
+        .map(child => {
+            const marker = ordered ? `${index++}. ` : '- ';
+            // 嵌套列表紧跟上一行，其余块之间空一行
+            const content = renderBlocks(child.children, baseUrl)
+                .reduce((text, block) => text ? `${text}${/^(?:- |\d+\. )/.test(block) ? '\n' : '\n\n'}${block}` : block, '');
+            return content ? indentLines(content, ' '.repeat(marker.length), marker) : '';
+        })
+        .filter(Boolean)
+        .join('\n');
+}
+
+function renderTable(node, baseUrl) {
+    const rows = [];
+    const collectRows = (n) => {
+        for (const child of n.children || []) {
+            if (child.tag === 'tr') {
+                rows.push(child.children
+                    .filter(cell => cell.tag === 'td' || cell.tag === 'th')
+                    .map(cell => finishParagraph(renderInline(cell.children, baseUrl)).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|')));
+            } else if (child.tag) {
+                collectRows(child);
+            }
+        }
+    };
+    collectRows(node);
+
+    const columns = Math.max(0, ...rows.map(r => r.length));
+    if (columns === 0) return '';
+
+    const line = cells => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+    return [line(rows[0]), line(Array(columns).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * 渲染块级内容，返回 Markdown 块数组
+ */
+function renderBlocks(nodes, baseUrl) {
+    const blocks = [];
+    let inline = [];
+
+    const flushInline = () => {
+        const paragraph = finishParagraph(renderInline(inline, baseUrl));
+        if (paragraph) blocks.push(paragraph);
+        inline = [];
+    };
+
+    for (const node of nodes) {
+        if (node.text !== undefined || !BLOCK_TAGS.has(node.tag)) {
+            inline.push(node);
+            continue;
+        }
+
+        flushInline();
+        const heading = node.tag.match(/^h([1-6])$/);
+
+        if (heading) {
+            const text = finishParagraph(renderInline(node.children, baseUrl)).replace(/\s*\n\s*/g, ' ');
+            if (text) blocks.push(`${'#'.repeat(parseInt(heading[1]))} ${text}`);
+        } else if (node.tag === 'ul' || node.tag === 'ol') {
+            const list = renderList(node, baseUrl);
+            if (list) blocks.push(list);
+        } else if (node.tag === 'blockquote') {
+            const content = renderBlocks(node.children, baseUrl).join('\n\n');
+            if (content) blocks.push(indentLines(content, '> '));
+        } else if (node.tag === 'pre') {
+            const code = textContent(node).replace(/^\n+|\s+$/g, '');
+            const fence = code.includes('```') ? '~~~' : '```';
+            if (code) blocks.push(`${fence}\n${code}\n${fence}`);
+        } else if (node.tag === 'hr') {
+            blocks.push('---');
+        } else if (node.tag === 'table') {
+            const table = renderTable(node, baseUrl);
+            if (table) blocks.push(table);
+        } else {
+            blocks.push(...renderBlocks(node.children, baseUrl));
+        }
+    }
+    flushInline();
+
+    return blocks;
+}
+
+/**
+ * 将文章 HTML 转换为 Markdown
+ * @param {string} html
+ * @param {string} [baseUrl] - 文章地址，用于解析相对链接
+ * @returns {string}
+ */
+export function htmlToMarkdown(html, baseUrl) {
+    return renderBlocks(parseHtml(html).children, baseUrl).join('\n\n');
+}
+
+// ==================== Markdown ====================
+
+function frontMatter(fields) {
+    const lines = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${key}: ${typeof value === 'number' ? value : JSON.stringify(String(value))}`);
+    return `---\n${lines.join('\n')}\n---\n`;
+}
+
+/**
+ * 单篇文章的 Markdown（含 front-matter）
+ * @param {Object} entry - Miniflux 文章
+ * @returns {string}
+ */
+export function articleToMarkdown(entry) {
+    const header = frontMatter({
+        title: entry.title,
+        url: entry.url,
+        author: entry.author,
+        feed: entry.feed?.title,
+        published: entry.published_at,
+        exported: new Date().toISOString()
+    });
+    const body = htmlToMarkdown(entry.content || '', entry.url);
+    return `${header}\n# ${entry.title || ''}\n\n${body}\n`;
+}
+
+/**
+ * 简报的 Markdown（含 front-matter），附来源文章链接
+ * @param {Object} digest
+ * @param {Array<Object>} [entries] - 来源文章
+ * @returns {string}
+ */
+export function digestToMarkdown(digest, entries = []) {
+    const header = frontMatter({
+        title: digest.title,
+        type: 'digest',
+        scope: digest.scopeName,
+        generated: digest.generatedAt,
+        articles: digest.articleCount,
+        exported: new Date().toISOString()
+    });
+
+    let markdown = `${header}\n# ${digest.title || ''}\n\n${String(digest.content || '').trim()}\n`;
+    if (entries.length > 0) {
+        const sources = entries.map(entry => {
+            const feed = entry.feed?.title ? ` — ${entry.feed.title}` : '';
+            return entry.url ? `- [${escapeMarkdown(entry.title || entry.url)}](${markdownUrl(entry.url)})${feed}` : `- ${escapeMarkdown(entry.title || '')}${feed}`;
+        });
+        markdown += `\n## Sources\n\n${sources.join('\n')}\n`;
+    }
+    return markdown;
+}
+
+// ==================== PDF ====================
+
+// 去掉行内 Markdown 标记，PDF 只排版纯文本
+function stripInlineMarkdown(text) {
+    return text
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+        .replace(/(^|[^\\*])\*(?!\s)([^*]+?)\*/g, '$1$2')
+        .replace(/`+([^`]+)`+/g, '$1')
+        .replace(/\\([\\`*_[\]|#>~-])/g, '$1')
+        .replace(/ {2}$/, '')
+        .trim();
+}
+
+/**
+ * 将 Markdown 转换为 PDF 排版块
+ * @param {string} markdown
+ * @returns {Array<Object>}
+ */
+export function markdownToPdfBlocks(markdown) {
+    const blocks = [];
+    let paragraph = [];
+    let quote = [];
+    let table = [];
+    let code = null;
+
+    const flush = () => {
+        const text = paragraph.map(stripInlineMarkdown).filter(Boolean).join(' ');
+        if (text) blocks.push({ type: 'paragraph', text });
+        paragraph = [];
+        const quoteText = quote.map(stripInlineMarkdown).join('\n').trim();
+        if (quoteText) blocks.push({ type: 'quote', text: quoteText });
+        quote = [];
+        if (table.length > 0) blocks.push({ type: 'paragraph', text: table.join('\n') });
+        table = [];
+    };
+
+    for (const line of String(markdown || '').split('\n')) {
+        const fence = line.match(/^\s*(```|~~~)/);
+        if (code) {
+            if (fence && fence[1] === code.fence) {
+                blocks.push({ type: 'code', text: code.lines.join('\n') });
+                code = null;
+            } else {
+                code.lines.push(line);
+            }
+            continue;
+        }
+        if (fence) {
+            flush();
+            code = { fence: fence[1], lines: [] };
+            continue;
+        }
+
+        if (!line.trim()) {
+            flush();
+            continue;
+        }
+
+        const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+        if (heading) {
+            flush();
+            blocks.push({ type: 'heading', level: heading[1].length, text: stripInlineMarkdown(heading[2]) });
+            continue;
+        }
+
+        if (/^\s*(?:(?:-\s*){3,}|(?:\*\s*){3,}|(?:_\s*){3,})$/.test(line)) {
+            flush();
+            blocks.push({ type: 'rule' });
+            continue;
+        }
+
+        const quoteLine = line.match(/^\s*>\s?(.*)$/);
+        if (quoteLine) {
+            if (paragraph.length > 0) flush();
+            quote.push(quoteLine[1].replace(/^>\s?/, ''));
+            continue;
+        }
+
+        const item = line.match(/^(\s*)([-*+•]|\d+[.)])\s+(.*)$/);
+        if (item) {
+            flush();
+            const marker = /\d/.test(item[2]) ? item[2] : '•';
+            blocks.push({ type: 'list', marker, depth: Math.floor(item[1].length / 2), text: stripInlineMarkdown(item[3]) });
+            continue;
+        }
+
+        // 表格：每行一行文字，跳过分隔行
+        if (/^\s*\|.*\|\s*$/.test(line)) {
+            if (paragraph.length > 0 || quote.length > 0) flush();
+            if (!/^[\s|:-]+$/.test(line)) {
+                table.push(line.trim().slice(1, -1).split(/(?<!\\)\|/).map(cell => stripInlineMarkdown(cell)).join('  |  '));
+            }
+            continue;
+        }
+
+        // 列表项的续行
+        const last = blocks[blocks.length - 1];
+        if (paragraph.length === 0 && quote.length === 0 && last?.type === 'list' && /^\s{2,}/.test(line)) {
+            last.text += ' ' + stripInlineMarkdown(line);
+            continue;
+        }
+
+        if (quote.length > 0 || table.length > 0) flush();
+        paragraph.push(line);
+    }
+
+    if (code) blocks.push({ type: 'code', text: code.lines.join('\n') });
+    flush();
+    return blocks;
+}
+
+function formatDate(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date) ? '' : date.toISOString().slice(0, 16).replace('T', ' ');
+}
+
+function articlePdfBlocks(entry) {
+    const meta = [entry.feed?.title, entry.author, formatDate(entry.published_at), entry.url].filter(Boolean).join(' · ');
+    return [
+        { type: 'heading', level: 1, text: entry.title || '' },
+        ...(meta ? [{ type: 'meta', text: meta }] : []),
+        ...markdownToPdfBlocks(htmlToMarkdown(entry.content || '', entry.url))
+    ];
+}
+
+/**
+ * 文章 PDF，多篇文章各自另起一页
+ * @param {Array<Object>} entries
+ * @returns {Buffer}
+ */
+export function articlesToPdf(entries) {
+    const blocks = entries.flatMap((entry, i) => [
+        ...(i > 0 ? [{ type: 'pagebreak' }] : []),
+        ...articlePdfBlocks(entry)
+    ]);
+    return createPdf({ title: entries.length === 1 ? entries[0].title : 'Tidyflux', blocks });
+}
+
+/**
+ * 简报 PDF，来源文章附在简报之后
+ * @param {Object} digest
+ * @param {Array<Object>} [entries]
+ * @returns {Buffer}
+ */
+export function digestToPdf(digest, entries = []) {
+    const meta = [digest.scopeName, formatDate(digest.generatedAt)].filter(Boolean).join(' · ');
+    const blocks = [
+        { type: 'heading', level: 1, text: digest.title || '' },
+        ...(meta ? [{ type: 'meta', text: meta }] : []),
+        ...markdownToPdfBlocks(digest.content),
+        ...entries.flatMap(entry => [{ type: 'pagebreak' }, ...articlePdfBlocks(entry)])
+    ];
+    return createPdf({ title: digest.title, blocks });
+}
+
+// ==================== EPUB ====================
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 转换为 XHTML 片段：清理标签与属性，相对链接改为绝对地址，并去掉 XML 不允许的控制字符
+function toXhtmlFragment(html, baseUrl) {
+    return sanitizeHtml(html, {
+        ...XHTML_SANITIZE_OPTIONS,
+        transformTags: {
+            a: (tagName, attribs) => ({ tagName, attribs: attribs.href ? { ...attribs, href: resolveUrl(attribs.href, baseUrl) } : attribs })
+        }
+    }).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+function xhtmlDocument(title, body, lang) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * 生成 EPUB：第一章为简报，其后每篇来源文章一章
+ * @param {Object} digest
+ * @param {Array<Object>} entries - 来源文章
+ * @returns {Promise<Buffer>}
+ */
+export async function digestToEpub(digest, entries = []) {
+    const lang = /[぀-ヿ一-鿿]/.test(`${digest.title}${digest.content}`) ? 'zh' : 'en';
+    const title = digest.title || 'Tidyflux';
+
+    // 所有章节的图片统一下载，按顺序命名
+    const images = new Map();
+    let imageIndex = 0;
+    const chapters = [];
+
+    for (const entry of entries) {
+        const { images: downloaded } = await downloadImages(entry.content || '', entry.url, {
+            maxImages: EPUB_MAX_IMAGES - images.size,
+            maxTotalBytes: EPUB_MAX_IMAGE_BYTES - [...images.values()].reduce((sum, img) => sum + img.buffer.length, 0)
+        });
+
+        // EPUB 阅读器通常不加载远程图片，未能下载的图片直接移除
+        const content = rewriteImages(entry.content || '', entry.url, (url) => {
+            if (!images.has(url)) {
+                const image = downloaded.get(url);
+                if (!image || !IMAGE_EXTENSIONS[image.type]) return null;
+                images.set(url, { ...image, path: `images/img-${++imageIndex}.${IMAGE_EXTENSIONS[image.type]}` });
+            }
+            return images.get(url).path;
+        });
+
+        const meta = [entry.feed?.title, entry.author, formatDate(entry.published_at)].filter(Boolean).map(escapeXml).join(' · ');
+        const source = entry.url ? ` · <a href="${escapeXml(entry.url)}">${escapeXml(entry.url)}</a>` : '';
+        chapters.push({
+            title: entry.title || entry.url || '',
+            body: `<h1>${escapeXml(entry.title)}</h1>\n<p class="meta">${meta}${source}</p>\n${toXhtmlFragment(content, entry.url)}`
+        });
+    }
+
+    chapters.unshift({
+        title,
+        body: `<h1>${escapeXml(title)}</h1>\n<p class="meta">${[digest.scopeName, formatDate(digest.generatedAt)].filter(Boolean).map(escapeXml).join(' · ')}</p>\n${toXhtmlFragment(renderMarkdownToEmailHtml(digest.content))}`
+    });
+
+    const uid = `urn:uuid:${crypto.randomUUID()}`;
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const chapterFiles = chapters.map((chapter, i) => ({ ...chapter, id: `chapter-${i}`, href: `chapter-${i}.xhtml` }));
+    const imageList = [...images.values()];
+
+    const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${uid}</dc:identifier>
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:language>${lang}</dc:language>
+<dc:creator>Tidyflux</dc:creator>
+<dc:date>${escapeXml(digest.generatedAt || modified)}</dc:date>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml" />
+<item id="style" href="style.css" media-type="text/css" />
+${chapterFiles.map(c => `<item id="${c.id}" href="${c.href}" media-type="application/xhtml+xml" />`).join('\n')}
+${imageList.map((img, i) => `<item id="image-${i + 1}" href="${img.path}" media-type="${img.type}" />`).join('\n')}
+</manifest>
+<spine toc="ncx">
+${chapterFiles.map(c => `<itemref idref="${c.id}" />`).join('\n')}
+</spine>
+</package>
+`;
+
+    const nav = xhtmlDocument(title, `<nav epub:type="toc" id="toc">
+<h1>${escapeXml(title)}</h1>
+<ol>
+${chapterFiles.map(c => `<li><a href="${c.href}">${escapeXml(c.title)}</a></li>`).join('\n')}
+</ol>
+</nav>`, lang);
+
+    const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${uid}" /></head>
+<docTitle><text>${escapeXml(title)}</text></docTitle>
+<navMap>
+${chapterFiles.map((c, i) => `<navPoint id="nav-${i}" playOrder="${i + 1}"><navLabel><text>${escapeXml(c.title)}</text></navLabel><content src="${c.href}" /></navPoint>`).join('\n')}
+</navMap>
+</ncx>
+`;
+
+    return createZip([
+        { name: 'mimetype', data: 'application/epub+zip' },
+        { name: 'META-INF/container.xml', data: '<?xml version="1.0" encoding="UTF-8"?>\n<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" /></rootfiles>\n</container>\n' },
+        { name: 'OEBPS/content.opf', data: opf },
+        { name: 'OEBPS/nav.xhtml', data: nav },
+        { name: 'OEBPS/toc.ncx', data: ncx },
+        { name: 'OEBPS/style.css', data: EPUB_STYLE },
+        ...chapterFiles.map(c => ({ name: `OEBPS/${c.href}`, data: xhtmlDocument(c.title, c.body, lang) })),
+        ...imageList.map(img => ({ name: `OEBPS/${img.path}`, data: img.buffer }))
+    ]);
+}
+
+// ==================== 数据获取 ====================
+
+/**
+ * 按 ID 获取文章，保持传入顺序，不存在的文章跳过
+ * @param {Object} miniflux - MinifluxClient
+ * @param {Array<number>} entryIds
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchEntries(miniflux, entryIds) {
+    const results = new Array(entryIds.length).fill(null);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < entryIds.length) {
+            const index = next++;
+            try {
+                results[index] = await miniflux.getEntry(entryIds[index]);
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: FETCH_CONCURRENCY }, worker));
+
+    return results.filter(Boolean);
+}
+
+/**
+ * 多篇文章的 Markdown 打包为 ZIP，每篇一个文件
+ * @param {Array<Object>} entries
+ * @returns {Buffer}
+ */
+export function articlesToMarkdownZip(entries) {
+    const used = new Set();
+    return createZip(entries.map(entry => {
+        const base = String(entry.title || `article-${entry.id}`)
+            .replace(/[\\/:*?"<>|\x00-\x1F]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 80) || `article-${entry.id}`;
+        const name = used.has(base) ? `${base} (${entry.id})` : base;
+        used.add(name);
+        return { name: `${name}.md`, data: articleToMarkdown(entry) };
+    }));
+}
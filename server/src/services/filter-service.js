@@ -0,0 +1,378 @@
+/**
+ * Filter Service - 关键词/正则过滤规则
+ * 规则按用户存储在 PreferenceStore 的 filter_rules 中
+ */
+
+import { PreferenceStore } from '../utils/preference-store.js';
+
+export const FILTER_FIELDS = ['title', 'content', 'author', 'url'];
+export const FILTER_MATCH_TYPES = ['keyword', 'regex'];
+export const FILTER_SCOPES = ['all', 'group', 'feed'];
+export const FILTER_ACTIONS = ['hide', 'mark_read', 'star'];
+
+const PREF_KEY = 'filter_rules';
+const MAX_PATTERN_LENGTH = 500;
+// 匹配正文前先截断，避免超长正文拖慢正则
+const MAX_CONTENT_LENGTH = 20000;
+
+// 正在切换收藏的条目（按 Miniflux 客户端区分），避免并发请求重复切换
+const pendingStars = new WeakMap();
+
+// 判断两个字符集是否相交时使用的样本：ASCII 字符以及几类常见的非 ASCII 字符
+const SAMPLE_CHARS = [
+    ...Array.from({ length: 128 }, (_, i) => String.fromCharCode(i)),
+    '\u00A0', '\u2003', '\u2028', '\u3000', '\uFEFF', '\u00E9', '\u0416', '\u4E2D', '\u3042', '\uD83D'
+];
+
+// 读取正则中位于 index 处的量词，返回 { length, min, max }，不是量词时返回 null
+function readQuantifier(pattern, index) {
+    const char = pattern[index];
+    let quantifier = null;
+    if (char === '*') {
+        quantifier = { length: 1, min: 0, max: Infinity };
+    } else if (char === '+') {
+        quantifier = { length: 1, min: 1, max: Infinity };
+    } else if (char === '?') {
+        quantifier = { length: 1, min: 0, max: 1 };
+    } else if (char === '{') {
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.substring(index));
+        if (!match) return null;
+        const min = parseInt(match[1]);
+        const max = match[2] === undefined ? min : (match[3] === '' ? Infinity : parseInt(match[3]));
+        quantifier = { length: match[0].length, min, max };
+    }
+    // 非贪婪后缀
+    if (quantifier && pattern[index + quantifier.length] === '?') quantifier.length++;
+    return quantifier;
+}
+
+// 转义序列的长度
+function escapeLength(pattern, index) {
+    const next = pattern[index + 1];
+    if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(pattern.substr(index + 2, 4))) return 6;
+    if (next === 'x' && /^[0-9a-fA-F]{2}$/.test(pattern.substr(index + 2, 2))) return 4;
+    if (next === 'c' && /^[a-zA-Z]$/.test(pattern[index + 2] || '')) return 3;
+    return 2;
+}
+
+/**
+ * 将正则解析为分支列表，每个分支为节点序列（语法错误由 new RegExp 检查）
+ * - 字符节点 { source, min, max }：转义、字符集、. 或普通字符；零宽断言的 source 为 null
+ * - 分组节点 { alternatives, min, max }
+ */
+function parseRegex(pattern) {
+    let i = 0;
+
+    const parseAlternatives = () => {
+        const alternatives = [[]];
+        while (i < pattern.length && pattern[i] !== ')') {
+            const char = pattern[i];
+            if (char === '|') {
+                alternatives.push([]);
+                i++;
+                continue;
+            }
+
+            let node;
+            if (char === '(') {
+                const rest = pattern.substring(i);
+                const lookaround = /^\(\?<?[=!]/.exec(rest);
+                const prefix = lookaround || /^\(\?(:|<[^>]*>)/.exec(rest);
+                i += prefix ? prefix[0].length : 1;
+                const alternatives = parseAlternatives();
+                i++;
+                node = lookaround ? { source: null } : { alternatives };
+            } else if (char === '[') {
+                let end = i + 1;
+                for (; end < pattern.length && pattern[end] !== ']'; end++) {
+                    if (pattern[end] === '\\') end++;
+                }
+                node = { source: pattern.substring(i, end + 1) };
+                i = end + 1;
+            } else if (char === '\\') {
+                const length = escapeLength(pattern, i);
+                const source = pattern.substr(i, length);
+                node = { source: source === '\\b' || source === '\\B' ? null : source };
+                i += length;
+            } else {
+                node = { source: char === '^' || char === '$' ? null : char };
+                i++;
+            }
+
+            const quantifier = readQuantifier(pattern, i);
+            node.min = quantifier ? quantifier.min : 1;
+            node.max = quantifier ? quantifier.max : 1;
+            if (quantifier) i += quantifier.length;
+            // 零宽断言不消耗字符，视为可省略
+            if (node.source === null) node.min = 0;
+            alternatives[alternatives.length - 1].push(node);
+        }
+        return alternatives;
+    };
+
+    return parseAlternatives();
+}
+
+// 节点可能匹配的样本字符（不区分大小写，从宽判断）
+function getCharSet(node) {
+    if (node.alternatives) {
+        const chars = new Set();
+        node.alternatives.flat().forEach(child => getCharSet(child).forEach(c => chars.add(c)));
+        return chars;
+    }
+    if (node.source === null) return new Set();
+    try {
+        const regex = new RegExp(`^(?:${node.source})$`, 'i');
+        return new Set(SAMPLE_CHARS.filter(c => regex.test(c)));
+    } catch (e) {
+        return new Set(SAMPLE_CHARS);
+    }
+}
+
+function containsRepeat(alternatives) {
+    return alternatives.flat().some(node => node.max > 1 || (node.alternatives && containsRepeat(node.alternatives)));
+}
+
+// 展开不重复且没有分支的分组，使 (\s*)\s* 这类写法也按相邻处理
+function flattenSequence(nodes) {
+    return nodes.flatMap(node => node.alternatives && node.alternatives.length === 1 && node.min === 1 && node.max === 1
+        ? flattenSequence(node.alternatives[0])
+        : [node]);
+}
+
+function isUnsafeSequence(nodes) {
+    const sequence = flattenSequence(nodes);
+    for (let j = 0; j < sequence.length; j++) {
+        const node = sequence[j];
+        if (node.alternatives) {
+            if (node.max > 1 && (node.alternatives.length > 1 || containsRepeat(node.alternatives))) return true;
+            if (node.alternatives.some(isUnsafeSequence)) return true;
+        }
+        if (node.max !== Infinity) continue;
+
+        // 向前查找只隔着可省略节点的无上限重复，字符集相交时同一段文字有多种切分方式
+        const chars = getCharSet(node);
+        for (let k = j - 1; k >= 0; k--) {
+            const previous = sequence[k];
+            if (previous.max === Infinity && [...getCharSet(previous)].some(c => chars.has(c))) return true;
+            if (previous.min > 0) break;
+        }
+    }
+    return false;
+}
+
+/**
+ * 检查正则是否可能出现灾难性回溯（ReDoS）
+ * 拒绝反向引用；在重复的分组内再次重复或含分支的写法，如 (a+)+、(a|aa)*、(\w+\s?){2,}；
+ * 以及字符集相交、中间只隔着可省略内容的相邻无上限重复，如 \s*\s*、\d+\w*、.*x?.*
+ */
+export function isUnsafeRegex(pattern) {
+    if (/\\[1-9]|\\k</.test(pattern)) return true;
+    return parseRegex(pattern).some(isUnsafeSequence);
+}
+
+// 获取条目中指定字段的文本
+function getFieldText(entry, field) {
+    switch (field) {
+        case 'title':
+            return entry.title || '';
+        case 'content':
+            return (entry.content || '')
+                .substring(0, MAX_CONTENT_LENGTH)
+                .replace(/<[^>]+>/g, ' ');
+        case 'author':
+            return entry.author || '';
+        case 'url':
+            return entry.url || '';
+        default:
+            return '';
+    }
+}
+
+// 编译规则为匹配函数，无效规则返回 null
+function compileRule(rule) {
+    if (!rule || rule.enabled === false || !rule.pattern) return null;
+
+    if (rule.matchType === 'regex') {
+        if (isUnsafeRegex(rule.pattern)) return null;
+        try {
+            const regex = new RegExp(rule.pattern, rule.caseSensitive ? '' : 'i');
+            return text => regex.test(text);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // 关键词：逗号分隔，任一命中即匹配
+    const keywords = rule.pattern
+        .split(',')
+        .map(k => k.trim())
+        .filter(Boolean)
+        .map(k => rule.caseSensitive ? k : k.toLowerCase());
+    if (keywords.length === 0) return null;
+
+    return text => {
+        const haystack = rule.caseSensitive ? text : text.toLowerCase();
+        return keywords.some(k => haystack.includes(k));
+    };
+}
+
+// 检查条目是否在规则的作用范围内
+function inScope(rule, entry) {
+    if (!rule.scope || rule.scope === 'all') return true;
+    if (rule.scope === 'feed') return entry.feed_id == rule.scopeId;
+    if (rule.scope === 'group') {
+        const categoryId = entry.feed?.category?.id ?? entry.category_id;
+        return categoryId == rule.scopeId;
+    }
+    return false;
+}
+
+function buildMatchers(rules) {
+    return (rules || [])
+        .map(rule => ({ rule, test: compileRule(rule) }))
+        .filter(m => m.test);
+}
+
+function matchEntry(matcher, entry) {
+    const { rule, test } = matcher;
+    if (!inScope(rule, entry)) return false;
+    const fields = Array.isArray(rule.fields) && rule.fields.length > 0 ? rule.fields : ['title'];
+    return fields.some(field => test(getFieldText(entry, field)));
+}
+
+export const FilterService = {
+    /**
+     * 读取用户的过滤规则
+     */
+    async getRules(userId) {
+        const prefs = await PreferenceStore.get(userId);
+        return Array.isArray(prefs[PREF_KEY]) ? prefs[PREF_KEY] : [];
+    },
+
+    /**
+     * 保存用户的过滤规则
+     */
+    async saveRules(userId, rules) {
+        const prefs = await PreferenceStore.get(userId);
+        prefs[PREF_KEY] = rules;
+        return await PreferenceStore.save(userId, prefs);
+    },
+
+    /**
+     * 校验并规范化单条规则，失败时抛出错误
+     */
+    normalizeRule(rule) {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error('规则格式无效');
+        }
+
+        const pattern = String(rule.pattern || '').trim();
+        if (!pattern) throw new Error('请填写匹配内容');
+        if (pattern.length > MAX_PATTERN_LENGTH) throw new Error('匹配内容过长');
+
+        const matchType = FILTER_MATCH_TYPES.includes(rule.matchType) ? rule.matchType : 'keyword';
+        if (matchType === 'regex') {
+            try {
+                new RegExp(pattern);
+            } catch (e) {
+                throw new Error('无效的正则表达式');
+            }
+            if (isUnsafeRegex(pattern)) {
+                throw new Error('正则表达式过于复杂，请避免嵌套的重复（如 (a+)+）、相邻的重复（如 \\s*\\s*）和反向引用');
+            }
+        }
+
+        const fields = (Array.isArray(rule.fields) ? rule.fields : [])
+            .filter(f => FILTER_FIELDS.includes(f));
+        const scope = FILTER_SCOPES.includes(rule.scope) ? rule.scope : 'all';
+        if (scope !== 'all' && !rule.scopeId) {
+            throw new Error('请选择规则范围');
+        }
+        if (!FILTER_ACTIONS.includes(rule.action)) {
+            throw new Error('无效的规则动作');
+        }
+
+        return {
+            id: rule.id || `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: String(rule.name || '').trim(),
+            enabled: rule.enabled !== false,
+            fields: fields.length > 0 ? fields : ['title'],
+            matchType,
+            pattern,
+            caseSensitive: !!rule.caseSensitive,
+            scope,
+            scopeId: scope === 'all' ? null : parseInt(rule.scopeId),
+            action: rule.action
+        };
+    },
+
+    /**
+     * 返回命中规则的条目（用于预览）
+     */
+    findMatches(entries, rules) {
+        const matchers = buildMatchers(rules);
+        if (matchers.length === 0) return [];
+        return entries.filter(entry => matchers.some(m => matchEntry(m, entry)));
+    },
+
+    /**
+     * 对 Miniflux 条目应用过滤规则
+     * - hide: 从结果中移除
+     * - mark_read: 在 Miniflux 中标记为已读
+     * - star: 在 Miniflux 中收藏
+     * 条目对象的 status/starred 会同步更新
+     * @returns {Promise<{entries: Array, hiddenIds: Array, readIds: Array, starredIds: Array}>}
+     */
+    async applyRules(miniflux, entries, rules) {
+        const matchers = buildMatchers(rules);
+        const result = { entries, hiddenIds: [], readIds: [], starredIds: [] };
+        if (matchers.length === 0 || entries.length === 0) return result;
+
+        const hidden = new Set();
+        for (const entry of entries) {
+            for (const matcher of matchers) {
+                if (!matchEntry(matcher, entry)) continue;
+
+                const { action } = matcher.rule;
+                if (action === 'hide') {
+                    hidden.add(entry.id);
+                } else if (action === 'mark_read' && entry.status !== 'read') {
+                    entry.status = 'read';
+                    result.readIds.push(entry.id);
+                } else if (action === 'star' && !entry.starred) {
+                    entry.starred = true;
+                    result.starredIds.push(entry.id);
+                }
+            }
+        }
+
+        try {
+            if (result.readIds.length > 0) {
+                await miniflux.updateEntriesStatus(result.readIds, 'read');
+            }
+            // Miniflux 只提供切换收藏的接口：切换前重新读取收藏状态，
+            // 并跳过其他请求正在处理的条目，避免重复切换导致取消收藏
+            if (!pendingStars.has(miniflux)) pendingStars.set(miniflux, new Set());
+            const pending = pendingStars.get(miniflux);
+            for (const id of result.starredIds) {
+                if (pending.has(id)) continue;
+                pending.add(id);
+                try {
+                    const current = await miniflux.getEntry(id);
+                    if (!current?.starred) {
+                        await miniflux.toggleBookmark(id);
+                    }
+                } finally {
+                    pending.delete(id);
+                }
+            }
+        } catch (error) {
+            console.error('Apply filter rule actions error:', error);
+        }
+
+        result.hiddenIds = Array.from(hidden);
+        result.entries = entries.filter(entry => !hidden.has(entry.id));
+        return result;
+    }
+};
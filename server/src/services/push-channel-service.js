@@ -0,0 +1,455 @@
+/**
+ * Push Channel Service - 内置推送渠道
+ * Telegram / Bark / ntfy / Gotify / Discord / Slack / Email
+ * 每个渠道负责自己的消息格式、长度拆分与 Markdown 转义
+ * 渠道按用户存储在 PreferenceStore 的 push_channels 中，敏感字段加密保存
+ */
+
+import fetch from 'node-fetch';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import { EmailService } from './email-service.js';
+
+const PREF_KEY = 'push_channels';
+const MASK = '********';
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * 渠道类型定义
+ * - fields: 允许保存的配置项
+ * - secrets: 需要加密保存、返回前端时打码的配置项
+ * - required: 必填项
+ */
+export const PUSH_CHANNEL_TYPES = {
+    telegram: {
+        fields: ['botToken', 'chatId', 'apiBase'],
+        secrets: ['botToken'],
+        required: ['botToken', 'chatId']
+    },
+    bark: {
+        fields: ['serverUrl', 'deviceKey', 'group'],
+        secrets: ['deviceKey'],
+        required: ['deviceKey']
+    },
+    ntfy: {
+        fields: ['serverUrl', 'topic', 'token', 'priority'],
+        secrets: ['token'],
+        required: ['topic']
+    },
+    gotify: {
+        fields: ['serverUrl', 'appToken', 'priority'],
+        secrets: ['appToken'],
+        required: ['serverUrl', 'appToken']
+    },
+    discord: {
+        fields: ['webhookUrl'],
+        secrets: ['webhookUrl'],
+        required: ['webhookUrl']
+    },
+    slack: {
+        fields: ['webhookUrl'],
+        secrets: ['webhookUrl'],
+        required: ['webhookUrl']
+    },
+    email: {
+        fields: ['host', 'port', 'secure', 'username', 'password', 'from', 'to'],
+        secrets: ['password'],
+        required: ['host', 'from', 'to']
+    }
+};
+
+// ==================== 文本处理 ====================
+
+const utf8Length = text => Buffer.byteLength(text, 'utf8');
+
+/**
+ * 按行拆分长消息，单行超长时硬切
+ * @param {string} text
+ * @param {number} limit - 每段最大长度
+ * @param {Function} measure - 长度计算函数（字符数或字节数）
+ */
+export function splitMessage(text, limit, measure = s => s.length) {
+    const chunks = [];
+    let current = '';
+
+    const pushHardSplit = line => {
+        let piece = '';
+        for (const char of line) {
+            if (measure(piece + char) > limit) {
+                chunks.push(piece);
+                piece = '';
+            }
+            piece += char;
+        }
+        return piece;
+    };
+
+    for (const line of String(text || '').split('\n')) {
+        const candidate = current ? `${current}\n${line}` : line;
+        if (measure(candidate) <= limit) {
+            current = candidate;
+            continue;
+        }
+        if (current) chunks.push(current);
+        current = measure(line) > limit ? pushHardSplit(line) : line;
+    }
+    if (current.trim()) chunks.push(current);
+
+    return chunks.length > 0 ? chunks : [''];
+}
+
+// 多段消息在标题后附加序号
+function partTitle(title, index, total) {
+    return total > 1 ? `${title} (${index + 1}/${total})` : title;
+}
+
+/**
+ * 逐行转换 Markdown：标题、列表与行内的粗体/链接交给各渠道的格式化函数
+ */
+function convertMarkdown(markdown, { heading, bullet, bold, link, text }) {
+    const inline = line => line
+        .split(/(\[[^\]]+\]\([^)\s]+\)|\*\*[^*]+\*\*)/)
+        .map(part => {
+            const linkMatch = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+            if (linkMatch) return link(linkMatch[1], linkMatch[2]);
+            const boldMatch = part.match(/^\*\*([^*]+)\*\*$/);
+            if (boldMatch) return bold(boldMatch[1]);
+            return text(part);
+        })
+        .join('');
+
+    return String(markdown || '').split('\n').map(line => {
+        const headingMatch = line.match(/^\s*#{1,6}\s+(.*)$/);
+        if (headingMatch) return heading(headingMatch[1].replace(/\*\*/g, ''));
+        const bulletMatch = line.match(/^(\s*)[-*+]\s+(.*)$/);
+        if (bulletMatch) return `${bulletMatch[1]}${bullet}${inline(bulletMatch[2])}`;
+        return inline(line);
+    }).join('\n');
+}
+
+// Telegram MarkdownV2 需要转义的字符
+export function escapeTelegramMarkdown(text) {
+    return String(text).replace(/([_*\[\]()~`>#+\-=|{}.!\\])/g, '\\$1');
+}
+
+function toTelegramMarkdown(markdown) {
+    return convertMarkdown(markdown, {
+        heading: t => `*${escapeTelegramMarkdown(t)}*`,
+        bullet: '• ',
+        bold: t => `*${escapeTelegramMarkdown(t)}*`,
+        link: (t, url) => `[${escapeTelegramMarkdown(t)}](${url.replace(/([)\\])/g, '\\$1')})`,
+        text: escapeTelegramMarkdown
+    });
+}
+
+/**
+ * 生成 Telegram 消息（MarkdownV2），单条上限 4096 字符
+ * 先按转换后的长度拆分原始 Markdown，再逐段转换，避免拆分处截断转义或格式标记
+ * @returns {string[]}
+ */
+export function toTelegramMessages(title, content) {
+    const header = `*${escapeTelegramMarkdown(title)}*\n\n`;
+    const parts = splitMessage(content, 4096 - header.length - 16, s => toTelegramMarkdown(s).length);
+    return parts.map((part, i) => `*${escapeTelegramMarkdown(partTitle(title, i, parts.length))}*\n\n${toTelegramMarkdown(part)}`);
+}
+
+// Slack mrkdwn 只需转义 & < >
+export function escapeSlackText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toSlackMarkdown(markdown) {
+    return convertMarkdown(markdown, {
+        heading: t => `*${escapeSlackText(t)}*`,
+        bullet: '• ',
+        bold: t => `*${escapeSlackText(t)}*`,
+        link: (t, url) => `<${url.replace(/[<>|]/g, '')}|${escapeSlackText(t).replace(/\|/g, '')}>`,
+        text: escapeSlackText
+    });
+}
+
+// 纯文本渠道：去掉 Markdown 标记，保留链接地址
+export function toPlainText(markdown) {
+    return convertMarkdown(markdown, {
+        heading: t => t,
+        bullet: '• ',
+        bold: t => t,
+        link: (t, url) => `${t} (${url})`,
+        text: t => t.replace(/[*_`]+/g, '')
+    });
+}
+
+// ==================== 渠道适配器 ====================
+
+function trimSlash(url) {
+    return String(url || '').replace(/\/+$/, '');
+}
+
+async function request(url, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new Error(`HTTP ${response.status}${body ? `: ${body.substring(0, 200)}` : ''}`);
+        }
+        return response;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function postJson(url, data, headers = {}) {
+    return request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(data)
+    });
+}
+
+const adapters = {
+    // Telegram Bot API，单条消息上限 4096 字符
+    async telegram(config, { title, content }) {
+        const apiBase = trimSlash(config.apiBase) || 'https://api.telegram.org';
+        const messages = toTelegramMessages(title, content);
+
+        for (const text of messages) {
+            await postJson(`${apiBase}/bot${config.botToken}/sendMessage`, {
+                chat_id: config.chatId,
+                text,
+                parse_mode: 'MarkdownV2',
+                disable_web_page_preview: true
+            });
+        }
+        return messages.length;
+    },
+
+    // Bark（iOS），受 APNs 4KB 限制
+    async bark(config, { title, content }) {
+        const serverUrl = trimSlash(config.serverUrl) || 'https://api.day.app';
+        const parts = splitMessage(toPlainText(content), 3000, utf8Length);
+
+        for (let i = 0; i < parts.length; i++) {
+            await postJson(`${serverUrl}/push`, {
+                device_key: config.deviceKey,
+                title: partTitle(title, i, parts.length),
+                body: parts[i],
+                group: config.group || 'Tidyflux'
+            });
+        }
+        return parts.length;
+    },
+
+    // ntfy JSON 发布，消息超过 4096 字节会被转为附件
+    async ntfy(config, { title, content }) {
+        const serverUrl = trimSlash(config.serverUrl) || 'https://ntfy.sh';
+        const parts = splitMessage(content, 4000, utf8Length);
+        const headers = config.token ? { 'Authorization': `Bearer ${config.token}` } : {};
+
+        for (let i = 0; i < parts.length; i++) {
+            await postJson(serverUrl, {
+                topic: config.topic,
+                title: partTitle(title, i, parts.length),
+                message: parts[i],
+                markdown: true,
+                priority: parseInt(config.priority) || 3
+            }, headers);
+        }
+        return parts.length;
+    },
+
+    // Gotify，客户端支持 Markdown 渲染
+    async gotify(config, { title, content }) {
+        const parts = splitMessage(content, 20000);
+
+        for (let i = 0; i < parts.length; i++) {
+            await postJson(`${trimSlash(config.serverUrl)}/message`, {
+                title: partTitle(title, i, parts.length),
+                message: parts[i],
+                priority: parseInt(config.priority) || 5,
+                extras: { 'client::display': { contentType: 'text/markdown' } }
+            }, { 'X-Gotify-Key': config.appToken });
+        }
+        return parts.length;
+    },
+
+    // Discord Webhook，单条消息上限 2000 字符，原生支持 Markdown
+    async discord(config, { title, content }) {
+        const parts = splitMessage(content, 2000 - title.length - 16);
+
+        for (let i = 0; i < parts.length; i++) {
+            await postJson(config.webhookUrl, {
+                content: `**${partTitle(title, i, parts.length)}**\n${parts[i]}`,
+                // 避免简报中的 @everyone 等触发提醒
+                allowed_mentions: { parse: [] }
+            });
+        }
+        return parts.length;
+    },
+
+    // Slack Incoming Webhook，使用 mrkdwn 格式
+    async slack(config, { title, content }) {
+        // 与 Telegram 相同，先拆分再转换，避免截断转义字符与链接
+        const parts = splitMessage(content, 3000, s => toSlackMarkdown(s).length).map(toSlackMarkdown);
+
+        for (let i = 0; i < parts.length; i++) {
+            await postJson(config.webhookUrl, {
+                text: `*${escapeSlackText(partTitle(title, i, parts.length))}*\n${parts[i]}`,
+                mrkdwn: true
+            });
+        }
+        return parts.length;
+    },
+
+    // SMTP 邮件，HTML 正文不需要拆分；任务可覆盖收件人与邮件主题
+    async email(config, { title, content, recipients, subject }) {
+        await EmailService.sendDigest(config, { title, content, recipients, subject });
+        return 1;
+    }
+};
+
+// ==================== 存储 ====================
+
+function generateChannelId() {
+    return `ch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// 读取时解密敏感字段
+function decryptChannel(stored) {
+    const config = { ...(stored.config || {}) };
+    Object.entries(stored.secrets || {}).forEach(([key, value]) => {
+        const decrypted = decrypt(value);
+        if (decrypted) config[key] = decrypted;
+    });
+    return { id: stored.id, name: stored.name, type: stored.type, enabled: stored.enabled !== false, config };
+}
+
+// 保存时加密敏感字段
+function encryptChannel(channel) {
+    const type = PUSH_CHANNEL_TYPES[channel.type];
+    const config = {};
+    const secrets = {};
+    Object.entries(channel.config).forEach(([key, value]) => {
+        if (type.secrets.includes(key)) {
+            if (value) secrets[key] = encrypt(String(value));
+        } else {
+            config[key] = value;
+        }
+    });
+    return { id: channel.id, name: channel.name, type: channel.type, enabled: channel.enabled, config, secrets };
+}
+
+export const PushChannelService = {
+    /**
+     * 读取用户的推送渠道（已解密）
+     */
+    async getChannels(userId) {
+        const prefs = await PreferenceStore.get(userId);
+        const list = Array.isArray(prefs[PREF_KEY]) ? prefs[PREF_KEY] : [];
+        return list.filter(c => PUSH_CHANNEL_TYPES[c.type]).map(decryptChannel);
+    },
+
+    /**
+     * 返回给前端的渠道列表，敏感字段打码
+     */
+    maskChannels(channels) {
+        return channels.map(channel => {
+            const { secrets } = PUSH_CHANNEL_TYPES[channel.type];
+            const config = { ...channel.config };
+            secrets.forEach(key => {
+                if (config[key]) config[key] = MASK;
+            });
+            return { ...channel, config };
+        });
+    },
+
+    /**
+     * 校验并规范化渠道；打码的敏感字段沿用已保存的值
+     * @param {Object} channel
+     * @param {Array} existing - 已保存的渠道（已解密）
+     */
+    normalizeChannel(channel, existing = []) {
+        if (!channel || typeof channel !== 'object') {
+            throw new Error('渠道格式无效');
+        }
+        const type = PUSH_CHANNEL_TYPES[channel.type];
+        if (!type) {
+            throw new Error('不支持的渠道类型');
+        }
+
+        const previous = existing.find(c => c.id === channel.id && c.type === channel.type);
+        const config = {};
+        type.fields.forEach(key => {
+            let value = channel.config?.[key];
+            if (value === MASK && previous) value = previous.config[key];
+            if (typeof value === 'string') value = value.trim();
+            if (value !== undefined && value !== '' && value !== null && value !== MASK) {
+                config[key] = key === 'secure' ? !!value : value;
+            }
+        });
+
+        const missing = type.required.filter(key => !config[key]);
+        if (missing.length > 0) {
+            throw new Error(`请填写渠道配置：${missing.join(', ')}`);
+        }
+
+        return {
+            id: channel.id || generateChannelId(),
+            name: String(channel.name || '').trim() || channel.type,
+            type: channel.type,
+            enabled: channel.enabled !== false,
+            config
+        };
+    },
+
+    /**
+     * 保存用户的推送渠道（整体替换）
+     */
+    async saveChannels(userId, channels) {
+        const prefs = await PreferenceStore.get(userId);
+        prefs[PREF_KEY] = channels.map(encryptChannel);
+        return await PreferenceStore.save(userId, prefs);
+    },
+
+    /**
+     * 通过单个渠道发送
+     * @param {Object} channel - 已解密的渠道
+     * @param {{title: string, content: string, recipients?: string, subject?: string}} message
+     *   content 为 Markdown；recipients / subject 仅邮件渠道使用
+     * @returns {Promise<number>} 实际发送的消息段数
+     */
+    async send(channel, message) {
+        const adapter = adapters[channel.type];
+        if (!adapter) throw new Error(`Unsupported channel type: ${channel.type}`);
+        return adapter(channel.config, {
+            ...message,
+            title: message.title || 'Tidyflux',
+            content: message.content || ''
+        });
+    },
+
+    /**
+     * 通过用户选择的多个渠道发送，单个渠道失败不影响其他渠道
+     * @returns {Promise<Array<{id: string, name: string, type: string, success: boolean, parts?: number, error?: string}>>}
+     */
+    async sendToChannels(userId, channelIds, message) {
+        if (!Array.isArray(channelIds) || channelIds.length === 0) return [];
+
+        const channels = (await this.getChannels(userId))
+            .filter(c => c.enabled && channelIds.includes(c.id));
+
+        return Promise.all(channels.map(async channel => {
+            const result = { id: channel.id, name: channel.name, type: channel.type };
+            try {
+                result.parts = await this.send(channel, message);
+                result.success = true;
+            } catch (error) {
+                console.error(`Push channel ${channel.type} (${channel.name}) error:`, error.message);
+                result.success = false;
+                result.error = error.message;
+            }
+            return result;
+        }));
+    }
+};
@@ -0,0 +1,700 @@
+/**
+ * Search Service - 文章与简报的本地全文检索
+ *
+ * 进程内倒排索引：字母文字按单词切分，中日韩文字按二元组切分，BM25 排序并对标题加权。
+ * 文章从 Miniflux 增量同步（按条目 ID），简报从 DigestStore 同步。
+ *
+ * 查询语法：
+ * - 普通词：全部命中
+ * - "短语"：按顺序连续出现
+ * - -词 / -"短语"：排除
+ * - feed:名称 author:作者 before:2024-05-01 after:2024-04-01 type:article|digest（值含空格时使用引号）
+ *
+ * 保存的搜索还可附加分组、仅未读与日期范围等结构化条件，见 search() 的 options。
+ */
+
+import { SearchIndexStore } from '../utils/search-index-store.js';
+import { DigestStore } from '../utils/digest-store.js';
+import { FilterService } from './filter-service.js';
+import { extractFirstImage } from '../utils.js';
+
+const MAX_DOCUMENTS = 10000;          // 每个用户最多索引的文章数，超出后淘汰最早发布的
+const MAX_TEXT_LENGTH = 2000;         // 文章保存的正文长度
+const MAX_DIGEST_TEXT_LENGTH = 20000; // 简报保存的正文长度
+const MAX_DIGESTS = 500;              // 参与索引的最近简报数
+const TITLE_WEIGHT = 3;
+const SYNC_INTERVAL_MS = 60 * 1000;   // 两次从 Miniflux 同步的最小间隔
+const SYNC_PAGE_SIZE = 100;
+const MAX_SYNC_PAGES = 20;            // 单次增量同步最多获取的页数
+const INITIAL_BACKFILL = 2000;        // 首次建立索引时回填的最近文章数
+const STATUS_SYNC_INTERVAL_MS = 5 * 60 * 1000; // 两次从 Miniflux 校正已读状态的最小间隔
+const MAX_STATUS_SYNC_PAGES = 20;     // 校正已读状态时最多获取的未读文章页数
+const SAVE_DELAY_MS = 5000;
+const SNIPPET_LENGTH = 200;
+const SNIPPET_CONTEXT = 60;           // 片段中命中位置之前保留的字符数
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const QUERY_FIELDS = ['feed', 'author', 'before', 'after', 'type'];
+const CJK_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const TOKEN_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[\p{L}\p{N}]+/gu;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function stripHtml(html) {
+    return String(html || '')
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;|&apos;/gi, '\'')
+        .replace(/&amp;/gi, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// 去除 Markdown 标记符号，保留文字
+function stripMarkdown(markdown) {
+    return String(markdown || '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[#*_>`~|]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// 用于短语比较：小写并把标点统一为单个空格
+function normalizeForMatch(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * 分词：字母文字按单词，中日韩文字按相邻二元组（单字时保留单字）
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    const tokens = [];
+    for (const [word] of String(text || '').toLowerCase().matchAll(TOKEN_REGEX)) {
+        if (CJK_CHAR.test(word[0])) {
+            if (word.length === 1) {
+                tokens.push(word);
+            }
+            for (let i = 0; i < word.length - 1; i++) {
+                tokens.push(word.substring(i, i + 2));
+            }
+        } else {
+            tokens.push(word);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * 解析查询语句
+ * @param {string} query
+ * @returns {{terms: string[], phrases: string[], excludes: string[], filters: Object}}
+ */
+export function parseQuery(query) {
+    const parsed = { terms: [], phrases: [], excludes: [], filters: {} };
+    const regex = /(-?)(?:([a-z]+):)?(?:"([^"]*)(?:"|$)|(\S+))/gi;
+
+    // 移动端键盘常自动输入中文/弯引号
+    const normalized = String(query || '').replace(/[“”„＂]/g, '"');
+
+    for (const match of normalized.matchAll(regex)) {
+        const [, negate, rawField, quoted, bare] = match;
+        const field = rawField ? rawField.toLowerCase() : null;
+        let value = (quoted ?? bare ?? '').trim();
+        if (!value) continue;
+
+        if (field && QUERY_FIELDS.includes(field)) {
+            parsed.filters[field] = value;
+            continue;
+        }
+        // 未知字段按普通文本处理
+        if (rawField) value = `${rawField}:${value}`;
+
+        if (negate) {
+            parsed.excludes.push(value);
+        } else if (quoted !== undefined) {
+            parsed.phrases.push(value);
+        } else {
+            parsed.terms.push(value);
+        }
+    }
+
+    return parsed;
+}
+
+function entryToDocument(entry) {
+    let imageUrl = null;
+    if (entry.enclosures && entry.enclosures.length > 0) {
+        const image = entry.enclosures.find(e => e.mime_type && e.mime_type.startsWith('image/'));
+        if (image) imageUrl = image.url;
+    }
+    if (!imageUrl) imageUrl = extractFirstImage(entry.content, '') || null;
+
+    return {
+        key: `article:${entry.id}`,
+        type: 'article',
+        id: entry.id,
+        title: entry.title || '',
+        text: stripHtml(entry.content).substring(0, MAX_TEXT_LENGTH),
+        feedId: entry.feed_id,
+        categoryId: entry.feed?.category?.id ?? null,
+        feedTitle: entry.feed?.title || '',
+        author: entry.author || '',
+        url: entry.url || '',
+        imageUrl,
+        publishedAt: entry.published_at,
+        isRead: entry.status === 'read',
+        isFavorited: !!entry.starred
+    };
+}
+
+function digestToDocument(digest) {
+    return {
+        key: `digest:${digest.id}`,
+        type: 'digest',
+        id: digest.id,
+        title: digest.title || '',
+        text: stripMarkdown(digest.content).substring(0, MAX_DIGEST_TEXT_LENGTH),
+        feedId: null,
+        categoryId: null,
+        feedTitle: digest.scopeName || '',
+        author: 'AI',
+        url: null,
+        imageUrl: null,
+        publishedAt: digest.generatedAt,
+        isRead: !!digest.isRead,
+        isFavorited: false,
+        articleCount: digest.articleCount || 0
+    };
+}
+
+function createIndex() {
+    return {
+        docs: new Map(),      // key -> document
+        postings: new Map(),  // token -> Map<key, 加权词频>
+        docTokens: new Map(), // key -> token[]（删除文档时使用）
+        lengths: new Map(),   // key -> 加权文档长度
+        totalLength: 0,
+        lastEntryId: 0,
+        lastSyncAt: null,
+        lastStatusSyncAt: 0,
+        syncing: null,
+        saveTimer: null
+    };
+}
+
+function removeDocument(index, key) {
+    const tokens = index.docTokens.get(key);
+    if (tokens) {
+        for (const token of tokens) {
+            const posting = index.postings.get(token);
+            if (!posting) continue;
+            posting.delete(key);
+            if (posting.size === 0) index.postings.delete(token);
+        }
+    }
+    index.totalLength -= index.lengths.get(key) || 0;
+    index.docs.delete(key);
+    index.docTokens.delete(key);
+    index.lengths.delete(key);
+}
+
+function addDocument(index, doc) {
+    if (index.docs.has(doc.key)) removeDocument(index, doc.key);
+
+    const frequencies = new Map();
+    tokenize(doc.title).forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + TITLE_WEIGHT));
+    tokenize(doc.text).forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+
+    let length = 0;
+    for (const [token, tf] of frequencies) {
+        if (!index.postings.has(token)) index.postings.set(token, new Map());
+        index.postings.get(token).set(doc.key, tf);
+        length += tf;
+    }
+
+    index.docs.set(doc.key, doc);
+    index.docTokens.set(doc.key, Array.from(frequencies.keys()));
+    index.lengths.set(doc.key, length);
+    index.totalLength += length;
+}
+
+// 文章数超出上限时淘汰最早发布的文章
+function evictOldArticles(index) {
+    const articles = Array.from(index.docs.values()).filter(doc => doc.type === 'article');
+    if (articles.length <= MAX_DOCUMENTS) return;
+
+    articles
+        .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt))
+        .slice(0, articles.length - MAX_DOCUMENTS)
+        .forEach(doc => removeDocument(index, doc.key));
+}
+
+const userIndexes = new Map(); // userId -> Promise<index>
+
+function getIndex(userId) {
+    if (!userIndexes.has(userId)) {
+        userIndexes.set(userId, SearchIndexStore.load(userId).then(data => {
+            const index = createIndex();
+            index.lastEntryId = data.lastEntryId;
+            index.lastSyncAt = data.lastSyncAt;
+            data.documents.forEach(doc => addDocument(index, doc));
+            return index;
+        }));
+    }
+    return userIndexes.get(userId);
+}
+
+// 索引变化后延迟保存，合并短时间内的多次修改
+function scheduleSave(userId, index) {
+    if (index.saveTimer) return;
+    index.saveTimer = setTimeout(() => {
+        index.saveTimer = null;
+        SearchIndexStore.save(userId, {
+            lastEntryId: index.lastEntryId,
+            lastSyncAt: index.lastSyncAt,
+            documents: Array.from(index.docs.values())
+        });
+    }, SAVE_DELAY_MS);
+}
+
+function indexEntryList(index, entries) {
+    for (const entry of entries) {
+        addDocument(index, entryToDocument(entry));
+        if (entry.id > index.lastEntryId) index.lastEntryId = entry.id;
+    }
+}
+
+async function syncArticles(index, miniflux) {
+    // 首次建立索引：回填最近的文章
+    if (!index.lastEntryId) {
+        for (let offset = 0; offset < INITIAL_BACKFILL; offset += SYNC_PAGE_SIZE) {
+            const { entries = [] } = await miniflux.getEntries({
+                order: 'id',
+                direction: 'desc',
+                limit: SYNC_PAGE_SIZE,
+                offset
+            });
+            indexEntryList(index, entries);
+            if (entries.length < SYNC_PAGE_SIZE) break;
+        }
+        return;
+    }
+
+    // 增量同步：获取上次同步之后的新文章
+    for (let page = 0; page < MAX_SYNC_PAGES; page++) {
+        const { entries = [] } = await miniflux.getEntries({
+            order: 'id',
+            direction: 'asc',
+            limit: SYNC_PAGE_SIZE,
+            after_entry_id: index.lastEntryId
+        });
+        indexEntryList(index, entries);
+        if (entries.length < SYNC_PAGE_SIZE) break;
+    }
+}
+
+/**
+ * 按 Miniflux 的未读文章校正索引中的已读状态
+ * 在其他客户端阅读的文章不会经过本服务，不校正时未读筛选与保存的搜索计数会一直偏大；
+ * 未读文章过多时只校正已获取范围内（ID 不小于获取到的最早一篇）的文章
+ * @returns {Promise<boolean>} 是否有文章的状态发生变化
+ */
+async function syncReadStatus(index, miniflux) {
+    const unreadIds = new Set();
+    let minUnreadId = 0;
+    let complete = false;
+
+    for (let page = 0; page < MAX_STATUS_SYNC_PAGES; page++) {
+        const { entries = [] } = await miniflux.getEntries({
+            status: 'unread',
+            order: 'id',
+            direction: 'desc',
+            limit: SYNC_PAGE_SIZE,
+            offset: page * SYNC_PAGE_SIZE
+        });
+        entries.forEach(entry => unreadIds.add(entry.id));
+        if (entries.length > 0) minUnreadId = entries[entries.length - 1].id;
+        if (entries.length < SYNC_PAGE_SIZE) {
+            complete = true;
+            break;
+        }
+    }
+
+    let changed = false;
+    for (const doc of index.docs.values()) {
+        if (doc.type !== 'article' || (!complete && doc.id < minUnreadId)) continue;
+        const isRead = !unreadIds.has(doc.id);
+        if (doc.isRead !== isRead) {
+            doc.isRead = isRead;
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+// 简报保存在本地，每次搜索前对齐（新增、修改、删除）
+async function syncDigests(index, userId) {
+    const digests = await DigestStore.getAll(userId, { limit: MAX_DIGESTS });
+    const seen = new Set();
+    let changed = false;
+
+    for (const digest of digests) {
+        const doc = digestToDocument(digest);
+        seen.add(doc.key);
+        const existing = index.docs.get(doc.key);
+        if (existing && existing.title === doc.title && existing.text === doc.text && existing.isRead === doc.isRead) {
+            continue;
+        }
+        addDocument(index, doc);
+        changed = true;
+    }
+
+    for (const [key, doc] of index.docs) {
+        if (doc.type === 'digest' && !seen.has(key)) {
+            removeDocument(index, key);
+            changed = true;
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * 为查询词构造高亮用的正则：单词间允许任意标点/空白，字母文字要求完整单词
+ */
+function buildHighlightRegex(texts) {
+    const patterns = texts
+        .map(text => {
+            const words = String(text).match(/[\p{L}\p{N}]+/gu);
+            if (!words) return null;
+            let pattern = words.map(escapeRegex).join('[^\\p{L}\\p{N}]+');
+            if (!CJK_CHAR.test(words[0][0])) pattern = `(?<![\\p{L}\\p{N}])${pattern}`;
+            const lastWord = words[words.length - 1];
+            if (!CJK_CHAR.test(lastWord[lastWord.length - 1])) pattern = `${pattern}(?![\\p{L}\\p{N}])`;
+            return pattern;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length);
+
+    return patterns.length > 0 ? new RegExp(patterns.join('|'), 'giu') : null;
+}
+
+function highlight(text, regex) {
+    if (!regex) return escapeHtml(text);
+
+    let result = '';
+    let last = 0;
+    for (const match of text.matchAll(regex)) {
+        if (!match[0]) continue;
+        result += escapeHtml(text.slice(last, match.index)) +
+            `<mark class="search-highlight">${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return result + escapeHtml(text.slice(last));
+}
+
+// 截取正文中首个命中位置附近的片段
+function buildSnippet(text, regex) {
+    let start = 0;
+    if (regex) {
+        regex.lastIndex = 0;
+        const match = regex.exec(text);
+        regex.lastIndex = 0;
+        if (match) start = Math.max(0, match.index - SNIPPET_CONTEXT);
+    }
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    const snippet = highlight(text.slice(start, end), regex);
+    return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+}
+
+function parseDateFilter(value) {
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+}
+
+function matchesFilters(doc, filters) {
+    if (filters.groupId && doc.categoryId != filters.groupId) return false;
+    if (filters.unreadOnly && doc.isRead) return false;
+    if (filters.type) {
+        const type = filters.type.toLowerCase().replace(/s$/, '');
+        if (doc.type !== type) return false;
+    }
+    if (filters.feed && !doc.feedTitle.toLowerCase().includes(filters.feed.toLowerCase())) return false;
+    if (filters.author && !doc.author.toLowerCase().includes(filters.author.toLowerCase())) return false;
+
+    const published = new Date(doc.publishedAt).getTime();
+    const before = filters.before ? parseDateFilter(filters.before) : null;
+    const after = filters.after ? parseDateFilter(filters.after) : null;
+    if (before !== null && !(published < before)) return false;
+    if (after !== null && !(published >= after)) return false;
+
+    return true;
+}
+
+// 去除命中隐藏规则的文章
+function removeHiddenArticles(docs, filterRules) {
+    const hideRules = (filterRules || []).filter(rule => rule.action === 'hide');
+    if (hideRules.length === 0) return docs;
+
+    const hidden = new Set(FilterService.findMatches(
+        docs.filter(doc => doc.type === 'article').map(doc => ({
+            id: doc.id,
+            feed_id: doc.feedId,
+            category_id: doc.categoryId,
+            title: doc.title,
+            content: doc.text,
+            author: doc.author,
+            url: doc.url
+        })),
+        hideRules
+    ).map(entry => entry.id));
+    return docs.filter(doc => doc.type !== 'article' || !hidden.has(doc.id));
+}
+
+// BM25 评分，tokens 须均已建立索引
+function scoreDocument(index, doc, tokens) {
+    const docCount = index.docs.size || 1;
+    const avgLength = index.totalLength / docCount || 1;
+    const length = index.lengths.get(doc.key) || 0;
+
+    let score = 0;
+    for (const token of tokens) {
+        const posting = index.postings.get(token);
+        const tf = posting.get(doc.key) || 0;
+        const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+        score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+    }
+    return score;
+}
+
+// 按发布时间从新到旧排序 { doc, score } 列表
+function byDate(a, b) {
+    return new Date(b.doc.publishedAt) - new Date(a.doc.publishedAt);
+}
+
+export const SearchService = {
+    /**
+     * 从 Miniflux 增量同步文章并对齐本地简报，定期校正已读状态
+     * 文章同步有最小间隔，并发调用共享同一次同步
+     * @param {string} userId
+     * @param {Object} miniflux - MinifluxClient
+     */
+    async sync(userId, miniflux) {
+        const index = await getIndex(userId);
+        let changed = await syncDigests(index, userId);
+
+        const now = Date.now();
+        const due = !index.lastSyncAt || now - new Date(index.lastSyncAt).getTime() >= SYNC_INTERVAL_MS;
+        const statusDue = now - index.lastStatusSyncAt >= STATUS_SYNC_INTERVAL_MS;
+        if ((due || statusDue) && !index.syncing) {
+            index.syncing = (async () => {
+                if (due) {
+                    await syncArticles(index, miniflux);
+                    index.lastSyncAt = new Date().toISOString();
+                    evictOldArticles(index);
+                }
+                if (statusDue) {
+                    await syncReadStatus(index, miniflux);
+                    index.lastStatusSyncAt = Date.now();
+                }
+            })().finally(() => {
+                index.syncing = null;
+            });
+        }
+        if (index.syncing) {
+            await index.syncing;
+            changed = true;
+        }
+
+        if (changed) scheduleSave(userId, index);
+    },
+
+    /**
+     * 将列表接口返回的文章写入索引（同时更新已读/收藏状态）
+     * @param {string} userId
+     * @param {Array} entries - Miniflux entries
+     */
+    async indexEntries(userId, entries) {
+        if (!entries || entries.length === 0) return;
+        const index = await getIndex(userId);
+        entries.forEach(entry => addDocument(index, entryToDocument(entry)));
+        evictOldArticles(index);
+        scheduleSave(userId, index);
+    },
+
+    /**
+     * 更新索引中文章的已读状态（标记已读/未读后调用，保证未读筛选与计数及时）
+     * @param {string} userId
+     * @param {Object} target
+     * @param {Array<number>} [target.entryIds]
+     * @param {number} [target.feedId]
+     * @param {number} [target.groupId]
+     * @param {boolean} [target.all] - 全部文章
+     * @param {boolean} isRead
+     */
+    async setReadStatus(userId, { entryIds = null, feedId = null, groupId = null, all = false }, isRead) {
+        const index = await getIndex(userId);
+        const ids = entryIds ? new Set(entryIds.map(Number)) : null;
+        let changed = false;
+
+        for (const doc of index.docs.values()) {
+            if (doc.type !== 'article' || doc.isRead === isRead) continue;
+            const matched = all
+                || (ids && ids.has(doc.id))
+                || (feedId && doc.feedId == feedId)
+                || (groupId && doc.categoryId == groupId);
+            if (matched) {
+                doc.isRead = isRead;
+                changed = true;
+            }
+        }
+
+        if (changed) scheduleSave(userId, index);
+    },
+
+    /**
+     * 执行搜索
+     * @param {string} userId
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {number} [options.page]
+     * @param {number} [options.limit]
+     * @param {string} [options.sort] - relevance | date
+     * @param {Array} [options.filterRules] - 用户过滤规则，命中隐藏规则的文章不返回
+     * @param {number} [options.groupId] - 只搜索该分组的文章
+     * @param {boolean} [options.unreadOnly] - 只返回未读
+     * @param {string} [options.after] - 发布日期下限（含）
+     * @param {string} [options.before] - 发布日期上限（不含）
+     * @returns {Promise<{results: Array, total: number}>}
+     */
+    async search(userId, query, {
+        page = 1, limit = 50, sort = 'relevance', filterRules = [],
+        groupId = null, unreadOnly = false, after = null, before = null
+    } = {}) {
+        const index = await getIndex(userId);
+        const parsed = parseQuery(query);
+        const positiveTexts = [...parsed.terms, ...parsed.phrases];
+        const hasFilters = Object.keys(parsed.filters).length > 0 || !!(groupId || after || before);
+
+        if (positiveTexts.length === 0 && !hasFilters) {
+            return { results: [], total: 0 };
+        }
+
+        const queryTokens = [...new Set(tokenize(positiveTexts.join(' ')))];
+        // 单个中日韩字符未建立索引（只索引二元组），改为逐篇比对
+        const indexedTokens = queryTokens.filter(token => !(token.length === 1 && CJK_CHAR.test(token)));
+        const mustContain = [
+            ...parsed.phrases,
+            ...queryTokens.filter(token => token.length === 1 && CJK_CHAR.test(token))
+        ].map(normalizeForMatch).filter(Boolean);
+        const excludes = parsed.excludes.map(normalizeForMatch).filter(Boolean);
+
+        // 取所有查询词倒排表的交集，从最短的开始
+        let candidates;
+        if (indexedTokens.length > 0) {
+            const postings = indexedTokens.map(token => index.postings.get(token));
+            if (postings.some(p => !p)) return { results: [], total: 0 };
+            postings.sort((a, b) => a.size - b.size);
+            candidates = Array.from(postings[0].keys()).filter(key => postings.every(p => p.has(key)));
+        } else {
+            candidates = Array.from(index.docs.keys());
+        }
+
+        // 查询语句中的字段与调用方的结构化条件同时生效
+        const extraFilters = { groupId, unreadOnly, after, before };
+        let docs = candidates
+            .map(key => index.docs.get(key))
+            .filter(doc => matchesFilters(doc, parsed.filters) && matchesFilters(doc, extraFilters));
+
+        if (mustContain.length > 0 || excludes.length > 0) {
+            docs = docs.filter(doc => {
+                const haystack = normalizeForMatch(`${doc.title} ${doc.text}`);
+                return mustContain.every(text => haystack.includes(text))
+                    && !excludes.some(text => haystack.includes(text));
+            });
+        }
+
+        // 与文章列表保持一致：命中隐藏规则的文章不出现在搜索结果中
+        docs = removeHiddenArticles(docs, filterRules);
+
+        const scored = docs.map(doc => ({ doc, score: scoreDocument(index, doc, indexedTokens) }));
+
+        if (sort === 'date' || indexedTokens.length === 0) {
+            scored.sort(byDate);
+        } else {
+            scored.sort((a, b) => (b.score - a.score) || byDate(a, b));
+        }
+
+        const highlightRegex = buildHighlightRegex(positiveTexts);
+        const start = (Math.max(1, page) - 1) * limit;
+        const results = scored.slice(start, start + limit).map(({ doc, score }) => ({
+            ...doc,
+            score: Math.round(score * 1000) / 1000,
+            highlights: {
+                title: highlight(doc.title, highlightRegex),
+                snippet: buildSnippet(doc.text, highlightRegex)
+            }
+        }));
+
+        return { results, total: scored.length };
+    },
+
+    /**
+     * 为 AI 问答检索相关文章
+     * 与 search() 不同，问题中的词无需全部命中，按 BM25 得分排序；
+     * 没有任何命中时返回时间范围内最新的文章
+     * @param {string} userId
+     * @param {string} question - 自然语言问题，同样支持 feed:、author: 等字段
+     * @param {Object} [options]
+     * @param {number} [options.limit]
+     * @param {Array} [options.filterRules] - 用户过滤规则，命中隐藏规则的文章不返回
+     * @param {number} [options.groupId] - 只检索该分组的文章
+     * @param {string} [options.after] - 发布时间下限
+     * @returns {Promise<Array>} 索引中的文章文档
+     */
+    async retrieve(userId, question, { limit = 8, filterRules = [], groupId = null, after = null } = {}) {
+        const index = await getIndex(userId);
+        const parsed = parseQuery(question);
+        const tokens = [...new Set(tokenize([...parsed.terms, ...parsed.phrases].join(' ')))]
+            .filter(token => index.postings.has(token));
+
+        const extraFilters = { type: 'article', groupId, after };
+        const docs = removeHiddenArticles(
+            Array.from(index.docs.values()).filter(doc => matchesFilters(doc, parsed.filters) && matchesFilters(doc, extraFilters)),
+            filterRules
+        );
+
+        const scored = docs.map(doc => ({ doc, score: scoreDocument(index, doc, tokens) }));
+        const matched = scored.filter(item => item.score > 0).sort((a, b) => (b.score - a.score) || byDate(a, b));
+        const results = matched.length > 0 ? matched : scored.sort(byDate);
+
+        return results.slice(0, limit).map(item => item.doc);
+    },
+
+    /**
+     * 清除用户的内存索引（文件由 SearchIndexStore 删除）
+     */
+    async clearUser(userId) {
+        if (!userIndexes.has(userId)) return;
+        const index = await userIndexes.get(userId);
+        if (index.saveTimer) clearTimeout(index.saveTimer);
+        userIndexes.delete(userId);
+    }
+};
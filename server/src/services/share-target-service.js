@@ -0,0 +1,453 @@
+/**
+ * Share Target Service - 将文章发送到外部服务
+ * Wallabag / Readwise / Obsidian / Webhook（可使用 Notion 页面格式）
+ * 每个目标负责自己的请求格式；目标按用户存储在 PreferenceStore 的 share_targets 中，敏感字段加密保存
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { HighlightStore } from '../utils/highlight-store.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import { articleToMarkdown, htmlToMarkdown, markdownToPdfBlocks } from './export-service.js';
+
+const PREF_KEY = 'share_targets';
+const MASK = '********';
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Obsidian 目标只能写入该目录（通常是挂载进容器的 vault）
+const OBSIDIAN_VAULT_DIR = process.env.OBSIDIAN_VAULT_DIR ? path.resolve(process.env.OBSIDIAN_VAULT_DIR) : null;
+
+const NOTION_VERSION = '2022-06-28';
+const NOTION_TEXT_LIMIT = 2000;
+const NOTION_MAX_BLOCKS = 100;
+
+function shareError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * 目标类型定义
+ * - fields: 允许保存的配置项
+ * - secrets: 需要加密保存、返回前端时打码的配置项
+ * - required: 必填项
+ * - validate: 额外校验，不通过时抛出错误
+ */
+export const SHARE_TARGET_TYPES = {
+    wallabag: {
+        fields: ['serverUrl', 'clientId', 'clientSecret', 'username', 'password', 'tags'],
+        secrets: ['clientSecret', 'password'],
+        required: ['serverUrl', 'clientId', 'clientSecret', 'username', 'password']
+    },
+    readwise: {
+        fields: ['token'],
+        secrets: ['token'],
+        required: ['token']
+    },
+    obsidian: {
+        fields: ['folder'],
+        secrets: [],
+        required: [],
+        validate(config, userId) {
+            resolveVaultFolder(config, userId);
+        }
+    },
+    webhook: {
+        fields: ['url', 'format', 'secret', 'token', 'databaseId', 'titleProperty'],
+        secrets: ['url', 'secret', 'token'],
+        required: ['url'],
+        validate(config) {
+            if (config.format === 'notion' && (!config.token || !config.databaseId)) {
+                throw new Error('Notion 格式需要填写 token 与 databaseId');
+            }
+        }
+    }
+};
+
+/**
+ * 服务器上可用的目标类型
+ */
+export function getAvailableTypes() {
+    return Object.keys(SHARE_TARGET_TYPES).filter(type => type !== 'obsidian' || OBSIDIAN_VAULT_DIR);
+}
+
+// ==================== 请求 ====================
+
+function trimSlash(url) {
+    return String(url || '').replace(/\/+$/, '');
+}
+
+async function request(url, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw shareError(`HTTP ${response.status}${body ? `: ${body.substring(0, 200)}` : ''}`, 502);
+        }
+        return response;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function postJson(url, data, headers = {}) {
+    return request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(data)
+    });
+}
+
+// ==================== 目标适配器 ====================
+
+async function getWallabagToken(config) {
+    const response = await request(`${trimSlash(config.serverUrl)}/oauth/v2/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'password',
+            client_id: config.clientId,
+            client_secret: config.clientSecret,
+            username: config.username,
+            password: config.password
+        }).toString()
+    });
+    const data = await response.json();
+    if (!data.access_token) throw shareError('Wallabag 未返回 access_token', 502);
+    return data.access_token;
+}
+
+// Obsidian 目标文件夹：每个用户使用 vault 下以用户 ID 命名的子目录，文件夹限制在其中
+function resolveVaultFolder(config, userId) {
+    if (!OBSIDIAN_VAULT_DIR) throw shareError('服务器未配置 OBSIDIAN_VAULT_DIR，无法使用 Obsidian');
+    const userDir = path.join(OBSIDIAN_VAULT_DIR, userId);
+    const folder = path.resolve(userDir, String(config.folder || '').replace(/^[/\\]+/, ''));
+    if (folder !== userDir && !folder.startsWith(userDir + path.sep)) {
+        throw shareError('文件夹必须位于你的 Obsidian 目录内');
+    }
+    return folder;
+}
+
+function highlightsToMarkdown(highlights) {
+    if (highlights.length === 0) return '';
+    const lines = ['', '## Highlights', ''];
+    for (const highlight of highlights) {
+        highlight.quote.exact.trim().split('\n').forEach(line => lines.push(`> ${line}`));
+        lines.push('');
+        if (highlight.note) lines.push(highlight.note, '');
+    }
+    return lines.join('\n');
+}
+
+function notionText(text) {
+    return [{ type: 'text', text: { content: String(text).substring(0, NOTION_TEXT_LIMIT) } }];
+}
+
+// 将排版块转换为 Notion 块
+function toNotionBlocks(entry, highlights) {
+    const blocks = entry.url ? [{ object: 'block', type: 'bookmark', bookmark: { url: entry.url } }] : [];
+    const content = markdownToPdfBlocks(htmlToMarkdown(entry.content || '', entry.url));
+
+    for (const block of content) {
+        let type;
+        switch (block.type) {
+            case 'heading': type = `heading_${Math.min(block.level, 3)}`; break;
+            case 'list': type = /\d/.test(block.marker) ? 'numbered_list_item' : 'bulleted_list_item'; break;
+            case 'quote': type = 'quote'; break;
+            case 'code': type = 'code'; break;
+            case 'rule':
+                blocks.push({ object: 'block', type: 'divider', divider: {} });
+                continue;
+            case 'paragraph': type = 'paragraph'; break;
+            default: continue;
+        }
+        const body = { rich_text: notionText(block.text) };
+        if (type === 'code') body.language = 'plain text';
+        blocks.push({ object: 'block', type, [type]: body });
+    }
+
+    if (highlights.length > 0) {
+        blocks.push({ object: 'block', type: 'heading_2', heading_2: { rich_text: notionText('Highlights') } });
+        for (const highlight of highlights) {
+            const text = highlight.note ? `${highlight.quote.exact}\n\n${highlight.note}` : highlight.quote.exact;
+            blocks.push({ object: 'block', type: 'quote', quote: { rich_text: notionText(text) } });
+        }
+    }
+
+    // Notion 单次创建页面最多 100 个子块
+    return blocks.slice(0, NOTION_MAX_BLOCKS);
+}
+
+function webhookHeaders(config, body) {
+    const headers = {};
+    if (config.token) headers['Authorization'] = `Bearer ${config.token}`;
+    if (config.secret) {
+        headers['X-Tidyflux-Signature'] = `sha256=${crypto.createHmac('sha256', config.secret).update(body).digest('hex')}`;
+    }
+    if (config.format === 'notion') headers['Notion-Version'] = NOTION_VERSION;
+    return headers;
+}
+
+async function postWebhook(config, data) {
+    const body = JSON.stringify(data);
+    return request(config.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...webhookHeaders(config, body) },
+        body
+    });
+}
+
+const adapters = {
+    // Wallabag API：使用 OAuth 密码模式获取 token 后保存链接，由 Wallabag 抓取正文
+    wallabag: {
+        async share(config, { entry }) {
+            const token = await getWallabagToken(config);
+            await postJson(`${trimSlash(config.serverUrl)}/api/entries.json`, {
+                url: entry.url,
+                title: entry.title,
+                ...(config.tags ? { tags: config.tags } : {})
+            }, { 'Authorization': `Bearer ${token}` });
+        },
+        async test(config) {
+            await getWallabagToken(config);
+        }
+    },
+
+    // Readwise Highlights API：发送这篇文章在 Tidyflux 中的高亮与笔记
+    readwise: {
+        async share(config, { entry, highlights }) {
+            if (highlights.length === 0) {
+                throw shareError('这篇文章还没有高亮，无法发送到 Readwise');
+            }
+            await postJson('https://readwise.io/api/v2/highlights/', {
+                highlights: highlights.map((highlight, i) => ({
+                    text: highlight.quote.exact,
+                    note: highlight.note || undefined,
+                    title: entry.title,
+                    author: entry.author || entry.feed?.title || undefined,
+                    source_url: entry.url || undefined,
+                    source_type: 'tidyflux',
+                    category: 'articles',
+                    location_type: 'order',
+                    location: i + 1,
+                    highlighted_at: highlight.createdAt
+                }))
+            }, { 'Authorization': `Token ${config.token}` });
+        },
+        async test(config) {
+            await request('https://readwise.io/api/v2/auth/', {
+                headers: { 'Authorization': `Token ${config.token}` }
+            });
+        }
+    },
+
+    // Obsidian：在用户的 vault 文件夹中写入带 front-matter 的 Markdown
+    // 文件名带文章 ID，同名文章不会互相覆盖，同一文章重复发送时覆盖
+    obsidian: {
+        async share(config, { entry, highlights, userId }) {
+            const folder = resolveVaultFolder(config, userId);
+            const name = String(entry.title || '')
+                .replace(/[\\/:*?"<>|#^[\]\x00-\x1F]/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim()
+                .slice(0, 120) || 'article';
+
+            await fs.mkdir(folder, { recursive: true });
+            await fs.writeFile(path.join(folder, `${name} (${entry.id}).md`), articleToMarkdown(entry) + highlightsToMarkdown(highlights), 'utf8');
+        },
+        async test(config, userId) {
+            const folder = resolveVaultFolder(config, userId);
+            await fs.mkdir(folder, { recursive: true });
+            await fs.access(folder, fs.constants.W_OK);
+        }
+    },
+
+    // 通用 Webhook：默认发送 JSON，notion 格式按 Notion 创建页面 API 组织请求体
+    webhook: {
+        async share(config, { entry, highlights }) {
+            if (config.format === 'notion') {
+                await postWebhook(config, {
+                    parent: { database_id: config.databaseId },
+                    properties: {
+                        [config.titleProperty || 'Name']: { title: notionText(entry.title || entry.url || '') }
+                    },
+                    children: toNotionBlocks(entry, highlights)
+                });
+                return;
+            }
+
+            await postWebhook(config, {
+                event: 'article.shared',
+                sharedAt: new Date().toISOString(),
+                article: {
+                    id: entry.id,
+                    title: entry.title,
+                    url: entry.url,
+                    author: entry.author,
+                    feed: entry.feed?.title,
+                    publishedAt: entry.published_at,
+                    markdown: htmlToMarkdown(entry.content || '', entry.url),
+                    html: entry.content || ''
+                },
+                highlights: highlights.map(h => ({ text: h.quote.exact, note: h.note, createdAt: h.createdAt }))
+            });
+        },
+        async test(config) {
+            if (config.format === 'notion') {
+                await request(`${new URL(config.url).origin}/v1/databases/${encodeURIComponent(config.databaseId)}`, {
+                    headers: webhookHeaders(config, '')
+                });
+                return;
+            }
+            await postWebhook(config, { event: 'test', sentAt: new Date().toISOString() });
+        }
+    }
+};
+
+// ==================== 存储 ====================
+
+function generateTargetId() {
+    return `st_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// 读取时解密敏感字段
+function decryptTarget(stored) {
+    const config = { ...(stored.config || {}) };
+    Object.entries(stored.secrets || {}).forEach(([key, value]) => {
+        const decrypted = decrypt(value);
+        if (decrypted) config[key] = decrypted;
+    });
+    return { id: stored.id, name: stored.name, type: stored.type, enabled: stored.enabled !== false, config };
+}
+
+// 保存时加密敏感字段
+function encryptTarget(target) {
+    const type = SHARE_TARGET_TYPES[target.type];
+    const config = {};
+    const secrets = {};
+    Object.entries(target.config).forEach(([key, value]) => {
+        if (type.secrets.includes(key)) {
+            if (value) secrets[key] = encrypt(String(value));
+        } else {
+            config[key] = value;
+        }
+    });
+    return { id: target.id, name: target.name, type: target.type, enabled: target.enabled, config, secrets };
+}
+
+export const ShareTargetService = {
+    /**
+     * 读取用户的分享目标（已解密）
+     */
+    async getTargets(userId) {
+        const prefs = await PreferenceStore.get(userId);
+        const list = Array.isArray(prefs[PREF_KEY]) ? prefs[PREF_KEY] : [];
+        return list.filter(t => SHARE_TARGET_TYPES[t.type]).map(decryptTarget);
+    },
+
+    /**
+     * 返回给前端的目标列表，敏感字段打码
+     */
+    maskTargets(targets) {
+        return targets.map(target => {
+            const { secrets } = SHARE_TARGET_TYPES[target.type];
+            const config = { ...target.config };
+            secrets.forEach(key => {
+                if (config[key]) config[key] = MASK;
+            });
+            return { ...target, config };
+        });
+    },
+
+    /**
+     * 校验并规范化目标；打码的敏感字段沿用已保存的值
+     * @param {Object} target
+     * @param {Array} existing - 已保存的目标（已解密）
+     * @param {string} userId
+     */
+    normalizeTarget(target, existing, userId) {
+        if (!target || typeof target !== 'object') {
+            throw new Error('分享目标格式无效');
+        }
+        const type = SHARE_TARGET_TYPES[target.type];
+        if (!type) {
+            throw new Error('不支持的分享目标类型');
+        }
+
+        const previous = existing.find(t => t.id === target.id && t.type === target.type);
+        const config = {};
+        type.fields.forEach(key => {
+            let value = target.config?.[key];
+            if (value === MASK && previous) value = previous.config[key];
+            if (typeof value === 'string') value = value.trim();
+            if (value !== undefined && value !== '' && value !== null && value !== MASK) {
+                config[key] = value;
+            }
+        });
+
+        const missing = type.required.filter(key => !config[key]);
+        if (missing.length > 0) {
+            throw new Error(`请填写分享目标配置：${missing.join(', ')}`);
+        }
+        if (type.validate) type.validate(config, userId);
+
+        return {
+            id: target.id || generateTargetId(),
+            name: String(target.name || '').trim() || target.type,
+            type: target.type,
+            enabled: target.enabled !== false,
+            config
+        };
+    },
+
+    /**
+     * 保存用户的分享目标（整体替换）
+     */
+    async saveTargets(userId, targets) {
+        const prefs = await PreferenceStore.get(userId);
+        prefs[PREF_KEY] = targets.map(encryptTarget);
+        return await PreferenceStore.save(userId, prefs);
+    },
+
+    /**
+     * 检查目标配置是否可用（凭据、目录权限等）
+     * @param {string} userId
+     * @param {Object} target - 已规范化的目标
+     */
+    async test(userId, target) {
+        await adapters[target.type].test(target.config, userId);
+    },
+
+    /**
+     * 将文章发送到用户的分享目标
+     * @param {Object} miniflux - MinifluxClient
+     * @param {string} userId
+     * @param {string} targetId
+     * @param {number} entryId
+     * @returns {Promise<Object>} 使用的目标（已打码）
+     */
+    async shareEntry(miniflux, userId, targetId, entryId) {
+        const target = (await this.getTargets(userId)).find(t => t.id === targetId && t.enabled);
+        if (!target) {
+            throw shareError('分享目标不存在', 404);
+        }
+
+        let entry;
+        try {
+            entry = await miniflux.getEntry(entryId);
+        } catch (error) {
+            if (error.status === 404) throw shareError('文章不存在', 404);
+            throw error;
+        }
+        const highlights = await HighlightStore.getByEntry(userId, entryId);
+
+        await adapters[target.type].share(target.config, { entry, highlights, userId });
+        return this.maskTargets([target])[0];
+    }
+};
@@ -0,0 +1,192 @@
+/**
+ * Web Push Service - 浏览器推送通知
+ * VAPID 密钥优先读取环境变量，否则首次使用时生成并保存在数据目录
+ * 订阅按用户存储在 PreferenceStore 的 webpush_subscriptions 中
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import webpush from 'web-push';
+import { PreferenceStore } from '../utils/preference-store.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+const VAPID_FILE = path.join(DATA_DIR, 'vapid-keys.json');
+const DEFAULT_SUBJECT = 'mailto:tidyflux@localhost';
+
+const PREF_KEY = 'webpush_subscriptions';
+// 单个用户最多保留的设备订阅数
+const MAX_SUBSCRIPTIONS = 20;
+// 推送服务对消息体有 4KB 左右的限制，正文只保留摘要
+const MAX_BODY_LENGTH = 300;
+
+let vapidKeysPromise = null;
+
+async function loadVapidKeys() {
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        return {
+            publicKey: process.env.VAPID_PUBLIC_KEY,
+            privateKey: process.env.VAPID_PRIVATE_KEY
+        };
+    }
+
+    try {
+        const data = JSON.parse(await fs.readFile(VAPID_FILE, 'utf8'));
+        const privateKey = decrypt(data.encryptedPrivateKey);
+        if (data.publicKey && privateKey) {
+            return { publicKey: data.publicKey, privateKey };
+        }
+        console.error('VAPID private key could not be decrypted, generating new keys');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading VAPID keys:', error);
+        }
+    }
+
+    // 重新生成密钥会使已有订阅失效，只在没有可用密钥时执行
+    const keys = webpush.generateVAPIDKeys();
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(VAPID_FILE, JSON.stringify({
+        publicKey: keys.publicKey,
+        encryptedPrivateKey: encrypt(keys.privateKey),
+        createdAt: new Date().toISOString()
+    }, null, 2), { mode: 0o600 });
+    console.log('Generated new VAPID keys for Web Push');
+    return keys;
+}
+
+function getVapidKeys() {
+    if (!vapidKeysPromise) {
+        vapidKeysPromise = loadVapidKeys().catch(error => {
+            vapidKeysPromise = null;
+            throw error;
+        });
+    }
+    return vapidKeysPromise;
+}
+
+// 校验浏览器 PushSubscription.toJSON() 的结构
+function isValidSubscription(sub) {
+    return !!(sub
+        && typeof sub.endpoint === 'string'
+        && /^https:\/\//.test(sub.endpoint)
+        && sub.keys
+        && typeof sub.keys.p256dh === 'string'
+        && typeof sub.keys.auth === 'string');
+}
+
+// 将 Markdown 简报压缩为通知正文
+function toNotificationBody(content) {
+    const text = String(content || '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s*(#+|>+|[-*+]\s)/gm, '')
+        .replace(/[*_`~]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return text.length > MAX_BODY_LENGTH ? text.substring(0, MAX_BODY_LENGTH) + '…' : text;
+}
+
+export const WebPushService = {
+    async getPublicKey() {
+        const { publicKey } = await getVapidKeys();
+        return publicKey;
+    },
+
+    async getSubscriptions(userId) {
+        const prefs = await PreferenceStore.get(userId);
+        return Array.isArray(prefs[PREF_KEY]) ? prefs[PREF_KEY] : [];
+    },
+
+    /**
+     * 保存订阅（同一 endpoint 覆盖旧记录）
+     */
+    async subscribe(userId, subscription, userAgent = '') {
+        if (!isValidSubscription(subscription)) {
+            throw new Error('无效的推送订阅');
+        }
+
+        const prefs = await PreferenceStore.get(userId);
+        const list = (Array.isArray(prefs[PREF_KEY]) ? prefs[PREF_KEY] : [])
+            .filter(s => s.endpoint !== subscription.endpoint);
+
+        list.push({
+            endpoint: subscription.endpoint,
+            keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+            userAgent: String(userAgent).substring(0, 200),
+            createdAt: new Date().toISOString()
+        });
+
+        prefs[PREF_KEY] = list.slice(-MAX_SUBSCRIPTIONS);
+        return await PreferenceStore.save(userId, prefs);
+    },
+
+    async unsubscribe(userId, endpoint) {
+        const prefs = await PreferenceStore.get(userId);
+        const list = Array.isArray(prefs[PREF_KEY]) ? prefs[PREF_KEY] : [];
+        prefs[PREF_KEY] = list.filter(s => s.endpoint !== endpoint);
+        return await PreferenceStore.save(userId, prefs);
+    },
+
+    /**
+     * 向用户的所有设备发送推送
+     * 推送服务返回 404/410 的订阅已失效，会被自动移除
+     * @param {string} userId
+     * @param {{title: string, body?: string, url?: string, tag?: string}} payload
+     * @returns {Promise<{sent: number, failed: number}>}
+     */
+    async sendToUser(userId, payload) {
+        const subscriptions = await this.getSubscriptions(userId);
+        const result = { sent: 0, failed: 0 };
+        if (subscriptions.length === 0) return result;
+
+        const { publicKey, privateKey } = await getVapidKeys();
+        const options = {
+            vapidDetails: {
+                subject: process.env.VAPID_SUBJECT || DEFAULT_SUBJECT,
+                publicKey,
+                privateKey
+            },
+            TTL: 24 * 60 * 60
+        };
+        const data = JSON.stringify(payload);
+
+        const expired = [];
+        await Promise.all(subscriptions.map(async sub => {
+            try {
+                await webpush.sendNotification(sub, data, options);
+                result.sent++;
+            } catch (error) {
+                result.failed++;
+                if (error.statusCode === 404 || error.statusCode === 410) {
+                    expired.push(sub.endpoint);
+                } else {
+                    console.error('Web Push send error:', error.statusCode || '', error.body || error.message);
+                }
+            }
+        }));
+
+        if (expired.length > 0) {
+            const prefs = await PreferenceStore.get(userId);
+            prefs[PREF_KEY] = (prefs[PREF_KEY] || []).filter(s => !expired.includes(s.endpoint));
+            await PreferenceStore.save(userId, prefs);
+        }
+
+        return result;
+    },
+
+    /**
+     * 推送简报完成通知，点击后打开对应简报
+     */
+    async sendDigest(userId, digest, title) {
+        return this.sendToUser(userId, {
+            title: title || digest.title,
+            body: toNotificationBody(digest.content),
+            url: `/#/article/${digest.id}`,
+            tag: digest.id
+        });
+    }
+};
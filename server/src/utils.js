@@ -147,4 +147,45 @@ export function extractThumbnailUrl(content, summary) {
     return getThumbnailUrl(imageUrl);
 }
 
+// --- Token 估算 ---
+
+// 按 Token 估算截取文本 (1 CJK char ≈ 1 token, 4 non-CJK chars ≈ 1 token)
+export function truncateByToken(text, maxTokens) {
+    if (!text) return '';
+
+    let accTokens = 0;
+    let cutIndex = 0;
+    const len = text.length;
+
+    for (let i = 0; i < len; i++) {
+        const code = text.charCodeAt(i);
+        // CJK 字符范围估算 (更精确的 Token 消耗估算)
+        // 中文通常 1 字 ≈ 1.5-2 Token，英文 1 词 ≈ 1.3 Token (约 4 字符)
+        if (code >= 0x4E00 && code <= 0x9FFF) {
+            accTokens += 1.6; // 约 625 中文字符
+        } else {
+            accTokens += 0.3; // 约 3300 英文字符 (约 700 单词)
+        }
+
+        if (accTokens >= maxTokens) {
+            cutIndex = i;
+            return text.substring(0, cutIndex) + '...';
+        }
+    }
+
+    return text;
+}
+
+// 按与 truncateByToken 相同的规则估算文本的 Token 数
+export function estimateTokens(text) {
+    if (!text) return 0;
+
+    let tokens = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        tokens += (code >= 0x4E00 && code <= 0x9FFF) ? 1.6 : 0.3;
+    }
+    return Math.ceil(tokens);
+}
+
 export { sanitizeHtml };
@@ -0,0 +1,177 @@
+/**
+ * AI Cache Store - 文章翻译、总结结果的缓存
+ * 每个用户一个文件，加载后常驻内存，修改后延迟写回；
+ * 超出条目数或总大小上限时按最近访问时间淘汰
+ */
+
+import fs from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+const CACHE_DIR = path.join(DATA_DIR, 'ai-cache');
+
+// 每个用户的缓存上限
+export const MAX_CACHE_ENTRIES = parseInt(process.env.AI_CACHE_MAX_ENTRIES, 10) || 5000;
+export const MAX_CACHE_SIZE = (parseInt(process.env.AI_CACHE_MAX_SIZE_MB, 10) || 50) * 1024 * 1024;
+
+const SAVE_DELAY = 2000;
+
+const caches = new Map();       // userId -> Promise<Map<key, item>>
+const saveTimers = new Map();
+
+function ensureDirSync() {
+    if (!existsSync(CACHE_DIR)) {
+        mkdirSync(CACHE_DIR, { recursive: true });
+    }
+}
+
+function getUserCacheFile(userId) {
+    ensureDirSync();
+    return path.join(CACHE_DIR, `${userId}.json`);
+}
+
+async function readCache(userId) {
+    try {
+        const data = await fs.readFile(getUserCacheFile(userId), 'utf8');
+        const parsed = JSON.parse(data);
+        return new Map(Object.entries(parsed.items || {}));
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`Load AI cache for ${userId} error:`, e);
+        }
+    }
+    return new Map();
+}
+
+function loadCache(userId) {
+    if (!caches.has(userId)) {
+        caches.set(userId, readCache(userId));
+    }
+    return caches.get(userId);
+}
+
+async function writeCache(userId) {
+    saveTimers.delete(userId);
+    const items = await caches.get(userId);
+    if (!items) return;
+    try {
+        await fs.writeFile(getUserCacheFile(userId), JSON.stringify({ items: Object.fromEntries(items) }), 'utf8');
+    } catch (e) {
+        console.error(`Save AI cache for ${userId} error:`, e);
+    }
+}
+
+// 翻译按段落缓存，短时间内会连续写入很多条，合并为一次写盘
+function scheduleSave(userId) {
+    if (saveTimers.has(userId)) return;
+    saveTimers.set(userId, setTimeout(() => writeCache(userId), SAVE_DELAY));
+}
+
+function getTotalSize(items) {
+    let total = 0;
+    for (const item of items.values()) total += item.size;
+    return total;
+}
+
+// 按最近访问时间淘汰，直到满足条目数与大小上限
+function evict(items) {
+    let totalSize = getTotalSize(items);
+    if (items.size <= MAX_CACHE_ENTRIES && totalSize <= MAX_CACHE_SIZE) return;
+
+    const sorted = [...items.entries()].sort((a, b) => a[1].accessedAt - b[1].accessedAt);
+    for (const [key, item] of sorted) {
+        if (items.size <= MAX_CACHE_ENTRIES && totalSize <= MAX_CACHE_SIZE) break;
+        items.delete(key);
+        totalSize -= item.size;
+    }
+}
+
+export const AICacheStore = {
+    /**
+     * 读取缓存结果并更新访问时间
+     * @returns {Promise<string|null>}
+     */
+    async get(userId, key) {
+        const items = await loadCache(userId);
+        const item = items.get(key);
+        if (!item) return null;
+
+        item.accessedAt = Date.now();
+        scheduleSave(userId);
+        return item.content;
+    },
+
+    async has(userId, key) {
+        const items = await loadCache(userId);
+        return items.has(key);
+    },
+
+    /**
+     * 写入缓存结果
+     * @param {string} userId
+     * @param {string} key
+     * @param {Object} data - { entryId, action, targetLang, content }
+     */
+    async set(userId, key, { entryId, action, targetLang, content }) {
+        const items = await loadCache(userId);
+        const now = Date.now();
+        items.set(key, {
+            entryId,
+            action,
+            targetLang,
+            content,
+            size: Buffer.byteLength(content, 'utf8'),
+            createdAt: now,
+            accessedAt: now
+        });
+        evict(items);
+        scheduleSave(userId);
+    },
+
+    /**
+     * 缓存用量
+     * @returns {Promise<{count: number, size: number, maxEntries: number, maxSize: number}>}
+     */
+    async stats(userId) {
+        const items = await loadCache(userId);
+        return {
+            count: items.size,
+            size: getTotalSize(items),
+            maxEntries: MAX_CACHE_ENTRIES,
+            maxSize: MAX_CACHE_SIZE
+        };
+    },
+
+    /**
+     * 清空用户的缓存
+     */
+    async clear(userId) {
+        const items = await loadCache(userId);
+        items.clear();
+        clearTimeout(saveTimers.get(userId));
+        await writeCache(userId);
+        return true;
+    },
+
+    /**
+     * 删除用户的缓存文件
+     */
+    async deleteAllForUser(userId) {
+        clearTimeout(saveTimers.get(userId));
+        saveTimers.delete(userId);
+        caches.delete(userId);
+        try {
+            await fs.unlink(getUserCacheFile(userId));
+            return true;
+        } catch (e) {
+            if (e.code === 'ENOENT') return true;
+            console.error(`Delete AI cache for ${userId} error:`, e);
+            return false;
+        }
+    }
+};
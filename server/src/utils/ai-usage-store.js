@@ -0,0 +1,117 @@
+/**
+ * AI Usage Store - AI Token 用量记录
+ * 每个用户一个文件，按 日期 + 用途 + 模型 汇总请求数与 Token 数
+ */
+
+import fs from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createUserLock } from './user-lock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+const USAGE_DIR = path.join(DATA_DIR, 'ai-usage');
+
+// 保留最近 400 天的记录
+const RETENTION_DAYS = 400;
+
+function ensureDirSync() {
+    if (!existsSync(USAGE_DIR)) {
+        mkdirSync(USAGE_DIR, { recursive: true });
+    }
+}
+
+function getUserUsageFile(userId) {
+    ensureDirSync();
+    return path.join(USAGE_DIR, `${userId}.json`);
+}
+
+async function loadRecords(userId) {
+    try {
+        const data = await fs.readFile(getUserUsageFile(userId), 'utf8');
+        const parsed = JSON.parse(data);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`Load AI usage for ${userId} error:`, e);
+        }
+    }
+    return [];
+}
+
+// 同一用户的多个请求可能同时记录用量，按用户串行化读写
+const withUserLock = createUserLock();
+
+// 按服务器本地时区的日期汇总
+export function formatDate(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+export const AIUsageStore = {
+    /**
+     * 累加一次请求的用量
+     * @param {string} userId
+     * @param {Object} usage
+     * @param {string} usage.action - translate / summarize / digest / chat
+     * @param {string} usage.model
+     * @param {string} usage.provider
+     * @param {number} usage.promptTokens
+     * @param {number} usage.completionTokens
+     * @param {boolean} usage.estimated - 提供商未返回用量，Token 数为估算值
+     */
+    async add(userId, { action, model, provider, promptTokens, completionTokens, estimated }) {
+        return withUserLock(userId, async () => {
+            const date = formatDate();
+            const records = await loadRecords(userId);
+
+            let record = records.find(r => r.date === date && r.action === action && r.model === model);
+            if (!record) {
+                record = { date, action, model, provider, requests: 0, promptTokens: 0, completionTokens: 0, estimatedRequests: 0 };
+                records.push(record);
+            }
+            record.requests++;
+            record.promptTokens += promptTokens;
+            record.completionTokens += completionTokens;
+            if (estimated) record.estimatedRequests++;
+
+            const cutoff = new Date();
+            cutoff.setDate(cutoff.getDate() - RETENTION_DAYS);
+            const minDate = formatDate(cutoff);
+
+            try {
+                await fs.writeFile(getUserUsageFile(userId), JSON.stringify(records.filter(r => r.date >= minDate)), 'utf8');
+            } catch (e) {
+                console.error(`Save AI usage for ${userId} error:`, e);
+            }
+        });
+    },
+
+    /**
+     * 获取日期范围内的用量记录（含首尾，格式 YYYY-MM-DD）
+     * @returns {Promise<Array>}
+     */
+    async list(userId, { from, to } = {}) {
+        const records = await loadRecords(userId);
+        return records.filter(r => (!from || r.date >= from) && (!to || r.date <= to));
+    },
+
+    /**
+     * 删除用户的用量记录
+     */
+    async deleteAllForUser(userId) {
+        try {
+            await fs.unlink(getUserUsageFile(userId));
+            return true;
+        } catch (e) {
+            if (e.code === 'ENOENT') return true;
+            console.error(`Delete AI usage for ${userId} error:`, e);
+            return false;
+        }
+    }
+};
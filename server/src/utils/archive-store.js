@@ -0,0 +1,188 @@
+/**
+ * Archive Store - 文章存档快照
+ * 每个用户一个目录：index.json 保存存档元数据与检索用纯文本，
+ * {id}.html 保存内嵌图片后的完整正文，与 Miniflux 的文章保留策略无关
+ */
+
+import fs from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createUserLock } from './user-lock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+const ARCHIVE_DIR = path.join(DATA_DIR, 'archive');
+
+const MAX_TEXT_LENGTH = 50000;   // 检索用纯文本长度
+const EXCERPT_LENGTH = 200;
+
+function getUserDir(userId) {
+    const dir = path.join(ARCHIVE_DIR, userId);
+    if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+}
+
+function getSnapshotFile(userId, id) {
+    return path.join(getUserDir(userId), `${id}.html`);
+}
+
+async function loadIndex(userId) {
+    try {
+        const data = await fs.readFile(path.join(getUserDir(userId), 'index.json'), 'utf8');
+        const parsed = JSON.parse(data);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`Load archive index for ${userId} error:`, e);
+        }
+    }
+    return [];
+}
+
+async function saveIndex(userId, items) {
+    await fs.writeFile(path.join(getUserDir(userId), 'index.json'), JSON.stringify(items), 'utf8');
+}
+
+// 同一用户的多个请求可能同时修改索引，按用户串行化读写
+const withUserLock = createUserLock();
+
+function generateArchiveId() {
+    return `arc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// 对外返回的元数据不含检索文本
+function toMeta(item) {
+    const { text, ...meta } = item;
+    return meta;
+}
+
+function normalizeForMatch(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ');
+}
+
+export const ArchiveStore = {
+    /**
+     * 分页获取存档（最新存档在前），可按关键词过滤
+     * 关键词按空白分隔，所有词都出现在标题、订阅源或正文中才算匹配
+     * @param {string} userId
+     * @param {Object} [options]
+     * @param {string} [options.query]
+     * @param {number} [options.page]
+     * @param {number} [options.limit]
+     * @returns {Promise<{items: Array, total: number}>}
+     */
+    async list(userId, { query = '', page = 1, limit = 50 } = {}) {
+        let items = await loadIndex(userId);
+
+        const terms = normalizeForMatch(query).split(' ').filter(Boolean);
+        if (terms.length > 0) {
+            items = items.filter(item => {
+                const haystack = normalizeForMatch(`${item.title} ${item.feedTitle} ${item.text}`);
+                return terms.every(term => haystack.includes(term));
+            });
+        }
+
+        items.sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt));
+        const offset = (page - 1) * limit;
+        return {
+            items: items.slice(offset, offset + limit).map(toMeta),
+            total: items.length
+        };
+    },
+
+    /**
+     * 获取存档及其快照正文
+     * @returns {Promise<Object|null>}
+     */
+    async get(userId, id) {
+        const items = await loadIndex(userId);
+        const item = items.find(i => i.id === id);
+        if (!item) return null;
+
+        try {
+            const content = await fs.readFile(getSnapshotFile(userId, id), 'utf8');
+            return { ...toMeta(item), content };
+        } catch (e) {
+            console.error(`Read archive snapshot ${id} error:`, e);
+            return null;
+        }
+    },
+
+    async findByEntry(userId, entryId) {
+        const items = await loadIndex(userId);
+        const item = items.find(i => i.entryId === entryId);
+        return item ? toMeta(item) : null;
+    },
+
+    /**
+     * 保存快照，同一文章再次存档时覆盖原快照并保留存档 ID
+     * @param {string} userId
+     * @param {Object} data
+     * @param {number} data.entryId
+     * @param {Object} data.meta - { title, url, author, feedTitle, publishedAt, fullContent, imageCount, failedImages }
+     * @param {string} data.content - 内嵌图片后的 HTML
+     * @param {string} data.text - 纯文本，用于检索与摘要
+     * @returns {Promise<Object>} 存档元数据
+     */
+    async save(userId, { entryId, meta, content, text }) {
+        return withUserLock(userId, async () => {
+            const items = await loadIndex(userId);
+            const existing = items.find(i => i.entryId === entryId);
+            const item = {
+                id: existing ? existing.id : generateArchiveId(),
+                entryId,
+                title: meta.title || '',
+                url: meta.url || '',
+                author: meta.author || '',
+                feedTitle: meta.feedTitle || '',
+                publishedAt: meta.publishedAt || null,
+                archivedAt: new Date().toISOString(),
+                fullContent: !!meta.fullContent,
+                imageCount: meta.imageCount || 0,
+                failedImages: meta.failedImages || 0,
+                size: Buffer.byteLength(content, 'utf8'),
+                excerpt: text.substring(0, EXCERPT_LENGTH),
+                text: text.substring(0, MAX_TEXT_LENGTH)
+            };
+
+            // 先写快照再更新索引，避免索引指向不存在的文件
+            await fs.writeFile(getSnapshotFile(userId, item.id), content, 'utf8');
+            const updated = items.filter(i => i.entryId !== entryId);
+            updated.push(item);
+            await saveIndex(userId, updated);
+            return toMeta(item);
+        });
+    },
+
+    async delete(userId, id) {
+        return withUserLock(userId, async () => {
+            const items = await loadIndex(userId);
+            const filtered = items.filter(i => i.id !== id);
+            if (filtered.length === items.length) return false;
+
+            await saveIndex(userId, filtered);
+            await fs.unlink(getSnapshotFile(userId, id)).catch(e => {
+                if (e.code !== 'ENOENT') console.error(`Delete archive snapshot ${id} error:`, e);
+            });
+            return true;
+        });
+    },
+
+    /**
+     * 删除用户的全部存档
+     */
+    async deleteAllForUser(userId) {
+        try {
+            await fs.rm(path.join(ARCHIVE_DIR, userId), { recursive: true, force: true });
+            return true;
+        } catch (e) {
+            console.error(`Delete archive for ${userId} error:`, e);
+            return false;
+        }
+    }
+};
@@ -0,0 +1,179 @@
+/**
+ * Digest Run Store - 简报任务运行记录
+ * 每个用户一个文件，记录定时任务每次执行的时间、文章数、token 用量、错误与推送结果
+ */
+
+import fs from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createUserLock } from './user-lock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+const RUNS_DIR = path.join(DATA_DIR, 'digest-runs');
+
+// 每个任务保留的运行记录数
+const MAX_RUNS_PER_TASK = 30;
+
+function ensureDirSync() {
+    if (!existsSync(RUNS_DIR)) {
+        mkdirSync(RUNS_DIR, { recursive: true });
+    }
+}
+
+function getUserRunsFile(userId) {
+    ensureDirSync();
+    return path.join(RUNS_DIR, `${userId}.json`);
+}
+
+async function loadRuns(userId) {
+    try {
+        const data = await fs.readFile(getUserRunsFile(userId), 'utf8');
+        return JSON.parse(data);
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`Load digest runs for ${userId} error:`, e);
+        }
+    }
+    return [];
+}
+
+async function saveRuns(userId, runs) {
+    try {
+        await fs.writeFile(getUserRunsFile(userId), JSON.stringify(runs, null, 2), 'utf8');
+        return true;
+    } catch (e) {
+        console.error(`Save digest runs for ${userId} error:`, e);
+        return false;
+    }
+}
+
+// 同一用户的多个任务可能同时结束，按用户串行化读写
+const withUserLock = createUserLock();
+
+function generateRunId(timestamp = Date.now()) {
+    return `run_${timestamp}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+export const DigestRunStore = {
+    /**
+     * 记录一次任务开始运行
+     * @param {string} userId
+     * @param {string} taskId
+     * @param {Object} [data]
+     * @param {string} [data.trigger] - schedule | catchup | retry
+     * @param {string} [data.retryOf] - 重试的原运行记录 ID
+     * @param {string} [data.scheduledFor] - 对应的计划执行时间（ISO），用于去重与补跑
+     * @returns {Promise<Object|null>} 运行记录；重试的原记录或它的另一次重试仍在运行时返回 null
+     */
+    async start(userId, taskId, { trigger = 'schedule', retryOf = null, taskTitle = '', scheduledFor = null } = {}) {
+        return withUserLock(userId, async () => {
+            const runs = await loadRuns(userId);
+            if (retryOf && runs.some(r => r.status === 'running' && (r.id === retryOf || r.retryOf === retryOf))) {
+                return null;
+            }
+            const now = Date.now();
+            const run = {
+                id: generateRunId(now),
+                taskId,
+                taskTitle,
+                trigger,
+                retryOf,
+                scheduledFor,
+                status: 'running',
+                startedAt: new Date(now).toISOString(),
+                finishedAt: null,
+                articleCount: 0,
+                digestId: null,
+                usage: null,
+                error: null,
+                push: null
+            };
+
+            runs.unshift(run);
+
+            // 每个任务只保留最近的记录
+            const counts = {};
+            const trimmed = runs.filter(r => {
+                counts[r.taskId] = (counts[r.taskId] || 0) + 1;
+                return counts[r.taskId] <= MAX_RUNS_PER_TASK;
+            });
+
+            await saveRuns(userId, trimmed);
+            return run;
+        });
+    },
+
+    /**
+     * 更新运行结果并记录结束时间
+     */
+    async finish(userId, runId, updates) {
+        return withUserLock(userId, async () => {
+            const runs = await loadRuns(userId);
+            const run = runs.find(r => r.id === runId);
+            if (!run) return null;
+
+            Object.assign(run, updates, { finishedAt: new Date().toISOString() });
+            await saveRuns(userId, runs);
+            return run;
+        });
+    },
+
+    async get(userId, runId) {
+        const runs = await loadRuns(userId);
+        return runs.find(r => r.id === runId) || null;
+    },
+
+    /**
+     * 获取任务的运行记录（最新在前）
+     */
+    async getByTask(userId, taskId, limit = MAX_RUNS_PER_TASK) {
+        const runs = await loadRuns(userId);
+        return runs.filter(r => r.taskId === taskId).slice(0, limit);
+    },
+
+    /**
+     * 服务重启时仍处于运行中的记录已无法完成，标记为失败
+     */
+    async markInterrupted() {
+        ensureDirSync();
+        try {
+            const files = (await fs.readdir(RUNS_DIR)).filter(f => f.endsWith('.json'));
+            for (const file of files) {
+                const userId = file.replace(/\.json$/, '');
+                await withUserLock(userId, async () => {
+                    const runs = await loadRuns(userId);
+                    let changed = false;
+                    runs.forEach(run => {
+                        if (run.status === 'running') {
+                            run.status = 'failed';
+                            run.error = 'Interrupted by server restart';
+                            run.finishedAt = new Date().toISOString();
+                            changed = true;
+                        }
+                    });
+                    if (changed) await saveRuns(userId, runs);
+                });
+            }
+        } catch (e) {
+            console.error('Mark interrupted digest runs error:', e);
+        }
+    },
+
+    /**
+     * 删除用户的全部运行记录
+     */
+    async deleteAllForUser(userId) {
+        try {
+            await fs.unlink(getUserRunsFile(userId));
+            return true;
+        } catch (e) {
+            if (e.code === 'ENOENT') return true;
+            console.error(`Delete digest runs for ${userId} error:`, e);
+            return false;
+        }
+    }
+};
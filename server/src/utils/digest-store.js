@@ -189,6 +189,12 @@ export const DigestStore = {
             isRead: false
         };
 
+        // 取消生成时保存的部分内容
+        if (digestData.partial) digest.partial = true;
+
+        // 简报依据的文章，用于导出来源文章
+        if (digestData.articleIds?.length) digest.articleIds = digestData.articleIds;
+
         dayDigests.unshift(digest);
         await saveDigestsForDate(userId, dateStr, dayDigests);
 
@@ -236,6 +242,24 @@ export const DigestStore = {
         return false;
     },
 
+    /**
+     * 删除用户的全部简报文件
+     */
+    async deleteAllForUser(userId) {
+        ensureDirSync();
+        try {
+            const files = await fs.readdir(DIGEST_DIR);
+            const regex = new RegExp(`^${userId}_\\d{4}-\\d{2}-\\d{2}\\.json$`);
+            await Promise.all(files
+                .filter(f => regex.test(f))
+                .map(f => fs.unlink(path.join(DIGEST_DIR, f))));
+            return true;
+        } catch (e) {
+            console.error(`Delete digests for ${userId} error:`, e);
+            return false;
+        }
+    },
+
     /**
      * 获取用于文章列表的简报
      */
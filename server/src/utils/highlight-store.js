@@ -0,0 +1,165 @@
+/**
+ * Highlight Store - 文章高亮与批注
+ * 每个用户一个文件。高亮同时记录引用文本（含前后文）与文本位置，
+ * 正文重新获取后位置失效时，前端可凭引用文本重新定位
+ */
+
+import fs from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createUserLock } from './user-lock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+const HIGHLIGHTS_DIR = path.join(DATA_DIR, 'highlights');
+
+export const MAX_QUOTE_LENGTH = 5000;
+export const MAX_CONTEXT_LENGTH = 64;
+export const MAX_NOTE_LENGTH = 5000;
+
+function ensureDirSync() {
+    if (!existsSync(HIGHLIGHTS_DIR)) {
+        mkdirSync(HIGHLIGHTS_DIR, { recursive: true });
+    }
+}
+
+function getUserHighlightsFile(userId) {
+    ensureDirSync();
+    return path.join(HIGHLIGHTS_DIR, `${userId}.json`);
+}
+
+async function loadHighlights(userId) {
+    try {
+        const data = await fs.readFile(getUserHighlightsFile(userId), 'utf8');
+        const parsed = JSON.parse(data);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`Load highlights for ${userId} error:`, e);
+        }
+    }
+    return [];
+}
+
+async function saveHighlights(userId, highlights) {
+    try {
+        await fs.writeFile(getUserHighlightsFile(userId), JSON.stringify(highlights, null, 2), 'utf8');
+        return true;
+    } catch (e) {
+        console.error(`Save highlights for ${userId} error:`, e);
+        return false;
+    }
+}
+
+// 同一用户的多个请求可能同时修改高亮，按用户串行化读写
+const withUserLock = createUserLock();
+
+function generateHighlightId() {
+    return `hl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function normalizeNote(note) {
+    return typeof note === 'string' ? note.trim().substring(0, MAX_NOTE_LENGTH) : '';
+}
+
+export const HighlightStore = {
+    /**
+     * 获取全部高亮（最新在前）
+     */
+    async getAll(userId) {
+        const highlights = await loadHighlights(userId);
+        return highlights.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    },
+
+    /**
+     * 获取文章的高亮（按在正文中的位置排序）
+     */
+    async getByEntry(userId, entryId) {
+        const highlights = await loadHighlights(userId);
+        return highlights
+            .filter(h => h.entryId === entryId)
+            .sort((a, b) => a.position.start - b.position.start);
+    },
+
+    /**
+     * 添加高亮
+     * @param {string} userId
+     * @param {Object} data
+     * @param {number} data.entryId
+     * @param {Object} data.article - { title, url, feedTitle }，用于高亮列表与导出
+     * @param {Object} data.quote - { exact, prefix, suffix }
+     * @param {Object} data.position - { start, end }
+     * @param {string} [data.note]
+     */
+    async add(userId, { entryId, article = {}, quote, position, note = '' }) {
+        return withUserLock(userId, async () => {
+            const highlights = await loadHighlights(userId);
+            const now = new Date().toISOString();
+            const highlight = {
+                id: generateHighlightId(),
+                entryId,
+                articleTitle: article.title || '',
+                articleUrl: article.url || '',
+                feedTitle: article.feedTitle || '',
+                quote: {
+                    exact: quote.exact.substring(0, MAX_QUOTE_LENGTH),
+                    prefix: typeof quote.prefix === 'string' ? quote.prefix.slice(-MAX_CONTEXT_LENGTH) : '',
+                    suffix: typeof quote.suffix === 'string' ? quote.suffix.substring(0, MAX_CONTEXT_LENGTH) : ''
+                },
+                position: { start: position.start, end: position.end },
+                note: normalizeNote(note),
+                createdAt: now,
+                updatedAt: now
+            };
+
+            highlights.push(highlight);
+            await saveHighlights(userId, highlights);
+            return highlight;
+        });
+    },
+
+    /**
+     * 更新批注
+     * @returns {Promise<Object|null>} 更新后的高亮，不存在时返回 null
+     */
+    async updateNote(userId, id, note) {
+        return withUserLock(userId, async () => {
+            const highlights = await loadHighlights(userId);
+            const highlight = highlights.find(h => h.id === id);
+            if (!highlight) return null;
+
+            highlight.note = normalizeNote(note);
+            highlight.updatedAt = new Date().toISOString();
+            await saveHighlights(userId, highlights);
+            return highlight;
+        });
+    },
+
+    async delete(userId, id) {
+        return withUserLock(userId, async () => {
+            const highlights = await loadHighlights(userId);
+            const filtered = highlights.filter(h => h.id !== id);
+            if (filtered.length === highlights.length) return false;
+
+            await saveHighlights(userId, filtered);
+            return true;
+        });
+    },
+
+    /**
+     * 删除用户的全部高亮
+     */
+    async deleteAllForUser(userId) {
+        try {
+            await fs.unlink(getUserHighlightsFile(userId));
+            return true;
+        } catch (e) {
+            if (e.code === 'ENOENT') return true;
+            console.error(`Delete highlights for ${userId} error:`, e);
+            return false;
+        }
+    }
+};
@@ -1,6 +1,6 @@
 /**
  * Miniflux 配置存储模块
- * 支持环境变量配置或手动配置
+ * 按用户手动配置，未配置的用户使用环境变量配置（全局默认值）
  * 密码使用 AES-256-GCM 加密存储
  */
 import fs from 'fs/promises';
@@ -13,7 +13,9 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
-const CONFIG_FILE = path.join(DATA_DIR, 'miniflux-config.json');
+const CONFIGS_DIR = path.join(DATA_DIR, 'miniflux-configs');
+// 旧版单用户配置文件，启动时迁移给管理员
+const LEGACY_CONFIG_FILE = path.join(DATA_DIR, 'miniflux-config.json');
 
 // 认证类型常量
 export const AUTH_TYPE_API_KEY = 'api_key';
@@ -24,12 +26,37 @@ if (!existsSync(DATA_DIR)) {
     mkdirSync(DATA_DIR, { recursive: true });
 }
 
+// 获取用户配置文件路径
+function getUserConfigPath(userId) {
+    if (!existsSync(CONFIGS_DIR)) {
+        mkdirSync(CONFIGS_DIR, { recursive: true });
+    }
+    return path.join(CONFIGS_DIR, `${userId}.json`);
+}
+
+/**
+ * 将旧版全局配置迁移为指定用户的配置，用户已有配置时不覆盖
+ */
+async function migrateLegacyConfig(userId) {
+    if (!existsSync(LEGACY_CONFIG_FILE) || existsSync(getUserConfigPath(userId))) return false;
+    try {
+        await fs.rename(LEGACY_CONFIG_FILE, getUserConfigPath(userId));
+        console.log(`Migrated legacy Miniflux config to user ${userId}`);
+        return true;
+    } catch (error) {
+        console.error('Error migrating legacy miniflux config:', error);
+        return false;
+    }
+}
+
 /**
- * 异步加载配置
+ * 异步加载用户配置
  */
-async function loadConfig() {
+async function loadConfig(userId) {
+    const configFile = getUserConfigPath(userId);
+
     try {
-        const data = await fs.readFile(CONFIG_FILE, 'utf8');
+        const data = await fs.readFile(configFile, 'utf8');
         const config = JSON.parse(data);
 
         // 解密密码
@@ -54,9 +81,9 @@ async function loadConfig() {
 }
 
 /**
- * 异步保存配置
+ * 异步保存用户配置
  */
-async function saveConfig(url, username, password, apiKey = null, authType = AUTH_TYPE_BASIC) {
+async function saveConfig(userId, url, username, password, apiKey = null, authType = AUTH_TYPE_BASIC) {
     try {
         const config = {
             url,
@@ -66,7 +93,7 @@ async function saveConfig(url, username, password, apiKey = null, authType = AUT
             authType: authType || AUTH_TYPE_BASIC,
             updated_at: new Date().toISOString()
         };
-        await fs.writeFile(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
+        await fs.writeFile(getUserConfigPath(userId), JSON.stringify(config, null, 2), { encoding: 'utf8', mode: 0o600 });
         return true;
     } catch (error) {
         console.error('Error saving miniflux config:', error);
@@ -86,10 +113,10 @@ export const MinifluxConfigStore = {
     },
 
     /**
-     * 异步检查是否已手动配置
+     * 异步检查用户是否已手动配置
      */
-    async isManualConfigured() {
-        const config = await loadConfig();
+    async isManualConfigured(userId) {
+        const config = await loadConfig(userId);
         if (!config?.url) return false;
 
         if (config.authType === AUTH_TYPE_API_KEY) {
@@ -100,10 +127,32 @@ export const MinifluxConfigStore = {
     },
 
     /**
-     * 异步获取有效的 Miniflux 配置
+     * 异步获取用户有效的 Miniflux 配置
+     * 优先使用用户自己保存的配置，未保存时使用环境变量配置作为默认值
      */
-    async getConfig() {
-        // 优先使用环境变量
+    async getConfig(userId) {
+        if (userId) {
+            const config = await loadConfig(userId);
+            if (config?.url) {
+                if (config.authType === AUTH_TYPE_API_KEY && config.apiKey) {
+                    return {
+                        url: config.url,
+                        apiKey: config.apiKey,
+                        authType: AUTH_TYPE_API_KEY,
+                        source: 'manual'
+                    };
+                } else if (config.username && config.password) {
+                    return {
+                        url: config.url,
+                        username: config.username,
+                        password: config.password,
+                        authType: AUTH_TYPE_BASIC,
+                        source: 'manual'
+                    };
+                }
+            }
+        }
+
         if (this.isEnvConfigured()) {
             if (process.env.MINIFLUX_API_KEY) {
                 return {
@@ -122,35 +171,14 @@ export const MinifluxConfigStore = {
             };
         }
 
-        // 其次使用手动配置
-        const config = await loadConfig();
-        if (config?.url) {
-            if (config.authType === AUTH_TYPE_API_KEY && config.apiKey) {
-                return {
-                    url: config.url,
-                    apiKey: config.apiKey,
-                    authType: AUTH_TYPE_API_KEY,
-                    source: 'manual'
-                };
-            } else if (config.username && config.password) {
-                return {
-                    url: config.url,
-                    username: config.username,
-                    password: config.password,
-                    authType: AUTH_TYPE_BASIC,
-                    source: 'manual'
-                };
-            }
-        }
-
         return null;
     },
 
     /**
-     * 异步获取安全的配置信息
+     * 异步获取用户安全的配置信息
      */
-    async getSafeConfig() {
-        const config = await this.getConfig();
+    async getSafeConfig(userId) {
+        const config = await this.getConfig(userId);
         if (config) {
             return {
                 configured: true,
@@ -171,19 +199,27 @@ export const MinifluxConfigStore = {
     },
 
     /**
-     * 异步保存手动配置
+     * 异步保存用户手动配置
+     */
+    async saveManualConfig(userId, url, username, password, apiKey, authType) {
+        return await saveConfig(userId, url, username, password, apiKey, authType);
+    },
+
+    /**
+     * 将旧版单用户配置迁移给指定用户（仅在启动时调用）
      */
-    async saveManualConfig(url, username, password, apiKey, authType) {
-        return await saveConfig(url, username, password, apiKey, authType);
+    async migrateLegacyConfig(userId) {
+        return await migrateLegacyConfig(userId);
     },
 
     /**
-     * 异步清除手动配置
+     * 异步清除用户手动配置
      */
-    async clearManualConfig() {
+    async clearManualConfig(userId) {
         try {
-            if (existsSync(CONFIG_FILE)) {
-                await fs.unlink(CONFIG_FILE);
+            const configFile = getUserConfigPath(userId);
+            if (existsSync(configFile)) {
+                await fs.unlink(configFile);
             }
             return true;
         } catch (error) {
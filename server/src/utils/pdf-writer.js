@@ -0,0 +1,307 @@
+/**
+ * PDF Writer - 不依赖浏览器的简易 PDF 排版
+ *
+ * 只使用 PDF 标准字体，不嵌入字体文件：
+ * 拉丁字符使用 Helvetica / Courier（WinAnsiEncoding），
+ * 其余字符（中文、希腊文、西里尔文等）使用阅读器内置的 STSong-Light（UniGB-UCS2-H）。
+ * 排版按块进行：标题、段落、列表、引用、代码、分隔线与分页。
+ */
+
+const PAGE_WIDTH = 595.28;   // A4
+const PAGE_HEIGHT = 841.89;
+const MARGIN_X = 56;
+const MARGIN_TOP = 64;
+const MARGIN_BOTTOM = 64;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN_X * 2;
+const LINE_HEIGHT = 1.5;
+
+const FONTS = {
+    regular: 'F1',
+    bold: 'F2',
+    mono: 'F3',
+    cjk: 'F4'
+};
+
+// Helvetica / Helvetica-Bold 字符宽度（32-126，单位 1/1000 em）
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsiEncoding 中 0x80-0x9F 区间的常用标点
+const WIN_ANSI_EXTRAS = {
+    0x20AC: [0x80, 556], 0x2026: [0x85, 1000], 0x2018: [0x91, 222], 0x2019: [0x92, 222],
+    0x201C: [0x93, 333], 0x201D: [0x94, 333], 0x2022: [0x95, 350], 0x2013: [0x96, 556],
+    0x2014: [0x97, 1000]
+};
+
+const STYLES = {
+    h1: { font: 'bold', size: 20, spaceBefore: 6, spaceAfter: 10 },
+    h2: { font: 'bold', size: 16, spaceBefore: 12, spaceAfter: 6 },
+    h3: { font: 'bold', size: 13, spaceBefore: 10, spaceAfter: 4 },
+    paragraph: { font: 'regular', size: 11, spaceAfter: 8 },
+    meta: { font: 'regular', size: 9, spaceAfter: 12, gray: 0.45 },
+    list: { font: 'regular', size: 11, spaceAfter: 3 },
+    quote: { font: 'regular', size: 11, spaceAfter: 8, gray: 0.3, indent: 16 },
+    code: { font: 'mono', size: 9, spaceAfter: 8, indent: 8 }
+};
+
+/**
+ * 将字符映射为 WinAnsi 字节与宽度，无法映射时返回 null（交给中文字体）
+ */
+function toWinAnsi(code, font) {
+    if (code >= 32 && code <= 126) {
+        if (font === 'mono') return [code, 600];
+        return [code, (font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32]];
+    }
+    if (code >= 0xA0 && code <= 0xFF) return [code, font === 'mono' ? 600 : 556];
+    const extra = WIN_ANSI_EXTRAS[code];
+    if (extra) return [extra[0], font === 'mono' ? 600 : extra[1]];
+    return null;
+}
+
+/**
+ * 拆分为字体一致的片段：[{ font, codes: number[], width }]
+ * 超出 BMP 的字符（如 emoji）没有可用字形，直接丢弃
+ */
+function toSegments(text, font, size) {
+    const segments = [];
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code > 0xFFFF || code < 32) continue;
+
+        const ansi = toWinAnsi(code, font);
+        const segmentFont = ansi ? font : 'cjk';
+        const byte = ansi ? ansi[0] : code;
+        const width = (ansi ? ansi[1] : 1000) * size / 1000;
+
+        const last = segments[segments.length - 1];
+        if (last && last.font === segmentFont) {
+            last.codes.push(byte);
+            last.width += width;
+        } else {
+            segments.push({ font: segmentFont, codes: [byte], width });
+        }
+    }
+    return segments;
+}
+
+function measure(text, font, size) {
+    return toSegments(text, font, size).reduce((sum, s) => sum + s.width, 0);
+}
+
+/**
+ * 按宽度折行：拉丁文本在空白处断行，中文等字符可在任意字符间断行
+ */
+function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    for (const paragraph of String(text).split('\n')) {
+        const tokens = paragraph.match(/\s+|[\x21-\x7E¡-ÿ–—‘’“”•…€]+|./gu) || [];
+        let line = '';
+        let lineWidth = 0;
+
+        const pushToken = (token) => {
+            const width = measure(token, font, size);
+            if (lineWidth + width <= maxWidth || line === '') {
+                line += token;
+                lineWidth += width;
+                return;
+            }
+            lines.push(line.trimEnd());
+            line = /^\s+$/.test(token) ? '' : token;
+            lineWidth = line ? width : 0;
+        };
+
+        for (const token of tokens) {
+            // 单个超长单词（如长链接）按字符拆分
+            if (!/^\s+$/.test(token) && measure(token, font, size) > maxWidth) {
+                for (const char of token) pushToken(char);
+            } else {
+                pushToken(token);
+            }
+        }
+        lines.push(line.trimEnd());
+    }
+    return lines;
+}
+
+function hex(codes, twoBytes) {
+    return codes.map(c => c.toString(16).padStart(twoBytes ? 4 : 2, '0')).join('').toUpperCase();
+}
+
+function formatNumber(n) {
+    return Number(n.toFixed(2)).toString();
+}
+
+// 文档信息使用 UTF-16BE 十六进制字符串，支持中文标题
+function pdfTextString(text) {
+    const codes = [0xFEFF];
+    for (let i = 0; i < text.length; i++) codes.push(text.charCodeAt(i));
+    return `<${hex(codes, true)}>`;
+}
+
+/**
+ * 排版器：依次放置行，空间不足时换页
+ */
+class Layout {
+    constructor() {
+        this.pages = [];
+        this.newPage();
+    }
+
+    newPage() {
+        this.ops = [];
+        this.pages.push(this.ops);
+        this.y = PAGE_HEIGHT - MARGIN_TOP;
+    }
+
+    ensureSpace(height) {
+        if (this.y - height < MARGIN_BOTTOM) this.newPage();
+    }
+
+    drawText(text, x, font, size, gray = 0) {
+        const segments = toSegments(text, font, size);
+        if (segments.length === 0) return;
+
+        const parts = segments.map(s => `/${FONTS[s.font]} ${size} Tf <${hex(s.codes, s.font === 'cjk')}> Tj`);
+        this.ops.push(`${gray} g BT ${formatNumber(x)} ${formatNumber(this.y)} Td ${parts.join(' ')} ET`);
+    }
+
+    /**
+     * 放置一段文字
+     * @param {string} text
+     * @param {Object} style - STYLES 中的样式
+     * @param {Object} [options]
+     * @param {number} [options.indent] - 额外缩进
+     * @param {string} [options.marker] - 列表符号，悬挂在首行左侧
+     * @param {boolean} [options.bar] - 左侧竖线（引用）
+     */
+    addText(text, style, { indent = 0, marker = '', bar = false } = {}) {
+        const left = MARGIN_X + indent + (style.indent || 0);
+        const lineHeight = style.size * LINE_HEIGHT;
+        const lines = wrapText(text, style.font, style.size, PAGE_WIDTH - MARGIN_X - left);
+
+        lines.forEach((line, i) => {
+            this.ensureSpace(lineHeight);
+            this.y -= lineHeight;
+            if (bar) {
+                const top = this.y + style.size;
+                this.ops.push(`0.8 G 2 w ${formatNumber(left - 10)} ${formatNumber(top)} m ${formatNumber(left - 10)} ${formatNumber(top - lineHeight)} l S`);
+            }
+            if (i === 0 && marker) {
+                this.drawText(marker, left - measure(marker, style.font, style.size) - 4, style.font, style.size, style.gray);
+            }
+            this.drawText(line, left, style.font, style.size, style.gray);
+        });
+        this.y -= style.spaceAfter || 0;
+    }
+
+    addRule() {
+        this.ensureSpace(16);
+        this.y -= 8;
+        this.ops.push(`0.85 G 0.5 w ${MARGIN_X} ${formatNumber(this.y)} m ${formatNumber(MARGIN_X + CONTENT_WIDTH)} ${formatNumber(this.y)} l S`);
+        this.y -= 8;
+    }
+}
+
+/**
+ * 生成 PDF
+ * @param {Object} doc
+ * @param {string} doc.title - 文档标题（写入文档信息）
+ * @param {Array<Object>} doc.blocks - 内容块：
+ *   { type: 'heading', level, text } | { type: 'paragraph' | 'meta' | 'quote' | 'code', text } |
+ *   { type: 'list', marker, text, depth } | { type: 'rule' } | { type: 'pagebreak' }
+ * @returns {Buffer}
+ */
+export function createPdf({ title = '', blocks = [] }) {
+    const layout = new Layout();
+
+    for (const block of blocks) {
+        switch (block.type) {
+            case 'heading': {
+                const style = STYLES[`h${Math.min(Math.max(block.level, 1), 3)}`];
+                // 标题至少与下一行留在同一页
+                layout.ensureSpace(style.size * LINE_HEIGHT + style.spaceBefore + STYLES.paragraph.size * LINE_HEIGHT);
+                if (layout.y < PAGE_HEIGHT - MARGIN_TOP) layout.y -= style.spaceBefore;
+                layout.addText(block.text, style);
+                break;
+            }
+            case 'list':
+                layout.addText(block.text, STYLES.list, { indent: 16 + (block.depth || 0) * 16, marker: block.marker || '•' });
+                break;
+            case 'quote':
+                layout.addText(block.text, STYLES.quote, { bar: true });
+                break;
+            case 'code':
+            case 'meta':
+            case 'paragraph':
+                layout.addText(block.text, STYLES[block.type]);
+                break;
+            case 'rule':
+                layout.addRule();
+                break;
+            case 'pagebreak':
+                if (layout.ops.length > 0) layout.newPage();
+                break;
+        }
+    }
+
+    const objects = [];
+    const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = {
+        F1: addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'),
+        F2: addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'),
+        F3: addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>')
+    };
+    const descriptorId = addObject('<< /Type /FontDescriptor /FontName /STSong-Light /Flags 6 /FontBBox [-25 -254 1000 880] /ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>');
+    const cidFontId = addObject(`<< /Type /Font /Subtype /CIDFontType0 /BaseFont /STSong-Light /CIDSystemInfo << /Registry (Adobe) /Ordering (GB1) /Supplement 2 >> /FontDescriptor ${descriptorId} 0 R /DW 1000 >>`);
+    fontIds.F4 = addObject(`<< /Type /Font /Subtype /Type0 /BaseFont /STSong-Light-UniGB-UCS2-H /Encoding /UniGB-UCS2-H /DescendantFonts [${cidFontId} 0 R] >>`);
+
+    const fontResources = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+    const pageIds = layout.pages.map((ops, index) => {
+        // 页码
+        const pageNumber = `${index + 1} / ${layout.pages.length}`;
+        const numberX = (PAGE_WIDTH - measure(pageNumber, 'regular', 9)) / 2;
+        const stream = [...ops, `0.6 g BT /F1 9 Tf ${formatNumber(numberX)} ${MARGIN_BOTTOM / 2} Td <${hex(toSegments(pageNumber, 'regular', 9)[0].codes)}> Tj ET`].join('\n');
+
+        const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = addObject(`<< /Title ${pdfTextString(title)} /Producer (Tidyflux) >>`);
+
+    // 所有对象均为 ASCII，按字节计算交叉引用表偏移
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = output.length;
+        output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+}
@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import { existsSync, mkdirSync } from 'fs';
 import path from 'path';
 import { encrypt, decrypt } from './encryption.js';
+import { UserStore } from './user-store.js';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -88,6 +89,22 @@ export const PreferenceStore = {
         }
     },
 
+    /**
+     * 异步删除用户偏好设置文件
+     */
+    async delete(userId) {
+        const filePath = getUserPrefsPath(userId);
+        try {
+            if (existsSync(filePath)) {
+                await fs.unlink(filePath);
+            }
+            return true;
+        } catch (error) {
+            console.error(`Error deleting preferences for ${userId}:`, error);
+            return false;
+        }
+    },
+
     /**
      * 异步获取所有用户的 ID 列表
      */
@@ -104,6 +121,16 @@ export const PreferenceStore = {
         }
     },
 
+    /**
+     * 获取账号仍然可用的用户 ID，跳过已禁用或已删除的账号（供后台任务使用）
+     */
+    async getActiveUserIds() {
+        const users = await UserStore.listUsers();
+        const activeIds = new Set(users.filter(user => !user.disabled).map(user => this.getUserId(user)));
+        const userIds = await this.getAllUserIds();
+        return userIds.filter(userId => activeIds.has(userId));
+    },
+
     /**
      * 生成用户唯一 ID
      */
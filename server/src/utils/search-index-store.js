@@ -0,0 +1,73 @@
+/**
+ * Search Index Store - 全文索引的持久化
+ * 每个用户一个文件，只保存文档与同步进度，倒排表在加载后于内存中重建
+ */
+
+import fs from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+const INDEX_DIR = path.join(DATA_DIR, 'search-index');
+
+function ensureDirSync() {
+    if (!existsSync(INDEX_DIR)) {
+        mkdirSync(INDEX_DIR, { recursive: true });
+    }
+}
+
+function getUserIndexFile(userId) {
+    ensureDirSync();
+    return path.join(INDEX_DIR, `${userId}.json`);
+}
+
+export const SearchIndexStore = {
+    /**
+     * 读取用户索引数据
+     * @returns {Promise<{lastEntryId: number, lastSyncAt: string|null, documents: Array}>}
+     */
+    async load(userId) {
+        try {
+            const data = await fs.readFile(getUserIndexFile(userId), 'utf8');
+            const parsed = JSON.parse(data);
+            return {
+                lastEntryId: parsed.lastEntryId || 0,
+                lastSyncAt: parsed.lastSyncAt || null,
+                documents: Array.isArray(parsed.documents) ? parsed.documents : []
+            };
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error(`Load search index for ${userId} error:`, e);
+            }
+        }
+        return { lastEntryId: 0, lastSyncAt: null, documents: [] };
+    },
+
+    async save(userId, data) {
+        try {
+            await fs.writeFile(getUserIndexFile(userId), JSON.stringify(data), 'utf8');
+            return true;
+        } catch (e) {
+            console.error(`Save search index for ${userId} error:`, e);
+            return false;
+        }
+    },
+
+    /**
+     * 删除用户索引
+     */
+    async deleteAllForUser(userId) {
+        try {
+            await fs.unlink(getUserIndexFile(userId));
+            return true;
+        } catch (e) {
+            if (e.code === 'ENOENT') return true;
+            console.error(`Delete search index for ${userId} error:`, e);
+            return false;
+        }
+    }
+};
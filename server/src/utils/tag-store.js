@@ -0,0 +1,263 @@
+/**
+ * Tag Store - 文章标签
+ * 每个用户一个文件，保存标签定义以及文章（Miniflux entry ID）与标签的对应关系
+ */
+
+import fs from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createUserLock } from './user-lock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+const TAGS_DIR = path.join(DATA_DIR, 'tags');
+
+const MAX_TAG_NAME_LENGTH = 50;
+
+function ensureDirSync() {
+    if (!existsSync(TAGS_DIR)) {
+        mkdirSync(TAGS_DIR, { recursive: true });
+    }
+}
+
+function getUserTagsFile(userId) {
+    ensureDirSync();
+    return path.join(TAGS_DIR, `${userId}.json`);
+}
+
+/**
+ * 数据结构：
+ * {
+ *   tags: [{ id, name, createdAt }],
+ *   entries: { [entryId]: { [tagId]: addedAt } }
+ * }
+ */
+async function loadData(userId) {
+    try {
+        const data = await fs.readFile(getUserTagsFile(userId), 'utf8');
+        const parsed = JSON.parse(data);
+        return {
+            tags: Array.isArray(parsed.tags) ? parsed.tags : [],
+            entries: parsed.entries && typeof parsed.entries === 'object' ? parsed.entries : {}
+        };
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`Load tags for ${userId} error:`, e);
+        }
+    }
+    return { tags: [], entries: {} };
+}
+
+async function saveData(userId, data) {
+    try {
+        await fs.writeFile(getUserTagsFile(userId), JSON.stringify(data, null, 2), 'utf8');
+        return true;
+    } catch (e) {
+        console.error(`Save tags for ${userId} error:`, e);
+        return false;
+    }
+}
+
+// 同一用户的多个请求可能同时修改标签，按用户串行化读写
+const withUserLock = createUserLock();
+
+function generateTagId() {
+    return `tag_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * 规范化标签名：去除首尾空白并合并连续空白
+ */
+export function normalizeTagName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().substring(0, MAX_TAG_NAME_LENGTH);
+}
+
+function findTagByName(tags, name) {
+    const lower = name.toLowerCase();
+    return tags.find(t => t.name.toLowerCase() === lower) || null;
+}
+
+function getEntryTagList(data, entryId) {
+    const assigned = data.entries[entryId] || {};
+    return data.tags
+        .filter(t => assigned[t.id])
+        .map(t => ({ id: t.id, name: t.name }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export const TagStore = {
+    /**
+     * 获取全部标签（含文章数），按名称排序
+     * @returns {Promise<Array<{id: string, name: string, count: number}>>}
+     */
+    async getTags(userId) {
+        const data = await loadData(userId);
+        const counts = {};
+        for (const assigned of Object.values(data.entries)) {
+            for (const tagId of Object.keys(assigned)) {
+                counts[tagId] = (counts[tagId] || 0) + 1;
+            }
+        }
+        return data.tags
+            .map(t => ({ id: t.id, name: t.name, count: counts[t.id] || 0 }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * 获取文章的标签
+     */
+    async getEntryTags(userId, entryId) {
+        const data = await loadData(userId);
+        return getEntryTagList(data, String(entryId));
+    },
+
+    /**
+     * 为文章添加标签，按名称添加时不存在则创建（名称不区分大小写）
+     * @param {string} userId
+     * @param {number|string} entryId
+     * @param {Object} tag - { tagId } 或 { name }
+     * @returns {Promise<Array|null>} 文章的标签，标签不存在时返回 null
+     */
+    async addEntryTag(userId, entryId, { tagId = null, name = '' }) {
+        return withUserLock(userId, async () => {
+            const data = await loadData(userId);
+            let tag;
+            if (tagId) {
+                tag = data.tags.find(t => t.id === tagId);
+                if (!tag) return null;
+            } else {
+                const tagName = normalizeTagName(name);
+                if (!tagName) return null;
+                tag = findTagByName(data.tags, tagName);
+                if (!tag) {
+                    tag = { id: generateTagId(), name: tagName, createdAt: new Date().toISOString() };
+                    data.tags.push(tag);
+                }
+            }
+
+            const key = String(entryId);
+            data.entries[key] = data.entries[key] || {};
+            if (!data.entries[key][tag.id]) {
+                data.entries[key][tag.id] = new Date().toISOString();
+            }
+
+            await saveData(userId, data);
+            return getEntryTagList(data, key);
+        });
+    },
+
+    /**
+     * 移除文章的标签
+     * @returns {Promise<Array>} 文章剩余的标签
+     */
+    async removeEntryTag(userId, entryId, tagId) {
+        return withUserLock(userId, async () => {
+            const data = await loadData(userId);
+            const key = String(entryId);
+            if (data.entries[key]?.[tagId]) {
+                delete data.entries[key][tagId];
+                if (Object.keys(data.entries[key]).length === 0) delete data.entries[key];
+                await saveData(userId, data);
+            }
+            return getEntryTagList(data, key);
+        });
+    },
+
+    /**
+     * 替换文章的全部标签（忽略不存在的标签 ID）
+     * @returns {Promise<Array>} 文章的标签
+     */
+    async setEntryTags(userId, entryId, tagIds) {
+        return withUserLock(userId, async () => {
+            const data = await loadData(userId);
+            const key = String(entryId);
+            const previous = data.entries[key] || {};
+            const valid = new Set(data.tags.map(t => t.id));
+            const assigned = {};
+            for (const tagId of tagIds) {
+                if (valid.has(tagId)) assigned[tagId] = previous[tagId] || new Date().toISOString();
+            }
+
+            if (Object.keys(assigned).length > 0) {
+                data.entries[key] = assigned;
+            } else {
+                delete data.entries[key];
+            }
+
+            await saveData(userId, data);
+            return getEntryTagList(data, key);
+        });
+    },
+
+    /**
+     * 获取带有某标签的文章 ID（最近添加的在前）
+     * @returns {Promise<number[]|null>} 标签不存在时返回 null
+     */
+    async getEntryIds(userId, tagId) {
+        const data = await loadData(userId);
+        if (!data.tags.some(t => t.id === tagId)) return null;
+        return Object.entries(data.entries)
+            .filter(([, assigned]) => assigned[tagId])
+            .sort((a, b) => new Date(b[1][tagId]) - new Date(a[1][tagId]))
+            .map(([entryId]) => parseInt(entryId, 10));
+    },
+
+    /**
+     * 重命名标签
+     * @returns {Promise<Object|null>} 更新后的标签，不存在时返回 null
+     * @throws {Error} 名称为空或与其他标签重名时
+     */
+    async renameTag(userId, tagId, name) {
+        return withUserLock(userId, async () => {
+            const data = await loadData(userId);
+            const tag = data.tags.find(t => t.id === tagId);
+            if (!tag) return null;
+
+            const tagName = normalizeTagName(name);
+            if (!tagName) throw new Error('Tag name is required');
+            const existing = findTagByName(data.tags, tagName);
+            if (existing && existing.id !== tagId) throw new Error('Tag name already exists');
+
+            tag.name = tagName;
+            await saveData(userId, data);
+            return { id: tag.id, name: tag.name };
+        });
+    },
+
+    /**
+     * 删除标签及其与文章的对应关系
+     */
+    async deleteTag(userId, tagId) {
+        return withUserLock(userId, async () => {
+            const data = await loadData(userId);
+            const before = data.tags.length;
+            data.tags = data.tags.filter(t => t.id !== tagId);
+            if (data.tags.length === before) return false;
+
+            for (const [entryId, assigned] of Object.entries(data.entries)) {
+                delete assigned[tagId];
+                if (Object.keys(assigned).length === 0) delete data.entries[entryId];
+            }
+
+            await saveData(userId, data);
+            return true;
+        });
+    },
+
+    /**
+     * 删除用户的全部标签
+     */
+    async deleteAllForUser(userId) {
+        try {
+            await fs.unlink(getUserTagsFile(userId));
+            return true;
+        } catch (e) {
+            if (e.code === 'ENOENT') return true;
+            console.error(`Delete tags for ${userId} error:`, e);
+            return false;
+        }
+    }
+};
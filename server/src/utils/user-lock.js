@@ -0,0 +1,23 @@
+/**
+ * 按用户串行化的异步锁
+ * 存储模块以整个文件读改写，同一用户的并发请求需要排队执行，避免后写入的覆盖先写入的修改
+ */
+
+/**
+ * 创建一组按用户区分的锁，每个存储模块各自创建，互不阻塞
+ * @returns {(userId: string, fn: Function) => Promise} 在该用户之前的操作完成后执行 fn
+ */
+export function createUserLock() {
+    const userLocks = new Map();
+
+    return function withUserLock(userId, fn) {
+        const previous = userLocks.get(userId) || Promise.resolve();
+        const next = previous.then(fn, fn);
+        const settled = next.catch(() => { });
+        userLocks.set(userId, settled);
+        settled.then(() => {
+            if (userLocks.get(userId) === settled) userLocks.delete(userId);
+        });
+        return next;
+    };
+}
@@ -22,6 +22,24 @@ const DEFAULT_ADMIN = {
     password: 'admin'
 };
 
+// 用户角色
+export const ROLE_ADMIN = 'admin';
+export const ROLE_READER = 'reader';
+export const USER_ROLES = [ROLE_ADMIN, ROLE_READER];
+
+// 设置密码时的最小长度（创建用户、重置密码、修改密码）
+export const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * 校验新密码，不符合要求时返回错误信息
+ * @returns {string|null}
+ */
+export function validatePassword(password) {
+    if (!password || typeof password !== 'string') return '请填写新密码';
+    if (password.length < MIN_PASSWORD_LENGTH) return `密码长度不能少于 ${MIN_PASSWORD_LENGTH} 位`;
+    return null;
+}
+
 // Ensure data directory exists
 if (!existsSync(DATA_DIR)) {
     mkdirSync(DATA_DIR, { recursive: true });
@@ -68,6 +86,23 @@ async function verifyPassword(password, storedHash, salt) {
     return hash === storedHash;
 }
 
+// 去除敏感字段
+function toSafeUser(user) {
+    const { hash, salt, ...safeUser } = user;
+    return {
+        ...safeUser,
+        role: safeUser.role || ROLE_ADMIN,
+        disabled: !!safeUser.disabled
+    };
+}
+
+// 统计可用的管理员数量
+function countActiveAdmins(users) {
+    return Object.values(users)
+        .filter(u => (u.role || ROLE_ADMIN) === ROLE_ADMIN && !u.disabled)
+        .length;
+}
+
 export const UserStore = {
     async init() {
         const users = await loadUsers();
@@ -82,11 +117,24 @@ export const UserStore = {
             console.log(`Username: ${DEFAULT_ADMIN.username}`);
             console.log(`Password: ${DEFAULT_ADMIN.password}`);
             console.log('--------------------------------------------------');
-            await this.createUser(DEFAULT_ADMIN.username, DEFAULT_ADMIN.password);
+            await this.createUser(DEFAULT_ADMIN.username, DEFAULT_ADMIN.password, ROLE_ADMIN);
+            return;
+        }
+
+        // 旧版本的用户没有角色字段，均视为管理员
+        let migrated = false;
+        for (const user of Object.values(users)) {
+            if (!user.role) {
+                user.role = ROLE_ADMIN;
+                migrated = true;
+            }
+        }
+        if (migrated) {
+            await saveUsers(users);
         }
     },
 
-    async createUser(username, password) {
+    async createUser(username, password, role = ROLE_READER) {
         const users = await loadUsers();
         if (users[username]) {
             throw new Error('User already exists');
@@ -97,22 +145,36 @@ export const UserStore = {
             username,
             hash,
             salt,
+            role: USER_ROLES.includes(role) ? role : ROLE_READER,
+            disabled: false,
             created_at: new Date().toISOString()
         };
 
         return await saveUsers(users);
     },
 
+    async getUser(username) {
+        const users = await loadUsers();
+        const user = users[username];
+        return user ? toSafeUser(user) : null;
+    },
+
+    async listUsers() {
+        const users = await loadUsers();
+        return Object.values(users)
+            .map(toSafeUser)
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    },
+
     async authenticate(username, password) {
         const users = await loadUsers();
         const user = users[username];
 
-        if (!user) return null;
+        if (!user || user.disabled) return null;
 
         const isValid = await verifyPassword(password, user.hash, user.salt);
         if (isValid) {
-            const { hash, salt, ...safeUser } = user;
-            return safeUser;
+            return toSafeUser(user);
         }
 
         return null;
@@ -129,6 +191,47 @@ export const UserStore = {
         users[username].salt = salt;
         users[username].updated_at = new Date().toISOString();
 
+        return await saveUsers(users);
+    },
+
+    async updateUser(username, updates = {}) {
+        const users = await loadUsers();
+        const user = users[username];
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        if (updates.role !== undefined) {
+            if (!USER_ROLES.includes(updates.role)) {
+                throw new Error('Invalid role');
+            }
+            user.role = updates.role;
+        }
+        if (updates.disabled !== undefined) {
+            user.disabled = !!updates.disabled;
+        }
+
+        // 至少保留一个可用的管理员
+        if (countActiveAdmins(users) === 0) {
+            throw new Error('Last admin');
+        }
+
+        user.updated_at = new Date().toISOString();
+        await saveUsers(users);
+        return toSafeUser(user);
+    },
+
+    async deleteUser(username) {
+        const users = await loadUsers();
+        if (!users[username]) {
+            throw new Error('User not found');
+        }
+
+        delete users[username];
+        if (countActiveAdmins(users) === 0) {
+            throw new Error('Last admin');
+        }
+
         return await saveUsers(users);
     }
 };
@@ -0,0 +1,40 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tidyflux-archive-'));
+process.env.DATA_DIR = dataDir;
+const { downloadImages } = await import('../src/services/archive-service.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('downloadImages refuses loopback and private hosts', async () => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests++;
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(Buffer.from([137, 80, 78, 71]));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    try {
+        const html = [
+            `<img src="http://127.0.0.1:${port}/a.png">`,
+            `<img src="http://localhost:${port}/b.png">`,
+            '<img src="http://[::1]/c.png">',
+            '<img src="http://169.254.169.254/latest/meta-data/">',
+            '<img src="http://[::ffff:10.0.0.1]/d.png">'
+        ].join('');
+        const { images, failedImages } = await downloadImages(html, 'https://example.com/post');
+
+        assert.equal(images.size, 0);
+        assert.equal(failedImages, 5);
+        assert.equal(requests, 0);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClusterService, computeSignature, estimateSimilarity } from '../src/services/cluster-service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const words = Array.from({ length: 40 }, (_, i) => `word${String.fromCharCode(97 + i % 26)}${i}x`);
+// 第 from 到 to 段文字，每段 4 个词，段落重叠越多越相似
+const text = (from, to) => words.slice(from * 4, to * 4).join(' ');
+
+const entry = (id, title, day = 0) => ({
+    id,
+    title,
+    content: '',
+    published_at: new Date(Date.UTC(2026, 0, 10) + day * DAY_MS).toISOString()
+});
+
+const groupIds = (groups) => groups.map(group => group.map(e => e.id));
+
+test('estimateSimilarity is 1 for identical text and low for unrelated text', () => {
+    const a = computeSignature(entry(1, text(0, 6)));
+    assert.equal(estimateSimilarity(a, computeSignature(entry(2, text(0, 6)))), 1);
+    assert.ok(estimateSimilarity(a, computeSignature(entry(3, text(6, 10)))) < 0.2);
+    assert.equal(computeSignature(entry(4, '')), null);
+});
+
+test('groupEntries groups near duplicates and keeps input order', () => {
+    const groups = ClusterService.groupEntries([
+        entry(1, text(0, 6)),
+        entry(2, 'Something else entirely'),
+        entry(3, `${text(0, 6)} extra`)
+    ]);
+    assert.deepEqual(groupIds(groups), [[1, 3], [2]]);
+});
+
+test('entries are compared with the cluster representative, so similar neighbours do not chain', () => {
+    const a = entry(1, text(0, 6));
+    const b = entry(2, text(2, 8));
+    const c = entry(3, text(4, 10));
+    const similarity = (x, y) => estimateSimilarity(computeSignature(x), computeSignature(y));
+    assert.ok(similarity(a, b) >= 0.5 && similarity(b, c) >= 0.5);
+    assert.ok(similarity(a, c) < 0.5);
+
+    assert.deepEqual(groupIds(ClusterService.groupEntries([a, b, c])), [[1, 2], [3]]);
+});
+
+test('the time window applies to the whole cluster span', () => {
+    const groups = ClusterService.groupEntries([
+        entry(1, text(0, 6), 0),
+        entry(2, text(0, 6), 2),
+        entry(3, text(0, 6), 4)
+    ]);
+    assert.deepEqual(groupIds(groups), [[1, 2], [3]]);
+});
+
+test('annotate keeps cluster IDs stable across pages and counts related entries', () => {
+    const userId = 'cluster-test';
+    ClusterService.clearUser(userId);
+
+    const first = ClusterService.annotate(userId, [entry(10, text(0, 6)), entry(11, 'Unrelated headline')]);
+    assert.deepEqual(first.get(10), { clusterId: 10, relatedCount: 0 });
+
+    const second = ClusterService.annotate(userId, [entry(12, text(0, 6))]);
+    assert.deepEqual(second.get(12), { clusterId: 10, relatedCount: 1 });
+    assert.deepEqual(second.get(12), ClusterService.annotate(userId, [entry(10, text(0, 6))]).get(10));
+
+    ClusterService.clearUser(userId);
+});
+
+test('pickRepresentative prefers the entry with the most content', () => {
+    const group = [{ id: 1, content: 'short' }, { id: 2, content: 'much longer content' }, { id: 3 }];
+    assert.equal(ClusterService.pickRepresentative(group).id, 2);
+});
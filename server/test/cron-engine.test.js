@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, isValidCron, matchesCron, getNextRuns, getLatestDueRun, getTemplateDateVars } from '../src/jobs/cron-engine.js';
+
+const NEW_YORK = 'America/New_York';
+const iso = (dates) => dates.map(d => d.toISOString());
+
+test('parseCron expands lists, ranges, steps and aliases', () => {
+    const schedule = parseCron('*/15 9-17/4 1,15 JAN-MAR mon-fri');
+    assert.deepEqual([...schedule.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...schedule.hour], [9, 13, 17]);
+    assert.deepEqual([...schedule.dayOfMonth], [1, 15]);
+    assert.deepEqual([...schedule.month], [1, 2, 3]);
+    assert.deepEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test('parseCron treats 7 as Sunday and rejects invalid fields', () => {
+    assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+    assert.equal(isValidCron('0 0 * *'), false);
+    assert.equal(isValidCron('60 0 * * *'), false);
+    assert.equal(isValidCron('0 0 * * */0'), false);
+    assert.equal(isValidCron('5-1 0 * * *'), false);
+});
+
+test('day of month and day of week are combined as a union when both are set', () => {
+    const from = Date.UTC(2026, 0, 1);
+    const runs = getNextRuns('0 12 13 * 5', { from, count: 3, timeZone: 'UTC' });
+    assert.deepEqual(iso(runs), [
+        '2026-01-02T12:00:00.000Z',
+        '2026-01-09T12:00:00.000Z',
+        '2026-01-13T12:00:00.000Z'
+    ]);
+});
+
+test('matchesCron evaluates in the given time zone', () => {
+    const date = new Date('2026-06-01T13:30:00Z');
+    assert.equal(matchesCron('30 9 * * *', date, NEW_YORK), true);
+    assert.equal(matchesCron('30 13 * * *', date, NEW_YORK), false);
+});
+
+test('weekly runs do not skip the day after spring forward', () => {
+    // 2026-03-08 只有 23 小时
+    const runs = getNextRuns('30 0 * * 1', { from: new Date('2026-03-07T05:00:00Z'), count: 3, timeZone: NEW_YORK });
+    assert.deepEqual(iso(runs), [
+        '2026-03-09T04:30:00.000Z',
+        '2026-03-16T04:30:00.000Z',
+        '2026-03-23T04:30:00.000Z'
+    ]);
+});
+
+test('monthly runs keep their day across spring forward', () => {
+    const runs = getNextRuns('10 0 9 * *', { from: new Date('2026-02-01T05:00:00Z'), count: 3, timeZone: NEW_YORK });
+    assert.deepEqual(iso(runs), [
+        '2026-02-09T05:10:00.000Z',
+        '2026-03-09T04:10:00.000Z',
+        '2026-04-09T04:10:00.000Z'
+    ]);
+});
+
+test('runs on the spring forward day use the shifted offset', () => {
+    const runs = getNextRuns('0 3 * * *', { from: new Date('2026-03-08T05:00:00Z'), count: 2, timeZone: NEW_YORK });
+    assert.deepEqual(iso(runs), ['2026-03-08T07:00:00.000Z', '2026-03-09T07:00:00.000Z']);
+});
+
+test('a repeated minute on fall back night runs only once', () => {
+    // 2026-11-01 01:00-01:59 出现两次
+    const runs = getNextRuns('30 1 * * *', { from: new Date('2026-10-31T16:00:00Z'), count: 2, timeZone: NEW_YORK });
+    assert.deepEqual(iso(runs), ['2026-11-01T05:30:00.000Z', '2026-11-02T06:30:00.000Z']);
+
+    const every = getNextRuns('0,30 1 * * *', {
+        from: new Date('2026-11-01T04:00:00Z'),
+        until: new Date('2026-11-01T08:00:00Z'),
+        count: Infinity,
+        timeZone: NEW_YORK
+    });
+    assert.deepEqual(iso(every), ['2026-11-01T05:00:00.000Z', '2026-11-01T05:30:00.000Z']);
+});
+
+test('catch-up after a fall back run does not repeat it', () => {
+    const { slot, missed } = getLatestDueRun('30 1 * * *', {
+        after: new Date('2026-11-01T05:30:00Z'),
+        until: new Date('2026-11-01T07:00:00Z'),
+        timeZone: NEW_YORK
+    });
+    assert.equal(slot, null);
+    assert.equal(missed, 0);
+});
+
+test('a search starting inside the repeated hour skips minutes already passed', () => {
+    // 01:26 EST，01:30 已在 01:30 EDT 出现过
+    const runs = getNextRuns('30 1 * * *', { from: new Date('2026-11-01T06:26:00Z'), count: 1, timeZone: NEW_YORK });
+    assert.deepEqual(iso(runs), ['2026-11-02T06:30:00.000Z']);
+});
+
+test('getLatestDueRun returns the latest slot and the number of missed runs', () => {
+    const { slot, missed } = getLatestDueRun('0 * * * *', {
+        after: Date.UTC(2026, 0, 1, 0, 0),
+        until: Date.UTC(2026, 0, 1, 3, 30),
+        timeZone: 'UTC'
+    });
+    assert.equal(slot.toISOString(), '2026-01-01T03:00:00.000Z');
+    assert.equal(missed, 3);
+});
+
+test('leap day expressions are found years ahead', () => {
+    const runs = getNextRuns('0 0 29 2 *', { from: Date.UTC(2026, 0, 1), count: 1, timeZone: 'UTC' });
+    assert.deepEqual(iso(runs), ['2028-02-29T00:00:00.000Z']);
+});
+
+test('getTemplateDateVars uses the given time zone', () => {
+    const date = new Date('2026-03-01T23:30:05Z');
+    assert.deepEqual(getTemplateDateVars(date, 'Asia/Shanghai'), { yyyy: '2026', MM: '03', dd: '02', HH: '07', mm: '30', ss: '05' });
+    assert.deepEqual(getTemplateDateVars(date, 'America/Los_Angeles'), { yyyy: '2026', MM: '03', dd: '01', HH: '15', mm: '30', ss: '05' });
+    assert.equal(getTemplateDateVars(new Date('2026-03-02T00:00:00Z'), 'UTC').HH, '00');
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FilterService, isUnsafeRegex } from '../src/services/filter-service.js';
+
+const rule = (overrides) => ({ enabled: true, fields: ['title'], matchType: 'keyword', scope: 'all', action: 'hide', ...overrides });
+
+const entries = [
+    { id: 1, feed_id: 10, title: 'Sponsored: Big Sale', content: '<p>deal</p>', author: 'Ads', url: 'https://a.example/1', status: 'unread', starred: false },
+    { id: 2, feed_id: 11, title: 'Release notes 2.0', content: '<p>changelog</p>', author: 'Dev', url: 'https://b.example/2', status: 'unread', starred: false, feed: { category: { id: 5 } } },
+    { id: 3, feed_id: 10, title: 'Weekly digest', content: '<p>sponsored <b>links</b></p>', author: 'Ed', url: 'https://a.example/3', status: 'read', starred: true }
+];
+
+const ids = (list) => list.map(entry => entry.id);
+
+test('keyword rules match any comma separated keyword, case-insensitively by default', () => {
+    assert.deepEqual(ids(FilterService.findMatches(entries, [rule({ pattern: 'sale, release' })])), [1, 2]);
+    assert.deepEqual(ids(FilterService.findMatches(entries, [rule({ pattern: 'sale', caseSensitive: true })])), []);
+});
+
+test('rules only look at the configured fields, with tags stripped from content', () => {
+    assert.deepEqual(ids(FilterService.findMatches(entries, [rule({ pattern: 'sponsored', fields: ['content'] })])), [3]);
+    assert.deepEqual(ids(FilterService.findMatches(entries, [rule({ pattern: '<p>', fields: ['content'] })])), []);
+    assert.deepEqual(ids(FilterService.findMatches(entries, [rule({ pattern: 'b.example', fields: ['url'] })])), [2]);
+});
+
+test('regex rules and scopes', () => {
+    assert.deepEqual(ids(FilterService.findMatches(entries, [rule({ matchType: 'regex', pattern: '^\\w+ notes \\d' })])), [2]);
+    assert.deepEqual(ids(FilterService.findMatches(entries, [rule({ pattern: 'e', scope: 'feed', scopeId: 10 })])), [1, 3]);
+    assert.deepEqual(ids(FilterService.findMatches(entries, [rule({ pattern: 'e', scope: 'group', scopeId: 5 })])), [2]);
+    assert.deepEqual(ids(FilterService.findMatches(entries, [rule({ pattern: 'sale', enabled: false })])), []);
+});
+
+test('isUnsafeRegex rejects nested repetition and back-references', () => {
+    for (const pattern of ['(a+)+$', '(a|aa)*', '(\\w+\\s?){2,}', '((ab)*c)+', '(.*a){3}', '(a)\\1', '(?<x>a)\\k<x>']) {
+        assert.equal(isUnsafeRegex(pattern), true, pattern);
+    }
+    for (const pattern of ['^\\[AD\\]', 'foo|bar', '(foo|bar) \\d+', '[(+*)]+', 'https?://\\S+', '(ab)?c{1,3}', '\\(x+\\)+']) {
+        assert.equal(isUnsafeRegex(pattern), false, pattern);
+    }
+});
+
+test('isUnsafeRegex rejects adjacent unbounded repeats over overlapping characters', () => {
+    for (const pattern of ['\\s*\\s*\\s*\\s*x', '\\d+\\w*', '.*x?.*', '(\\s*)\\s+', '(?:ab)*x?(?:ba)+', '[a-z]+\\b[a-z]+']) {
+        assert.equal(isUnsafeRegex(pattern), true, pattern);
+    }
+    for (const pattern of ['\\s*:\\s*', '\\d+\\.\\d+', 'a+b+', 'foo.*bar', '^\\s*$', '\\w+\\s+\\w+']) {
+        assert.equal(isUnsafeRegex(pattern), false, pattern);
+    }
+});
+
+test('normalizeRule rejects unsafe regexes and stored unsafe rules never run', () => {
+    assert.throws(() => FilterService.normalizeRule(rule({ matchType: 'regex', pattern: '(a+)+$' })), /正则表达式过于复杂/);
+    const slow = { id: 9, title: `${'a'.repeat(40)}!` };
+    assert.deepEqual(FilterService.findMatches([slow], [rule({ matchType: 'regex', pattern: '(a+)+$' })]), []);
+
+    const pattern = '\\s*\\s*\\s*\\s*x';
+    assert.throws(() => FilterService.normalizeRule(rule({ matchType: 'regex', pattern })), /正则表达式过于复杂/);
+    const spaces = { id: 10, title: ' '.repeat(2000), content: ' '.repeat(20000) };
+    assert.deepEqual(FilterService.findMatches([spaces], [rule({ matchType: 'regex', pattern, fields: ['title', 'content'] })]), []);
+});
+
+test('applyRules hides, marks read and stars only entries that are not starred yet', async () => {
+    const calls = [];
+    const starred = new Set([2]);
+    const miniflux = {
+        async updateEntriesStatus(entryIds, status) { calls.push(['status', entryIds, status]); },
+        // 列表中的收藏状态可能已过期：条目 2 已在其他客户端收藏
+        async getEntry(id) { return { id, starred: starred.has(id) }; },
+        async toggleBookmark(id) { calls.push(['toggle', id]); }
+    };
+    const list = entries.map(entry => ({ ...entry }));
+    const result = await FilterService.applyRules(miniflux, list, [
+        rule({ pattern: 'sale' }),
+        rule({ pattern: 'e', action: 'mark_read' }),
+        rule({ pattern: 'notes, digest', action: 'star' })
+    ]);
+
+    assert.deepEqual(result.hiddenIds, [1]);
+    assert.deepEqual(ids(result.entries), [2, 3]);
+    assert.deepEqual(result.readIds, [1, 2]);
+    assert.deepEqual(result.starredIds, [2]);
+    assert.deepEqual(calls, [['status', [1, 2], 'read']]);
+});
+
+test('concurrent applyRules calls toggle the bookmark only once', async () => {
+    let starred = false;
+    let toggles = 0;
+    const miniflux = {
+        async updateEntriesStatus() {},
+        async getEntry(id) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            return { id, starred };
+        },
+        async toggleBookmark() {
+            toggles++;
+            starred = !starred;
+        }
+    };
+    const rules = [rule({ pattern: 'notes', action: 'star' })];
+    await Promise.all([
+        FilterService.applyRules(miniflux, [{ ...entries[1] }], rules),
+        FilterService.applyRules(miniflux, [{ ...entries[1] }], rules)
+    ]);
+    assert.equal(toggles, 1);
+    assert.equal(starred, true);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitMessage, toTelegramMessages } from '../src/services/push-channel-service.js';
+
+test('splitMessage keeps whole lines together up to the limit', () => {
+    assert.deepEqual(splitMessage('aaa\nbbb\nccc', 7), ['aaa\nbbb', 'ccc']);
+    assert.deepEqual(splitMessage('short', 100), ['short']);
+    assert.deepEqual(splitMessage('', 10), ['']);
+});
+
+test('splitMessage hard splits a single line that exceeds the limit', () => {
+    assert.deepEqual(splitMessage('abcdefghij\nxy', 4), ['abcd', 'efgh', 'ij', 'xy']);
+    assert.deepEqual(splitMessage('abcdefghij\nx', 4), ['abcd', 'efgh', 'ij\nx']);
+});
+
+test('splitMessage measures with the given function and never splits a surrogate pair', () => {
+    const parts = splitMessage('中文中文\n😀😀', 7, s => Buffer.byteLength(s, 'utf8'));
+    assert.deepEqual(parts, ['中文', '中文', '😀', '😀']);
+    const emoji = splitMessage('😀😀😀', 2);
+    assert.deepEqual(emoji, ['😀', '😀', '😀']);
+});
+
+test('toTelegramMessages splits before escaping so no part ends inside an escape or entity', () => {
+    const line = `**${'bold.'.repeat(300)}** [link](https://example.com/a_b) ${'x.'.repeat(900)}`;
+    const messages = toTelegramMessages('Daily digest', `# Title\n${line}\n- item (1)`);
+
+    assert.ok(messages.length > 1);
+    messages.forEach((text, i) => {
+        assert.ok(text.length <= 4096, `part ${i} is ${text.length} characters`);
+        assert.ok(text.startsWith(`*Daily digest \\(${i + 1}/${messages.length}\\)*\n\n`));
+        // 去掉转义字符与完整的链接后，不应再有未转义的特殊字符，粗体标记成对出现
+        const bare = text.replace(/\\[\s\S]/g, '').replace(/\[[^\]]*\]\([^)]*\)/g, '');
+        assert.doesNotMatch(bare, /[_\[\]()~`>#+\-=|{}.!\\]/);
+        assert.equal((bare.match(/\*/g) || []).length % 2, 0);
+    });
+});
@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// 索引与简报存储写入临时目录
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tidyflux-search-'));
+process.env.DATA_DIR = dataDir;
+const { SearchService, tokenize, parseQuery } = await import('../src/services/search-service.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('tokenize splits words and uses CJK bigrams', () => {
+    assert.deepEqual(tokenize('Hello, World 2024!'), ['hello', 'world', '2024']);
+    assert.deepEqual(tokenize('人工智能'), ['人工', '工智', '智能']);
+    assert.deepEqual(tokenize('AI 芯片 新'), ['ai', '芯片', '新']);
+    assert.deepEqual(tokenize(''), []);
+});
+
+test('parseQuery separates terms, phrases, excludes and field filters', () => {
+    assert.deepEqual(parseQuery('rust "memory safety" -crypto -"hype cycle" feed:"Hacker News" after:2024-01-01 foo:bar'), {
+        terms: ['rust', 'foo:bar'],
+        phrases: ['memory safety'],
+        excludes: ['crypto', 'hype cycle'],
+        filters: { feed: 'Hacker News', after: '2024-01-01' }
+    });
+});
+
+test('parseQuery accepts curly quotes and unterminated phrases', () => {
+    assert.deepEqual(parseQuery('“open source” "unfinished').phrases, ['open source', 'unfinished']);
+    assert.deepEqual(parseQuery('   '), { terms: [], phrases: [], excludes: [], filters: {} });
+});
+
+test('sync corrects read status changed in other clients', async () => {
+    const userId = 'search-test';
+    const entries = [1, 2, 3].map(id => ({
+        id,
+        title: `Rust release ${id}`,
+        content: '<p>memory safety</p>',
+        feed_id: 1,
+        status: 'unread',
+        published_at: '2026-01-10T00:00:00Z'
+    }));
+    let unreadIds = [1, 2, 3];
+    const miniflux = {
+        async getEntries(params) {
+            if (params.status === 'unread') {
+                return { entries: entries.filter(e => unreadIds.includes(e.id)).sort((a, b) => b.id - a.id) };
+            }
+            if (params.after_entry_id) return { entries: [] };
+            return { entries: [...entries].reverse() };
+        }
+    };
+
+    await SearchService.sync(userId, miniflux);
+    assert.equal((await SearchService.search(userId, 'rust', { unreadOnly: true })).total, 3);
+
+    // 在其他客户端阅读了两篇，到达校正间隔后重新同步
+    unreadIds = [3];
+    const realNow = Date.now;
+    Date.now = () => realNow() + 10 * 60 * 1000;
+    try {
+        await SearchService.sync(userId, miniflux);
+    } finally {
+        Date.now = realNow;
+    }
+    const { results, total } = await SearchService.search(userId, 'rust', { unreadOnly: true });
+    assert.equal(total, 1);
+    assert.equal(results[0].id, 3);
+
+    await SearchService.clearUser(userId);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, createZip } from '../src/utils/zip-writer.js';
+
+// 从中央目录读取条目，并核对本地文件头与之一致
+function readZip(zip) {
+    const end = zip.length - 22;
+    assert.equal(zip.readUInt32LE(end), 0x06054B50);
+    const count = zip.readUInt16LE(end + 10);
+    const centralSize = zip.readUInt32LE(end + 12);
+    const centralOffset = zip.readUInt32LE(end + 16);
+    assert.equal(centralOffset + centralSize, end);
+
+    const entries = [];
+    let pos = centralOffset;
+    for (let i = 0; i < count; i++) {
+        assert.equal(zip.readUInt32LE(pos), 0x02014B50);
+        const crc = zip.readUInt32LE(pos + 16);
+        const size = zip.readUInt32LE(pos + 20);
+        const nameLength = zip.readUInt16LE(pos + 28);
+        const localOffset = zip.readUInt32LE(pos + 42);
+        const name = zip.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+        assert.equal(zip.readUInt32LE(localOffset), 0x04034B50);
+        assert.equal(zip.readUInt16LE(localOffset + 6), 0x0800);
+        assert.equal(zip.readUInt16LE(localOffset + 8), 0);
+        assert.equal(zip.readUInt32LE(localOffset + 14), crc);
+        assert.equal(zip.readUInt32LE(localOffset + 18), size);
+        assert.equal(zip.readUInt32LE(localOffset + 22), size);
+        assert.equal(zip.readUInt16LE(localOffset + 26), nameLength);
+        assert.equal(zip.toString('utf8', localOffset + 30, localOffset + 30 + nameLength), name);
+
+        const dataStart = localOffset + 30 + nameLength;
+        entries.push({ name, crc, localOffset, data: zip.subarray(dataStart, dataStart + size) });
+        pos += 46 + nameLength;
+    }
+    assert.equal(pos, end);
+    return entries;
+}
+
+test('crc32 matches the standard check values', () => {
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+    assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+    assert.equal(crc32(Buffer.from('The quick brown fox jumps over the lazy dog')), 0x414FA339);
+});
+
+test('createZip stores files in order with matching local and central headers', () => {
+    const binary = Buffer.from([0, 1, 2, 255, 254]);
+    const zip = createZip([
+        { name: 'mimetype', data: 'application/epub+zip' },
+        { name: 'OEBPS/文章.xhtml', data: '<p>你好</p>' },
+        { name: 'images/a.bin', data: binary }
+    ]);
+
+    const entries = readZip(zip);
+    assert.deepEqual(entries.map(e => e.name), ['mimetype', 'OEBPS/文章.xhtml', 'images/a.bin']);
+    // EPUB 要求 mimetype 为第一个条目且位于文件开头
+    assert.equal(entries[0].localOffset, 0);
+    assert.equal(zip.toString('utf8', 30, 38), 'mimetype');
+    assert.equal(entries[0].data.toString('utf8'), 'application/epub+zip');
+    assert.equal(entries[1].data.toString('utf8'), '<p>你好</p>');
+    assert.deepEqual(entries[2].data, binary);
+    for (const entry of entries) {
+        assert.equal(entry.crc, crc32(entry.data));
+    }
+});
+
+test('createZip with no files is an empty archive', () => {
+    const zip = createZip([]);
+    assert.equal(zip.length, 22);
+    assert.deepEqual(readZip(zip), []);
+});
@@ -10,6 +10,10 @@ export const API_ENDPOINTS = {
         MINIFLUX_CONFIG: '/api/auth/miniflux-config',
         MINIFLUX_STATUS: '/api/auth/miniflux-status',
         MINIFLUX_TEST: '/api/auth/miniflux-test',
+        ME: '/api/auth/me',
+    },
+    ADMIN: {
+        USERS: '/api/admin/users',
     },
     FEEDS: {
         BASE: '/api/feeds',
@@ -28,6 +32,12 @@ export const API_ENDPOINTS = {
     AI: {
         CHAT: '/api/ai/chat',
         TEST: '/api/ai/test',
+        PROFILES: '/api/ai/profiles',
+        ARTICLE: '/api/ai/article',
+        CACHE: '/api/ai/cache',
+        USAGE: '/api/ai/usage',
+        USAGE_SETTINGS: '/api/ai/usage/settings',
+        ASK: '/api/ai/ask',
     },
     DIGEST: {
         BASE: '/api/digest',
@@ -35,17 +45,26 @@ export const API_ENDPOINTS = {
         GENERATE: '/api/digest/generate',
         PREVIEW: '/api/digest/preview',
     },
+    PUSH: {
+        VAPID_PUBLIC_KEY: '/api/push/vapid-public-key',
+        SUBSCRIBE: '/api/push/subscribe',
+        UNSUBSCRIBE: '/api/push/unsubscribe',
+        TEST: '/api/push/test',
+    },
     FAVICON: {
         BASE: '/api/favicon',
+        TOKEN: '/api/favicon/token',
     }
 };
 
 export const AUTH_KEYS = {
     TOKEN: 'tidyflux_token',
     USER: 'tidyflux_user',
+    FAVICON_TOKEN: 'tidyflux_favicon_token',
 };
 
 export const STORAGE_KEYS = {
     LOCALE: 'app_language',
     AI_CONFIG: 'tidyflux_ai_config',
+    OFFLINE_CONFIG: 'tidyflux_offline_config',
 };
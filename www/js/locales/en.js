@@ -35,6 +35,7 @@ export default {
         settings: 'Settings',
         logout: 'Logout',
         search_placeholder: 'Search articles...',
+        search_syntax_hint: 'Supports “exact phrase”, -exclude, feed:name, author:name, before:2024-05-01, after:2024-04-01, type:digest',
         article_list: 'Article List',
         group_articles: 'Group Articles'
     },
@@ -107,6 +108,7 @@ export default {
     },
     article: {
         mark_read: 'Mark as Read',
+        related_count: '{count} similar articles from other feeds',
         mark_unread: 'Mark as Unread',
         star: 'Star',
         unstar: 'Unstar',
@@ -150,7 +152,10 @@ export default {
         show_thumbnails: 'Show Thumbnails',
         hide_thumbnails: 'Hide Thumbnails',
         thumbnails_on: 'Thumbnails enabled',
-        thumbnails_off: 'Thumbnails disabled'
+        thumbnails_off: 'Thumbnails disabled',
+        collapse_duplicates: 'Collapse Duplicate Stories',
+        collapse_on: 'Duplicate stories collapsed',
+        collapse_off: 'Showing all duplicate stories'
     },
     auth: {
         title: 'Tidyflux',
@@ -217,6 +222,12 @@ export default {
     },
     ai: {
         settings_title: 'AI Settings',
+        provider: 'Provider',
+        provider_openai: 'OpenAI Compatible',
+        provider_azure: 'Azure OpenAI',
+        provider_anthropic: 'Anthropic',
+        provider_gemini: 'Google Gemini',
+        provider_ollama: 'Ollama',
         api_url: 'API URL',
         api_key: 'API Key',
         model: 'Model Name',
@@ -240,6 +251,7 @@ export default {
         translate_btn: 'Translate',
         summarize_btn: 'Summarize',
         summary_title: 'Summary',
+        regenerate: 'Regenerate',
         original_content: 'Show Original',
         view_summary: 'View Summary',
         reset_prompts: 'Reset to Default Prompts',
@@ -256,6 +268,13 @@ export default {
     digest: {
         title: 'Digests',
         generating: 'Generating, please check back later',
+        progress_map: 'Summarizing articles in batches ({completed}/{total})',
+        progress_reduce: 'Merging batch summaries into the digest',
+        live_title: 'Generating Digest',
+        live_waiting: 'Collecting articles and waiting for the AI...',
+        live_streaming: 'Writing digest...',
+        cancelled: 'Digest generation cancelled',
+        cancelled_partial: 'Digest generation cancelled, the partial digest has been saved',
         generated: 'Digest generated',
         success: 'Digest generated successfully, click to view',
         generate: 'Digest Manager',
@@ -296,6 +315,9 @@ export default {
         cron_expression: 'Cron Expression',
         cron_placeholder: 'e.g.: 0 8 * * * (daily at 8am)',
         cron_hint: 'Standard crontab format: minute hour day month weekday',
+        time_zone: 'Time Zone',
+        time_zone_server: 'Server time zone',
+        catch_up: 'Catch up on runs missed while the server was down (within 24 hours)',
         parse_cron: 'Parse',
         next_runs: 'Next 5 runs',
         invalid_cron: 'Invalid Cron expression',
@@ -326,5 +348,386 @@ export default {
         settings_saved: 'Settings saved',
         yes: 'Yes',
         no: 'No'
+    },
+    admin: {
+        user_management: 'User Management',
+        manage_users: 'Manage Users',
+        user_list: 'Users',
+        create_user: 'Create User',
+        user_created: 'User created',
+        role: 'Role',
+        role_admin: 'Admin',
+        role_reader: 'Reader',
+        set_admin: 'Make Admin',
+        set_reader: 'Make Reader',
+        active: 'Active',
+        disabled: 'Disabled',
+        enable: 'Enable',
+        disable: 'Disable',
+        you: 'you',
+        reset_password: 'Reset Password',
+        enter_new_password: 'Enter a new password for {username}',
+        delete_user: 'Delete User',
+        confirm_delete_user: 'Delete user {username}? Their preferences and digests will also be removed.',
+        load_users_failed: 'Failed to load users',
+        create_user_failed: 'Failed to create user',
+        update_user_failed: 'Failed to update user',
+        reset_password_failed: 'Failed to reset password',
+        delete_user_failed: 'Failed to delete user'
+    },
+    filter: {
+        title: 'Filter Rules',
+        manage_rules: 'Manage Filter Rules',
+        description: 'Automatically hide, mark as read or star articles that match a keyword or regular expression.',
+        no_rules: 'No filter rules yet',
+        add_rule: 'Add Rule',
+        edit_rule: 'Edit Rule',
+        delete_rule: 'Delete Rule',
+        confirm_delete_rule: 'Are you sure you want to delete this rule?',
+        name: 'Name (optional)',
+        name_placeholder: 'e.g. Hide sponsored posts',
+        match_type: 'Match Type',
+        match_keyword: 'Keywords',
+        match_regex: 'Regular Expression',
+        pattern: 'Pattern',
+        keyword_placeholder: 'sponsored, advertisement',
+        regex_placeholder: '^\\[Ad\\]',
+        keyword_hint: 'Separate multiple keywords with commas; any one of them matches.',
+        regex_hint: 'JavaScript regular expression syntax.',
+        fields: 'Match In',
+        field_title: 'Title',
+        field_content: 'Content',
+        field_author: 'Author',
+        field_url: 'URL',
+        case_sensitive: 'Case sensitive',
+        scope: 'Scope',
+        scope_group: 'Group',
+        scope_feed: 'Feed',
+        action: 'Action',
+        action_hide: 'Hide',
+        action_mark_read: 'Mark as Read',
+        action_star: 'Star',
+        preview: 'Preview Matches',
+        preview_summary: '{count} of the latest {total} articles match',
+        fetch_failed: 'Failed to load filter rules',
+        save_failed: 'Failed to save filter rules',
+        preview_failed: 'Failed to preview rule'
+    },
+    offline: {
+        title: 'Offline Reading',
+        per_group: 'Unread articles to keep per group',
+        disabled: 'Off',
+        sync_now: 'Download Now',
+        syncing: 'Downloading articles and images...',
+        sync_done: '{count} articles available offline',
+        sync_failed: 'Offline download failed',
+        status: '{articles} articles cached, {pending} pending changes',
+        last_sync: 'last updated {time}',
+        unsupported: 'Offline reading is not available in this browser',
+        now_offline: 'You are offline, showing cached articles',
+        back_online: 'Back online',
+        replayed: 'Synced {count} pending changes',
+        pending: '{count} unsynced',
+        pending_title: 'Changes waiting to sync, click to retry now'
+    },
+    webpush: {
+        title: 'Browser Notifications',
+        description: 'Receive a Web Push notification on this device when a digest task finishes. Click it to open the digest.',
+        enable: 'Enable on This Device',
+        disable: 'Disable on This Device',
+        enabled: 'Notifications enabled on this device',
+        disabled: 'Notifications disabled on this device',
+        test: 'Send Test',
+        test_message: 'This is a test notification from Tidyflux.',
+        test_sent: 'Test notification sent to {count} device(s)',
+        test_failed: 'No device received the test notification',
+        enable_failed: 'Failed to enable notifications',
+        permission_denied: 'Notification permission was denied',
+        unsupported: 'This browser does not support Web Push (HTTPS is required)',
+        task_option: 'Send browser notification (Web Push)'
+    },
+    push_channel: {
+        title: 'Push Channels',
+        description: 'Deliver digests to Telegram, Bark, ntfy, Gotify, Discord, Slack or email. Select channels per task in the task editor.',
+        add: 'Add Channel',
+        edit: 'Edit Channel',
+        delete: 'Delete Channel',
+        confirm_delete: 'Delete this push channel?',
+        no_channels: 'No push channels yet',
+        none_configured: 'No push channels configured. Add one in the Digest Manager.',
+        name: 'Name',
+        name_placeholder: 'Defaults to the channel type',
+        type: 'Type',
+        type_telegram: 'Telegram',
+        type_bark: 'Bark',
+        type_ntfy: 'ntfy',
+        type_gotify: 'Gotify',
+        type_discord: 'Discord',
+        type_slack: 'Slack',
+        type_email: 'Email (SMTP)',
+        field_botToken: 'Bot Token',
+        field_chatId: 'Chat ID',
+        field_apiBase: 'API Base URL',
+        field_serverUrl: 'Server URL',
+        field_deviceKey: 'Device Key',
+        field_group: 'Group',
+        field_topic: 'Topic',
+        field_token: 'Access Token',
+        field_priority: 'Priority',
+        field_appToken: 'App Token',
+        field_webhookUrl: 'Webhook URL',
+        field_host: 'SMTP Host',
+        field_port: 'Port',
+        field_secure: 'Use SSL/TLS',
+        field_username: 'Username',
+        field_password: 'Password',
+        field_from: 'From',
+        field_to: 'To (comma separated)',
+        disabled: 'disabled',
+        count: '{count} channel(s)',
+        test_message: 'This is a **test message** from Tidyflux.',
+        test_failed: 'Failed to send test message',
+        fetch_failed: 'Failed to load push channels',
+        save_failed: 'Failed to save push channels',
+        email_recipients: 'Email Recipients',
+        email_recipients_placeholder: 'team@example.com, boss@example.com',
+        email_recipients_hint: 'Comma separated. Leave empty to use the recipients of the email channel.',
+        email_subject: 'Email Subject',
+        email_subject_hint: 'Supports {{title}}, {{yyyy}}, {{MM}}, {{dd}}, {{HH}}, {{mm}}, {{ss}}. Leave empty to use the digest title.'
+    },
+    digest_run: {
+        title: 'Run History',
+        last_run: 'Last Run',
+        no_runs: 'This task has not run yet',
+        started_at: 'Started',
+        duration: 'Duration',
+        status: 'Status',
+        status_running: 'Running',
+        status_success: 'Succeeded',
+        status_failed: 'Failed',
+        articles: 'Articles',
+        tokens: 'Tokens',
+        push: 'Push',
+        trigger_retry: 'Retry',
+        trigger_catchup: 'Catch-up',
+        retry: 'Retry this run',
+        retry_started: 'Retry started',
+        retry_failed: 'Failed to retry',
+        fetch_failed: 'Failed to load run history'
+    },
+    saved_search: {
+        save: 'Save search',
+        add_title: 'Save Search',
+        edit_title: 'Edit Saved Search',
+        name: 'Name',
+        name_placeholder: 'e.g. Rust releases',
+        query: 'Search Query',
+        group: 'Group',
+        all_groups: 'All groups',
+        unread_only: 'Unread only',
+        after: 'Published on or after',
+        before: 'Published before',
+        fill_required: 'Please enter a name and a search query',
+        saved: 'Search saved',
+        save_failed: 'Failed to save search',
+        edit: 'Edit saved search',
+        delete: 'Delete saved search',
+        confirm_delete: 'Delete saved search "{name}"?',
+        not_found: 'This saved search no longer exists'
+    },
+    tags: {
+        title: 'Tags',
+        button: 'Tags',
+        new_placeholder: 'New tag, press Enter',
+        empty: 'No tags yet',
+        rename: 'Rename tag',
+        rename_prompt: 'New name for the tag',
+        delete: 'Delete tag',
+        confirm_delete: 'Delete tag "{name}"? Articles will not be deleted.',
+        fetch_failed: 'Failed to load tags',
+        save_failed: 'Failed to save tag',
+        delete_failed: 'Failed to delete tag',
+        not_found: 'This tag no longer exists'
+    },
+    highlights: {
+        title: 'Highlights',
+        highlight: 'Highlight',
+        add_note: 'Add note',
+        edit_note: 'Edit note',
+        note_prompt: 'Note for this highlight',
+        delete: 'Delete highlight',
+        confirm_delete: 'Delete this highlight?',
+        count: '{count} highlights',
+        empty: 'No highlights yet. Select text in an article to highlight it.',
+        export: 'Export as Markdown',
+        fetch_failed: 'Failed to load highlights',
+        save_failed: 'Failed to save highlight',
+        delete_failed: 'Failed to delete highlight',
+        export_failed: 'Failed to export highlights'
+    },
+    archive: {
+        title: 'Archive',
+        save: 'Save to archive',
+        saved: 'Saved to archive',
+        view_snapshot: 'Open archived copy',
+        count: '{count} archived articles',
+        search_placeholder: 'Search the archive',
+        empty: 'No archived articles yet. Use the archive button on an article to keep a permanent copy.',
+        no_results: 'No archived articles match your search',
+        archived_at: 'Archived {date}',
+        load_more: 'Load more',
+        partial_images: '{count} images could not be saved and still load from the original site.',
+        delete: 'Delete from archive',
+        confirm_delete: 'Delete this archived copy?',
+        fetch_failed: 'Failed to load archive',
+        save_failed: 'Failed to archive article',
+        delete_failed: 'Failed to delete archived copy'
+    },
+    export: {
+        button: 'Export',
+        markdown: 'Markdown',
+        pdf: 'PDF',
+        epub: 'EPUB (with source articles)',
+        list_markdown: 'Export articles as Markdown',
+        exporting: 'Exporting...',
+        no_articles: 'No articles to export',
+        failed: 'Export failed'
+    },
+    share: {
+        button: 'Share',
+        title: 'Share Targets',
+        description: 'Send articles to Wallabag, Readwise, an Obsidian vault or any webhook (including Notion). Credentials are stored encrypted on the server.',
+        manage_targets: 'Manage Share Targets',
+        add: 'Add Share Target',
+        edit: 'Edit Share Target',
+        delete: 'Delete Share Target',
+        confirm_delete: 'Delete this share target?',
+        no_targets: 'No share targets yet',
+        name: 'Name',
+        name_placeholder: 'Defaults to the target type',
+        type: 'Type',
+        type_wallabag: 'Wallabag',
+        type_readwise: 'Readwise',
+        type_obsidian: 'Obsidian',
+        type_webhook: 'Webhook',
+        hint_wallabag: 'Saves the article URL; Wallabag fetches the content itself. Create an API client in Wallabag to get the client ID and secret.',
+        hint_readwise: 'Sends the highlights and notes you made on the article. Get your token at readwise.io/access_token.',
+        hint_obsidian: 'Writes a Markdown file with front-matter into your own subfolder of the vault configured on the server.',
+        hint_webhook: 'POSTs the article as JSON. With the Notion format, set the URL to https://api.notion.com/v1/pages and fill in the integration token and database ID.',
+        field_serverUrl: 'Server URL',
+        field_clientId: 'Client ID',
+        field_clientSecret: 'Client Secret',
+        field_username: 'Username',
+        field_password: 'Password',
+        field_tags: 'Tags (comma separated)',
+        field_token: 'Token',
+        field_folder: 'Folder in vault',
+        field_url: 'URL',
+        field_format: 'Format',
+        field_secret: 'Signing secret (HMAC-SHA256)',
+        field_databaseId: 'Notion database ID',
+        field_titleProperty: 'Notion title property',
+        format_json: 'JSON',
+        format_notion: 'Notion page',
+        test: 'Test',
+        testing: 'Testing...',
+        test_success: 'Connection OK',
+        test_failed: 'Test failed',
+        sending: 'Sending to {name}...',
+        sent: 'Sent to {name}',
+        failed: 'Share failed',
+        fetch_failed: 'Failed to load share targets',
+        save_failed: 'Failed to save share targets'
+    },
+    ai_profile: {
+        title: 'AI Profiles',
+        description: 'Save several named AI profiles and choose which one each action uses. If a profile fails or is rate-limited, its fallback profile is used instead.',
+        manage: 'Manage AI Profiles',
+        add: 'Add Profile',
+        edit: 'Edit Profile',
+        delete: 'Delete Profile',
+        confirm_delete: 'Delete this AI profile? Actions and digest tasks using it will switch back to the default profile.',
+        no_profiles: 'No AI profiles yet. The AI settings above are used as the default profile.',
+        name: 'Name',
+        name_placeholder: 'e.g. Local Ollama',
+        fallback: 'Fallback Profile',
+        fallback_none: 'None',
+        fallback_hint: 'Used when this profile returns an error or is rate-limited',
+        default_fallback: 'Fallback for Default Profile',
+        routing: 'Profile per Action',
+        routing_hint: 'Choose the profile used for each action. Prompts and target language always come from the default AI settings.',
+        action_translate: 'Translate',
+        action_summarize: 'Summarize',
+        action_digest: 'Digest',
+        action_chat: 'Chat',
+        default_profile: 'Default (AI settings)',
+        task_profile: 'AI Profile',
+        task_profile_default: 'Follow digest setting',
+        fetch_failed: 'Failed to load AI profiles',
+        save_failed: 'Failed to save AI profiles'
+    },
+    ai_cache: {
+        title: 'AI Cache',
+        manage: 'AI Cache',
+        description: 'Translations and summaries are cached on the server and shown instantly when you reopen an article. The cache changes automatically when the article, target language or prompt changes.',
+        stats: '{count} / {maxEntries} results cached, {size} MB / {maxSize} MB',
+        clear: 'Clear Cache',
+        confirm_clear: 'Clear all cached translations and summaries?',
+        prefetch: 'Prefetch Translations',
+        prefetch_hint: 'Articles from the options below are translated in the background every 30 minutes, so translations are ready when you open them.',
+        prefetch_starred: 'Starred articles',
+        prefetch_feeds: 'New articles from these feeds',
+        no_feeds: 'No feeds',
+        fetch_failed: 'Failed to load cache info',
+        clear_failed: 'Failed to clear cache',
+        save_failed: 'Failed to save prefetch settings'
+    },
+    ai_usage: {
+        title: 'AI Usage',
+        view: 'View Usage & Budget',
+        description: 'Token usage of translations, summaries, digests and chats. Costs are calculated from the price table below, and changing prices also updates past costs.',
+        last_days: 'Last {days} days',
+        no_usage: 'No AI usage in this period',
+        requests: 'Requests',
+        tokens: 'Tokens',
+        cost: 'Cost',
+        prompt_tokens: 'Input',
+        completion_tokens: 'Output',
+        day_tooltip: '{date}: {requests} requests, {prompt} input / {completion} output tokens, {cost}',
+        by_action: 'By Feature',
+        by_model: 'By Model',
+        estimated_note: '{count} requests did not report token usage, their tokens are estimated.',
+        month_spent: 'Spent this month: {spent} {currency}',
+        budget_status: 'Spent this month: {spent} / {budget} {currency}',
+        budget_exceeded: 'Monthly budget exceeded: {spent} / {budget} {currency}',
+        budget_warning: 'Your monthly AI budget has been exceeded',
+        settings: 'Prices & Budget',
+        currency: 'Currency',
+        monthly_budget: 'Monthly Budget (0 = unlimited)',
+        budget_mode: 'When the budget is exceeded',
+        mode_warn: 'Show a warning',
+        mode_block: 'Block AI requests',
+        prices: 'Price Table',
+        prices_hint: 'Price per 1M tokens. Use * as the model name to set the price for all other models.',
+        price_model: 'Model',
+        price_input: 'Input',
+        price_output: 'Output',
+        add_price: 'Add Price',
+        delete_price: 'Delete',
+        fetch_failed: 'Failed to load AI usage',
+        save_failed: 'Failed to save usage settings'
+    },
+    ask: {
+        title: 'Ask AI',
+        description: 'Ask questions about your recent articles. Answers cite the articles they are based on, click a citation to open it.',
+        all_groups: 'All groups',
+        last_days: 'Last {days} days',
+        any_time: 'Any time',
+        placeholder: 'e.g. What did my security feeds say about zero-days this week?',
+        send: 'Send',
+        stop: 'Stop',
+        clear: 'Clear conversation',
+        empty: 'Ask anything about the articles in your feeds',
+        thinking: 'Searching articles…'
     }
 };
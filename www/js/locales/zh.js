@@ -35,6 +35,7 @@ export default {
         settings: '设置',
         logout: '退出登录',
         search_placeholder: '搜索文章...',
+        search_syntax_hint: '支持“精确短语”、-排除词、feed:订阅源、author:作者、before:2024-05-01、after:2024-04-01、type:digest',
         article_list: '文章列表',
         group_articles: '分组文章'
     },
@@ -107,6 +108,7 @@ export default {
     },
     article: {
         mark_read: '标记为已读',
+        related_count: '其他订阅源有 {count} 篇相似文章',
         mark_unread: '标记为未读',
         star: '收藏',
         unstar: '取消收藏',
@@ -150,7 +152,10 @@ export default {
         show_thumbnails: '显示缩略图',
         hide_thumbnails: '隐藏缩略图',
         thumbnails_on: '已开启缩略图显示',
-        thumbnails_off: '已关闭缩略图显示'
+        thumbnails_off: '已关闭缩略图显示',
+        collapse_duplicates: '折叠重复报道',
+        collapse_on: '已折叠重复报道',
+        collapse_off: '已显示全部重复报道'
     },
     auth: {
         title: 'Tidyflux',
@@ -217,6 +222,12 @@ export default {
     },
     ai: {
         settings_title: 'AI 设置',
+        provider: '提供商',
+        provider_openai: 'OpenAI 兼容接口',
+        provider_azure: 'Azure OpenAI',
+        provider_anthropic: 'Anthropic',
+        provider_gemini: 'Google Gemini',
+        provider_ollama: 'Ollama',
         api_url: 'API 地址',
         api_key: 'API Key',
         model: '模型名称',
@@ -240,6 +251,7 @@ export default {
         translate_btn: '翻译全文',
         summarize_btn: 'AI 总结',
         summary_title: '摘要',
+        regenerate: '重新生成',
         original_content: '显示原文',
         view_summary: '查看总结',
         reset_prompts: '恢复默认提示词',
@@ -256,6 +268,13 @@ export default {
     digest: {
         title: '简报',
         generating: '正在生成，请稍后点击简报源查看',
+        progress_map: '正在分批总结文章（{completed}/{total}）',
+        progress_reduce: '正在合并各批次总结生成简报',
+        live_title: '正在生成简报',
+        live_waiting: '正在收集文章并等待 AI 响应...',
+        live_streaming: '正在撰写简报...',
+        cancelled: '已取消生成简报',
+        cancelled_partial: '已取消生成简报，已生成的部分内容已保存',
         generated: '简报生成成功', // Keep compatible if needed, or remove
         success: '成功生成简报，点击查看',
         generate: '简报管理器',
@@ -296,6 +315,9 @@ export default {
         cron_expression: 'Cron 表达式',
         cron_placeholder: '例如: 0 8 * * * (每天8点)',
         cron_hint: '标准 crontab 格式: 分 时 日 月 周',
+        time_zone: '时区',
+        time_zone_server: '服务器时区',
+        catch_up: '补跑服务停机期间错过的执行（24 小时内）',
         parse_cron: '解析',
         next_runs: '近五次执行时间',
         invalid_cron: '无效的 Cron 表达式',
@@ -326,5 +348,386 @@ export default {
         settings_saved: '设置已保存',
         yes: '是',
         no: '否'
+    },
+    admin: {
+        user_management: '用户管理',
+        manage_users: '管理用户',
+        user_list: '用户列表',
+        create_user: '创建用户',
+        user_created: '用户已创建',
+        role: '角色',
+        role_admin: '管理员',
+        role_reader: '读者',
+        set_admin: '设为管理员',
+        set_reader: '设为读者',
+        active: '正常',
+        disabled: '已禁用',
+        enable: '启用',
+        disable: '禁用',
+        you: '当前用户',
+        reset_password: '重置密码',
+        enter_new_password: '请输入用户 {username} 的新密码',
+        delete_user: '删除用户',
+        confirm_delete_user: '确定要删除用户 {username} 吗？该用户的偏好设置和简报将被一并删除。',
+        load_users_failed: '获取用户列表失败',
+        create_user_failed: '创建用户失败',
+        update_user_failed: '更新用户失败',
+        reset_password_failed: '重置密码失败',
+        delete_user_failed: '删除用户失败'
+    },
+    filter: {
+        title: '过滤规则',
+        manage_rules: '管理过滤规则',
+        description: '自动隐藏、标记已读或收藏匹配关键词或正则表达式的文章。',
+        no_rules: '暂无过滤规则',
+        add_rule: '添加规则',
+        edit_rule: '编辑规则',
+        delete_rule: '删除规则',
+        confirm_delete_rule: '确定要删除这条规则吗？',
+        name: '名称（可选）',
+        name_placeholder: '例如：隐藏推广文章',
+        match_type: '匹配方式',
+        match_keyword: '关键词',
+        match_regex: '正则表达式',
+        pattern: '匹配内容',
+        keyword_placeholder: '推广, 广告',
+        regex_placeholder: '^\\[广告\\]',
+        keyword_hint: '多个关键词用逗号分隔，命中任意一个即匹配。',
+        regex_hint: '使用 JavaScript 正则表达式语法。',
+        fields: '匹配字段',
+        field_title: '标题',
+        field_content: '正文',
+        field_author: '作者',
+        field_url: '链接',
+        case_sensitive: '区分大小写',
+        scope: '范围',
+        scope_group: '分组',
+        scope_feed: '订阅源',
+        action: '动作',
+        action_hide: '隐藏',
+        action_mark_read: '标记已读',
+        action_star: '收藏',
+        preview: '预览匹配',
+        preview_summary: '最近 {total} 篇文章中有 {count} 篇匹配',
+        fetch_failed: '获取过滤规则失败',
+        save_failed: '保存过滤规则失败',
+        preview_failed: '预览规则失败'
+    },
+    offline: {
+        title: '离线阅读',
+        per_group: '每个分组保留的未读文章数',
+        disabled: '关闭',
+        sync_now: '立即下载',
+        syncing: '正在下载文章和图片...',
+        sync_done: '已缓存 {count} 篇文章供离线阅读',
+        sync_failed: '离线下载失败',
+        status: '已缓存 {articles} 篇文章，{pending} 个操作待同步',
+        last_sync: '更新于 {time}',
+        unsupported: '当前浏览器不支持离线阅读',
+        now_offline: '网络已断开，正在显示离线缓存的文章',
+        back_online: '网络已恢复',
+        replayed: '已同步 {count} 个待提交操作',
+        pending: '{count} 项待同步',
+        pending_title: '有操作尚未同步到服务器，点击立即重试'
+    },
+    webpush: {
+        title: '浏览器通知',
+        description: '简报任务完成后向本设备发送 Web Push 通知，点击即可打开简报。',
+        enable: '在本设备开启',
+        disable: '在本设备关闭',
+        enabled: '已在本设备开启通知',
+        disabled: '已在本设备关闭通知',
+        test: '发送测试',
+        test_message: '这是一条来自 Tidyflux 的测试通知。',
+        test_sent: '测试通知已发送到 {count} 台设备',
+        test_failed: '没有设备收到测试通知',
+        enable_failed: '开启通知失败',
+        permission_denied: '通知权限被拒绝',
+        unsupported: '当前浏览器不支持 Web Push（需要 HTTPS）',
+        task_option: '发送浏览器通知（Web Push）'
+    },
+    push_channel: {
+        title: '推送渠道',
+        description: '将简报推送到 Telegram、Bark、ntfy、Gotify、Discord、Slack 或邮箱，可在任务编辑中为每个任务选择渠道。',
+        add: '添加渠道',
+        edit: '编辑渠道',
+        delete: '删除渠道',
+        confirm_delete: '确定删除该推送渠道吗？',
+        no_channels: '暂无推送渠道',
+        none_configured: '尚未配置推送渠道，可在简报管理中添加。',
+        name: '名称',
+        name_placeholder: '默认使用渠道类型',
+        type: '类型',
+        type_telegram: 'Telegram',
+        type_bark: 'Bark',
+        type_ntfy: 'ntfy',
+        type_gotify: 'Gotify',
+        type_discord: 'Discord',
+        type_slack: 'Slack',
+        type_email: '邮件（SMTP）',
+        field_botToken: 'Bot Token',
+        field_chatId: 'Chat ID',
+        field_apiBase: 'API 地址',
+        field_serverUrl: '服务器地址',
+        field_deviceKey: '设备 Key',
+        field_group: '分组',
+        field_topic: '主题（Topic）',
+        field_token: '访问令牌',
+        field_priority: '优先级',
+        field_appToken: '应用 Token',
+        field_webhookUrl: 'Webhook 地址',
+        field_host: 'SMTP 服务器',
+        field_port: '端口',
+        field_secure: '使用 SSL/TLS',
+        field_username: '用户名',
+        field_password: '密码',
+        field_from: '发件人',
+        field_to: '收件人（逗号分隔）',
+        disabled: '已停用',
+        count: '{count} 个渠道',
+        test_message: '这是一条来自 Tidyflux 的**测试消息**。',
+        test_failed: '发送测试消息失败',
+        fetch_failed: '加载推送渠道失败',
+        save_failed: '保存推送渠道失败',
+        email_recipients: '邮件收件人',
+        email_recipients_placeholder: 'team@example.com, boss@example.com',
+        email_recipients_hint: '多个地址用逗号分隔，留空则使用邮件渠道中配置的收件人。',
+        email_subject: '邮件主题',
+        email_subject_hint: '支持 {{title}}、{{yyyy}}、{{MM}}、{{dd}}、{{HH}}、{{mm}}、{{ss}}，留空则使用简报标题。'
+    },
+    digest_run: {
+        title: '运行记录',
+        last_run: '最近运行',
+        no_runs: '该任务尚未运行',
+        started_at: '开始时间',
+        duration: '耗时',
+        status: '状态',
+        status_running: '运行中',
+        status_success: '成功',
+        status_failed: '失败',
+        articles: '文章数',
+        tokens: 'Token',
+        push: '推送',
+        trigger_retry: '重试',
+        trigger_catchup: '补跑',
+        retry: '重试本次运行',
+        retry_started: '已开始重试',
+        retry_failed: '重试失败',
+        fetch_failed: '加载运行记录失败'
+    },
+    saved_search: {
+        save: '保存搜索',
+        add_title: '保存搜索',
+        edit_title: '编辑保存的搜索',
+        name: '名称',
+        name_placeholder: '例如：Rust 版本发布',
+        query: '搜索语句',
+        group: '分组',
+        all_groups: '全部分组',
+        unread_only: '仅未读',
+        after: '发布于此日期及之后',
+        before: '发布于此日期之前',
+        fill_required: '请填写名称和搜索语句',
+        saved: '搜索已保存',
+        save_failed: '保存搜索失败',
+        edit: '编辑保存的搜索',
+        delete: '删除保存的搜索',
+        confirm_delete: '确定删除保存的搜索“{name}”吗？',
+        not_found: '该保存的搜索已不存在'
+    },
+    tags: {
+        title: '标签',
+        button: '标签',
+        new_placeholder: '新标签，按回车添加',
+        empty: '暂无标签',
+        rename: '重命名标签',
+        rename_prompt: '标签的新名称',
+        delete: '删除标签',
+        confirm_delete: '确定删除标签“{name}”吗？文章不会被删除。',
+        fetch_failed: '加载标签失败',
+        save_failed: '保存标签失败',
+        delete_failed: '删除标签失败',
+        not_found: '该标签已不存在'
+    },
+    highlights: {
+        title: '高亮',
+        highlight: '高亮',
+        add_note: '添加批注',
+        edit_note: '编辑批注',
+        note_prompt: '为这段高亮添加批注',
+        delete: '删除高亮',
+        confirm_delete: '确定删除这条高亮吗？',
+        count: '共 {count} 条高亮',
+        empty: '暂无高亮。在文章中选中文字即可添加高亮。',
+        export: '导出为 Markdown',
+        fetch_failed: '加载高亮失败',
+        save_failed: '保存高亮失败',
+        delete_failed: '删除高亮失败',
+        export_failed: '导出高亮失败'
+    },
+    archive: {
+        title: '存档',
+        save: '存档',
+        saved: '已存档',
+        view_snapshot: '打开存档副本',
+        count: '共 {count} 篇存档',
+        search_placeholder: '搜索存档',
+        empty: '暂无存档。点击文章工具栏中的存档按钮即可永久保存一份副本。',
+        no_results: '没有匹配的存档',
+        archived_at: '存档于 {date}',
+        load_more: '加载更多',
+        partial_images: '有 {count} 张图片未能保存，仍从原网站加载。',
+        delete: '删除存档',
+        confirm_delete: '确定删除这份存档吗？',
+        fetch_failed: '加载存档失败',
+        save_failed: '存档失败',
+        delete_failed: '删除存档失败'
+    },
+    export: {
+        button: '导出',
+        markdown: 'Markdown',
+        pdf: 'PDF',
+        epub: 'EPUB（含来源文章）',
+        list_markdown: '导出文章为 Markdown',
+        exporting: '正在导出...',
+        no_articles: '没有可导出的文章',
+        failed: '导出失败'
+    },
+    share: {
+        button: '分享',
+        title: '分享目标',
+        description: '将文章发送到 Wallabag、Readwise、Obsidian 库或任意 Webhook（支持 Notion）。凭据在服务器上加密保存。',
+        manage_targets: '管理分享目标',
+        add: '添加分享目标',
+        edit: '编辑分享目标',
+        delete: '删除分享目标',
+        confirm_delete: '确定删除此分享目标？',
+        no_targets: '暂无分享目标',
+        name: '名称',
+        name_placeholder: '默认使用目标类型',
+        type: '类型',
+        type_wallabag: 'Wallabag',
+        type_readwise: 'Readwise',
+        type_obsidian: 'Obsidian',
+        type_webhook: 'Webhook',
+        hint_wallabag: '保存文章链接，由 Wallabag 自行抓取正文。需在 Wallabag 中创建 API 客户端获取 Client ID 与 Secret。',
+        hint_readwise: '发送你在这篇文章中做的高亮与笔记。Token 可在 readwise.io/access_token 获取。',
+        hint_obsidian: '在服务器配置的 vault 中你的专属子文件夹内写入带 front-matter 的 Markdown 文件。',
+        hint_webhook: '以 JSON 格式 POST 文章。使用 Notion 格式时，URL 填写 https://api.notion.com/v1/pages，并填写集成 Token 与数据库 ID。',
+        field_serverUrl: '服务器地址',
+        field_clientId: 'Client ID',
+        field_clientSecret: 'Client Secret',
+        field_username: '用户名',
+        field_password: '密码',
+        field_tags: '标签（逗号分隔）',
+        field_token: 'Token',
+        field_folder: 'Vault 中的文件夹',
+        field_url: 'URL',
+        field_format: '格式',
+        field_secret: '签名密钥（HMAC-SHA256）',
+        field_databaseId: 'Notion 数据库 ID',
+        field_titleProperty: 'Notion 标题属性',
+        format_json: 'JSON',
+        format_notion: 'Notion 页面',
+        test: '测试',
+        testing: '测试中...',
+        test_success: '连接正常',
+        test_failed: '测试失败',
+        sending: '正在发送到 {name}...',
+        sent: '已发送到 {name}',
+        failed: '分享失败',
+        fetch_failed: '获取分享目标失败',
+        save_failed: '保存分享目标失败'
+    },
+    ai_profile: {
+        title: 'AI 配置',
+        description: '保存多个命名的 AI 配置，并为不同用途选择使用的配置。配置出错或被限流时自动改用其备用配置。',
+        manage: '管理 AI 配置',
+        add: '添加配置',
+        edit: '编辑配置',
+        delete: '删除配置',
+        confirm_delete: '确定删除此 AI 配置？使用它的用途和简报任务将改用默认配置。',
+        no_profiles: '暂无 AI 配置，上方的 AI 设置将作为默认配置使用。',
+        name: '名称',
+        name_placeholder: '例如：本地 Ollama',
+        fallback: '备用配置',
+        fallback_none: '无',
+        fallback_hint: '此配置出错或被限流时改用备用配置',
+        default_fallback: '默认配置的备用配置',
+        routing: '按用途选择配置',
+        routing_hint: '为每种用途选择使用的配置，提示词和目标语言始终使用默认 AI 设置中的值。',
+        action_translate: '翻译',
+        action_summarize: '总结',
+        action_digest: '简报',
+        action_chat: '对话',
+        default_profile: '默认（AI 设置）',
+        task_profile: 'AI 配置',
+        task_profile_default: '跟随简报用途设置',
+        fetch_failed: '加载 AI 配置失败',
+        save_failed: '保存 AI 配置失败'
+    },
+    ai_cache: {
+        title: 'AI 缓存',
+        manage: 'AI 缓存',
+        description: '翻译和总结结果缓存在服务端，再次打开文章时直接显示。文章内容、目标语言或提示词变化后会重新生成。',
+        stats: '已缓存 {count} / {maxEntries} 条结果，占用 {size} MB / {maxSize} MB',
+        clear: '清空缓存',
+        confirm_clear: '确定清空所有已缓存的翻译和总结？',
+        prefetch: '预取翻译',
+        prefetch_hint: '每 30 分钟在后台翻译以下范围内的文章，打开时即可直接查看译文。',
+        prefetch_starred: '收藏的文章',
+        prefetch_feeds: '以下订阅源的新文章',
+        no_feeds: '暂无订阅源',
+        fetch_failed: '加载缓存信息失败',
+        clear_failed: '清空缓存失败',
+        save_failed: '保存预取设置失败'
+    },
+    ai_usage: {
+        title: 'AI 用量',
+        view: '查看用量与预算',
+        description: '翻译、总结、简报和对话的 Token 用量。费用按下方价格表计算，修改价格后历史费用也会随之更新。',
+        last_days: '最近 {days} 天',
+        no_usage: '该时间段内没有 AI 用量',
+        requests: '请求数',
+        tokens: 'Token',
+        cost: '费用',
+        prompt_tokens: '输入',
+        completion_tokens: '输出',
+        day_tooltip: '{date}：{requests} 次请求，输入 {prompt} / 输出 {completion} Token，{cost}',
+        by_action: '按功能',
+        by_model: '按模型',
+        estimated_note: '有 {count} 次请求未返回 Token 用量，其 Token 数为估算值。',
+        month_spent: '本月费用：{spent} {currency}',
+        budget_status: '本月费用：{spent} / {budget} {currency}',
+        budget_exceeded: '已超出本月预算：{spent} / {budget} {currency}',
+        budget_warning: '本月 AI 费用已超出预算',
+        settings: '价格与预算',
+        currency: '货币',
+        monthly_budget: '月度预算（0 为不限制）',
+        budget_mode: '超出预算时',
+        mode_warn: '显示提醒',
+        mode_block: '停止 AI 请求',
+        prices: '价格表',
+        prices_hint: '每百万 Token 的价格。模型名称填写 * 时作为其他模型的默认价格。',
+        price_model: '模型',
+        price_input: '输入',
+        price_output: '输出',
+        add_price: '添加价格',
+        delete_price: '删除',
+        fetch_failed: '获取 AI 用量失败',
+        save_failed: '保存用量设置失败'
+    },
+    ask: {
+        title: 'AI 问答',
+        description: '就近期文章向 AI 提问，回答会标注所依据的文章，点击引用即可打开。',
+        all_groups: '全部分组',
+        last_days: '最近 {days} 天',
+        any_time: '不限时间',
+        placeholder: '例如：本周安全类订阅源对零日漏洞有哪些报道？',
+        send: '发送',
+        stop: '停止',
+        clear: '清空对话',
+        empty: '就订阅源中的文章提出任何问题',
+        thinking: '正在检索文章…'
     }
 };
@@ -10,6 +10,8 @@ import { AuthManager } from './modules/auth-manager.js';
 import { initTheme } from './modules/theme-manager.js';
 import { i18n } from './modules/i18n.js';
 import { AIService } from './modules/ai-service.js';
+import { OfflineManager } from './modules/offline-manager.js';
+import { WebPushManager } from './modules/web-push-manager.js';
 
 async function initApp() {
     // 初始化主题（在登录页面也需要）
@@ -25,6 +27,13 @@ async function initApp() {
     // 初始化 AI 服务配置（从后端同步）
     await AIService.init();
 
+    // 图标令牌即将过期时更新
+    try {
+        await AuthManager.refreshFaviconToken();
+    } catch (err) {
+        console.error('Refresh favicon token failed:', err);
+    }
+
     // 检查 Miniflux 配置
     try {
         const minifluxConfig = await AuthManager.getMinifluxConfig();
@@ -48,6 +57,12 @@ async function initApp() {
     Router.handleInitialHash();
 
     setupEventListeners();
+
+    // 离线阅读：重放离线操作并在后台同步文章
+    OfflineManager.init({ onReplayed: () => ViewManager.loadFeeds() });
+
+    // 点击推送通知时在当前窗口打开对应页面
+    WebPushManager.init();
 }
 
 /**
@@ -1,9 +1,19 @@
 import { i18n } from './i18n.js';
 import { AuthManager } from './auth-manager.js';
 import { API_ENDPOINTS, STORAGE_KEYS } from '../constants.js';
+import { showToast } from './view/utils.js';
 
 const DEFAULT_AI_MODEL = 'gpt-4.1-mini';
 
+// 超出月度预算的提示每次会话只显示一次
+let budgetWarningShown = false;
+
+function notifyBudgetWarning(data) {
+    if (!data?.budget_warning || budgetWarningShown) return;
+    budgetWarningShown = true;
+    showToast(i18n.t('ai_usage.budget_warning'), 5000, false);
+}
+
 // 默认提示词
 const DEFAULT_PROMPTS = {
     translate: 'Please translate the following text into {{targetLang}}, maintaining the original format and paragraph structure. Return only the translated content, directly outputting the translation result without any additional text:\n\n{{content}}',
@@ -25,9 +35,31 @@ export const AI_LANGUAGES = [
     { id: 'ru', name: 'Русский', nameEn: 'Russian' }
 ];
 
+// AI 提供商（与服务端 AI_PROVIDERS 对应），required 为视为已配置所需的字段
+export const AI_PROVIDERS = [
+    { id: 'openai', urlPlaceholder: 'https://api.openai.com/v1', keyPlaceholder: 'sk-...', modelPlaceholder: 'gpt-4.1-mini', required: ['apiUrl', 'apiKey'] },
+    { id: 'azure', urlPlaceholder: 'https://your-resource.openai.azure.com', keyPlaceholder: '', modelPlaceholder: 'deployment-name', required: ['apiUrl', 'apiKey', 'model'] },
+    { id: 'anthropic', urlPlaceholder: 'https://api.anthropic.com', keyPlaceholder: 'sk-ant-...', modelPlaceholder: 'claude-sonnet-4-5', required: ['apiKey'] },
+    { id: 'gemini', urlPlaceholder: 'https://generativelanguage.googleapis.com/v1beta', keyPlaceholder: 'AIza...', modelPlaceholder: 'gemini-2.5-flash', required: ['apiKey'] },
+    { id: 'ollama', urlPlaceholder: 'http://localhost:11434', keyPlaceholder: '', modelPlaceholder: 'llama3.1', required: ['apiUrl'] }
+];
+
+/**
+ * 获取提供商定义，未知或未设置时视为 OpenAI 兼容接口
+ * @param {string} providerId
+ * @returns {Object}
+ */
+export function getAIProvider(providerId) {
+    return AI_PROVIDERS.find(p => p.id === providerId) || AI_PROVIDERS[0];
+}
+
 /**
  * AI 服务
  */
+// 默认配置（ai_config）的 ID 与可路由的用途，与服务端 ai-profile-service 对应
+export const DEFAULT_AI_PROFILE_ID = 'default';
+export const AI_ACTIONS = ['translate', 'summarize', 'digest', 'chat'];
+
 export const AIService = {
     /**
      * 获取 AI 配置
@@ -35,6 +67,9 @@ export const AIService = {
      */
     _configCache: null,
 
+    // 用途到命名 AI 配置的映射（ai_routing），未映射的用途使用默认配置
+    _routing: {},
+
     /**
      * 初始化 AI 服务
      */
@@ -55,6 +90,7 @@ export const AIService = {
                 const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.PREFERENCES.BASE);
                 if (response.ok) {
                     const prefs = await response.json();
+                    this._routing = prefs.ai_routing || {};
                     if (prefs.ai_config) {
                         // 合并配置：后端覆盖本地
                         this._configCache = { ...this._getDefaultConfig(), ...prefs.ai_config };
@@ -81,6 +117,7 @@ export const AIService = {
 
     _getDefaultConfig() {
         return {
+            provider: 'openai',
             apiUrl: '',
             apiKey: '',
             model: DEFAULT_AI_MODEL,
@@ -162,11 +199,46 @@ export const AIService = {
 
     /**
      * 检查 AI 是否已配置
+     * @param {string} [action] - translate / summarize / digest / chat，映射到命名配置的用途视为已配置
      * @returns {boolean}
      */
-    isConfigured() {
+    isConfigured(action) {
+        if (action && this._routing[action]) return true;
         const config = this.getConfig();
-        return !!(config.apiUrl && config.apiKey);
+        return getAIProvider(config.provider).required.every(key => config[key]);
+    },
+
+    /**
+     * 获取命名 AI 配置（API Key 已打码）与用途映射
+     * @returns {Promise<{profiles: Array, routing: Object}>}
+     */
+    async getProfiles() {
+        const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.AI.PROFILES);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('ai_profile.fetch_failed'));
+        }
+        this._routing = data.routing || {};
+        return { profiles: data.profiles || [], routing: this._routing };
+    },
+
+    /**
+     * 保存命名 AI 配置与用途映射（整体替换）
+     * @param {Array} profiles
+     * @param {Object} routing
+     */
+    async saveProfiles(profiles, routing) {
+        const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.AI.PROFILES, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ profiles, routing })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('ai_profile.save_failed'));
+        }
+        this._routing = data.routing || {};
+        return { profiles: data.profiles || [], routing: this._routing };
     },
 
     /**
@@ -209,29 +281,39 @@ export const AIService = {
      * @param {string} prompt - 完整的提示词
      * @param {Function} onChunk - 流式响应回调函数
      * @param {AbortSignal} signal - 用于请求取消的信号
+     * @param {string} action - 用途，服务端据此选择 AI 配置
      * @returns {Promise<string>} AI 响应
      */
-    async callAPI(prompt, onChunk = null, signal = null) {
-        const config = this.getConfig();
-
-        if (!config.apiUrl || !config.apiKey) {
+    async callAPI(prompt, onChunk = null, signal = null, action = 'chat') {
+        if (!this.isConfigured(action)) {
             throw new Error(i18n.t('ai.not_configured'));
         }
 
-        const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.AI.CHAT, {
+        return this._request(API_ENDPOINTS.AI.CHAT, {
+            action,
+            messages: [
+                { role: 'user', content: prompt }
+            ]
+        }, onChunk, signal);
+    },
+
+    /**
+     * 发送 AI 请求并读取 OpenAI 兼容格式的响应（流式为 SSE）
+     * @param {string} endpoint
+     * @param {Object} body - 请求体，stream 根据 onChunk 自动设置
+     * @param {Function} onChunk - 流式响应回调函数
+     * @param {AbortSignal} signal - 用于请求取消的信号
+     * @param {Function} onMeta - 接收响应中的附加信息（如问答引用的 sources）
+     * @returns {Promise<string>} AI 响应
+     */
+    async _request(endpoint, body, onChunk = null, signal = null, onMeta = null) {
+        const response = await AuthManager.fetchWithAuth(endpoint, {
             method: 'POST',
             signal: signal,
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({
-                model: config.model || DEFAULT_AI_MODEL,
-                temperature: config.temperature ?? 1,
-                messages: [
-                    { role: 'user', content: prompt }
-                ],
-                stream: !!onChunk
-            })
+            body: JSON.stringify({ ...body, stream: !!onChunk })
         });
 
         if (!response.ok) {
@@ -244,6 +326,7 @@ export const AIService = {
             const decoder = new TextDecoder();
             let fullContent = '';
             let buffer = ''; // 缓冲区，存储不完整的行
+            let streamError = null;
 
             try {
                 while (true) {
@@ -264,7 +347,15 @@ export const AIService = {
 
                             try {
                                 const data = JSON.parse(dataStr);
-                                const content = data.choices[0]?.delta?.content || '';
+                                // 服务端在流式输出中途出错
+                                if (data.error) {
+                                    streamError = new Error(data.error.message);
+                                    continue;
+                                }
+                                notifyBudgetWarning(data);
+                                // 最后一个事件不含内容，只带用量等附加信息
+                                if (onMeta && data.choices?.length === 0) onMeta(data);
+                                const content = data.choices?.[0]?.delta?.content || '';
                                 if (content) {
                                     fullContent += content;
                                     onChunk(content);
@@ -282,41 +373,136 @@ export const AIService = {
                 reader.releaseLock();
             }
 
+            if (streamError) throw streamError;
             return fullContent;
         } else {
             const data = await response.json();
+            notifyBudgetWarning(data);
+            if (onMeta) onMeta(data);
             return data.choices?.[0]?.message?.content || '';
         }
     },
 
     /**
-     * 翻译内容
+     * 翻译或总结文章内容：提供 entryId 时由服务端构建提示词并缓存结果，
+     * 否则在本地构建提示词直接调用
+     * @param {string} action - 'translate' 或 'summarize'
+     * @param {Object} options - { entryId, regenerate }
      */
-    async translate(content, targetLangId, onChunk = null, signal = null) {
+    async _processContent(action, content, targetLangId, onChunk, signal, options = {}) {
+        if (!this.isConfigured(action)) {
+            throw new Error(i18n.t('ai.not_configured'));
+        }
+
+        if (options.entryId) {
+            return this._request(API_ENDPOINTS.AI.ARTICLE, {
+                entryId: options.entryId,
+                action,
+                content,
+                targetLang: targetLangId,
+                regenerate: !!options.regenerate
+            }, onChunk, signal);
+        }
+
         const targetLang = this.getLanguageName(targetLangId);
-        const promptTemplate = this.getPrompt('translate');
+        const promptTemplate = this.getPrompt(action);
         const prompt = promptTemplate
             .replace(/\{\{targetLang\}\}/g, targetLang)
             .replace(/\{targetLang\}/g, targetLang)
             .replace(/\{\{content\}\}/g, content)
             .replace(/\{content\}/g, content);
 
-        return this.callAPI(prompt, onChunk, signal);
+        return this.callAPI(prompt, onChunk, signal, action);
+    },
+
+    /**
+     * 翻译内容
+     * @param {Object} options - { entryId, regenerate }，提供 entryId 时使用服务端缓存
+     */
+    async translate(content, targetLangId, onChunk = null, signal = null, options = {}) {
+        return this._processContent('translate', content, targetLangId, onChunk, signal, options);
     },
 
     /**
      * 总结内容
+     * @param {Object} options - { entryId, regenerate }，提供 entryId 时使用服务端缓存
      */
-    async summarize(content, targetLangId, onChunk = null, signal = null) {
-        const targetLang = this.getLanguageName(targetLangId);
-        const promptTemplate = this.getPrompt('summarize');
-        const prompt = promptTemplate
-            .replace(/\{\{targetLang\}\}/g, targetLang)
-            .replace(/\{targetLang\}/g, targetLang)
-            .replace(/\{\{content\}\}/g, content)
-            .replace(/\{content\}/g, content);
+    async summarize(content, targetLangId, onChunk = null, signal = null, options = {}) {
+        return this._processContent('summarize', content, targetLangId, onChunk, signal, options);
+    },
 
-        return this.callAPI(prompt, onChunk, signal);
+    /**
+     * 基于订阅文章回答问题，回答中的 [编号] 对应 sources 中的文章
+     * @param {string} question
+     * @param {Object} options - { history, groupId, days }
+     * @param {Function} onChunk - 流式响应回调函数
+     * @param {AbortSignal} signal
+     * @returns {Promise<{content: string, sources: Array}>}
+     */
+    async ask(question, { history = [], groupId = null, days } = {}, onChunk = null, signal = null) {
+        if (!this.isConfigured('chat')) {
+            throw new Error(i18n.t('ai.not_configured'));
+        }
+
+        let sources = [];
+        const content = await this._request(API_ENDPOINTS.AI.ASK, { question, history, groupId, days }, onChunk, signal, (data) => {
+            if (data.sources) sources = data.sources;
+        });
+        return { content, sources };
+    },
+
+    /**
+     * 获取 AI 结果缓存用量
+     * @returns {Promise<{count: number, size: number, maxEntries: number, maxSize: number}>}
+     */
+    async getCacheStats() {
+        const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.AI.CACHE);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('ai_cache.fetch_failed'));
+        }
+        return data;
+    },
+
+    /**
+     * 清空 AI 结果缓存
+     */
+    async clearCache() {
+        const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.AI.CACHE, { method: 'DELETE' });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || i18n.t('ai_cache.clear_failed'));
+        }
+    },
+
+    /**
+     * 获取最近若干天的 Token 用量、费用与预算状态
+     * @param {number} days
+     */
+    async getUsage(days = 30) {
+        const response = await AuthManager.fetchWithAuth(`${API_ENDPOINTS.AI.USAGE}?days=${days}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('ai_usage.fetch_failed'));
+        }
+        return data;
+    },
+
+    /**
+     * 保存价格表、货币与月度预算
+     * @param {Object} settings - { currency, prices, monthlyBudget, budgetMode }
+     */
+    async saveUsageSettings(settings) {
+        const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.AI.USAGE_SETTINGS, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(settings)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('ai_usage.save_failed'));
+        }
+        return data.settings;
     },
 
     /**
@@ -339,7 +525,7 @@ export const AIService = {
 
     /**
      * 测试 AI 连接
-     * @param {Object} config - { apiUrl, apiKey, model }
+     * @param {Object} config - { provider, apiUrl, apiKey, model, profileId }
      */
     async testConnection(config) {
         const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.AI.TEST, {
@@ -348,9 +534,11 @@ export const AIService = {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
+                provider: config.provider,
                 apiUrl: config.apiUrl,
                 apiKey: config.apiKey,
                 model: config.model,
+                profileId: config.profileId,
                 targetLang: config.targetLang
             })
         });
@@ -23,6 +23,36 @@ export const AuthManager = {
     clearAuth() {
         localStorage.removeItem(AUTH_KEYS.TOKEN);
         localStorage.removeItem(AUTH_KEYS.USER);
+        localStorage.removeItem(AUTH_KEYS.FAVICON_TOKEN);
+    },
+
+    /**
+     * 获取图标令牌（图标请求无法携带 Authorization 头）
+     * @returns {string|null}
+     */
+    getFaviconToken() {
+        const data = localStorage.getItem(AUTH_KEYS.FAVICON_TOKEN);
+        return data ? JSON.parse(data).token : null;
+    },
+
+    setFaviconToken(faviconToken) {
+        if (faviconToken) {
+            localStorage.setItem(AUTH_KEYS.FAVICON_TOKEN, JSON.stringify(faviconToken));
+        }
+    },
+
+    /**
+     * 图标令牌不存在或将在 7 天内过期时重新获取
+     */
+    async refreshFaviconToken() {
+        const data = localStorage.getItem(AUTH_KEYS.FAVICON_TOKEN);
+        const expiresAt = data ? new Date(JSON.parse(data).expiresAt).getTime() : 0;
+        if (expiresAt - Date.now() > 7 * 24 * 60 * 60 * 1000) return;
+
+        const response = await this.fetchWithAuth(API_ENDPOINTS.FAVICON.TOKEN);
+        if (response.ok) {
+            this.setFaviconToken(await response.json());
+        }
     },
 
     async register(email, password) {
@@ -55,6 +85,7 @@ export const AuthManager = {
         }
 
         this.setAuth(data.token, data.user);
+        this.setFaviconToken(data.faviconToken);
         return data.user;
     },
 
@@ -148,6 +179,92 @@ export const AuthManager = {
         return data;
     },
 
+    async getCurrentUser() {
+        const response = await this.fetchWithAuth(API_ENDPOINTS.AUTH.ME);
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('common.load_error'));
+        }
+
+        // 同步本地缓存的用户信息（角色可能已被管理员修改）
+        const user = this.getUser();
+        if (user) {
+            this.setAuth(this.getToken(), { ...user, role: data.role });
+        }
+        return data;
+    },
+
+    async listUsers() {
+        const response = await this.fetchWithAuth(API_ENDPOINTS.ADMIN.USERS);
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('admin.load_users_failed'));
+        }
+        return data.users || [];
+    },
+
+    async createUser(username, password, role) {
+        const response = await this.fetchWithAuth(API_ENDPOINTS.ADMIN.USERS, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ username, password, role })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('admin.create_user_failed'));
+        }
+        return data.user;
+    },
+
+    async updateUser(username, updates) {
+        const response = await this.fetchWithAuth(`${API_ENDPOINTS.ADMIN.USERS}/${encodeURIComponent(username)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(updates)
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('admin.update_user_failed'));
+        }
+        return data.user;
+    },
+
+    async resetUserPassword(username, newPassword) {
+        const response = await this.fetchWithAuth(`${API_ENDPOINTS.ADMIN.USERS}/${encodeURIComponent(username)}/reset-password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ newPassword })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('admin.reset_password_failed'));
+        }
+        return true;
+    },
+
+    async deleteUser(username) {
+        const response = await this.fetchWithAuth(`${API_ENDPOINTS.ADMIN.USERS}/${encodeURIComponent(username)}`, {
+            method: 'DELETE'
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('admin.delete_user_failed'));
+        }
+        return true;
+    },
+
     logout() {
         this.clearAuth();
         window.location.reload();
@@ -113,7 +113,7 @@ export const FeedManager = {
         return data;
     },
 
-    async getArticles({ page = 1, feedId = null, groupId = null, unreadOnly = true, favorites = false, cursor = null } = {}) {
+    async getArticles({ page = 1, feedId = null, groupId = null, unreadOnly = true, favorites = false, tagId = null, cursor = null, offset = null } = {}) {
         const params = new URLSearchParams({
             page: String(page),
             limit: '50',
@@ -124,9 +124,14 @@ export const FeedManager = {
         if (cursor?.publishedAt && cursor?.id) {
             params.append(cursor.isAfter ? 'after_published_at' : 'before_published_at', cursor.publishedAt);
             params.append(cursor.isAfter ? 'after_id' : 'before_id', cursor.id);
+        } else if (offset !== null && offset !== undefined) {
+            // 服务端因过滤规则向后补取过，从其返回的偏移量继续
+            params.append('offset', String(offset));
         }
 
-        if (favorites) {
+        if (tagId) {
+            params.append('tag_id', tagId);
+        } else if (favorites) {
             params.append('favorites', 'true');
         } else if (feedId) {
             params.append('feed_id', feedId);
@@ -273,6 +278,247 @@ export const FeedManager = {
         return true;
     },
 
+    // Tags
+    async getTags() {
+        const response = await AuthManager.fetchWithAuth('/api/tags');
+
+        if (!response.ok) {
+            throw new Error(i18n.t('tags.fetch_failed'));
+        }
+
+        const data = await response.json();
+        return data.tags || [];
+    },
+
+    async getArticleTags(articleId) {
+        const response = await AuthManager.fetchWithAuth(`/api/articles/${articleId}/tags`);
+
+        if (!response.ok) {
+            throw new Error(i18n.t('tags.fetch_failed'));
+        }
+
+        const data = await response.json();
+        return data.tags || [];
+    },
+
+    // tag: { tagId } 添加已有标签，或 { name } 按名称添加
+    async addArticleTag(articleId, tag) {
+        const response = await AuthManager.fetchWithAuth(`/api/articles/${articleId}/tags`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(tag)
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('tags.save_failed'));
+        }
+
+        return data.tags || [];
+    },
+
+    async removeArticleTag(articleId, tagId) {
+        const response = await AuthManager.fetchWithAuth(`/api/articles/${articleId}/tags/${encodeURIComponent(tagId)}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.ok) {
+            throw new Error(i18n.t('tags.save_failed'));
+        }
+
+        const data = await response.json();
+        return data.tags || [];
+    },
+
+    async renameTag(tagId, name) {
+        const response = await AuthManager.fetchWithAuth(`/api/tags/${encodeURIComponent(tagId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('tags.save_failed'));
+        }
+
+        return data.tag;
+    },
+
+    async deleteTag(tagId) {
+        const response = await AuthManager.fetchWithAuth(`/api/tags/${encodeURIComponent(tagId)}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.ok) {
+            throw new Error(i18n.t('tags.delete_failed'));
+        }
+
+        return true;
+    },
+
+    // Highlights
+    async getHighlights() {
+        const response = await AuthManager.fetchWithAuth('/api/highlights');
+
+        if (!response.ok) {
+            throw new Error(i18n.t('highlights.fetch_failed'));
+        }
+
+        const data = await response.json();
+        return data.highlights || [];
+    },
+
+    async getArticleHighlights(articleId) {
+        const response = await AuthManager.fetchWithAuth(`/api/articles/${articleId}/highlights`);
+
+        if (!response.ok) {
+            throw new Error(i18n.t('highlights.fetch_failed'));
+        }
+
+        const data = await response.json();
+        return data.highlights || [];
+    },
+
+    // highlight: { quote: { exact, prefix, suffix }, position: { start, end }, note }
+    async addArticleHighlight(articleId, highlight) {
+        const response = await AuthManager.fetchWithAuth(`/api/articles/${articleId}/highlights`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(highlight)
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('highlights.save_failed'));
+        }
+
+        return data.highlight;
+    },
+
+    async updateHighlightNote(highlightId, note) {
+        const response = await AuthManager.fetchWithAuth(`/api/highlights/${encodeURIComponent(highlightId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ note })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('highlights.save_failed'));
+        }
+
+        return data.highlight;
+    },
+
+    async deleteHighlight(highlightId) {
+        const response = await AuthManager.fetchWithAuth(`/api/highlights/${encodeURIComponent(highlightId)}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.ok) {
+            throw new Error(i18n.t('highlights.delete_failed'));
+        }
+
+        return true;
+    },
+
+    async exportHighlights() {
+        const response = await AuthManager.fetchWithAuth('/api/highlights/export');
+
+        if (!response.ok) {
+            throw new Error(i18n.t('highlights.export_failed'));
+        }
+
+        return response.blob();
+    },
+
+    // Archive
+    async getArchive({ query = '', page = 1 } = {}) {
+        const params = new URLSearchParams({ page });
+        if (query) params.append('q', query);
+
+        const response = await AuthManager.fetchWithAuth(`/api/archive?${params}`);
+
+        if (!response.ok) {
+            throw new Error(i18n.t('archive.fetch_failed'));
+        }
+
+        return response.json();
+    },
+
+    async getArchiveItem(id) {
+        const response = await AuthManager.fetchWithAuth(`/api/archive/${encodeURIComponent(id)}`);
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('archive.fetch_failed'));
+        }
+
+        return data.item;
+    },
+
+    async getArchiveStatus(articleId) {
+        const response = await AuthManager.fetchWithAuth(`/api/archive/entries/${articleId}`);
+
+        if (!response.ok) {
+            throw new Error(i18n.t('archive.fetch_failed'));
+        }
+
+        const data = await response.json();
+        return data.item;
+    },
+
+    async archiveArticle(articleId) {
+        const response = await AuthManager.fetchWithAuth('/api/archive', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ entryId: articleId })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('archive.save_failed'));
+        }
+
+        return data.item;
+    },
+
+    async deleteArchiveItem(id) {
+        const response = await AuthManager.fetchWithAuth(`/api/archive/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.ok) {
+            throw new Error(i18n.t('archive.delete_failed'));
+        }
+
+        return true;
+    },
+
+    // Export
+    async exportArticles(ids, format = 'markdown') {
+        const params = new URLSearchParams({ ids: ids.join(','), format });
+        const response = await AuthManager.fetchWithAuth(`/api/export/articles?${params}`);
+
+        if (!response.ok) {
+            throw new Error(i18n.t('export.failed'));
+        }
+
+        return response.blob();
+    },
+
+    async exportDigest(id, format = 'markdown') {
+        const params = new URLSearchParams({ format });
+        const response = await AuthManager.fetchWithAuth(`/api/export/digests/${encodeURIComponent(id)}?${params}`);
+
+        if (!response.ok) {
+            throw new Error(i18n.t('export.failed'));
+        }
+
+        return response.blob();
+    },
+
     // Group management
     async getGroups() {
         const response = await AuthManager.fetchWithAuth('/api/groups');
@@ -405,14 +651,20 @@ export const FeedManager = {
     },
 
     // Search articles
-    async searchArticles(query, page = 1) {
+    // 全文搜索文章与简报，返回 { results, pagination }
+    // filters: 保存的搜索附加的条件 { groupId, unreadOnly, after, before }
+    async searchArticles(query, page = 1, filters = {}) {
         const params = new URLSearchParams({
             page: String(page),
             limit: '50',
-            search: query
+            q: query
         });
+        if (filters.groupId) params.append('group', filters.groupId);
+        if (filters.unreadOnly) params.append('unread', '1');
+        if (filters.after) params.append('after', filters.after);
+        if (filters.before) params.append('before', filters.before);
 
-        const response = await AuthManager.fetchWithAuth(`/api/articles?${params.toString()}`);
+        const response = await AuthManager.fetchWithAuth(`/api/search?${params.toString()}`);
 
         if (!response.ok) {
             throw new Error(i18n.t('feed.search_failed'));
@@ -421,6 +673,18 @@ export const FeedManager = {
         return response.json();
     },
 
+    // 获取保存的搜索的未读数 { [id]: count }
+    async getSavedSearchCounts() {
+        const response = await AuthManager.fetchWithAuth('/api/search/saved/counts');
+
+        if (!response.ok) {
+            throw new Error(i18n.t('common.load_error'));
+        }
+
+        const data = await response.json();
+        return data.counts || {};
+    },
+
     // Get digests list
     async getDigests(options = {}) {
         const params = new URLSearchParams();
@@ -475,4 +739,178 @@ export const FeedManager = {
         return response.ok;
     },
 
+    // Get filter rules
+    async getFilterRules() {
+        const response = await AuthManager.fetchWithAuth('/api/filters');
+
+        if (!response.ok) {
+            throw new Error(i18n.t('filter.fetch_failed'));
+        }
+
+        const data = await response.json();
+        return data.rules || [];
+    },
+
+    // Save filter rules (replaces the whole list)
+    async saveFilterRules(rules) {
+        const response = await AuthManager.fetchWithAuth('/api/filters', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rules })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('filter.save_failed'));
+        }
+
+        return data.rules;
+    },
+
+    // Preview which recent articles a rule would match
+    async previewFilterRule(rule) {
+        const response = await AuthManager.fetchWithAuth('/api/filters/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rule })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('filter.preview_failed'));
+        }
+
+        return data;
+    },
+
+    // Get run history of a digest task (newest first)
+    async getDigestRuns(taskId, limit = 30) {
+        const response = await AuthManager.fetchWithAuth(`/api/digest/tasks/${encodeURIComponent(taskId)}/runs?limit=${limit}`);
+
+        if (!response.ok) {
+            throw new Error(i18n.t('digest_run.fetch_failed'));
+        }
+
+        const data = await response.json();
+        return data.runs || [];
+    },
+
+    // Run a digest task again; returns the new run record
+    async retryDigestRun(taskId, runId) {
+        const response = await AuthManager.fetchWithAuth(`/api/digest/tasks/${encodeURIComponent(taskId)}/runs/${encodeURIComponent(runId)}/retry`, {
+            method: 'POST'
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('digest_run.retry_failed'));
+        }
+
+        return data.run;
+    },
+
+    // Get push channels (secrets are masked by the server)
+    async getPushChannels() {
+        const response = await AuthManager.fetchWithAuth('/api/push/channels');
+
+        if (!response.ok) {
+            throw new Error(i18n.t('push_channel.fetch_failed'));
+        }
+
+        const data = await response.json();
+        return data.channels || [];
+    },
+
+    // Save push channels (replaces the whole list)
+    async savePushChannels(channels) {
+        const response = await AuthManager.fetchWithAuth('/api/push/channels', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ channels })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('push_channel.save_failed'));
+        }
+
+        return data.channels;
+    },
+
+    // Send a test message through a (possibly unsaved) channel
+    async testPushChannel(channel) {
+        const response = await AuthManager.fetchWithAuth('/api/push/channels/test', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ channel, content: i18n.t('push_channel.test_message') })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('push_channel.test_failed'));
+        }
+
+        return data;
+    },
+
+    // Share targets (masked) and the target types available on this server
+    async getShareTargets() {
+        const response = await AuthManager.fetchWithAuth('/api/share/targets');
+
+        if (!response.ok) {
+            throw new Error(i18n.t('share.fetch_failed'));
+        }
+
+        const data = await response.json();
+        return { targets: data.targets || [], types: data.types || [] };
+    },
+
+    // Save share targets (replaces the whole list)
+    async saveShareTargets(targets) {
+        const response = await AuthManager.fetchWithAuth('/api/share/targets', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ targets })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('share.save_failed'));
+        }
+
+        return data.targets;
+    },
+
+    // Check a (possibly unsaved) share target's credentials
+    async testShareTarget(target) {
+        const response = await AuthManager.fetchWithAuth('/api/share/targets/test', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ target })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('share.test_failed'));
+        }
+
+        return data;
+    },
+
+    // Send an article to a share target
+    async shareArticle(targetId, entryId) {
+        const response = await AuthManager.fetchWithAuth('/api/share', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ targetId, entryId })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('share.failed'));
+        }
+
+        return data;
+    },
+
 };
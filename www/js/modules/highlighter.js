@@ -0,0 +1,165 @@
+/**
+ * 高亮定位模块 - Tidyflux
+ * 在正文中用「引用文本 + 前后文」与「文本位置」两种选择器描述一段选区，
+ * 重新定位时先校验位置，失败后按引用文本查找，正文被重新获取后仍能找回
+ * @module highlighter
+ */
+
+// 不属于原文的插入内容（翻译、代码块头部），计算文本位置时跳过
+const IGNORE_SELECTOR = '.ai-trans-block, .ai-title-trans-block, .code-block-header';
+const CONTEXT_LENGTH = 32;
+
+export const HIGHLIGHT_CLASS = 'article-highlight';
+
+/**
+ * 收集根节点下参与计算的文本节点及其在全文中的起止位置
+ * @param {Element} root
+ * @returns {{text: string, nodes: Array<{node: Text, start: number, end: number}>}}
+ */
+function collectText(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => node.parentElement?.closest(IGNORE_SELECTOR)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+
+    const nodes = [];
+    let text = '';
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        nodes.push({ node, start: text.length, end: text.length + node.data.length });
+        text += node.data;
+    }
+    return { text, nodes };
+}
+
+// 将 Range 边界（容器 + 偏移）换算为全文位置
+function boundaryToOffset(nodes, container, offset, textLength) {
+    const entry = nodes.find(n => n.node === container);
+    if (entry) return entry.start + offset;
+
+    const point = document.createRange();
+    point.setStart(container, offset);
+    for (const n of nodes) {
+        if (point.comparePoint(n.node, 0) >= 0) return n.start;
+    }
+    return textLength;
+}
+
+// 从末尾（prefix）或开头（suffix）起连续相同的字符数
+function commonSuffixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[a.length - 1 - i] === b[b.length - 1 - i]) i++;
+    return i;
+}
+
+function commonPrefixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) i++;
+    return i;
+}
+
+export const Highlighter = {
+    /**
+     * 描述根节点内的选区
+     * @param {Element} root - 正文容器
+     * @param {Range} range - 用户选区
+     * @returns {{quote: {exact: string, prefix: string, suffix: string}, position: {start: number, end: number}}|null}
+     */
+    describe(root, range) {
+        if (!root.contains(range.commonAncestorContainer)) return null;
+
+        const { text, nodes } = collectText(root);
+        const start = boundaryToOffset(nodes, range.startContainer, range.startOffset, text.length);
+        const end = boundaryToOffset(nodes, range.endContainer, range.endOffset, text.length);
+        const exact = text.slice(start, end);
+        if (end <= start || !exact.trim()) return null;
+
+        return {
+            quote: {
+                exact,
+                prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+                suffix: text.slice(end, end + CONTEXT_LENGTH)
+            },
+            position: { start, end }
+        };
+    },
+
+    /**
+     * 在当前正文中定位高亮
+     * @param {Element} root - 正文容器
+     * @param {Object} highlight - 含 quote 与 position 的高亮
+     * @returns {{start: number, end: number}|null} 找不到时返回 null
+     */
+    locate(root, highlight) {
+        const { text } = collectText(root);
+        const { exact, prefix = '', suffix = '' } = highlight.quote;
+        const { start } = highlight.position;
+
+        if (text.slice(start, start + exact.length) === exact) {
+            return { start, end: start + exact.length };
+        }
+
+        // 位置不匹配：在所有出现处中选择前后文最吻合的，相同时取离原位置最近的
+        let best = null;
+        let index = text.indexOf(exact);
+        while (index !== -1) {
+            const score = commonSuffixLength(text.slice(Math.max(0, index - prefix.length), index), prefix) +
+                commonPrefixLength(text.slice(index + exact.length, index + exact.length + suffix.length), suffix);
+            const distance = Math.abs(index - start);
+            if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+                best = { start: index, score, distance };
+            }
+            index = text.indexOf(exact, index + 1);
+        }
+
+        return best ? { start: best.start, end: best.start + exact.length } : null;
+    },
+
+    /**
+     * 用 mark 元素包裹全文位置 [start, end) 内的文本
+     * @param {Element} root - 正文容器
+     * @param {{start: number, end: number}} span
+     * @param {string} id - 高亮 ID
+     * @returns {HTMLElement[]} 创建的 mark 元素
+     */
+    wrap(root, { start, end }, id) {
+        const { nodes } = collectText(root);
+        const marks = [];
+
+        nodes.filter(n => n.end > start && n.start < end).forEach(({ node, start: nodeStart }) => {
+            const from = Math.max(0, start - nodeStart);
+            const to = Math.min(node.data.length, end - nodeStart);
+            // 块级元素之间的空白节点不包裹，避免破坏表格、列表等结构
+            if (!node.data.slice(from, to).trim()) return;
+
+            let target = node;
+            if (from > 0) target = target.splitText(from);
+            if (to - from < target.data.length) target.splitText(to - from);
+
+            const mark = document.createElement('mark');
+            mark.className = HIGHLIGHT_CLASS;
+            mark.dataset.highlightId = id;
+            target.parentNode.insertBefore(mark, target);
+            mark.appendChild(target);
+            marks.push(mark);
+        });
+
+        return marks;
+    },
+
+    /**
+     * 移除高亮的 mark 元素，不传 ID 时移除全部
+     * @param {Element} root - 正文容器
+     * @param {string} [id]
+     */
+    unwrap(root, id = null) {
+        const selector = id ? `mark.${HIGHLIGHT_CLASS}[data-highlight-id="${id}"]` : `mark.${HIGHLIGHT_CLASS}`;
+        root.querySelectorAll(selector).forEach(mark => {
+            const parent = mark.parentNode;
+            while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+            parent.removeChild(mark);
+            parent.normalize();
+        });
+    }
+};
@@ -0,0 +1,203 @@
+/**
+ * Offline Manager Module - 离线阅读
+ * 文章缓存与待提交操作（outbox）由 Service Worker 维护，本模块负责配置、触发同步、状态查询与待同步提示
+ * @module offline-manager
+ */
+
+import { AuthManager } from './auth-manager.js';
+import { i18n } from './i18n.js';
+import { showToast } from './view/utils.js';
+import { STORAGE_KEYS } from '../constants.js';
+
+// 每个分组缓存的未读文章数量选项，0 表示关闭离线阅读
+export const OFFLINE_PER_GROUP_OPTIONS = [0, 20, 50, 100];
+
+// 自动同步间隔
+const AUTO_SYNC_INTERVAL_MS = 30 * 60 * 1000;
+// 等待 Service Worker 响应的超时时间（同步包含图片下载，可能较慢）
+const WORKER_TIMEOUT_MS = 5 * 60 * 1000;
+// 等待 Service Worker 就绪的超时时间（非安全上下文下不会注册）
+const WORKER_READY_TIMEOUT_MS = 3000;
+
+export const OfflineManager = {
+    _syncing: null,
+    _onReplayed: null,
+    _retryTimer: null,
+
+    /**
+     * 初始化：监听网络状态与 Service Worker 消息，联网时提交 outbox 并按需同步
+     * @param {Object} options
+     * @param {Function} [options.onReplayed] - outbox 中的操作提交后的回调（用于刷新计数）
+     */
+    async init({ onReplayed } = {}) {
+        if (!('serviceWorker' in navigator)) return;
+        this._onReplayed = onReplayed || null;
+
+        // 切换账号后清理上一个用户的离线数据
+        const config = this.getConfig();
+        const username = AuthManager.getUser()?.username || null;
+        if (config.owner && config.owner !== username) {
+            await this.clear().catch(() => { });
+        }
+        if (config.owner !== username) {
+            this.saveConfig({ owner: username });
+        }
+
+        window.addEventListener('offline', () => {
+            showToast(i18n.t('offline.now_offline'), 3000, false);
+        });
+
+        window.addEventListener('online', () => {
+            showToast(i18n.t('offline.back_online'), 3000, false);
+            this.flushOutbox().catch(err => console.warn('Flush outbox failed:', err));
+            this.autoSync();
+        });
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type !== 'OUTBOX_CHANGED') return;
+            this._handleOutboxChanged(event.data);
+            if (event.data.applied > 0) {
+                showToast(i18n.t('offline.replayed', { count: event.data.applied }), 3000, false);
+                if (this._onReplayed) this._onReplayed();
+            }
+        });
+
+        const indicator = document.getElementById('outbox-indicator');
+        if (indicator) {
+            indicator.addEventListener('click', () => {
+                this.flushOutbox().catch(err => console.warn('Flush outbox failed:', err));
+            });
+        }
+
+        this.getStatus()
+            .then(status => this._handleOutboxChanged(status))
+            .catch(() => { });
+
+        if (navigator.onLine) {
+            this.flushOutbox().catch(err => console.warn('Flush outbox failed:', err));
+            this.autoSync();
+        }
+    },
+
+    /**
+     * 更新待同步提示，并在不支持 Background Sync 的浏览器中按退避时间安排重试
+     */
+    _handleOutboxChanged({ pendingCount = 0, nextAttemptAt = null } = {}) {
+        const indicator = document.getElementById('outbox-indicator');
+        if (indicator) {
+            indicator.style.display = pendingCount > 0 ? '' : 'none';
+            indicator.textContent = i18n.t('offline.pending', { count: pendingCount });
+            indicator.title = i18n.t('offline.pending_title');
+        }
+
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        if (pendingCount > 0 && nextAttemptAt) {
+            const delay = Math.max(nextAttemptAt - Date.now(), 0);
+            this._retryTimer = setTimeout(() => {
+                if (navigator.onLine) {
+                    this.flushOutbox().catch(err => console.warn('Flush outbox failed:', err));
+                }
+            }, delay);
+        }
+    },
+
+    getConfig() {
+        try {
+            const config = JSON.parse(localStorage.getItem(STORAGE_KEYS.OFFLINE_CONFIG) || '{}');
+            return { perGroup: 0, owner: null, ...config };
+        } catch (e) {
+            return { perGroup: 0, owner: null };
+        }
+    },
+
+    saveConfig(updates) {
+        const config = { ...this.getConfig(), ...updates };
+        localStorage.setItem(STORAGE_KEYS.OFFLINE_CONFIG, JSON.stringify(config));
+        return config;
+    },
+
+    isEnabled() {
+        return this.getConfig().perGroup > 0;
+    },
+
+    /**
+     * 向 Service Worker 发送消息并等待结果
+     */
+    async _postToWorker(message) {
+        if (!('serviceWorker' in navigator)) {
+            throw new Error(i18n.t('offline.unsupported'));
+        }
+        const registration = await Promise.race([
+            navigator.serviceWorker.ready,
+            new Promise(resolve => setTimeout(() => resolve(null), WORKER_READY_TIMEOUT_MS))
+        ]);
+        const worker = navigator.serviceWorker.controller || registration?.active;
+        if (!worker) {
+            throw new Error(i18n.t('offline.unsupported'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => reject(new Error(i18n.t('offline.sync_failed'))), WORKER_TIMEOUT_MS);
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timer);
+                if (event.data.ok) {
+                    resolve(event.data.result);
+                } else {
+                    reject(new Error(event.data.error || i18n.t('offline.sync_failed')));
+                }
+            };
+            worker.postMessage(message, [channel.port2]);
+        });
+    },
+
+    /**
+     * 立即下载每个分组最新的未读文章
+     */
+    async sync() {
+        if (this._syncing) return this._syncing;
+
+        const { perGroup } = this.getConfig();
+        this._syncing = this._postToWorker({
+            type: 'OFFLINE_SYNC',
+            token: AuthManager.getToken(),
+            perGroup: perGroup || OFFLINE_PER_GROUP_OPTIONS[2]
+        }).finally(() => {
+            this._syncing = null;
+        });
+        return this._syncing;
+    },
+
+    /**
+     * 距离上次同步超过间隔时在后台同步
+     */
+    async autoSync() {
+        if (!this.isEnabled() || !navigator.onLine) return;
+        try {
+            const status = await this.getStatus();
+            if (status.lastSync && Date.now() - status.lastSync < AUTO_SYNC_INTERVAL_MS) return;
+            await this.sync();
+        } catch (err) {
+            console.warn('Offline auto sync failed:', err);
+        }
+    },
+
+    /**
+     * 提交 outbox 中待同步的已读/收藏操作
+     */
+    async flushOutbox() {
+        return this._postToWorker({ type: 'OUTBOX_FLUSH', token: AuthManager.getToken() });
+    },
+
+    /**
+     * @returns {Promise<{articleCount: number, pendingCount: number, nextAttemptAt: number|null, lastSync: number|null}>}
+     */
+    async getStatus() {
+        return this._postToWorker({ type: 'OFFLINE_STATUS' });
+    },
+
+    async clear() {
+        return this._postToWorker({ type: 'OFFLINE_CLEAR' });
+    }
+};
@@ -38,7 +38,7 @@ export const Router = {
 
         const hash = window.location.hash;
 
-        // 1. 文章详情 #/article/:id?feed=X&group=X&favorites=1&unread=1
+        // 1. 文章详情 #/article/:id?feed=X&group=X&tag=X&favorites=1&unread=1
         //    ID 可以是数字（普通文章）或 digest_xxx（简报）
         const articleMatch = hash.match(/^#\/article\/([a-zA-Z0-9_]+)(\?.*)?$/);
         if (articleMatch) {
@@ -50,6 +50,7 @@ export const Router = {
             const context = {
                 feedId: params.get('feed') || null,
                 groupId: params.get('group') || null,
+                tagId: params.get('tag') || null,
                 favorites: params.get('favorites') === '1',
                 unread: params.get('unread') === '1'
             };
@@ -80,7 +81,24 @@ export const Router = {
             return;
         }
 
-        // 5. 搜索 #/search?q=xxx
+        // 5. 标签 #/tag/:id
+        const tagMatch = hash.match(/^#\/tag\/([a-zA-Z0-9_]+)$/);
+        if (tagMatch) {
+            ViewManager._renderTag(tagMatch[1]);
+            return;
+        }
+
+        // 6. 保存的搜索 #/search/:id
+        const savedSearchMatch = hash.match(/^#\/search\/([a-zA-Z0-9_]+)$/);
+        if (savedSearchMatch) {
+            if (window.innerWidth <= 1100) {
+                ViewManager.showPanel('articles');
+            }
+            SearchView.openSavedSearch(savedSearchMatch[1]);
+            return;
+        }
+
+        // 7. 搜索 #/search?q=xxx
         const searchMatch = hash.match(/^#\/search\?q=(.+)$/);
         if (searchMatch) {
             const query = decodeURIComponent(searchMatch[1]);
@@ -92,13 +110,13 @@ export const Router = {
             return;
         }
 
-        // 6. 全部文章 #/all
+        // 8. 全部文章 #/all
         if (hash === '#/all') {
             ViewManager._renderFeed(null);
             return;
         }
 
-        // 7. 订阅源列表 #/feeds
+        // 9. 订阅源列表 #/feeds
         if (hash === '#/feeds') {
             if (window.innerWidth <= 1100) {
                 ViewManager.showPanel('feeds');
@@ -113,13 +131,32 @@ export const Router = {
             // Handle if any other special routes exist
         }
 
-        // 9. 简报 #/digests
+        // 11. 简报 #/digests
         if (hash === '#/digests') {
             ViewManager._renderDigests();
             return;
         }
 
-        // 8. 根路径 (无hash 或 #/)
+        // 12. 高亮 #/highlights
+        if (hash === '#/highlights') {
+            ViewManager._renderHighlights();
+            return;
+        }
+
+        // 13. 存档 #/archive 与 #/archive/:id
+        const archiveMatch = hash.match(/^#\/archive(?:\/([a-zA-Z0-9_]+))?$/);
+        if (archiveMatch) {
+            ViewManager._renderArchive(archiveMatch[1] || null);
+            return;
+        }
+
+        // 14. AI 问答 #/ask
+        if (hash === '#/ask') {
+            ViewManager._renderAsk();
+            return;
+        }
+
+        // 10. 根路径 (无hash 或 #/)
         if (!hash || hash === '#/') {
             // Default to all
             ViewManager._renderFeed(null);
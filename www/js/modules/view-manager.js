@@ -19,6 +19,9 @@ import { SearchView } from './view/search-view.js';
 import { Gestures } from './view/gestures.js';
 import { ContextMenu } from './view/context-menu.js';
 import { DigestView } from './view/digest-view.js';
+import { HighlightsView } from './view/highlights-view.js';
+import { ArchiveView } from './view/archive-view.js';
+import { AskView } from './view/ask-view.js';
 import {
     formatDate,
     isIOSSafari,
@@ -77,6 +80,9 @@ export const ViewManager = {
         Gestures.init(this);
         ContextMenu.init(this);
         DigestView.init(this);
+        HighlightsView.init(this);
+        ArchiveView.init(this);
+        AskView.init(this);
     },
 
     /**
@@ -195,6 +201,18 @@ export const ViewManager = {
         FeedsView.updateSidebarActiveState(options);
     },
 
+    getSavedSearches() {
+        return FeedsView.getSavedSearches();
+    },
+
+    async setSavedSearches(list) {
+        await FeedsView.setSavedSearches(list);
+    },
+
+    selectSavedSearch(id) {
+        FeedsView.selectSavedSearch(id);
+    },
+
     getCollapsedGroups() {
         return FeedsView.getCollapsedGroups();
     },
@@ -261,7 +279,7 @@ export const ViewManager = {
         // 检查是否需要跳过重复加载（滑动返回时不刷新，点击时刷新）
         const isSame = !AppState.isSearchMode &&
             (AppState.currentFeedId == (feedId || '') || (feedId === null && !AppState.currentFeedId)) &&
-            !AppState.currentGroupId && !AppState.viewingFavorites && !AppState.viewingDigests && AppState.articles.length > 0;
+            !AppState.currentGroupId && !AppState.currentTagId && !AppState.viewingFavorites && !AppState.viewingDigests && AppState.articles.length > 0;
 
         if (isSame && !this.forceRefreshList) {
             if (window.innerWidth <= BREAKPOINT_TABLET) this.showPanel('articles');
@@ -278,6 +296,7 @@ export const ViewManager = {
 
         AppState.currentFeedId = feedId;
         AppState.currentGroupId = null;
+        AppState.currentTagId = null;
         AppState.viewingFavorites = false;
         AppState.viewingDigests = false;
 
@@ -318,6 +337,7 @@ export const ViewManager = {
 
         AppState.currentFeedId = null;
         AppState.currentGroupId = groupId;
+        AppState.currentTagId = null;
         AppState.viewingFavorites = false;
         AppState.viewingDigests = false;
 
@@ -353,6 +373,7 @@ export const ViewManager = {
 
         AppState.currentFeedId = null;
         AppState.currentGroupId = null;
+        AppState.currentTagId = null;
         AppState.viewingFavorites = true;
         AppState.viewingDigests = false;
         AppState.showUnreadOnly = false;
@@ -365,6 +386,101 @@ export const ViewManager = {
         await this.loadArticles(null, null);
     },
 
+    async _renderTag(tagId) {
+        await this.waitForFeedsLoaded();
+
+        // 检查是否需要跳过重复加载
+        if (!AppState.isSearchMode && AppState.currentTagId === tagId && AppState.articles.length > 0 && !this.forceRefreshList) {
+            if (window.innerWidth <= BREAKPOINT_TABLET) this.showPanel('articles');
+            this._restoreScrollPosition();
+            return;
+        }
+
+        // 重置强制刷新标记
+        this.forceRefreshList = false;
+
+        // 退出搜索模式
+        AppState.isSearchMode = false;
+        AppState.searchQuery = '';
+
+        AppState.currentFeedId = null;
+        AppState.currentGroupId = null;
+        AppState.currentTagId = tagId;
+        AppState.viewingFavorites = false;
+        AppState.viewingDigests = false;
+        // 标签视图按添加时间排列，始终显示全部
+        AppState.showUnreadOnly = false;
+
+        this.updateSidebarActiveState({ tagId });
+
+        const tag = AppState.tags?.find(t => t.id === tagId);
+        DOMElements.currentFeedTitle.textContent = tag?.name || i18n.t('tags.title');
+
+        // 先显示面板，让骨架屏可见
+        if (window.innerWidth <= BREAKPOINT_TABLET) this.showPanel('articles');
+        await this.loadArticles(null, null);
+    },
+
+    /**
+     * 当前文章列表对应的路由（从高亮、存档等页面返回时使用）
+     * @returns {string}
+     */
+    getListHash() {
+        if (AppState.viewingDigests) return '#/digests';
+        if (AppState.currentGroupId) return `#/group/${AppState.currentGroupId}`;
+        if (AppState.currentFeedId) return `#/feed/${AppState.currentFeedId}`;
+        if (AppState.currentTagId) return `#/tag/${AppState.currentTagId}`;
+        if (AppState.viewingFavorites) return '#/favorites';
+        return '#/all';
+    },
+
+    async _renderHighlights() {
+        await this.waitForFeedsLoaded();
+
+        // 直接打开时列表为空，先加载全部文章
+        if (!AppState.articles || AppState.articles.length === 0) {
+            await this._renderFeed(null);
+        }
+
+        this.updateSidebarActiveState({ highlights: true });
+        if (window.innerWidth <= BREAKPOINT_TABLET) this.showPanel('content');
+        await HighlightsView.render();
+    },
+
+    async _renderAsk() {
+        await this.waitForFeedsLoaded();
+
+        // 直接打开时列表为空，先加载全部文章
+        if (!AppState.articles || AppState.articles.length === 0) {
+            await this._renderFeed(null);
+        }
+
+        this.updateSidebarActiveState({ ask: true });
+        if (window.innerWidth <= BREAKPOINT_TABLET) this.showPanel('content');
+        AskView.render();
+    },
+
+    /**
+     * 存档列表或单个存档快照
+     * @param {string|null} archiveId
+     */
+    async _renderArchive(archiveId = null) {
+        await this.waitForFeedsLoaded();
+
+        // 直接打开时列表为空，先加载全部文章
+        if (!AppState.articles || AppState.articles.length === 0) {
+            await this._renderFeed(null);
+        }
+
+        this.updateSidebarActiveState({ archive: true });
+        if (window.innerWidth <= BREAKPOINT_TABLET) this.showPanel('content');
+        if (archiveId) {
+            await ArchiveView.renderItem(archiveId);
+        } else {
+            await ArchiveView.render();
+        }
+    },
+
     async _renderDigests() {
         await this.waitForFeedsLoaded();
 
@@ -380,6 +496,7 @@ export const ViewManager = {
 
         AppState.currentFeedId = null;
         AppState.currentGroupId = null;
+        AppState.currentTagId = null;
         AppState.viewingFavorites = false;
         AppState.viewingDigests = true;
         // Briefings default to unread only or all? User implies "only unread at top", suggesting we might show all but prioritize.
@@ -466,6 +583,7 @@ export const ViewManager = {
             AppState.groups = groups;
             // Store digests count/metadata if needed? No, pass it to view
             this.updateFeedUnreadCounts(digests && digests.digests ? digests.digests : null);
+            FeedsView.refreshSavedSearchCounts();
 
             await ArticlesView.checkUnreadDigestsAndShowToast(digests);
         } catch (err) {
@@ -521,6 +639,22 @@ export const ViewManager = {
         ContextMenu.showFeedContextMenu(event, feedId);
     },
 
+    showSavedSearchContextMenu(event, id) {
+        ContextMenu.showSavedSearchContextMenu(event, id);
+    },
+
+    showTagContextMenu(event, tagId) {
+        ContextMenu.showTagContextMenu(event, tagId);
+    },
+
+    showShareMenu(event, article) {
+        ContextMenu.showShareMenu(event, article);
+    },
+
+    loadTags() {
+        return FeedsView.loadTags();
+    },
+
     showArticlesContextMenu(event) {
         ContextMenu.showArticlesContextMenu(event);
     },
@@ -696,6 +830,8 @@ export const ViewManager = {
                 await this._renderDigests();
             } else if (AppState.viewingFavorites) {
                 await this._renderFavorites();
+            } else if (AppState.currentTagId) {
+                await this._renderTag(AppState.currentTagId);
             } else if (AppState.currentGroupId) {
                 await this._renderGroup(AppState.currentGroupId);
             } else {
@@ -0,0 +1,209 @@
+/**
+ * ArchiveView - 文章存档
+ * 在内容面板中浏览、检索和阅读保存在 Tidyflux 的存档快照
+ * @module view/archive-view
+ */
+
+import { DOMElements } from '../../dom.js';
+import { FeedManager } from '../feed-manager.js';
+import { formatDate, escapeHtml } from './utils.js';
+import { Modal } from './components.js';
+import { i18n } from '../i18n.js';
+import { Icons } from '../icons.js';
+import { HighlightsView } from './highlights-view.js';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+export const ArchiveView = {
+    /** 视图管理器引用 */
+    viewManager: null,
+    /** 当前检索词与已加载的存档 */
+    query: '',
+    items: [],
+    pagination: null,
+    searchTimer: null,
+
+    /**
+     * 初始化模块
+     * @param {Object} viewManager - ViewManager 实例引用
+     */
+    init(viewManager) {
+        this.viewManager = viewManager;
+    },
+
+    _renderLoading() {
+        HighlightsView.detach();
+        DOMElements.articleContent.innerHTML = `<div class="loading" style="padding: 40px; text-align: center;">${i18n.t('common.loading')}</div>`;
+        DOMElements.articleContent.scrollTop = 0;
+    },
+
+    _renderError(message) {
+        DOMElements.articleContent.innerHTML = `<div class="error-msg" style="padding: 40px; text-align: center; color: red;">${escapeHtml(message)}</div>`;
+    },
+
+    _bindBackButton(hash) {
+        DOMElements.articleContent.querySelector('#article-back-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.location.hash = hash;
+        });
+    },
+
+    // ==================== 存档列表 ====================
+
+    /**
+     * 渲染存档列表页
+     */
+    async render() {
+        HighlightsView.detach();
+        DOMElements.articleContent.scrollTop = 0;
+
+        DOMElements.articleContent.innerHTML = `
+            <div class="article-toolbar">
+                <div class="article-toolbar-left">
+                    <button class="article-toolbar-btn" id="article-back-btn" title="${i18n.t('common.close')}">
+                        ${Icons.arrow_back}
+                    </button>
+                </div>
+            </div>
+            <header class="article-header">
+                <h1>${i18n.t('archive.title')}</h1>
+                <div class="article-header-info archive-count" style="color: var(--text-secondary); font-size: 14px; margin-top: 16px;"></div>
+            </header>
+            <input type="search" class="archive-search-input" placeholder="${i18n.t('archive.search_placeholder')}" value="${escapeHtml(this.query)}">
+            <div class="archive-list">
+                <div class="loading" style="padding: 40px; text-align: center;">${i18n.t('common.loading')}</div>
+            </div>
+        `;
+
+        this._bindBackButton(this.viewManager.getListHash());
+
+        const input = DOMElements.articleContent.querySelector('.archive-search-input');
+        input.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.query = input.value.trim();
+                this.loadItems();
+            }, SEARCH_DEBOUNCE_MS);
+        });
+
+        DOMElements.articleContent.querySelector('.archive-list').addEventListener('click', (e) => {
+            if (e.target.closest('.archive-load-more')) {
+                this.loadItems(this.pagination.page + 1);
+                return;
+            }
+            const item = e.target.closest('.archive-item');
+            if (item) window.location.hash = `#/archive/${item.dataset.id}`;
+        });
+
+        await this.loadItems();
+    },
+
+    /**
+     * 加载一页存档，第一页时替换列表
+     * @param {number} page
+     */
+    async loadItems(page = 1) {
+        const query = this.query;
+        let data;
+        try {
+            data = await FeedManager.getArchive({ query, page });
+        } catch (err) {
+            this._renderError(err.message);
+            return;
+        }
+
+        // 检索词已变化或已离开存档页
+        const list = DOMElements.articleContent.querySelector('.archive-list');
+        if (!list || query !== this.query) return;
+
+        this.items = page === 1 ? data.items : this.items.concat(data.items);
+        this.pagination = data.pagination;
+
+        const countEl = DOMElements.articleContent.querySelector('.archive-count');
+        if (countEl) countEl.textContent = i18n.t('archive.count', { count: data.pagination.total });
+
+        if (this.items.length === 0) {
+            list.innerHTML = `<div class="empty-msg" style="padding: 40px 0; text-align: center; color: var(--meta-color);">${i18n.t(query ? 'archive.no_results' : 'archive.empty')}</div>`;
+            return;
+        }
+
+        list.innerHTML = `
+            ${this.items.map(item => `
+                <div class="archive-item" data-id="${escapeHtml(item.id)}">
+                    <div class="archive-item-title">${escapeHtml(item.title || item.url)}</div>
+                    <div class="archive-item-meta">
+                        ${item.feedTitle ? `<span>${escapeHtml(item.feedTitle)}</span><span>·</span>` : ''}
+                        <span>${i18n.t('archive.archived_at', { date: formatDate(item.archivedAt) })}</span>
+                    </div>
+                    ${item.excerpt ? `<div class="archive-item-excerpt">${escapeHtml(item.excerpt)}</div>` : ''}
+                </div>
+            `).join('')}
+            ${this.pagination.hasMore ? `<button class="appearance-mode-btn archive-load-more">${i18n.t('archive.load_more')}</button>` : ''}
+        `;
+    },
+
+    // ==================== 存档阅读 ====================
+
+    /**
+     * 渲染单个存档快照
+     * @param {string} id - 存档 ID
+     */
+    async renderItem(id) {
+        this._renderLoading();
+
+        let item;
+        try {
+            item = await FeedManager.getArchiveItem(id);
+        } catch (err) {
+            this._renderError(err.message);
+            return;
+        }
+
+        if (window.location.hash !== `#/archive/${id}`) return;
+
+        const metaParts = [
+            `<span style="color: var(--accent-color); font-weight: 500;">${i18n.t('archive.title')}</span>`,
+            item.feedTitle ? `<span>${escapeHtml(item.feedTitle)}</span>` : '',
+            item.author ? `<span>${escapeHtml(item.author)}</span>` : '',
+            item.publishedAt ? `<span>${formatDate(item.publishedAt)}</span>` : '',
+            `<span>${i18n.t('archive.archived_at', { date: formatDate(item.archivedAt) })}</span>`
+        ].filter(Boolean).join('<span style="opacity: 0.5;">·</span>');
+
+        DOMElements.articleContent.innerHTML = `
+            <div class="article-toolbar">
+                <div class="article-toolbar-left">
+                    <button class="article-toolbar-btn" id="article-back-btn" title="${i18n.t('common.close')}">
+                        ${Icons.arrow_back}
+                    </button>
+                </div>
+                <div class="article-toolbar-right">
+                    <button class="article-toolbar-btn" id="archive-delete-btn" title="${i18n.t('archive.delete')}">
+                        ${Icons.delete}
+                    </button>
+                </div>
+            </div>
+            <header class="article-header">
+                <h1>${item.url ? `<a href="${escapeHtml(item.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(item.title)}</a>` : escapeHtml(item.title)}</h1>
+                <div class="article-header-info" style="color: var(--text-secondary); font-size: 14px; margin-top: 16px; display: flex; flex-wrap: wrap; align-items: center; gap: 8px;">
+                    ${metaParts}
+                </div>
+                ${item.failedImages > 0 ? `<div class="archive-notice">${i18n.t('archive.partial_images', { count: item.failedImages })}</div>` : ''}
+            </header>
+            <div class="article-body" style="margin-top: 24px; line-height: 1.8;">
+                ${item.content}
+            </div>
+        `;
+
+        this._bindBackButton('#/archive');
+
+        DOMElements.articleContent.querySelector('#archive-delete-btn')?.addEventListener('click', async () => {
+            if (!await Modal.confirm(i18n.t('archive.confirm_delete'))) return;
+            try {
+                await FeedManager.deleteArchiveItem(id);
+                window.location.hash = '#/archive';
+            } catch (err) {
+                await Modal.alert(err.message);
+            }
+        });
+    }
+};
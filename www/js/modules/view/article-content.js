@@ -7,7 +7,7 @@ import { Dialogs } from './dialogs.js';
 import { DOMElements } from '../../dom.js';
 import { AppState } from '../../state.js';
 import { FeedManager } from '../feed-manager.js';
-import { showToast } from './utils.js';
+import { showToast, getFaviconUrl, createContextMenu, escapeHtml, downloadBlob } from './utils.js';
 import { Modal } from './components.js';
 import { AIService } from '../ai-service.js';
 import { i18n } from '../i18n.js';
@@ -15,6 +15,14 @@ import { Icons } from '../icons.js';
 
 import { ArticlesView } from './articles-view.js';
 import { GlobalPodcastPlayer } from '../components/podcast-player.js';
+import { HighlightsView } from './highlights-view.js';
+
+// 导出格式对应的文件扩展名
+const EXPORT_EXTENSIONS = {
+    markdown: 'md',
+    pdf: 'pdf',
+    epub: 'epub'
+};
 
 /**
  * 文章内容视图管理
@@ -52,6 +60,7 @@ export const ArticleContentView = {
         const params = new URLSearchParams();
         if (AppState.currentFeedId) params.set('feed', AppState.currentFeedId);
         if (AppState.currentGroupId) params.set('group', AppState.currentGroupId);
+        if (AppState.currentTagId) params.set('tag', AppState.currentTagId);
         if (AppState.viewingFavorites) params.set('favorites', '1');
         if (AppState.showUnreadOnly) params.set('unread', '1');
 
@@ -74,7 +83,7 @@ export const ArticleContentView = {
     /**
      * 渲染文章内容
      * @param {string|number} articleId - 文章 ID
-     * @param {Object|null} context - 上下文对象 {feedId, groupId, favorites, unread} 或缓存的文章数据
+     * @param {Object|null} context - 上下文对象 {feedId, groupId, tagId, favorites, unread} 或缓存的文章数据
      */
     async _renderArticle(articleId, context = null) {
         const vm = this.viewManager;
@@ -87,12 +96,13 @@ export const ArticleContentView = {
 
         // 如果文章列表为空，根据 context 加载文章列表
         if (!AppState.articles || AppState.articles.length === 0) {
-            const hasExplicitContext = context && (context.feedId || context.groupId || context.favorites);
+            const hasExplicitContext = context && (context.feedId || context.groupId || context.tagId || context.favorites);
 
             if (isDigest && !hasExplicitContext) {
                 // Fix: 如果是简报，且看起来没有特定的上下文（即不是从特定 Feed/Group 进入的），则默认进入简报列表
                 AppState.currentFeedId = null;
                 AppState.currentGroupId = null;
+                AppState.currentTagId = null;
                 AppState.viewingFavorites = false;
                 AppState.viewingDigests = true;
 
@@ -107,6 +117,7 @@ export const ArticleContentView = {
                 if (context && typeof context === 'object' && !context.title) {
                     AppState.currentFeedId = context.feedId || null;
                     AppState.currentGroupId = context.groupId || null;
+                    AppState.currentTagId = context.tagId || null;
                     AppState.viewingFavorites = context.favorites || false;
 
                     // 使用保存的筛选设置，而不是 URL 中的 unread 参数
@@ -117,23 +128,30 @@ export const ArticleContentView = {
                         filterKey = `group_${context.groupId}`;
                     } else if (context.feedId) {
                         filterKey = `feed_${context.feedId}`;
+                    } else if (context.tagId) {
+                        filterKey = null;
                     } else if (context.favorites) {
                         filterKey = 'favorites';
                         // 收藏夹默认显示全部文章（包括已读），与点击侧边栏行为保持一致
                         defaultUnread = false;
                     }
-                    const savedFilter = vm.loadFilterSetting(filterKey);
+                    // 标签视图始终显示全部文章
+                    const savedFilter = filterKey ? vm.loadFilterSetting(filterKey) : false;
                     AppState.showUnreadOnly = savedFilter !== null ? savedFilter : defaultUnread;
                 } else {
                     AppState.currentFeedId = null;
                     AppState.currentGroupId = null;
+                    AppState.currentTagId = null;
                     AppState.viewingFavorites = false;
                     const savedFilter = vm.loadFilterSetting('all');
                     AppState.showUnreadOnly = savedFilter !== null ? savedFilter : true;
                 }
 
                 // 更新标题和侧边栏状态
-                if (context?.favorites) {
+                if (context?.tagId) {
+                    const tag = AppState.tags?.find(t => t.id === context.tagId);
+                    DOMElements.currentFeedTitle.textContent = tag?.name || i18n.t('tags.title');
+                } else if (context?.favorites) {
                     DOMElements.currentFeedTitle.textContent = '我的收藏';
                 } else if (context?.groupId) {
                     const group = AppState.groups?.find(g => g.id == context.groupId);
@@ -252,9 +270,9 @@ export const ArticleContentView = {
      * @param {Object} digest - 简报对象
      */
     renderDigestContent(digest) {
+        HighlightsView.detach();
 
-
-        // 工具栏 HTML（简化版，只有返回按钮）
+        // 工具栏 HTML（简化版，只有返回与导出按钮）
         const toolbarHTML = `
             <div class="article-toolbar">
                 <div class="article-toolbar-left">
@@ -262,7 +280,11 @@ export const ArticleContentView = {
                         ${Icons.arrow_back}
                     </button>
                 </div>
-
+                <div class="article-toolbar-right">
+                    <button class="article-toolbar-btn" id="digest-export-btn" title="${i18n.t('export.button')}">
+                        ${Icons.download}
+                    </button>
+                </div>
             </div>
         `;
 
@@ -296,7 +318,7 @@ export const ArticleContentView = {
 
         `;
 
-        this.bindDigestToolbarEvents();
+        this.bindDigestToolbarEvents(digest);
         this.updateNavButtons(digest.id);
     },
 
@@ -304,10 +326,11 @@ export const ArticleContentView = {
      * 绑定简报工具栏事件
      * @param {Object} digest - 简报对象
      */
-    bindDigestToolbarEvents() {
+    bindDigestToolbarEvents(digest) {
         const vm = this.viewManager;
 
         const backBtn = document.getElementById('article-back-btn');
+        const exportBtn = document.getElementById('digest-export-btn');
 
         // 返回按钮
         if (backBtn) {
@@ -323,6 +346,8 @@ export const ArticleContentView = {
                         window.location.hash = `#/group/${AppState.currentGroupId}`;
                     } else if (AppState.currentFeedId) {
                         window.location.hash = `#/feed/${AppState.currentFeedId}`;
+                    } else if (AppState.currentTagId) {
+                        window.location.hash = `#/tag/${AppState.currentTagId}`;
                     } else if (AppState.viewingFavorites) {
                         window.location.hash = '#/favorites';
                     } else {
@@ -332,7 +357,14 @@ export const ArticleContentView = {
             });
         }
 
-
+        // 导出按钮：PDF 与 EPUB 包含来源文章
+        if (exportBtn) {
+            exportBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showExportMenu(e, ['markdown', 'pdf', 'epub'], digest.title,
+                    format => FeedManager.exportDigest(digest.id, format));
+            });
+        }
     },
 
     /**
@@ -361,7 +393,7 @@ export const ArticleContentView = {
         // 构建 feed icon 或 feed 名称
         let feedInfo = '';
         if (article.feed_id) {
-            feedInfo = `<img src="/api/favicon?feedId=${article.feed_id}" class="favicon" loading="lazy" decoding="async" alt="${article.feed_title || ''}" title="${article.feed_title || ''}" style="width: 14px; height: 14px; border-radius: 4px; margin: 0; display: block;">`;
+            feedInfo = `<img src="${getFaviconUrl(article.feed_id)}" class="favicon" loading="lazy" decoding="async" alt="${article.feed_title || ''}" title="${article.feed_title || ''}" style="width: 14px; height: 14px; border-radius: 4px; margin: 0; display: block;">`;
         }
         if (!feedInfo && article.feed_title) {
             feedInfo = `<span style="font-weight: 500;">${article.feed_title}</span>`;
@@ -403,6 +435,18 @@ export const ArticleContentView = {
                     <button class="article-toolbar-btn ${isFavorited ? 'active' : ''}" id="article-toggle-fav-btn" title="${isFavorited ? i18n.t('article.unstar') : i18n.t('article.star')}">
                         ${isFavorited ? Icons.star : Icons.star_border}
                     </button>
+                    <button class="article-toolbar-btn" id="article-tags-btn" title="${i18n.t('tags.button')}">
+                        ${Icons.label}
+                    </button>
+                    <button class="article-toolbar-btn" id="article-archive-btn" title="${i18n.t('archive.save')}">
+                        ${Icons.archive}
+                    </button>
+                    <button class="article-toolbar-btn" id="article-export-btn" title="${i18n.t('export.button')}">
+                        ${Icons.download}
+                    </button>
+                    <button class="article-toolbar-btn" id="article-share-btn" title="${i18n.t('share.button')}">
+                        ${Icons.share}
+                    </button>
                     <button class="article-toolbar-btn" id="article-fetch-content-btn" title="${i18n.t('feed.fetch_content_failed').replace('Failed to fetch', 'Fetch')}">
                         ${Icons.fetch_original}
                     </button>
@@ -433,13 +477,17 @@ export const ArticleContentView = {
                 ">
                     ${metaHTML}
                 </div>
+                <div class="article-tags" id="article-tags" style="display: none;"></div>
             </header>
             <div id="article-ai-summary" class="article-ai-summary" style="display: none; margin: 16px 0; padding: 16px; background: var(--card-bg); border-radius: var(--radius); box-shadow: var(--card-shadow); border: none;">
                 <div class="ai-summary-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px; padding-bottom: 8px; border-bottom: 1px solid var(--border-color);">
                     <strong class="ai-title" style="display: flex; align-items: center; gap: 8px;">
                         <span class="ai-title-text">${i18n.t('ai.summary_title')}</span>
                     </strong>
-                    <button class="ai-close-btn" style="background: none; border: none; cursor: pointer; color: var(--meta-color); font-size: 1.2em; padding: 4px;">✕</button>
+                    <div style="display: flex; align-items: center; gap: 4px;">
+                        <button class="ai-regenerate-btn" title="${i18n.t('ai.regenerate')}" style="display: none; background: none; border: none; cursor: pointer; color: var(--meta-color); font-size: 0.85em; padding: 4px;">↻ ${i18n.t('ai.regenerate')}</button>
+                        <button class="ai-close-btn" style="background: none; border: none; cursor: pointer; color: var(--meta-color); font-size: 1.2em; padding: 4px;">✕</button>
+                    </div>
                 </div>
                 <div class="ai-content markdown-body" style="line-height: 1.5; font-size: 0.9em;"></div>
             </div>
@@ -464,6 +512,189 @@ export const ArticleContentView = {
         this.enhanceCodeBlocks();
         this.bindArticleToolbarEvents(article);
         this.updateNavButtons(article.id);
+        this.loadArticleTags(article.id);
+        this.loadArchiveStatus(article.id);
+        HighlightsView.attach(article);
+    },
+
+    /**
+     * 加载并渲染标题下方的文章标签
+     * @param {string|number} articleId - 文章 ID
+     */
+    async loadArticleTags(articleId) {
+        try {
+            const tags = await FeedManager.getArticleTags(articleId);
+            this.renderArticleTags(articleId, tags);
+        } catch (err) {
+            console.error('Load article tags error:', err);
+        }
+    },
+
+    /**
+     * 渲染文章标签，点击标签进入该标签的文章列表
+     * @param {string|number} articleId - 文章 ID
+     * @param {Array} tags - 文章的标签
+     */
+    renderArticleTags(articleId, tags) {
+        // 异步返回时可能已切换到其他文章
+        if (AppState.currentArticleId != articleId) return;
+        const container = document.getElementById('article-tags');
+        if (!container) return;
+
+        container.style.display = tags.length > 0 ? '' : 'none';
+        container.innerHTML = tags.map(tag =>
+            `<span class="article-tag" data-tag-id="${escapeHtml(tag.id)}">${escapeHtml(tag.name)}</span>`
+        ).join('');
+
+        container.querySelectorAll('.article-tag').forEach(chip => {
+            chip.addEventListener('click', () => {
+                window.location.hash = `#/tag/${chip.dataset.tagId}`;
+            });
+        });
+    },
+
+    /**
+     * 添加工具栏加载图标的旋转动画样式
+     */
+    ensureSpinnerStyle() {
+        if (document.getElementById('spinner-style')) return;
+        const style = document.createElement('style');
+        style.id = 'spinner-style';
+        style.textContent = '@keyframes rotate { 100% { transform: rotate(360deg); } } .spinner circle { stroke-dasharray: 90, 150; stroke-dashoffset: 0; stroke-linecap: round; }';
+        document.head.appendChild(style);
+    },
+
+    /**
+     * 已存档的文章高亮存档按钮，点击时打开存档快照
+     * @param {string|number} articleId - 文章 ID
+     */
+    async loadArchiveStatus(articleId) {
+        try {
+            const item = await FeedManager.getArchiveStatus(articleId);
+            this.updateArchiveButton(articleId, item);
+        } catch (err) {
+            console.error('Load archive status error:', err);
+        }
+    },
+
+    updateArchiveButton(articleId, item) {
+        if (AppState.currentArticleId != articleId) return;
+        const btn = document.getElementById('article-archive-btn');
+        if (!btn) return;
+
+        btn.dataset.archiveId = item ? item.id : '';
+        btn.classList.toggle('active', !!item);
+        btn.title = item ? i18n.t('archive.view_snapshot') : i18n.t('archive.save');
+    },
+
+    /**
+     * 显示标签选择菜单：勾选切换已有标签，输入框回车创建并添加新标签
+     * @param {MouseEvent} event - 点击事件
+     * @param {Object} article - 文章对象
+     */
+    async showTagPicker(event, article) {
+        let articleTags;
+        try {
+            articleTags = await FeedManager.getArticleTags(article.id);
+        } catch (err) {
+            showToast(err.message);
+            return;
+        }
+
+        const renderItems = () => {
+            const tags = AppState.tags || [];
+            if (tags.length === 0) {
+                return `<div class="context-menu-label" style="padding: 8px 16px; color: var(--meta-color); font-size: 0.9em; cursor: default;">${i18n.t('tags.empty')}</div>`;
+            }
+            const assigned = new Set(articleTags.map(t => t.id));
+            return tags.map(tag => `
+                <div class="context-menu-item" data-tag-id="${escapeHtml(tag.id)}">
+                    ${assigned.has(tag.id) ? Icons.checkbox_checked : Icons.checkbox_unchecked}
+                    ${escapeHtml(tag.name)}
+                </div>
+            `).join('');
+        };
+
+        const html = `
+            <div class="tag-picker-list">${renderItems()}</div>
+            <div class="context-menu-divider"></div>
+            <input type="text" class="tag-picker-input" maxlength="50" placeholder="${i18n.t('tags.new_placeholder')}">
+        `;
+
+        const { menu } = createContextMenu(event, html);
+        const list = menu.querySelector('.tag-picker-list');
+        const input = menu.querySelector('.tag-picker-input');
+
+        const applyTags = async (tags) => {
+            articleTags = tags;
+            // 标签数量或新建标签需要同步到侧边栏，再据此刷新菜单
+            await this.viewManager.loadTags();
+            list.innerHTML = renderItems();
+            this.renderArticleTags(article.id, tags);
+        };
+
+        list.addEventListener('click', async (e) => {
+            const item = e.target.closest('.context-menu-item[data-tag-id]');
+            if (!item) return;
+
+            const tagId = item.dataset.tagId;
+            try {
+                const tags = articleTags.some(t => t.id === tagId)
+                    ? await FeedManager.removeArticleTag(article.id, tagId)
+                    : await FeedManager.addArticleTag(article.id, { tagId });
+                await applyTags(tags);
+            } catch (err) {
+                showToast(err.message);
+            }
+        });
+
+        input.addEventListener('keydown', async (e) => {
+            if (e.key !== 'Enter' || e.isComposing) return;
+            e.preventDefault();
+
+            const name = input.value.trim();
+            if (!name) return;
+            try {
+                const tags = await FeedManager.addArticleTag(article.id, { name });
+                input.value = '';
+                await applyTags(tags);
+            } catch (err) {
+                showToast(err.message);
+            }
+        });
+    },
+
+    /**
+     * 显示导出格式菜单，选择后下载导出的文件
+     * @param {MouseEvent} event - 点击事件
+     * @param {Array<string>} formats - 可选格式：markdown | pdf | epub
+     * @param {string} title - 文件名
+     * @param {Function} exporter - (format) => Promise<Blob>
+     */
+    showExportMenu(event, formats, title, exporter) {
+        const html = formats.map(format => `
+            <div class="context-menu-item" data-format="${format}">
+                ${Icons.download}
+                ${i18n.t(`export.${format}`)}
+            </div>
+        `).join('');
+
+        const { menu, cleanup } = createContextMenu(event, html);
+
+        menu.addEventListener('click', async (e) => {
+            const item = e.target.closest('.context-menu-item[data-format]');
+            if (!item) return;
+            cleanup();
+
+            const format = item.dataset.format;
+            showToast(i18n.t('export.exporting'));
+            try {
+                const blob = await exporter(format);
+                downloadBlob(blob, `${title || 'tidyflux'}.${EXPORT_EXTENSIONS[format]}`);
+            } catch (err) {
+                showToast(err.message);
+            }
+        });
     },
 
     /**
@@ -476,6 +707,10 @@ export const ArticleContentView = {
         const readBtn = document.getElementById('article-toggle-read-btn');
         const favBtn = document.getElementById('article-toggle-fav-btn');
         const fetchBtn = document.getElementById('article-fetch-content-btn');
+        const tagsBtn = document.getElementById('article-tags-btn');
+        const archiveBtn = document.getElementById('article-archive-btn');
+        const exportBtn = document.getElementById('article-export-btn');
+        const shareBtn = document.getElementById('article-share-btn');
 
         // 返回按钮
         if (backBtn) {
@@ -488,6 +723,8 @@ export const ArticleContentView = {
                     window.location.hash = `#/group/${AppState.currentGroupId}`;
                 } else if (AppState.currentFeedId) {
                     window.location.hash = `#/feed/${AppState.currentFeedId}`;
+                } else if (AppState.currentTagId) {
+                    window.location.hash = `#/tag/${AppState.currentTagId}`;
                 } else if (AppState.viewingFavorites) {
                     window.location.hash = '#/favorites';
                 } else {
@@ -571,6 +808,57 @@ export const ArticleContentView = {
         }
 
         // 获取全文按钮
+        // 标签按钮
+        if (tagsBtn) {
+            tagsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showTagPicker(e, article);
+            });
+        }
+
+        // 存档按钮：未存档时保存快照，已存档时打开快照
+        if (archiveBtn) {
+            archiveBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const btn = e.currentTarget;
+                if (btn.classList.contains('loading')) return;
+
+                if (btn.dataset.archiveId) {
+                    window.location.hash = `#/archive/${btn.dataset.archiveId}`;
+                    return;
+                }
+
+                this.ensureSpinnerStyle();
+                btn.innerHTML = Icons.spinner;
+                btn.classList.add('loading');
+                try {
+                    const item = await FeedManager.archiveArticle(article.id);
+                    this.updateArchiveButton(article.id, item);
+                    showToast(i18n.t('archive.saved'));
+                } catch (err) {
+                    showToast(err.message);
+                } finally {
+                    btn.innerHTML = Icons.archive;
+                    btn.classList.remove('loading');
+                }
+            });
+        }
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showExportMenu(e, ['markdown', 'pdf'], article.title,
+                    format => FeedManager.exportArticles([article.id], format));
+            });
+        }
+
+        if (shareBtn) {
+            shareBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                vm.showShareMenu(e, article);
+            });
+        }
+
         if (fetchBtn) {
             // 如果已有原始内容缓存，更新按钮状态
             if (article._originalContent) {
@@ -599,6 +887,7 @@ export const ArticleContentView = {
                 if (article._originalContent) {
                     const bodyEl = document.querySelector('.article-body');
                     if (bodyEl) bodyEl.innerHTML = article._originalContent;
+                    HighlightsView.repaint();
 
                     const stateArticle = AppState.articles?.find(a => a.id == article.id);
                     if (stateArticle) stateArticle.content = article._originalContent;
@@ -615,13 +904,7 @@ export const ArticleContentView = {
                 btn.innerHTML = Icons.spinner;
                 btn.classList.add('loading');
 
-                // 添加旋转动画样式
-                if (!document.getElementById('spinner-style')) {
-                    const style = document.createElement('style');
-                    style.id = 'spinner-style';
-                    style.textContent = '@keyframes rotate { 100% { transform: rotate(360deg); } } .spinner circle { stroke-dasharray: 90, 150; stroke-dashoffset: 0; stroke-linecap: round; }';
-                    document.head.appendChild(style);
-                }
+                this.ensureSpinnerStyle();
 
                 try {
                     const originalContent = document.querySelector('.article-body')?.innerHTML || article.content;
@@ -633,6 +916,8 @@ export const ArticleContentView = {
                     if (bodyEl) {
                         bodyEl.innerHTML = result.content || result.summary || '<p>内容为空</p>';
                     }
+                    // 正文已替换，按引用文本重新定位高亮
+                    HighlightsView.repaint();
 
                     const stateArticle = AppState.articles?.find(a => a.id == article.id);
                     if (stateArticle) stateArticle.content = result.content;
@@ -715,18 +1000,14 @@ export const ArticleContentView = {
         return text;
     },
 
-    /**
-     * 双语段落翻译
-     * @param {HTMLElement} bodyEl
-     * @param {HTMLElement} titleEl
-     */
     /**
      * 双语段落翻译
      * @param {HTMLElement} bodyEl
      * @param {HTMLElement} titleEl
      * @param {AbortSignal} signal
+     * @param {Object} options - { entryId, regenerate }，按段落使用服务端缓存
      */
-    async translateBilingual(bodyEl, titleEl, signal = null) {
+    async translateBilingual(bodyEl, titleEl, signal = null, options = {}) {
         // 1. 识别需要翻译的块
         const blocks = [];
         if (titleEl) blocks.push({ el: titleEl, isTitle: true, text: titleEl.textContent.trim() });
@@ -875,7 +1156,7 @@ export const ArticleContentView = {
                 try {
                     const aiConfig = AIService.getConfig();
                     const targetLang = aiConfig.targetLang || (i18n.locale === 'zh' ? 'zh-CN' : 'en');
-                    const translation = await AIService.translate(block.text, targetLang, signal);
+                    const translation = await AIService.translate(block.text, targetLang, null, signal, options);
                     if (signal?.aborted) return;
                     block.transEl.innerHTML = this.parseMarkdown(translation);
                 } catch (err) {
@@ -906,41 +1187,17 @@ export const ArticleContentView = {
         if (summarizeBtn && summaryBox) {
             const summaryContent = summaryBox.querySelector('.ai-content');
             const closeBtn = summaryBox.querySelector('.ai-close-btn');
+            const regenerateBtn = summaryBox.querySelector('.ai-regenerate-btn');
 
             closeBtn.addEventListener('click', () => {
                 summaryBox.style.display = 'none';
             });
 
-            // 如果已有缓存的总结，直接显示（可以在 article 对象上缓存）
-            // 这里暂不实现持久化缓存，仅页面级
-
-            summarizeBtn.addEventListener('click', async (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-
-                if (!AIService.isConfigured()) {
-                    Modal.alertWithSettings(i18n.t('ai.not_configured'), i18n.t('common.go_to_settings'), () => Dialogs.showSettingsDialog(false));
-                    return;
-                }
-
-                // 如果正在加载，点击取消
-                if (summarizeBtn.classList.contains('loading')) {
-                    if (article._summarizeController) {
-                        article._summarizeController.abort();
-                        article._summarizeController = null;
-                        summarizeBtn.classList.remove('loading');
-                        summaryBox.style.display = 'none';
-                        summaryContent.innerHTML = '';
-                    }
-                    return;
-                }
-
-                if (summarizeBtn.classList.contains('active')) {
-                    summaryBox.style.display = summaryBox.style.display === 'none' ? 'block' : 'none';
-                    return;
-                }
-
+            // 总结结果缓存在服务端，再次打开文章时直接返回；regenerate 时忽略缓存
+            const runSummarize = async (regenerate = false) => {
+                summarizeBtn.classList.remove('active');
                 summarizeBtn.classList.add('loading');
+                regenerateBtn.style.display = 'none';
                 summaryBox.style.display = 'block';
                 summaryContent.innerHTML = `<div class="loading-spinner">${i18n.t('ai.summarizing')}</div>`;
 
@@ -960,10 +1217,11 @@ export const ArticleContentView = {
                     await AIService.summarize(rawContent, targetLang, (chunk) => {
                         streamedText += chunk;
                         summaryContent.innerHTML = this.parseMarkdown(streamedText);
-                    }, signal);
+                    }, signal, { entryId: article.id, regenerate });
 
                     summarizeBtn.classList.remove('loading');
                     summarizeBtn.classList.add('active');
+                    regenerateBtn.style.display = '';
                 } catch (err) {
                     if (err.name === 'AbortError') {
                         console.log('Summarize aborted');
@@ -975,6 +1233,40 @@ export const ArticleContentView = {
                 } finally {
                     article._summarizeController = null;
                 }
+            };
+
+            regenerateBtn.addEventListener('click', () => {
+                if (summarizeBtn.classList.contains('loading')) return;
+                runSummarize(true);
+            });
+
+            summarizeBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+
+                if (!AIService.isConfigured('summarize')) {
+                    Modal.alertWithSettings(i18n.t('ai.not_configured'), i18n.t('common.go_to_settings'), () => Dialogs.showSettingsDialog(false));
+                    return;
+                }
+
+                // 如果正在加载，点击取消
+                if (summarizeBtn.classList.contains('loading')) {
+                    if (article._summarizeController) {
+                        article._summarizeController.abort();
+                        article._summarizeController = null;
+                        summarizeBtn.classList.remove('loading');
+                        summaryBox.style.display = 'none';
+                        summaryContent.innerHTML = '';
+                    }
+                    return;
+                }
+
+                if (summarizeBtn.classList.contains('active')) {
+                    summaryBox.style.display = summaryBox.style.display === 'none' ? 'block' : 'none';
+                    return;
+                }
+
+                runSummarize();
             });
         }
 
@@ -986,6 +1278,44 @@ export const ArticleContentView = {
                 translateBtn.title = i18n.t('ai.original_content');
             }
 
+            // 译文按段落缓存在服务端；重新翻译时移除当前译文并忽略缓存
+            const runTranslate = async (bodyEl, titleEl, regenerate = false) => {
+                translateBtn.classList.add('loading');
+
+                try {
+                    article._translateController = new AbortController();
+                    await this.translateBilingual(bodyEl, titleEl, article._translateController.signal, { entryId: article.id, regenerate });
+                    translateBtn.classList.remove('loading');
+                    translateBtn.classList.add('active');
+                    translateBtn.title = i18n.t('ai.original_content');
+
+                    // 重新翻译按钮放在标题译文中，随译文一起显示或隐藏
+                    const titleTransBlock = document.querySelector('.ai-title-trans-block');
+                    if (titleTransBlock) {
+                        const regenerateBtn = document.createElement('button');
+                        regenerateBtn.className = 'ai-regenerate-btn';
+                        regenerateBtn.style.cssText = 'display: block; background: none; border: none; cursor: pointer; color: var(--meta-color); font-size: 0.5em; font-weight: normal; padding: 4px 0; margin-top: 4px;';
+                        regenerateBtn.textContent = `↻ ${i18n.t('ai.regenerate')}`;
+                        regenerateBtn.addEventListener('click', (e) => {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            if (translateBtn.classList.contains('loading')) return;
+
+                            bodyEl.querySelectorAll('.ai-trans-block').forEach(el => el.remove());
+                            titleTransBlock.remove();
+                            translateBtn.classList.remove('active');
+                            runTranslate(bodyEl, titleEl, true);
+                        });
+                        titleTransBlock.appendChild(regenerateBtn);
+                    }
+                } catch (err) {
+                    if (err.name === 'AbortError') return;
+                    console.error('Translation failed', err);
+                    Modal.alert(`${i18n.t('ai.api_error')}: ${err.message}`);
+                    translateBtn.classList.remove('loading');
+                }
+            };
+
             translateBtn.addEventListener('click', async (e) => {
                 e.preventDefault();
                 e.stopPropagation();
@@ -1013,7 +1343,7 @@ export const ArticleContentView = {
                     return;
                 }
 
-                if (!AIService.isConfigured()) {
+                if (!AIService.isConfigured('translate')) {
                     Modal.alertWithSettings(i18n.t('ai.not_configured'), i18n.t('common.go_to_settings'), () => Dialogs.showSettingsDialog(false));
                     return;
                 }
@@ -1045,20 +1375,7 @@ export const ArticleContentView = {
                 }
 
                 // 开始双语翻译
-                translateBtn.classList.add('loading');
-
-                try {
-                    article._translateController = new AbortController();
-                    await this.translateBilingual(bodyEl, titleEl, article._translateController.signal);
-                    translateBtn.classList.remove('loading');
-                    translateBtn.classList.add('active');
-                    translateBtn.title = i18n.t('ai.original_content');
-                } catch (err) {
-                    if (err.name === 'AbortError') return;
-                    console.error('Translation failed', err);
-                    Modal.alert(`${i18n.t('ai.api_error')}: ${err.message}`);
-                    translateBtn.classList.remove('loading');
-                }
+                await runTranslate(bodyEl, titleEl);
             });
         }
     },
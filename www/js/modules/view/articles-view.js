@@ -9,6 +9,7 @@ import { Modal } from './components.js';
 import { AuthManager } from '../auth-manager.js';
 import { Dialogs } from './dialogs.js';
 import { PullToRefresh } from '../pull-to-refresh.js';
+import { SearchView } from './search-view.js';
 
 /**
  * 列表判定与功能常量配置
@@ -59,6 +60,8 @@ export const ArticlesView = {
     _scrollReadBatchTimer: null,
     /** 下拉刷新实例 */
     pullToRefresh: null,
+    /** 折叠重复报道时已显示的聚类 ID */
+    _shownClusterIds: new Set(),
 
 
     /**
@@ -154,7 +157,8 @@ export const ArticlesView = {
             feedId,
             groupId,
             unreadOnly: AppState.showUnreadOnly,
-            favorites: AppState.viewingFavorites
+            favorites: AppState.viewingFavorites,
+            tagId: AppState.currentTagId
         });
 
         if (this.currentRequestId !== requestId) return;
@@ -227,6 +231,9 @@ export const ArticlesView = {
      * @param {Array} articles - 文章数组
      */
     renderArticlesList(articles) {
+        this._shownClusterIds = new Set();
+        articles = this._collapseDuplicates(articles);
+
         if (articles.length === 0) {
             if (this.virtualList) {
                 this.virtualList.destroy();
@@ -288,6 +295,7 @@ export const ArticlesView = {
      * @param {Array} articles - 文章数组
      */
     appendArticlesList(articles) {
+        articles = this._collapseDuplicates(articles);
         if (articles.length === 0) return;
 
         // 强强制逻辑：只要总数量超过阈值，或者已经启用了虚拟列表，就必须走虚拟列表路径
@@ -374,10 +382,12 @@ export const ArticlesView = {
 
         return `
             <div class="article-item-content">
-                <div class="article-item-title">${escapeHtml(article.title)}</div>
+                <div class="article-item-title">${article.search_title_html || escapeHtml(article.title)}</div>
+                ${this._searchSnippetHTML(article)}
                 <div class="article-item-meta">
                     ${isFavorited ? '<span class="favorited-icon">★</span>' : ''}
                     <span class="feed-title">${escapeHtml(article.feed_title || '')}</span>
+                    ${this._relatedCountHTML(article)}
                     <span class="article-date">${date}</span>
                 </div>
             </div>
@@ -385,6 +395,49 @@ export const ArticlesView = {
         `;
     },
 
+    /**
+     * 搜索结果的高亮片段（由服务端转义并加上高亮标记）
+     * @param {Object} article - 文章对象
+     * @returns {string} HTML 字符串
+     */
+    _searchSnippetHTML(article) {
+        if (!article.search_snippet) return '';
+        return `<div class="article-item-snippet">${article.search_snippet}</div>`;
+    },
+
+    /**
+     * 是否折叠重复报道（简报列表不适用）
+     */
+    _isCollapseEnabled() {
+        return !!AppState.preferences?.collapse_duplicates && !AppState.viewingDigests;
+    },
+
+    /**
+     * 折叠重复报道：每个聚类只显示列表中最先出现的一篇
+     * @param {Array} articles - 文章数组
+     * @returns {Array} 需要显示的文章
+     */
+    _collapseDuplicates(articles) {
+        if (!this._isCollapseEnabled()) return articles;
+
+        return articles.filter(article => {
+            if (article.type === 'digest' || !article.cluster_id || !article.related_count) return true;
+            if (this._shownClusterIds.has(article.cluster_id)) return false;
+            this._shownClusterIds.add(article.cluster_id);
+            return true;
+        });
+    },
+
+    /**
+     * 相似文章数量标记（仅折叠模式下显示）
+     * @param {Object} article - 文章对象
+     * @returns {string} HTML 字符串
+     */
+    _relatedCountHTML(article) {
+        if (!this._isCollapseEnabled() || !article.related_count) return '';
+        return `<span class="related-count" title="${i18n.t('article.related_count', { count: article.related_count })}">+${article.related_count}</span>`;
+    },
+
     /**
      * 生成简报项的 HTML
      * @param {Object} digest - 简报对象
@@ -398,8 +451,9 @@ export const ArticlesView = {
         const inner = `
             <div class="article-item-content">
                 <div class="article-item-title">
-                    ${escapeHtml(digest.title)}
+                    ${digest.search_title_html || escapeHtml(digest.title)}
                 </div>
+                ${this._searchSnippetHTML(digest)}
                 <div class="article-item-meta">
                     <span class="digest-label">${i18n.t('digest.title')}</span>
                     <span class="feed-title">${escapeHtml(digest.feed_title || '')}</span>
@@ -463,10 +517,12 @@ export const ArticlesView = {
             return `
                 <div class="article-item ${unreadClass} ${hasImage ? 'has-image' : ''} ${AppState.currentArticleId == article.id ? 'active' : ''}" data-id="${article.id}">
                     <div class="article-item-content">
-                        <div class="article-item-title">${escapeHtml(article.title)}</div>
+                        <div class="article-item-title">${article.search_title_html || escapeHtml(article.title)}</div>
+                        ${this._searchSnippetHTML(article)}
                         <div class="article-item-meta">
                             ${isFavorited ? '<span class="favorited-icon">★</span>' : ''}
                             <span class="feed-title">${escapeHtml(article.feed_title || '')}</span>
+                            ${this._relatedCountHTML(article)}
                             <span class="article-date">${date}</span>
                         </div>
                     </div>
@@ -541,7 +597,7 @@ export const ArticlesView = {
             let result;
 
             if (AppState.isSearchMode && AppState.searchQuery) {
-                result = await FeedManager.searchArticles(AppState.searchQuery, nextPage);
+                result = SearchView.toListResult(await FeedManager.searchArticles(AppState.searchQuery, nextPage, SearchView.getSearchFilters()));
             } else {
                 // 构建游标：在 unreadOnly 模式下，使用最后一篇文章的信息作为游标
                 // 这样即使前面的文章被标记为已读，也不会影响下一页的加载
@@ -563,7 +619,9 @@ export const ArticlesView = {
                     groupId: AppState.currentGroupId,
                     unreadOnly: AppState.showUnreadOnly,
                     favorites: AppState.viewingFavorites,
-                    cursor
+                    tagId: AppState.currentTagId,
+                    cursor,
+                    offset: AppState.pagination.nextOffset
                 });
             }
 
@@ -593,8 +651,11 @@ export const ArticlesView = {
             AppState.pagination.page = nextPage;
 
             this.appendArticlesList(newArticles);
-        } else if (result.articles.length > 0) {
-            console.warn('Received only duplicate articles in loadMore');
+        } else {
+            // 仅收到重复文章，或整页被过滤规则隐藏
+            if (result.articles.length > 0) {
+                console.warn('Received only duplicate articles in loadMore');
+            }
             AppState.pagination = result.pagination;
             AppState.pagination.page = nextPage;
         }
@@ -619,7 +680,7 @@ export const ArticlesView = {
             console.debug('Preloading page:', nextPage);
             let result;
             if (AppState.isSearchMode && AppState.searchQuery) {
-                result = await FeedManager.searchArticles(AppState.searchQuery, nextPage);
+                result = SearchView.toListResult(await FeedManager.searchArticles(AppState.searchQuery, nextPage, SearchView.getSearchFilters()));
             } else {
                 // 构建游标：在 unreadOnly 模式下，使用最后一篇文章的信息作为游标
                 let cursor = null;
@@ -640,7 +701,9 @@ export const ArticlesView = {
                     groupId: AppState.currentGroupId,
                     unreadOnly: AppState.showUnreadOnly,
                     favorites: AppState.viewingFavorites,
-                    cursor
+                    tagId: AppState.currentTagId,
+                    cursor,
+                    offset: AppState.pagination.nextOffset
                 });
             }
 
@@ -707,7 +770,7 @@ export const ArticlesView = {
     async checkForNewArticles() {
         const requestId = this.currentRequestId;
         if (!AppState.articles || AppState.articles.length === 0) return;
-        if (AppState.viewingFavorites || AppState.viewingDigests) return;
+        if (AppState.viewingFavorites || AppState.viewingDigests || AppState.currentTagId) return;
         // 搜索模式下不检查新文章，避免将新文章插入搜索结果
         if (AppState.isSearchMode) return;
 
@@ -772,11 +835,16 @@ export const ArticlesView = {
 
                 AppState.articles = [...newArticles, ...AppState.articles];
 
-                if (this.useVirtualScroll && this.virtualList) {
-                    this.virtualList.prependItems(newArticles);
+                // 已显示过的报道不再重复插入
+                const visibleArticles = this._collapseDuplicates(newArticles);
+
+                if (visibleArticles.length === 0) {
+                    // 全部为已显示报道的重复文章，无需插入
+                } else if (this.useVirtualScroll && this.virtualList) {
+                    this.virtualList.prependItems(visibleArticles);
                 } else {
                     const scrollTop = DOMElements.articlesList.scrollTop;
-                    const html = this.generateArticlesHTML(newArticles);
+                    const html = this.generateArticlesHTML(visibleArticles);
                     const firstItem = DOMElements.articlesList.querySelector('.article-item');
                     const oldOffset = firstItem ? firstItem.offsetTop : 0;
 
@@ -0,0 +1,284 @@
+/**
+ * AskView - 基于订阅文章的 AI 问答
+ * 在内容面板中与 AI 对话，回答依据近期文章并标注引用，点击引用打开对应文章
+ * @module view/ask-view
+ */
+
+import { DOMElements } from '../../dom.js';
+import { AppState } from '../../state.js';
+import { AIService } from '../ai-service.js';
+import { renderMarkdown, escapeHtml, formatDate } from './utils.js';
+import { CustomSelect } from './components.js';
+import { i18n } from '../i18n.js';
+import { Icons } from '../icons.js';
+import { HighlightsView } from './highlights-view.js';
+
+const DAY_OPTIONS = [1, 7, 30, 0];
+// 这些元素中的 [编号] 不转为引用
+const CITATION_IGNORE_SELECTOR = 'a, code, pre';
+
+export const AskView = {
+    /** 视图管理器引用 */
+    viewManager: null,
+    /** 对话记录 [{ role, content, sources }]，离开页面后保留 */
+    messages: [],
+    /** 检索范围 */
+    groupId: '',
+    days: 7,
+    /** 正在生成的回答 */
+    controller: null,
+
+    /**
+     * 初始化模块
+     * @param {Object} viewManager - ViewManager 实例引用
+     */
+    init(viewManager) {
+        this.viewManager = viewManager;
+    },
+
+    /**
+     * 渲染问答页
+     */
+    render() {
+        HighlightsView.detach();
+        DOMElements.articleContent.scrollTop = 0;
+
+        const groups = AppState.groups || [];
+        DOMElements.articleContent.innerHTML = `
+            <div class="article-toolbar">
+                <div class="article-toolbar-left">
+                    <button class="article-toolbar-btn" id="article-back-btn" title="${i18n.t('common.close')}">
+                        ${Icons.arrow_back}
+                    </button>
+                </div>
+                <div class="article-toolbar-right">
+                    <button class="article-toolbar-btn" id="ask-clear-btn" title="${i18n.t('ask.clear')}">
+                        ${Icons.delete}
+                    </button>
+                </div>
+            </div>
+            <header class="article-header">
+                <h1>${i18n.t('ask.title')}</h1>
+                <div class="article-header-info" style="color: var(--text-secondary); font-size: 14px; margin-top: 16px;">${i18n.t('ask.description')}</div>
+            </header>
+            <div class="ask-scope">
+                <select id="ask-group-select" class="dialog-select">
+                    <option value="">${i18n.t('ask.all_groups')}</option>
+                    ${groups.map(g => `<option value="${g.id}">${escapeHtml(g.name)}</option>`).join('')}
+                </select>
+                <select id="ask-days-select" class="dialog-select">
+                    ${DAY_OPTIONS.map(days => `<option value="${days}">${days === 0 ? i18n.t('ask.any_time') : i18n.t('ask.last_days', { days })}</option>`).join('')}
+                </select>
+            </div>
+            <div class="ask-messages"></div>
+            <form class="ask-form">
+                <textarea class="ask-input" rows="2" placeholder="${i18n.t('ask.placeholder')}"></textarea>
+                <button type="submit" class="appearance-mode-btn active ask-send-btn"></button>
+            </form>
+        `;
+
+        const container = DOMElements.articleContent;
+        const groupSelect = container.querySelector('#ask-group-select');
+        const daysSelect = container.querySelector('#ask-days-select');
+        const form = container.querySelector('.ask-form');
+        const input = container.querySelector('.ask-input');
+
+        groupSelect.value = this.groupId;
+        daysSelect.value = String(this.days);
+        // 保存时分组已被删除
+        if (groupSelect.value !== this.groupId) this.groupId = '';
+        CustomSelect.replaceAll(container.querySelector('.ask-scope'));
+
+        groupSelect.addEventListener('change', () => {
+            this.groupId = groupSelect.value;
+        });
+        daysSelect.addEventListener('change', () => {
+            this.days = parseInt(daysSelect.value);
+        });
+
+        container.querySelector('#article-back-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.location.hash = this.viewManager.getListHash();
+        });
+
+        container.querySelector('#ask-clear-btn').addEventListener('click', () => {
+            this.controller?.abort();
+            this.messages = [];
+            this._renderMessages();
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.controller) {
+                this.controller.abort();
+                return;
+            }
+            const question = input.value.trim();
+            if (!question) return;
+            input.value = '';
+            this.ask(question);
+        });
+
+        // Enter 发送，Shift + Enter 换行
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+                e.preventDefault();
+                form.requestSubmit();
+            }
+        });
+
+        // 点击引用或来源打开文章
+        container.querySelector('.ask-messages').addEventListener('click', (e) => {
+            const link = e.target.closest('[data-entry-id]');
+            if (!link) return;
+            e.preventDefault();
+            this.viewManager.selectArticle(link.dataset.entryId);
+        });
+
+        this._renderMessages();
+        input.focus();
+    },
+
+    /**
+     * 提问并流式显示回答
+     * @param {string} question
+     */
+    async ask(question) {
+        const history = this.messages.map(({ role, content }) => ({ role, content }));
+        const answer = { role: 'assistant', content: '', sources: [], pending: true };
+        this.messages.push({ role: 'user', content: question }, answer);
+        this.controller = new AbortController();
+        this._renderMessages();
+
+        try {
+            const { content, sources } = await AIService.ask(question, {
+                history,
+                groupId: this.groupId || null,
+                days: this.days
+            }, (chunk) => {
+                answer.content += chunk;
+                this._updateMessage(answer);
+            }, this.controller.signal);
+            answer.content = content;
+            answer.sources = sources;
+        } catch (err) {
+            if (err.name !== 'AbortError') answer.error = err.message;
+        } finally {
+            answer.pending = false;
+            this.controller = null;
+        }
+
+        // 提问后清空了对话
+        if (!this.messages.includes(answer)) return;
+        if (!answer.content && !answer.error) {
+            this.messages.splice(this.messages.indexOf(answer) - 1, 2);
+        }
+        this._renderMessages();
+    },
+
+    _getMessagesEl() {
+        if (window.location.hash !== '#/ask') return null;
+        return DOMElements.articleContent.querySelector('.ask-messages');
+    },
+
+    _renderMessages() {
+        const list = this._getMessagesEl();
+        if (!list) return;
+
+        const sendBtn = DOMElements.articleContent.querySelector('.ask-send-btn');
+        sendBtn.textContent = this.controller ? i18n.t('ask.stop') : i18n.t('ask.send');
+
+        if (this.messages.length === 0) {
+            list.innerHTML = `<div class="empty-msg" style="padding: 40px 0; text-align: center; color: var(--meta-color);">${i18n.t('ask.empty')}</div>`;
+            return;
+        }
+
+        list.innerHTML = this.messages.map((message, index) => `
+            <div class="ask-message ask-message-${message.role}" data-index="${index}">
+                ${this._renderMessageContent(message)}
+            </div>
+        `).join('');
+
+        const last = list.lastElementChild;
+        if (last) last.scrollIntoView({ block: 'nearest' });
+    },
+
+    // 流式输出时只更新这条回答
+    _updateMessage(message) {
+        const list = this._getMessagesEl();
+        const el = list?.querySelector(`.ask-message[data-index="${this.messages.indexOf(message)}"]`);
+        if (el) el.innerHTML = this._renderMessageContent(message);
+    },
+
+    _renderMessageContent(message) {
+        if (message.role === 'user') {
+            return `<div class="ask-bubble">${escapeHtml(message.content)}</div>`;
+        }
+        if (message.error) {
+            return `<div class="ask-bubble" style="color: var(--danger-color);">${escapeHtml(message.error)}</div>`;
+        }
+        if (!message.content) {
+            return `<div class="ask-bubble" style="color: var(--meta-color);">${i18n.t('ask.thinking')}</div>`;
+        }
+
+        return `
+            <div class="ask-bubble">${this._linkCitations(renderMarkdown(message.content), message.sources)}</div>
+            ${message.sources.length > 0 ? `
+            <ol class="ask-sources">
+                ${message.sources.map(source => `
+                <li>
+                    <a href="#" data-entry-id="${source.id}">${escapeHtml(source.title || String(source.id))}</a>
+                    <span class="ask-source-meta">${[escapeHtml(source.feedTitle || ''), source.publishedAt ? formatDate(source.publishedAt) : ''].filter(Boolean).join(' · ')}</span>
+                </li>`).join('')}
+            </ol>` : ''}
+        `;
+    },
+
+    /**
+     * 将回答中的 [编号] 转为打开对应文章的链接
+     * 只替换文本节点，不改动链接地址、属性以及代码块中的内容
+     * @param {string} html - 已渲染的回答
+     * @param {Array} sources
+     */
+    _linkCitations(html, sources) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement?.closest(CITATION_IGNORE_SELECTOR)
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        for (const node of nodes) {
+            const parts = node.data.split(/\[(\d+)\]/);
+            if (parts.length === 1) continue;
+
+            const fragment = document.createDocumentFragment();
+            parts.forEach((part, index) => {
+                // 奇数位置为编号
+                if (index % 2 === 0) {
+                    if (part) fragment.append(part);
+                    return;
+                }
+                const source = sources[parseInt(part) - 1];
+                if (!source) {
+                    fragment.append(`[${part}]`);
+                    return;
+                }
+                const link = document.createElement('a');
+                link.href = '#';
+                link.className = 'ask-citation';
+                link.dataset.entryId = source.id;
+                link.title = source.title || '';
+                link.textContent = `[${part}]`;
+                fragment.append(link);
+            });
+            node.replaceWith(fragment);
+        }
+
+        return template.innerHTML;
+    }
+};
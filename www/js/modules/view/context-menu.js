@@ -3,13 +3,15 @@
  * @module view/context-menu
  */
 
+import { DOMElements } from '../../dom.js';
 import { AppState } from '../../state.js';
 import { FeedManager } from '../feed-manager.js';
-import { showToast, createContextMenu } from './utils.js';
+import { showToast, createContextMenu, escapeHtml, downloadBlob } from './utils.js';
 import { i18n } from '../i18n.js';
 import { Modal } from './components.js';
 import { Icons } from '../icons.js';
 import { Dialogs } from './dialogs.js';
+import { SearchView } from './search-view.js';
 
 /**
  * 上下文菜单管理
@@ -17,6 +19,9 @@ import { Dialogs } from './dialogs.js';
 // 模块级变量：跟踪 showArticlesContextMenu 的关闭处理器
 let articlesMenuCloseHandler = null;
 
+// 导出文章列表时最多包含的文章数（与服务端限制一致）
+const EXPORT_LIST_LIMIT = 100;
+
 export const ContextMenu = {
     /** 视图管理器引用 */
     viewManager: null,
@@ -139,13 +144,104 @@ export const ContextMenu = {
         });
     },
 
+    /**
+     * 显示保存的搜索上下文菜单
+     * @param {MouseEvent} event - 鼠标事件
+     * @param {string} id - 保存的搜索 ID
+     */
+    showSavedSearchContextMenu(event, id) {
+        const savedSearch = SearchView.getSavedSearch(id);
+        if (!savedSearch) return;
+
+        const html = `
+            <div class="context-menu-item" data-action="edit">
+                ${Icons.edit}
+                ${i18n.t('saved_search.edit')}
+            </div>
+            <div class="context-menu-divider"></div>
+            <div class="context-menu-item danger" data-action="delete">
+                ${Icons.delete}
+                ${i18n.t('saved_search.delete')}
+            </div>
+        `;
+
+        const { menu, cleanup } = createContextMenu(event, html);
+
+        menu.addEventListener('click', async (e) => {
+            const item = e.target.closest('.context-menu-item');
+            if (!item) return;
+
+            const action = item.dataset.action;
+            cleanup();
+
+            if (action === 'edit') {
+                SearchView.showSaveSearchDialog(savedSearch);
+            } else if (action === 'delete') {
+                await SearchView.deleteSavedSearch(id);
+            }
+        });
+    },
+
+    /**
+     * 显示标签上下文菜单
+     * @param {MouseEvent} event - 鼠标事件
+     * @param {string} tagId - 标签 ID
+     */
+    showTagContextMenu(event, tagId) {
+        const tag = (AppState.tags || []).find(t => t.id === tagId);
+        if (!tag) return;
+
+        const html = `
+            <div class="context-menu-item" data-action="rename">
+                ${Icons.edit}
+                ${i18n.t('tags.rename')}
+            </div>
+            <div class="context-menu-divider"></div>
+            <div class="context-menu-item danger" data-action="delete">
+                ${Icons.delete}
+                ${i18n.t('tags.delete')}
+            </div>
+        `;
+
+        const { menu, cleanup } = createContextMenu(event, html);
+
+        menu.addEventListener('click', async (e) => {
+            const item = e.target.closest('.context-menu-item');
+            if (!item) return;
+
+            const action = item.dataset.action;
+            cleanup();
+
+            try {
+                if (action === 'rename') {
+                    const newName = await Modal.prompt(i18n.t('tags.rename_prompt'), escapeHtml(tag.name));
+                    if (!newName || !newName.trim() || newName.trim() === tag.name) return;
+                    await FeedManager.renameTag(tagId, newName.trim());
+                    if (AppState.currentTagId === tagId) {
+                        DOMElements.currentFeedTitle.textContent = newName.trim();
+                    }
+                } else if (action === 'delete') {
+                    if (!await Modal.confirm(i18n.t('tags.confirm_delete', { name: escapeHtml(tag.name) }))) return;
+                    await FeedManager.deleteTag(tagId);
+                    if (AppState.currentTagId === tagId) {
+                        window.location.hash = '#/all';
+                    }
+                }
+                await this.viewManager.loadTags();
+            } catch (err) {
+                await Modal.alert(err.message);
+            }
+        });
+    },
+
     /**
      * 显示文章列表上下文菜单
      * @param {MouseEvent} event - 鼠标事件
      */
     showArticlesContextMenu(event) {
         const isUnreadOnly = AppState.showUnreadOnly;
-        const isFavorites = AppState.viewingFavorites;
+        // 标签视图与收藏一样不提供标记已读与过滤
+        const isFavorites = AppState.viewingFavorites || !!AppState.currentTagId;
         const isDigests = AppState.viewingDigests;
 
         let itemsHtml = '';
@@ -177,6 +273,19 @@ export const ContextMenu = {
 `;
         }
 
+        // 将当前列表中已加载的文章导出为 Markdown
+        if (!isDigests) {
+            if (itemsHtml !== '') {
+                itemsHtml += '<div class="context-menu-divider"></div>';
+            }
+            itemsHtml += `
+            <div class="context-menu-item" data-action="export-markdown">
+                ${Icons.download}
+                ${i18n.t('export.list_markdown')}
+            </div>
+`;
+        }
+
         if (itemsHtml !== '') {
             itemsHtml += '<div class="context-menu-divider"></div>';
         }
@@ -193,6 +302,10 @@ export const ContextMenu = {
                     ${AppState.preferences?.show_thumbnails !== false ? Icons.checkbox_checked : Icons.checkbox_unchecked}
                 ${i18n.t('context.show_thumbnails')}
             </div>
+            <div class="context-menu-item" data-action="toggle-collapse-duplicates">
+                    ${AppState.preferences?.collapse_duplicates ? Icons.checkbox_checked : Icons.checkbox_unchecked}
+                ${i18n.t('context.collapse_duplicates')}
+            </div>
 `;
 
         const html = itemsHtml;
@@ -260,6 +373,23 @@ export const ContextMenu = {
                         this.viewManager.loadFeeds()
                     ]);
                 }
+            } else if (action === 'export-markdown') {
+                const ids = (AppState.articles || [])
+                    .filter(a => !String(a.id).startsWith('digest_'))
+                    .slice(0, EXPORT_LIST_LIMIT)
+                    .map(a => a.id);
+                if (ids.length === 0) {
+                    showToast(i18n.t('export.no_articles'));
+                    return;
+                }
+
+                showToast(i18n.t('export.exporting'));
+                try {
+                    const blob = await FeedManager.exportArticles(ids, 'markdown');
+                    downloadBlob(blob, ids.length > 1 ? 'tidyflux_articles.zip' : 'tidyflux_article.md');
+                } catch (err) {
+                    showToast(err.message);
+                }
             } else if (action === 'toggle-view') {
                 AppState.showUnreadOnly = !AppState.showUnreadOnly;
                 if (AppState.currentFeedId) {
@@ -295,6 +425,71 @@ export const ContextMenu = {
                 } catch (err) {
                     console.error('Save pref error:', err);
                 }
+            } else if (action === 'toggle-collapse-duplicates') {
+                const newState = !AppState.preferences?.collapse_duplicates;
+                AppState.preferences = AppState.preferences || {};
+                AppState.preferences.collapse_duplicates = newState;
+
+                try {
+                    await FeedManager.setPreference('collapse_duplicates', newState);
+                    showToast(newState ? i18n.t('context.collapse_on') : i18n.t('context.collapse_off'), 3000, false);
+                    // Re-render without network request
+                    this.viewManager.renderArticlesList(AppState.articles);
+                } catch (err) {
+                    console.error('Save pref error:', err);
+                }
+            }
+        });
+    },
+
+    /**
+     * 显示文章分享菜单
+     * @param {MouseEvent} event - 鼠标事件
+     * @param {Object} article - 文章对象
+     */
+    async showShareMenu(event, article) {
+        let targets;
+        try {
+            targets = (await FeedManager.getShareTargets()).targets.filter(t => t.enabled);
+        } catch (err) {
+            showToast(err.message);
+            return;
+        }
+
+        const html = `
+            ${targets.map(target => `
+            <div class="context-menu-item" data-action="share" data-target-id="${target.id}">
+                ${Icons.share}
+                ${escapeHtml(target.name)}
+            </div>`).join('')}
+            ${targets.length > 0 ? '<div class="context-menu-divider"></div>' : ''}
+            <div class="context-menu-item" data-action="manage">
+                ${Icons.edit}
+                ${targets.length > 0 ? i18n.t('share.manage_targets') : i18n.t('share.add')}
+            </div>
+        `;
+
+        const { menu, cleanup } = createContextMenu(event, html);
+
+        menu.addEventListener('click', async (e) => {
+            const item = e.target.closest('.context-menu-item');
+            if (!item) return;
+
+            const action = item.dataset.action;
+            cleanup();
+
+            if (action === 'manage') {
+                Dialogs.showShareTargetsDialog();
+                return;
+            }
+
+            const target = targets.find(t => t.id === item.dataset.targetId);
+            showToast(i18n.t('share.sending', { name: target.name }));
+            try {
+                await FeedManager.shareArticle(target.id, article.id);
+                showToast(i18n.t('share.sent', { name: target.name }));
+            } catch (err) {
+                showToast(err.message);
             }
         });
     }
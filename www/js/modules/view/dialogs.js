@@ -8,12 +8,87 @@ import { DOMElements } from '../../dom.js';
 import { FeedManager } from '../feed-manager.js';
 import { AuthManager } from '../auth-manager.js';
 import { setTheme, setColorScheme, THEMES, COLOR_SCHEME_MODES } from '../theme-manager.js';
-import { createDialog, showToast } from './utils.js';
+import { createDialog, showToast, escapeHtml } from './utils.js';
 import { Modal, CustomSelect } from './components.js';
 import { i18n } from '../i18n.js';
-import { AIService, AI_LANGUAGES } from '../ai-service.js';
+import { AIService, AI_LANGUAGES, AI_PROVIDERS, AI_ACTIONS, DEFAULT_AI_PROFILE_ID, getAIProvider } from '../ai-service.js';
 import { API_ENDPOINTS } from '../../constants.js';
 import { Icons } from '../icons.js';
+import { OfflineManager, OFFLINE_PER_GROUP_OPTIONS } from '../offline-manager.js';
+import { WebPushManager } from '../web-push-manager.js';
+
+// 可选的 IANA 时区（旧浏览器不支持 supportedValuesOf 时只提供当前时区）
+function getTimeZones() {
+    const current = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return current && !zones.includes(current) ? [current, ...zones] : zones;
+}
+
+// 推送渠道配置项（与服务端 PUSH_CHANNEL_TYPES 对应）
+const PUSH_CHANNEL_FIELDS = {
+    telegram: [
+        { key: 'botToken', type: 'password', required: true, placeholder: '123456:ABC-DEF...' },
+        { key: 'chatId', required: true, placeholder: '123456789 / @channel' },
+        { key: 'apiBase', placeholder: 'https://api.telegram.org' }
+    ],
+    bark: [
+        { key: 'serverUrl', placeholder: 'https://api.day.app' },
+        { key: 'deviceKey', type: 'password', required: true },
+        { key: 'group', placeholder: 'Tidyflux' }
+    ],
+    ntfy: [
+        { key: 'serverUrl', placeholder: 'https://ntfy.sh' },
+        { key: 'topic', required: true },
+        { key: 'token', type: 'password' },
+        { key: 'priority', type: 'number', placeholder: '3' }
+    ],
+    gotify: [
+        { key: 'serverUrl', required: true, placeholder: 'https://gotify.example.com' },
+        { key: 'appToken', type: 'password', required: true },
+        { key: 'priority', type: 'number', placeholder: '5' }
+    ],
+    discord: [
+        { key: 'webhookUrl', type: 'password', required: true, placeholder: 'https://discord.com/api/webhooks/...' }
+    ],
+    slack: [
+        { key: 'webhookUrl', type: 'password', required: true, placeholder: 'https://hooks.slack.com/services/...' }
+    ],
+    email: [
+        { key: 'host', required: true, placeholder: 'smtp.example.com' },
+        { key: 'port', type: 'number', placeholder: '587' },
+        { key: 'secure', type: 'checkbox' },
+        { key: 'username' },
+        { key: 'password', type: 'password' },
+        { key: 'from', required: true, placeholder: 'Tidyflux <digest@example.com>' },
+        { key: 'to', required: true, placeholder: 'me@example.com' }
+    ]
+};
+
+// 分享目标配置项（与服务端 SHARE_TARGET_TYPES 对应）
+const SHARE_TARGET_FIELDS = {
+    wallabag: [
+        { key: 'serverUrl', required: true, placeholder: 'https://app.wallabag.it' },
+        { key: 'clientId', required: true },
+        { key: 'clientSecret', type: 'password', required: true },
+        { key: 'username', required: true },
+        { key: 'password', type: 'password', required: true },
+        { key: 'tags', placeholder: 'tidyflux,reading' }
+    ],
+    readwise: [
+        { key: 'token', type: 'password', required: true }
+    ],
+    obsidian: [
+        { key: 'folder', placeholder: 'Tidyflux' }
+    ],
+    webhook: [
+        { key: 'url', type: 'password', required: true, placeholder: 'https://example.com/hook' },
+        { key: 'format', type: 'select', options: ['json', 'notion'] },
+        { key: 'secret', type: 'password' },
+        { key: 'token', type: 'password' },
+        { key: 'databaseId' },
+        { key: 'titleProperty', placeholder: 'Name' }
+    ]
+};
 
 // UUID 生成辅助函数（兼容旧版浏览器）
 function generateUUID() {
@@ -537,6 +612,13 @@ export const Dialogs = {
                 <div class="settings-section">
                     <div class="settings-section-title">${i18n.t('ai.settings_title')}</div>
                     <form id="ai-settings-form">
+                        <div style="margin-bottom: 8px;">
+                            <label class="miniflux-input-label">${i18n.t('ai.provider')}</label>
+                            <select id="ai-provider" class="dialog-select">
+                                ${AI_PROVIDERS.map(provider => `<option value="${provider.id}">${i18n.t('ai.provider_' + provider.id)}</option>`).join('')}
+                            </select>
+                        </div>
+
                         <label class="miniflux-input-label">${i18n.t('ai.api_url')}</label>
                         <input type="text" id="ai-api-url" class="auth-input" placeholder="https://api.openai.com/v1" style="margin-bottom: 8px;">
                         
@@ -591,11 +673,25 @@ export const Dialogs = {
                         </div>
                         <div id="ai-settings-msg" style="text-align: center; margin-top: 8px; font-size: 0.85em;"></div>
                     </form>
+                    <div class="appearance-mode-group" style="margin-top: 12px;">
+                        <button type="button" id="ai-profiles-btn" class="appearance-mode-btn" style="flex: 1; justify-content: center;">${i18n.t('ai_profile.manage')}</button>
+                        <button type="button" id="ai-cache-btn" class="appearance-mode-btn" style="flex: 1; justify-content: center;">${i18n.t('ai_cache.manage')}</button>
+                    </div>
                 </div>
                 
 
 ` : ''}
 
+                ${showFullSettings ? `
+                <div class="settings-section">
+                    <div class="settings-section-title">${i18n.t('ai_usage.title')}</div>
+                    <div id="ai-usage-summary" style="font-size: 0.85em; color: var(--meta-color); margin-bottom: 12px;"></div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="ai-usage-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">${i18n.t('ai_usage.view')}</button>
+                    </div>
+                </div>
+                ` : ''}
+
                 ${showFullSettings ? `
                 <div class="settings-section">
                     <div class="settings-section-title">${i18n.t('settings.digest_management')}</div>
@@ -605,6 +701,49 @@ export const Dialogs = {
                 </div>
                 ` : ''}
                 
+                ${showFullSettings ? `
+                <div class="settings-section">
+                    <div class="settings-section-title">${i18n.t('filter.title')}</div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="filter-rules-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">${i18n.t('filter.manage_rules')}</button>
+                    </div>
+                </div>
+                ` : ''}
+
+                ${showFullSettings ? `
+                <div class="settings-section">
+                    <div class="settings-section-title">${i18n.t('share.title')}</div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="share-targets-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">${i18n.t('share.manage_targets')}</button>
+                    </div>
+                </div>
+                ` : ''}
+
+                ${showFullSettings ? `
+                <div class="settings-section">
+                    <div class="settings-section-title">${i18n.t('offline.title')}</div>
+                    <div class="settings-item-label">${i18n.t('offline.per_group')}</div>
+                    <select id="offline-per-group-select" class="dialog-select" style="margin-bottom: 12px;">
+                        ${OFFLINE_PER_GROUP_OPTIONS.map(n =>
+            `<option value="${n}" ${OfflineManager.getConfig().perGroup === n ? 'selected' : ''}>${n === 0 ? i18n.t('offline.disabled') : n}</option>`
+        ).join('')}
+                    </select>
+                    <div id="offline-status" style="font-size: 0.85em; color: var(--meta-color); margin-bottom: 12px;"></div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="offline-sync-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">${i18n.t('offline.sync_now')}</button>
+                    </div>
+                </div>
+                ` : ''}
+
+                ${showFullSettings ? `
+                <div class="settings-section" id="settings-admin-section" style="display: none;">
+                    <div class="settings-section-title">${i18n.t('admin.user_management')}</div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="user-manager-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">${i18n.t('admin.manage_users')}</button>
+                    </div>
+                </div>
+                ` : ''}
+
                 ${showFullSettings ? `
                 <div class="settings-section">
                     <div class="settings-section-title">${i18n.t('settings.account_security')}</div>
@@ -716,6 +855,117 @@ export const Dialogs = {
             });
         }
 
+        // 过滤规则按钮
+        const filterRulesBtn = dialog.querySelector('#filter-rules-btn');
+        if (filterRulesBtn) {
+            filterRulesBtn.addEventListener('click', () => {
+                this.showFilterRulesDialog();
+            });
+        }
+
+        // AI 配置按钮
+        const aiProfilesBtn = dialog.querySelector('#ai-profiles-btn');
+        if (aiProfilesBtn) {
+            aiProfilesBtn.addEventListener('click', () => {
+                this.showAIProfilesDialog();
+            });
+        }
+
+        // AI 缓存按钮
+        const aiCacheBtn = dialog.querySelector('#ai-cache-btn');
+        if (aiCacheBtn) {
+            aiCacheBtn.addEventListener('click', () => {
+                this.showAICacheDialog();
+            });
+        }
+
+        // AI 用量：显示本月费用，点击查看详细统计
+        const aiUsageBtn = dialog.querySelector('#ai-usage-btn');
+        if (aiUsageBtn) {
+            const summaryEl = dialog.querySelector('#ai-usage-summary');
+            AIService.getUsage(1).then(({ budget }) => {
+                summaryEl.textContent = this._formatAIBudget(budget);
+            }).catch(err => {
+                summaryEl.textContent = err.message;
+            });
+
+            aiUsageBtn.addEventListener('click', () => {
+                this.showAIUsageDialog();
+            });
+        }
+
+        // 分享目标按钮
+        const shareTargetsBtn = dialog.querySelector('#share-targets-btn');
+        if (shareTargetsBtn) {
+            shareTargetsBtn.addEventListener('click', () => {
+                this.showShareTargetsDialog();
+            });
+        }
+
+        // 离线阅读
+        const offlineSelect = dialog.querySelector('#offline-per-group-select');
+        if (offlineSelect) {
+            const offlineStatus = dialog.querySelector('#offline-status');
+            const offlineSyncBtn = dialog.querySelector('#offline-sync-btn');
+
+            const renderOfflineStatus = async () => {
+                try {
+                    const status = await OfflineManager.getStatus();
+                    let text = i18n.t('offline.status', { articles: status.articleCount, pending: status.pendingCount });
+                    if (status.lastSync) {
+                        text += ` · ${i18n.t('offline.last_sync', { time: new Date(status.lastSync).toLocaleString() })}`;
+                    }
+                    offlineStatus.textContent = text;
+                } catch (err) {
+                    offlineStatus.textContent = err.message;
+                }
+            };
+            const updateSyncBtn = () => {
+                offlineSyncBtn.disabled = !OfflineManager.isEnabled();
+            };
+
+            updateSyncBtn();
+            renderOfflineStatus();
+
+            offlineSelect.addEventListener('change', async () => {
+                const perGroup = parseInt(offlineSelect.value);
+                OfflineManager.saveConfig({ perGroup });
+                updateSyncBtn();
+                if (perGroup === 0) {
+                    await OfflineManager.clear().catch(() => { });
+                    renderOfflineStatus();
+                }
+            });
+
+            offlineSyncBtn.addEventListener('click', async () => {
+                offlineSyncBtn.disabled = true;
+                offlineStatus.textContent = i18n.t('offline.syncing');
+                try {
+                    const result = await OfflineManager.sync();
+                    showToast(i18n.t('offline.sync_done', { count: result.articleCount }), 3000, false);
+                } catch (err) {
+                    showToast(err.message || i18n.t('offline.sync_failed'), 3000, false);
+                } finally {
+                    updateSyncBtn();
+                    renderOfflineStatus();
+                }
+            });
+        }
+
+        // 用户管理（仅管理员可见）
+        const adminSection = dialog.querySelector('#settings-admin-section');
+        if (adminSection) {
+            AuthManager.getCurrentUser()
+                .then(user => {
+                    if (user.role === 'admin') adminSection.style.display = '';
+                })
+                .catch(err => console.error('Load current user error:', err));
+
+            dialog.querySelector('#user-manager-btn').addEventListener('click', () => {
+                this.showUserManagerDialog();
+            });
+        }
+
         // 修改密码（仅在非强制模式下存在）
         if (passwordForm) {
             passwordForm.addEventListener('submit', async (e) => {
@@ -752,6 +1002,7 @@ export const Dialogs = {
             logoutBtn.addEventListener('click', async () => {
                 if (await Modal.confirm(i18n.t('auth.confirm_logout'))) {
                     close();
+                    await OfflineManager.clear().catch(() => { });
                     AuthManager.logout();
                 }
             });
@@ -763,6 +1014,7 @@ export const Dialogs = {
      */
     _bindAISettingsEvents(dialog) {
         const aiForm = dialog.querySelector('#ai-settings-form');
+        const aiProviderSelect = dialog.querySelector('#ai-provider');
         const aiUrlInput = dialog.querySelector('#ai-api-url');
         const aiKeyInput = dialog.querySelector('#ai-api-key');
         const aiModelInput = dialog.querySelector('#ai-model');
@@ -782,7 +1034,19 @@ export const Dialogs = {
 
         if (aiUrlInput) aiUrlInput.value = aiConfig.apiUrl || '';
         if (aiKeyInput) aiKeyInput.value = aiConfig.apiKey || '';
-        if (aiModelInput) aiModelInput.value = aiConfig.model || 'gpt-4.1-mini';
+        if (aiModelInput) aiModelInput.value = aiConfig.model || (aiConfig.provider ? '' : 'gpt-4.1-mini');
+
+        // 提供商切换时更新各输入框的示例值
+        if (aiProviderSelect) {
+            aiProviderSelect.addEventListener('change', () => {
+                const provider = getAIProvider(aiProviderSelect.value);
+                aiUrlInput.placeholder = provider.urlPlaceholder;
+                aiKeyInput.placeholder = provider.keyPlaceholder;
+                aiModelInput.placeholder = provider.modelPlaceholder;
+            });
+            aiProviderSelect.value = getAIProvider(aiConfig.provider).id;
+            aiProviderSelect.dispatchEvent(new Event('change'));
+        }
 
         // 温度和并发初始化
         if (aiTemperatureInput) {
@@ -828,13 +1092,14 @@ export const Dialogs = {
         if (aiTestBtn) {
             aiTestBtn.addEventListener('click', async () => {
                 const config = {
+                    provider: aiProviderSelect.value,
                     apiUrl: aiUrlInput.value.trim(),
                     apiKey: aiKeyInput.value.trim(),
                     model: aiModelInput.value.trim(),
                     targetLang: aiTargetLangSelect.value
                 };
 
-                if (!config.apiUrl || !config.apiKey) {
+                if (!getAIProvider(config.provider).required.every(key => config[key])) {
                     aiMsg.textContent = i18n.t('settings.fill_all_info');
                     aiMsg.style.color = 'var(--danger-color)';
                     return;
@@ -865,6 +1130,7 @@ export const Dialogs = {
                 e.preventDefault();
 
                 const config = {
+                    provider: aiProviderSelect.value,
                     apiUrl: aiUrlInput.value.trim(),
                     apiKey: aiKeyInput.value.trim(),
                     model: aiModelInput.value.trim(),
@@ -1427,8 +1693,8 @@ export const Dialogs = {
      * 渲染已配置状态
      */
     _renderMinifluxConfigured(container, config) {
+        // 使用环境变量默认配置的用户也可以改为连接自己的 Miniflux 账号
         const sourceText = config.source === 'env' ? i18n.t('settings.env_var') : i18n.t('settings.manual_config');
-        const isEnv = config.source === 'env';
 
         container.innerHTML = `
             <div class="miniflux-config-item">
@@ -1445,11 +1711,9 @@ export const Dialogs = {
                 <span class="miniflux-config-label">${config.authType === 'api_key' ? i18n.t('settings.auth_api_key') : i18n.t('settings.username')}</span>
                 <span class="miniflux-config-value">${config.authType === 'api_key' ? '********' : (config.username || '-')}</span>
             </div>
-            ${!isEnv ? `
             <div class="appearance-mode-group" style="margin-top: 12px;">
                 <button id="edit-miniflux-config-btn" class="appearance-mode-btn" style="justify-content: center; width: 100%;">${i18n.t('settings.edit_connection')}</button>
             </div>
-            ` : ''}
         `;
 
         // 异步检查真实连接状态
@@ -1473,11 +1737,9 @@ export const Dialogs = {
             }
         });
 
-        if (!isEnv) {
-            container.querySelector('#edit-miniflux-config-btn')?.addEventListener('click', () => {
-                this._renderMinifluxConfigForm(container, config);
-            });
-        }
+        container.querySelector('#edit-miniflux-config-btn')?.addEventListener('click', () => {
+            this._renderMinifluxConfigForm(container, config);
+        });
     },
 
     /**
@@ -1640,303 +1902,2532 @@ export const Dialogs = {
     },
 
     /**
-     * 显示简报管理器对话框
+     * 显示用户管理对话框（管理员）
      */
-    showDigestManagerDialog() {
-        const { dialog, close } = createDialog('settings-dialog digest-manager-dialog', `
-            <div class="settings-dialog-content" style="position: relative; max-width: 900px; min-height: 600px;">
+    showUserManagerDialog() {
+        const { dialog, close } = createDialog('settings-dialog user-manager-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 720px;">
                 <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
                     ${Icons.close}
                 </button>
-                <h3>${i18n.t('digest.manager_title')}</h3>
-                
-                <!-- 任务列表 -->
+                <h3>${i18n.t('admin.user_management')}</h3>
+
                 <div class="settings-section">
-                    <div class="settings-section-title">${i18n.t('digest.task_list')}</div>
-                    <div id="digest-tasks-container" style="margin-bottom: 16px;">
+                    <div class="settings-section-title">${i18n.t('admin.user_list')}</div>
+                    <div id="admin-users-container">
                         <div style="text-align: center; padding: 20px; color: var(--meta-color);">
                             ${i18n.t('common.loading')}
                         </div>
                     </div>
-                    <div class="appearance-mode-group">
-                        <button type="button" id="add-digest-task-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">
-                            ${i18n.t('digest.add_task')}
-                        </button>
-                    </div>
                 </div>
 
-                <!-- 推送设置 -->
                 <div class="settings-section">
-                    <div class="settings-section-title">${i18n.t('digest.push_settings')}</div>
-                    <form id="push-settings-form">
-                        <label class="miniflux-input-label">${i18n.t('digest.request_url')}</label>
-                        <input type="text" id="push-url" class="auth-input" placeholder="${i18n.t('digest.request_url_placeholder')}" style="margin-bottom: 8px;">
-                        
-                        <label class="miniflux-input-label">${i18n.t('digest.request_method')}</label>
-                        <select id="push-method" class="dialog-select" style="margin-bottom: 8px;">
-                            <option value="GET">GET</option>
-                            <option value="POST">POST</option>
+                    <div class="settings-section-title">${i18n.t('admin.create_user')}</div>
+                    <form id="admin-create-user-form">
+                        <input type="text" id="admin-new-username" class="auth-input" placeholder="${i18n.t('settings.username')}" style="margin-bottom: 8px;" autocomplete="off" required>
+                        <input type="password" id="admin-new-password" class="auth-input" placeholder="${i18n.t('settings.password')}" style="margin-bottom: 8px;" autocomplete="new-password" required>
+                        <select id="admin-new-role" class="dialog-select" style="margin-bottom: 12px;">
+                            <option value="reader">${i18n.t('admin.role_reader')}</option>
+                            <option value="admin">${i18n.t('admin.role_admin')}</option>
                         </select>
-                        
-                        <label class="miniflux-input-label">${i18n.t('digest.request_body')}</label>
-                        <div style="font-size: 0.85em; color: var(--meta-color); margin-bottom: 4px;">
-                            ${i18n.t('digest.request_body_hint')}
-                        </div>
-                        <textarea id="push-body" class="auth-input" rows="6" placeholder="${i18n.t('digest.request_body_placeholder')}" style="margin-bottom: 12px; resize: vertical; min-height: 120px; font-family: monospace;"></textarea>
-                        
-                        <div class="appearance-mode-group" style="margin-bottom: 8px;">
-                            <button type="button" id="push-test-btn" class="appearance-mode-btn" style="flex: 1;">${i18n.t('digest.push_test')}</button>
-                            <button type="submit" class="appearance-mode-btn active" style="flex: 1;">${i18n.t('common.save')}</button>
-                        </div>
-                        <div id="push-settings-msg" style="font-size: 0.85em; margin-top: 8px;"></div>
-                        
-                        <div id="push-test-result" style="display: none; margin-top: 12px; padding: 12px; background: var(--card-bg); border-radius: var(--radius); max-height: 200px; overflow-y: auto;">
-                            <div style="font-weight: 600; margin-bottom: 8px; color: var(--text-primary);">${i18n.t('digest.push_result')}:</div>
-                            <pre id="push-result-content" style="margin: 0; white-space: pre-wrap; word-wrap: break-word; font-size: 0.85em; color: var(--meta-color);"></pre>
+                        <div class="appearance-mode-group">
+                            <button type="submit" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">${i18n.t('admin.create_user')}</button>
                         </div>
+                        <div id="admin-create-user-msg" style="text-align: center; margin-top: 8px; font-size: 0.85em;"></div>
                     </form>
                 </div>
             </div>
         `);
 
         const closeBtn = dialog.querySelector('.close-dialog-btn');
-        const tasksContainer = dialog.querySelector('#digest-tasks-container');
-        const addTaskBtn = dialog.querySelector('#add-digest-task-btn');
-        const pushForm = dialog.querySelector('#push-settings-form');
-        const pushUrlInput = dialog.querySelector('#push-url');
-        const pushMethodSelect = dialog.querySelector('#push-method');
-        const pushBodyInput = dialog.querySelector('#push-body');
-        const pushTestBtn = dialog.querySelector('#push-test-btn');
-        const pushMsg = dialog.querySelector('#push-settings-msg');
-        const pushTestResult = dialog.querySelector('#push-test-result');
-        const pushResultContent = dialog.querySelector('#push-result-content');
+        const usersContainer = dialog.querySelector('#admin-users-container');
+        const createForm = dialog.querySelector('#admin-create-user-form');
+        const createMsg = dialog.querySelector('#admin-create-user-msg');
+
+        CustomSelect.replaceAll(dialog.querySelector('.settings-dialog-content'));
 
         closeBtn.addEventListener('click', close);
         dialog.addEventListener('click', (e) => {
             if (e.target === dialog) close();
         });
 
-        // 加载任务列表
-        this._loadDigestTasks(tasksContainer);
-
-        // 加载推送设置
-        this._loadPushSettings(pushUrlInput, pushMethodSelect, pushBodyInput);
-
-        // 添加任务按钮
-        addTaskBtn.addEventListener('click', () => {
-            this.showDigestTaskEditDialog(null, () => {
-                this._loadDigestTasks(tasksContainer);
-            });
-        });
-
-        // 推送测试
-        pushTestBtn.addEventListener('click', async () => {
-            const url = pushUrlInput.value.trim();
-            const method = pushMethodSelect.value;
-            const body = pushBodyInput.value.trim();
-
-            if (!url) {
-                pushMsg.textContent = i18n.t('settings.fill_all_info');
-                pushMsg.style.color = 'var(--danger-color)';
-                return;
-            }
-
-            pushTestBtn.disabled = true;
-            pushTestBtn.textContent = i18n.t('digest.push_testing');
-            pushMsg.textContent = '';
-            pushTestResult.style.display = 'none';
-
-            try {
-                const testContent = 'This is a test push notification from Tidyflux Digest Manager.';
-                const result = await this._sendPushRequest(url, method, body, testContent);
-                
-                pushMsg.textContent = `✓ ${i18n.t('digest.push_success')}`;
-                pushMsg.style.color = 'var(--accent-color)';
-                pushTestResult.style.display = 'block';
-                pushResultContent.textContent = JSON.stringify(result, null, 2);
-            } catch (err) {
-                pushMsg.textContent = `${i18n.t('digest.push_failed')}: ${err.message}`;
-                pushMsg.style.color = 'var(--danger-color)';
-                pushTestResult.style.display = 'block';
-                pushResultContent.textContent = err.message;
-            } finally {
-                pushTestBtn.disabled = false;
-                pushTestBtn.textContent = i18n.t('digest.push_test');
-            }
-        });
+        this._loadAdminUsers(usersContainer);
 
-        // 保存推送设置
-        pushForm.addEventListener('submit', async (e) => {
+        createForm.addEventListener('submit', async (e) => {
             e.preventDefault();
+            const usernameInput = dialog.querySelector('#admin-new-username');
+            const passwordInput = dialog.querySelector('#admin-new-password');
+            const role = dialog.querySelector('#admin-new-role').value;
+            const submitBtn = createForm.querySelector('button[type="submit"]');
 
-            const config = {
-                url: pushUrlInput.value.trim(),
-                method: pushMethodSelect.value,
-                body: pushBodyInput.value.trim()
-            };
+            submitBtn.disabled = true;
+            createMsg.textContent = '';
 
             try {
-                await this._savePushSettings(config);
-                pushMsg.textContent = `✓ ${i18n.t('digest.settings_saved')}`;
-                pushMsg.style.color = 'var(--accent-color)';
+                await AuthManager.createUser(usernameInput.value.trim(), passwordInput.value, role);
+                usernameInput.value = '';
+                passwordInput.value = '';
+                createMsg.textContent = `✓ ${i18n.t('admin.user_created')}`;
+                createMsg.style.color = 'var(--accent-color)';
+                this._loadAdminUsers(usersContainer);
             } catch (err) {
-                pushMsg.textContent = err.message;
-                pushMsg.style.color = 'var(--danger-color)';
+                createMsg.textContent = err.message;
+                createMsg.style.color = 'var(--danger-color)';
+            } finally {
+                submitBtn.disabled = false;
             }
-
-            setTimeout(() => {
-                pushMsg.textContent = '';
-            }, 3000);
         });
     },
 
     /**
-     * 加载简报任务列表
+     * 加载用户列表（管理员）
      */
-    async _loadDigestTasks(container) {
+    async _loadAdminUsers(container) {
         try {
-            const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.PREFERENCES.BASE);
-            if (!response.ok) throw new Error('Failed to load tasks');
-            
-            const prefs = await response.json();
-            const tasks = prefs.digest_tasks || [];
-
-            if (tasks.length === 0) {
-                container.innerHTML = `
-                    <div style="text-align: center; padding: 40px 20px; color: var(--meta-color);">
-                        ${i18n.t('digest.no_tasks')}
-                    </div>
-                `;
-                return;
-            }
+            const users = await AuthManager.listUsers();
+            const currentUsername = AuthManager.getUser()?.username;
 
-            // 渲染任务列表
             container.innerHTML = `
                 <div style="overflow-x: auto;">
                     <table style="width: 100%; border-collapse: collapse;">
                         <thead>
                             <tr style="border-bottom: 2px solid var(--border-color);">
-                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.task_title')}</th>
-                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.digest_title')}</th>
-                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.task_scope')}</th>
-                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.trigger_time')}</th>
-                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.time_range')}</th>
-                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.enable_push')}</th>
-                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.include_read')}</th>
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('settings.username')}</th>
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('admin.role')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('settings.status')}</th>
                                 <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.options')}</th>
                             </tr>
                         </thead>
-                        <tbody id="tasks-tbody">
+                        <tbody>
+                            ${users.map(user => {
+                const isSelf = user.username === currentUsername;
+                return `
+                            <tr style="border-bottom: 1px solid var(--border-color);" data-username="${escapeHtml(user.username)}">
+                                <td style="padding: 12px 8px;">${escapeHtml(user.username)}${isSelf ? ` <span style="color: var(--meta-color); font-size: 0.85em;">(${i18n.t('admin.you')})</span>` : ''}</td>
+                                <td style="padding: 12px 8px; font-size: 0.9em; color: var(--meta-color);">${i18n.t(user.role === 'admin' ? 'admin.role_admin' : 'admin.role_reader')}</td>
+                                <td style="padding: 12px 8px; text-align: center; font-size: 0.9em; color: ${user.disabled ? 'var(--danger-color)' : 'var(--accent-color)'};">${user.disabled ? i18n.t('admin.disabled') : i18n.t('admin.active')}</td>
+                                <td style="padding: 12px 8px; text-align: center; white-space: nowrap;">
+                                    <button class="icon-btn admin-reset-password-btn" style="margin-right: 4px;" title="${i18n.t('admin.reset_password')}">
+                                        ${Icons.edit}
+                                    </button>
+                                    ${isSelf ? '' : `
+                                    <button class="appearance-mode-btn admin-toggle-role-btn" style="display: inline-flex; padding: 4px 8px; margin-right: 4px; font-size: 0.85em;">
+                                        ${user.role === 'admin' ? i18n.t('admin.set_reader') : i18n.t('admin.set_admin')}
+                                    </button>
+                                    <button class="appearance-mode-btn admin-toggle-disabled-btn" style="display: inline-flex; padding: 4px 8px; margin-right: 4px; font-size: 0.85em;">
+                                        ${user.disabled ? i18n.t('admin.enable') : i18n.t('admin.disable')}
+                                    </button>
+                                    <button class="icon-btn admin-delete-user-btn" style="color: var(--danger-color);" title="${i18n.t('admin.delete_user')}">
+                                        ${Icons.delete}
+                                    </button>`}
+                                </td>
+                            </tr>`;
+            }).join('')}
                         </tbody>
                     </table>
                 </div>
             `;
 
-            const tbody = container.querySelector('#tasks-tbody');
-            tasks.forEach(task => {
-                const row = document.createElement('tr');
-                row.style.borderBottom = '1px solid var(--border-color)';
-                
-                const scopeNames = this._getTaskScopeNames(task.scopes);
-                const timeRangeText = task.timeRange ? `${task.timeRange}h` : '-';
-                const digestTitleText = task.digestTitle || '-';
-                
-                row.innerHTML = `
-                    <td style="padding: 12px 8px;">${task.title || i18n.t('common.unnamed')}</td>
-                    <td style="padding: 12px 8px; font-size: 0.9em; color: var(--meta-color);">${digestTitleText}</td>
-                    <td style="padding: 12px 8px; font-size: 0.9em; color: var(--meta-color);">${scopeNames}</td>
-                    <td style="padding: 12px 8px; font-size: 0.9em; font-family: monospace;">${task.cronExpression}</td>
-                    <td style="padding: 12px 8px; text-align: center; font-size: 0.9em;">${timeRangeText}</td>
-                    <td style="padding: 12px 8px; text-align: center;">${task.enablePush ? i18n.t('digest.yes') : i18n.t('digest.no')}</td>
-                    <td style="padding: 12px 8px; text-align: center;">${task.includeRead ? i18n.t('digest.yes') : i18n.t('digest.no')}</td>
-                    <td style="padding: 12px 8px; text-align: center;">
-                        <button class="icon-btn edit-task-btn" data-task-id="${task.id}" style="margin-right: 4px;" title="${i18n.t('digest.edit_task')}">
-                            ${Icons.edit}
-                        </button>
-                        <button class="icon-btn delete-task-btn" data-task-id="${task.id}" style="color: var(--danger-color);" title="${i18n.t('digest.delete_task')}">
-                            ${Icons.delete}
-                        </button>
-                    </td>
+            const getRowUser = (btn) => {
+                const username = btn.closest('tr').dataset.username;
+                return users.find(u => u.username === username);
+            };
+
+            const runAction = async (action) => {
+                try {
+                    await action();
+                    this._loadAdminUsers(container);
+                    return true;
+                } catch (err) {
+                    await Modal.alert(err.message);
+                    return false;
+                }
+            };
+
+            container.querySelectorAll('.admin-reset-password-btn').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    const user = getRowUser(btn);
+                    const newPassword = await Modal.prompt(i18n.t('admin.enter_new_password', { username: escapeHtml(user.username) }), '', i18n.t('admin.reset_password'));
+                    if (!newPassword) return;
+                    if (await runAction(() => AuthManager.resetUserPassword(user.username, newPassword))) {
+                        showToast(i18n.t('settings.password_change_success'), 2000, false);
+                    }
+                });
+            });
+
+            container.querySelectorAll('.admin-toggle-role-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const user = getRowUser(btn);
+                    const role = user.role === 'admin' ? 'reader' : 'admin';
+                    runAction(() => AuthManager.updateUser(user.username, { role }));
+                });
+            });
+
+            container.querySelectorAll('.admin-toggle-disabled-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const user = getRowUser(btn);
+                    runAction(() => AuthManager.updateUser(user.username, { disabled: !user.disabled }));
+                });
+            });
+
+            container.querySelectorAll('.admin-delete-user-btn').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    const user = getRowUser(btn);
+                    if (!await Modal.confirm(i18n.t('admin.confirm_delete_user', { username: escapeHtml(user.username) }))) return;
+                    await runAction(() => AuthManager.deleteUser(user.username));
+                });
+            });
+        } catch (err) {
+            console.error('Load users error:', err);
+            container.innerHTML = `
+                <div style="text-align: center; padding: 20px; color: var(--danger-color);">
+                    ${i18n.t('common.load_error')}
+                </div>
+            `;
+        }
+    },
+
+    /**
+     * 显示过滤规则对话框
+     */
+    showFilterRulesDialog() {
+        const { dialog, close } = createDialog('settings-dialog filter-rules-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 720px;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${i18n.t('filter.title')}</h3>
+                <p style="color: var(--meta-color); font-size: 0.9em; margin-bottom: 16px;">${i18n.t('filter.description')}</p>
+
+                <div class="settings-section">
+                    <div id="filter-rules-container" style="margin-bottom: 16px;">
+                        <div style="text-align: center; padding: 20px; color: var(--meta-color);">
+                            ${i18n.t('common.loading')}
+                        </div>
+                    </div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="add-filter-rule-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">
+                            ${i18n.t('filter.add_rule')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        const closeBtn = dialog.querySelector('.close-dialog-btn');
+        const rulesContainer = dialog.querySelector('#filter-rules-container');
+        const addRuleBtn = dialog.querySelector('#add-filter-rule-btn');
+
+        closeBtn.addEventListener('click', close);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+
+        this._loadFilterRules(rulesContainer);
+
+        addRuleBtn.addEventListener('click', () => {
+            this.showFilterRuleEditDialog(null, () => {
+                this._loadFilterRules(rulesContainer);
+            });
+        });
+    },
+
+    /**
+     * 获取过滤规则范围名称
+     */
+    _getFilterScopeName(rule) {
+        if (rule.scope === 'group') {
+            const group = AppState.groups?.find(g => g.id == rule.scopeId);
+            return group ? group.name : `#${rule.scopeId}`;
+        }
+        if (rule.scope === 'feed') {
+            const feed = AppState.feeds?.find(f => f.id == rule.scopeId);
+            return feed ? feed.title : `#${rule.scopeId}`;
+        }
+        return i18n.t('digest.scope_all');
+    },
+
+    /**
+     * 加载过滤规则列表
+     */
+    async _loadFilterRules(container) {
+        try {
+            const rules = await FeedManager.getFilterRules();
+
+            if (rules.length === 0) {
+                container.innerHTML = `
+                    <div style="text-align: center; padding: 40px 20px; color: var(--meta-color);">
+                        ${i18n.t('filter.no_rules')}
+                    </div>
+                `;
+                return;
+            }
+
+            container.innerHTML = `
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <thead>
+                            <tr style="border-bottom: 2px solid var(--border-color);">
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('filter.pattern')}</th>
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('filter.fields')}</th>
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('filter.scope')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('filter.action')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('settings.enable')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.options')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rules.map(rule => `
+                            <tr style="border-bottom: 1px solid var(--border-color);" data-rule-id="${rule.id}">
+                                <td style="padding: 12px 8px;">
+                                    ${rule.name ? `<div>${escapeHtml(rule.name)}</div>` : ''}
+                                    <div style="font-size: 0.9em; font-family: monospace; color: var(--meta-color); word-break: break-all;">${rule.matchType === 'regex' ? `/${escapeHtml(rule.pattern)}/` : escapeHtml(rule.pattern)}</div>
+                                </td>
+                                <td style="padding: 12px 8px; font-size: 0.9em; color: var(--meta-color);">${rule.fields.map(f => i18n.t('filter.field_' + f)).join(', ')}</td>
+                                <td style="padding: 12px 8px; font-size: 0.9em; color: var(--meta-color);">${escapeHtml(this._getFilterScopeName(rule))}</td>
+                                <td style="padding: 12px 8px; text-align: center; font-size: 0.9em;">${i18n.t('filter.action_' + rule.action)}</td>
+                                <td style="padding: 12px 8px; text-align: center;">${rule.enabled ? i18n.t('digest.yes') : i18n.t('digest.no')}</td>
+                                <td style="padding: 12px 8px; text-align: center; white-space: nowrap;">
+                                    <button class="icon-btn edit-rule-btn" style="margin-right: 4px;" title="${i18n.t('filter.edit_rule')}">
+                                        ${Icons.edit}
+                                    </button>
+                                    <button class="icon-btn delete-rule-btn" style="color: var(--danger-color);" title="${i18n.t('filter.delete_rule')}">
+                                        ${Icons.delete}
+                                    </button>
+                                </td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+
+            container.querySelectorAll('.edit-rule-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const ruleId = btn.closest('tr').dataset.ruleId;
+                    const rule = rules.find(r => r.id === ruleId);
+                    this.showFilterRuleEditDialog(rule, () => {
+                        this._loadFilterRules(container);
+                    });
+                });
+            });
+
+            container.querySelectorAll('.delete-rule-btn').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    if (!await Modal.confirm(i18n.t('filter.confirm_delete_rule'))) return;
+
+                    const ruleId = btn.closest('tr').dataset.ruleId;
+                    try {
+                        await FeedManager.saveFilterRules(rules.filter(r => r.id !== ruleId));
+                        this._loadFilterRules(container);
+                    } catch (err) {
+                        await Modal.alert(err.message);
+                    }
+                });
+            });
+        } catch (err) {
+            console.error('Load filter rules error:', err);
+            container.innerHTML = `
+                <div style="text-align: center; padding: 20px; color: var(--danger-color);">
+                    ${i18n.t('common.load_error')}
+                </div>
+            `;
+        }
+    },
+
+    /**
+     * 显示过滤规则编辑对话框
+     */
+    showFilterRuleEditDialog(rule, onSave) {
+        const isEdit = !!rule;
+        const fields = ['title', 'content', 'author', 'url'];
+        const actions = ['hide', 'mark_read', 'star'];
+
+        const scopeOptions = [
+            `<option value="all">${i18n.t('digest.scope_all')}</option>`,
+            ...(AppState.groups || []).map(g =>
+                `<option value="group:${g.id}">${i18n.t('filter.scope_group')}: ${escapeHtml(g.name)}</option>`),
+            ...(AppState.feeds || []).map(f =>
+                `<option value="feed:${f.id}">${i18n.t('filter.scope_feed')}: ${escapeHtml(f.title || '')}</option>`)
+        ].join('');
+
+        const { dialog, close } = createDialog('settings-dialog filter-rule-edit-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 700px; max-height: 90vh; overflow-y: auto;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${isEdit ? i18n.t('filter.edit_rule') : i18n.t('filter.add_rule')}</h3>
+
+                <form id="filter-rule-form">
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('filter.name')}</label>
+                        <input type="text" id="filter-rule-name" class="auth-input" placeholder="${i18n.t('filter.name_placeholder')}">
+                    </div>
+
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('filter.match_type')}</label>
+                        <select id="filter-rule-match-type" class="dialog-select" style="margin-bottom: 8px;">
+                            <option value="keyword">${i18n.t('filter.match_keyword')}</option>
+                            <option value="regex">${i18n.t('filter.match_regex')}</option>
+                        </select>
+                        <input type="text" id="filter-rule-pattern" class="auth-input" style="margin-bottom: 4px; font-family: monospace;" required autocomplete="off" spellcheck="false">
+                        <div id="filter-rule-pattern-hint" style="font-size: 0.85em; color: var(--meta-color);"></div>
+                    </div>
+
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('filter.fields')}</label>
+                        <div style="display: flex; flex-wrap: wrap; gap: 16px;">
+                            ${fields.map(f => `
+                            <div style="display: flex; align-items: center; gap: 8px;">
+                                <input type="checkbox" id="filter-field-${f}" value="${f}" class="filter-field-checkbox" style="width: 18px; height: 18px; cursor: pointer;">
+                                <label for="filter-field-${f}" style="cursor: pointer; user-select: none;">${i18n.t('filter.field_' + f)}</label>
+                            </div>`).join('')}
+                        </div>
+                    </div>
+
+                    <div style="margin-bottom: 16px;">
+                        <div style="display: flex; align-items: center; gap: 10px;">
+                            <input type="checkbox" id="filter-rule-case" style="width: 18px; height: 18px; cursor: pointer;">
+                            <label for="filter-rule-case" style="cursor: pointer; user-select: none;">${i18n.t('filter.case_sensitive')}</label>
+                        </div>
+                    </div>
+
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('filter.scope')}</label>
+                        <select id="filter-rule-scope" class="dialog-select">
+                            ${scopeOptions}
+                        </select>
+                    </div>
+
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('filter.action')}</label>
+                        <select id="filter-rule-action" class="dialog-select">
+                            ${actions.map(a => `<option value="${a}">${i18n.t('filter.action_' + a)}</option>`).join('')}
+                        </select>
+                    </div>
+
+                    <div style="margin-bottom: 16px;">
+                        <div style="display: flex; align-items: center; gap: 10px;">
+                            <input type="checkbox" id="filter-rule-enabled" style="width: 18px; height: 18px; cursor: pointer;" checked>
+                            <label for="filter-rule-enabled" style="cursor: pointer; user-select: none;">${i18n.t('settings.enable')}</label>
+                        </div>
+                    </div>
+
+                    <div id="filter-preview-result" style="display: none; margin-bottom: 16px; padding: 12px; background: var(--card-bg); border-radius: var(--radius); max-height: 240px; overflow-y: auto; font-size: 0.85em;"></div>
+
+                    <div class="appearance-mode-group" style="margin-bottom: 8px;">
+                        <button type="button" id="filter-preview-btn" class="appearance-mode-btn" style="flex: 1;">${i18n.t('filter.preview')}</button>
+                        <button type="submit" class="appearance-mode-btn active" style="flex: 1;">${i18n.t('common.save')}</button>
+                    </div>
+                    <div id="filter-rule-msg" style="text-align: center; font-size: 0.85em; margin-top: 8px;"></div>
+                </form>
+            </div>
+        `);
+
+        const closeBtn = dialog.querySelector('.close-dialog-btn');
+        const form = dialog.querySelector('#filter-rule-form');
+        const nameInput = dialog.querySelector('#filter-rule-name');
+        const matchTypeSelect = dialog.querySelector('#filter-rule-match-type');
+        const patternInput = dialog.querySelector('#filter-rule-pattern');
+        const patternHint = dialog.querySelector('#filter-rule-pattern-hint');
+        const caseCheckbox = dialog.querySelector('#filter-rule-case');
+        const scopeSelect = dialog.querySelector('#filter-rule-scope');
+        const actionSelect = dialog.querySelector('#filter-rule-action');
+        const enabledCheckbox = dialog.querySelector('#filter-rule-enabled');
+        const previewBtn = dialog.querySelector('#filter-preview-btn');
+        const previewResult = dialog.querySelector('#filter-preview-result');
+        const msgEl = dialog.querySelector('#filter-rule-msg');
+
+        closeBtn.addEventListener('click', close);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+
+        const updatePatternHint = () => {
+            const isRegex = matchTypeSelect.value === 'regex';
+            patternInput.placeholder = isRegex ? i18n.t('filter.regex_placeholder') : i18n.t('filter.keyword_placeholder');
+            patternHint.textContent = isRegex ? i18n.t('filter.regex_hint') : i18n.t('filter.keyword_hint');
+        };
+
+        // 填充数据
+        const current = rule || { fields: ['title'], matchType: 'keyword', scope: 'all', action: 'hide', enabled: true };
+        nameInput.value = current.name || '';
+        matchTypeSelect.value = current.matchType;
+        patternInput.value = current.pattern || '';
+        caseCheckbox.checked = !!current.caseSensitive;
+        scopeSelect.value = current.scope === 'all' ? 'all' : `${current.scope}:${current.scopeId}`;
+        actionSelect.value = current.action;
+        enabledCheckbox.checked = current.enabled !== false;
+        dialog.querySelectorAll('.filter-field-checkbox').forEach(cb => {
+            cb.checked = current.fields.includes(cb.value);
+        });
+        updatePatternHint();
+
+        CustomSelect.replaceAll(dialog.querySelector('.settings-dialog-content'));
+
+        matchTypeSelect.addEventListener('change', updatePatternHint);
+
+        const collectRule = () => {
+            const [scope, scopeId] = scopeSelect.value.split(':');
+            return {
+                id: rule?.id,
+                name: nameInput.value.trim(),
+                enabled: enabledCheckbox.checked,
+                fields: Array.from(dialog.querySelectorAll('.filter-field-checkbox:checked')).map(cb => cb.value),
+                matchType: matchTypeSelect.value,
+                pattern: patternInput.value.trim(),
+                caseSensitive: caseCheckbox.checked,
+                scope,
+                scopeId: scopeId || null,
+                action: actionSelect.value
+            };
+        };
+
+        // 预览命中文章
+        previewBtn.addEventListener('click', async () => {
+            const data = collectRule();
+            if (!data.pattern) {
+                msgEl.textContent = i18n.t('settings.fill_all_info');
+                msgEl.style.color = 'var(--danger-color)';
+                return;
+            }
+
+            previewBtn.disabled = true;
+            msgEl.textContent = '';
+
+            try {
+                const result = await FeedManager.previewFilterRule(data);
+                previewResult.style.display = 'block';
+                previewResult.innerHTML = `
+                    <div style="font-weight: 600; margin-bottom: 8px; color: var(--text-primary);">${i18n.t('filter.preview_summary', { count: result.matchCount, total: result.checked })}</div>
+                    ${result.articles.map(a => `
+                    <div style="padding: 4px 0; border-bottom: 1px solid var(--border-color);">
+                        <div>${escapeHtml(a.title)}</div>
+                        <div style="color: var(--meta-color);">${escapeHtml(a.feed_title)}</div>
+                    </div>`).join('')}
+                `;
+            } catch (err) {
+                previewResult.style.display = 'none';
+                msgEl.textContent = err.message;
+                msgEl.style.color = 'var(--danger-color)';
+            } finally {
+                previewBtn.disabled = false;
+            }
+        });
+
+        // 保存规则
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = collectRule();
+
+            try {
+                const rules = await FeedManager.getFilterRules();
+                const newRules = isEdit
+                    ? rules.map(r => r.id === rule.id ? data : r)
+                    : [...rules, data];
+
+                await FeedManager.saveFilterRules(newRules);
+
+                msgEl.textContent = `✓ ${i18n.t('common.save')}${i18n.t('common.success')}`;
+                msgEl.style.color = 'var(--accent-color)';
+
+                setTimeout(() => {
+                    close();
+                    if (onSave) onSave();
+                }, 1000);
+            } catch (err) {
+                msgEl.textContent = err.message;
+                msgEl.style.color = 'var(--danger-color)';
+            }
+        });
+    },
+
+    /**
+     * 显示保存的搜索编辑对话框
+     * @param {Object} savedSearch - 已保存的搜索，或仅含 query 的新搜索
+     * @param {Function} onSave - async (data) => void，失败时抛出错误
+     */
+    showSavedSearchDialog(savedSearch, onSave) {
+        const isEdit = !!savedSearch?.id;
+        const groupOptions = [
+            `<option value="">${i18n.t('saved_search.all_groups')}</option>`,
+            ...(AppState.groups || []).map(g => `<option value="${g.id}">${escapeHtml(g.name)}</option>`)
+        ].join('');
+
+        const { dialog, close } = createDialog('settings-dialog saved-search-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 500px; max-height: 90vh; overflow-y: auto;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${isEdit ? i18n.t('saved_search.edit_title') : i18n.t('saved_search.add_title')}</h3>
+
+                <form id="saved-search-form">
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('saved_search.name')}</label>
+                        <input type="text" id="saved-search-name" class="auth-input" placeholder="${i18n.t('saved_search.name_placeholder')}">
+                    </div>
+
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('saved_search.query')}</label>
+                        <input type="text" id="saved-search-query" class="auth-input" style="margin-bottom: 4px;" autocomplete="off" spellcheck="false">
+                        <div style="font-size: 0.85em; color: var(--meta-color);">${i18n.t('nav.search_syntax_hint')}</div>
+                    </div>
+
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('saved_search.group')}</label>
+                        <select id="saved-search-group" class="dialog-select">${groupOptions}</select>
+                    </div>
+
+                    <div style="margin-bottom: 16px; display: flex; gap: 12px;">
+                        <div style="flex: 1;">
+                            <label class="miniflux-input-label">${i18n.t('saved_search.after')}</label>
+                            <input type="date" id="saved-search-after" class="auth-input">
+                        </div>
+                        <div style="flex: 1;">
+                            <label class="miniflux-input-label">${i18n.t('saved_search.before')}</label>
+                            <input type="date" id="saved-search-before" class="auth-input">
+                        </div>
+                    </div>
+
+                    <div style="margin-bottom: 16px;">
+                        <div style="display: flex; align-items: center; gap: 10px;">
+                            <input type="checkbox" id="saved-search-unread" style="width: 18px; height: 18px; cursor: pointer;">
+                            <label for="saved-search-unread" style="cursor: pointer; user-select: none;">${i18n.t('saved_search.unread_only')}</label>
+                        </div>
+                    </div>
+
+                    <div class="appearance-mode-group" style="margin-bottom: 8px;">
+                        <button type="submit" class="appearance-mode-btn active" style="flex: 1;">${i18n.t('common.save')}</button>
+                    </div>
+                    <div id="saved-search-msg" style="text-align: center; font-size: 0.85em; margin-top: 8px;"></div>
+                </form>
+            </div>
+        `);
+
+        const form = dialog.querySelector('#saved-search-form');
+        const nameInput = dialog.querySelector('#saved-search-name');
+        const queryInput = dialog.querySelector('#saved-search-query');
+        const groupSelect = dialog.querySelector('#saved-search-group');
+        const afterInput = dialog.querySelector('#saved-search-after');
+        const beforeInput = dialog.querySelector('#saved-search-before');
+        const unreadCheckbox = dialog.querySelector('#saved-search-unread');
+        const msgEl = dialog.querySelector('#saved-search-msg');
+
+        // 填充数据
+        const current = savedSearch || {};
+        nameInput.value = current.name || current.query || '';
+        queryInput.value = current.query || '';
+        groupSelect.value = current.groupId ? String(current.groupId) : '';
+        afterInput.value = current.after || '';
+        beforeInput.value = current.before || '';
+        unreadCheckbox.checked = !!current.unreadOnly;
+
+        CustomSelect.replaceAll(dialog.querySelector('.settings-dialog-content'));
+        nameInput.focus();
+        nameInput.select();
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = {
+                id: current.id,
+                name: nameInput.value.trim(),
+                query: queryInput.value.trim(),
+                groupId: groupSelect.value ? parseInt(groupSelect.value, 10) : null,
+                unreadOnly: unreadCheckbox.checked,
+                after: afterInput.value,
+                before: beforeInput.value
+            };
+
+            if (!data.name || !data.query) {
+                msgEl.textContent = i18n.t('saved_search.fill_required');
+                msgEl.style.color = 'var(--danger-color)';
+                return;
+            }
+
+            try {
+                await onSave(data);
+                close();
+            } catch (err) {
+                msgEl.textContent = err.message;
+                msgEl.style.color = 'var(--danger-color)';
+            }
+        });
+    },
+
+    /**
+     * 显示简报管理器对话框
+     */
+    showDigestManagerDialog() {
+        const { dialog, close } = createDialog('settings-dialog digest-manager-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 900px; min-height: 600px;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${i18n.t('digest.manager_title')}</h3>
+                
+                <!-- 任务列表 -->
+                <div class="settings-section">
+                    <div class="settings-section-title">${i18n.t('digest.task_list')}</div>
+                    <div id="digest-tasks-container" style="margin-bottom: 16px;">
+                        <div style="text-align: center; padding: 20px; color: var(--meta-color);">
+                            ${i18n.t('common.loading')}
+                        </div>
+                    </div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="add-digest-task-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">
+                            ${i18n.t('digest.add_task')}
+                        </button>
+                    </div>
+                </div>
+
+                <!-- 浏览器推送 -->
+                <div class="settings-section">
+                    <div class="settings-section-title">${i18n.t('webpush.title')}</div>
+                    <div style="font-size: 0.85em; color: var(--meta-color); margin-bottom: 12px;">${i18n.t('webpush.description')}</div>
+                    <div class="appearance-mode-group" style="margin-bottom: 8px;">
+                        <button type="button" id="webpush-toggle-btn" class="appearance-mode-btn active" style="flex: 1;">${i18n.t('webpush.enable')}</button>
+                        <button type="button" id="webpush-test-btn" class="appearance-mode-btn" style="flex: 1;">${i18n.t('webpush.test')}</button>
+                    </div>
+                    <div id="webpush-msg" style="font-size: 0.85em; margin-top: 8px;"></div>
+                </div>
+
+                <!-- 推送渠道 -->
+                <div class="settings-section">
+                    <div class="settings-section-title">${i18n.t('push_channel.title')}</div>
+                    <div style="font-size: 0.85em; color: var(--meta-color); margin-bottom: 12px;">${i18n.t('push_channel.description')}</div>
+                    <div id="push-channels-container" style="margin-bottom: 16px;">
+                        <div style="text-align: center; padding: 20px; color: var(--meta-color);">
+                            ${i18n.t('common.loading')}
+                        </div>
+                    </div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="add-push-channel-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">
+                            ${i18n.t('push_channel.add')}
+                        </button>
+                    </div>
+                </div>
+
+                <!-- 推送设置 -->
+                <div class="settings-section">
+                    <div class="settings-section-title">${i18n.t('digest.push_settings')}</div>
+                    <form id="push-settings-form">
+                        <label class="miniflux-input-label">${i18n.t('digest.request_url')}</label>
+                        <input type="text" id="push-url" class="auth-input" placeholder="${i18n.t('digest.request_url_placeholder')}" style="margin-bottom: 8px;">
+                        
+                        <label class="miniflux-input-label">${i18n.t('digest.request_method')}</label>
+                        <select id="push-method" class="dialog-select" style="margin-bottom: 8px;">
+                            <option value="GET">GET</option>
+                            <option value="POST">POST</option>
+                        </select>
+                        
+                        <label class="miniflux-input-label">${i18n.t('digest.request_body')}</label>
+                        <div style="font-size: 0.85em; color: var(--meta-color); margin-bottom: 4px;">
+                            ${i18n.t('digest.request_body_hint')}
+                        </div>
+                        <textarea id="push-body" class="auth-input" rows="6" placeholder="${i18n.t('digest.request_body_placeholder')}" style="margin-bottom: 12px; resize: vertical; min-height: 120px; font-family: monospace;"></textarea>
+                        
+                        <div class="appearance-mode-group" style="margin-bottom: 8px;">
+                            <button type="button" id="push-test-btn" class="appearance-mode-btn" style="flex: 1;">${i18n.t('digest.push_test')}</button>
+                            <button type="submit" class="appearance-mode-btn active" style="flex: 1;">${i18n.t('common.save')}</button>
+                        </div>
+                        <div id="push-settings-msg" style="font-size: 0.85em; margin-top: 8px;"></div>
+                        
+                        <div id="push-test-result" style="display: none; margin-top: 12px; padding: 12px; background: var(--card-bg); border-radius: var(--radius); max-height: 200px; overflow-y: auto;">
+                            <div style="font-weight: 600; margin-bottom: 8px; color: var(--text-primary);">${i18n.t('digest.push_result')}:</div>
+                            <pre id="push-result-content" style="margin: 0; white-space: pre-wrap; word-wrap: break-word; font-size: 0.85em; color: var(--meta-color);"></pre>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `);
+
+        const closeBtn = dialog.querySelector('.close-dialog-btn');
+        const tasksContainer = dialog.querySelector('#digest-tasks-container');
+        const addTaskBtn = dialog.querySelector('#add-digest-task-btn');
+        const channelsContainer = dialog.querySelector('#push-channels-container');
+        const addChannelBtn = dialog.querySelector('#add-push-channel-btn');
+        const pushForm = dialog.querySelector('#push-settings-form');
+        const pushUrlInput = dialog.querySelector('#push-url');
+        const pushMethodSelect = dialog.querySelector('#push-method');
+        const pushBodyInput = dialog.querySelector('#push-body');
+        const pushTestBtn = dialog.querySelector('#push-test-btn');
+        const pushMsg = dialog.querySelector('#push-settings-msg');
+        const pushTestResult = dialog.querySelector('#push-test-result');
+        const pushResultContent = dialog.querySelector('#push-result-content');
+
+        closeBtn.addEventListener('click', close);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+
+        // 加载任务列表
+        this._loadDigestTasks(tasksContainer);
+
+        // 加载推送设置
+        this._loadPushSettings(pushUrlInput, pushMethodSelect, pushBodyInput);
+
+        // 浏览器推送
+        this._bindWebPushSettings(dialog);
+
+        // 推送渠道
+        this._loadPushChannels(channelsContainer);
+
+        // 添加任务按钮
+        addTaskBtn.addEventListener('click', () => {
+            this.showDigestTaskEditDialog(null, () => {
+                this._loadDigestTasks(tasksContainer);
+            });
+        });
+
+        // 添加推送渠道按钮
+        addChannelBtn.addEventListener('click', () => {
+            this.showPushChannelEditDialog(null, () => {
+                this._loadPushChannels(channelsContainer);
+            });
+        });
+
+        // 推送测试
+        pushTestBtn.addEventListener('click', async () => {
+            const url = pushUrlInput.value.trim();
+            const method = pushMethodSelect.value;
+            const body = pushBodyInput.value.trim();
+
+            if (!url) {
+                pushMsg.textContent = i18n.t('settings.fill_all_info');
+                pushMsg.style.color = 'var(--danger-color)';
+                return;
+            }
+
+            pushTestBtn.disabled = true;
+            pushTestBtn.textContent = i18n.t('digest.push_testing');
+            pushMsg.textContent = '';
+            pushTestResult.style.display = 'none';
+
+            try {
+                const testContent = 'This is a test push notification from Tidyflux Digest Manager.';
+                const result = await this._sendPushRequest(url, method, body, testContent);
+                
+                pushMsg.textContent = `✓ ${i18n.t('digest.push_success')}`;
+                pushMsg.style.color = 'var(--accent-color)';
+                pushTestResult.style.display = 'block';
+                pushResultContent.textContent = JSON.stringify(result, null, 2);
+            } catch (err) {
+                pushMsg.textContent = `${i18n.t('digest.push_failed')}: ${err.message}`;
+                pushMsg.style.color = 'var(--danger-color)';
+                pushTestResult.style.display = 'block';
+                pushResultContent.textContent = err.message;
+            } finally {
+                pushTestBtn.disabled = false;
+                pushTestBtn.textContent = i18n.t('digest.push_test');
+            }
+        });
+
+        // 保存推送设置
+        pushForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const config = {
+                url: pushUrlInput.value.trim(),
+                method: pushMethodSelect.value,
+                body: pushBodyInput.value.trim()
+            };
+
+            try {
+                await this._savePushSettings(config);
+                pushMsg.textContent = `✓ ${i18n.t('digest.settings_saved')}`;
+                pushMsg.style.color = 'var(--accent-color)';
+            } catch (err) {
+                pushMsg.textContent = err.message;
+                pushMsg.style.color = 'var(--danger-color)';
+            }
+
+            setTimeout(() => {
+                pushMsg.textContent = '';
+            }, 3000);
+        });
+    },
+
+    /**
+     * 加载简报任务列表
+     */
+    async _loadDigestTasks(container) {
+        try {
+            const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.PREFERENCES.BASE);
+            if (!response.ok) throw new Error('Failed to load tasks');
+            
+            const prefs = await response.json();
+            const tasks = prefs.digest_tasks || [];
+
+            if (tasks.length === 0) {
+                container.innerHTML = `
+                    <div style="text-align: center; padding: 40px 20px; color: var(--meta-color);">
+                        ${i18n.t('digest.no_tasks')}
+                    </div>
+                `;
+                return;
+            }
+
+            // 渲染任务列表
+            container.innerHTML = `
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <thead>
+                            <tr style="border-bottom: 2px solid var(--border-color);">
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.task_title')}</th>
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.digest_title')}</th>
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.task_scope')}</th>
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.trigger_time')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.time_range')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.enable_push')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.include_read')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest_run.last_run')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.options')}</th>
+                            </tr>
+                        </thead>
+                        <tbody id="tasks-tbody">
+                        </tbody>
+                    </table>
+                </div>
+            `;
+
+            const tbody = container.querySelector('#tasks-tbody');
+            tasks.forEach(task => {
+                const row = document.createElement('tr');
+                row.style.borderBottom = '1px solid var(--border-color)';
+                
+                const scopeNames = this._getTaskScopeNames(task.scopes);
+                const timeRangeText = task.timeRange ? `${task.timeRange}h` : '-';
+                const digestTitleText = task.digestTitle || '-';
+                
+                row.innerHTML = `
+                    <td style="padding: 12px 8px;">${task.title || i18n.t('common.unnamed')}</td>
+                    <td style="padding: 12px 8px; font-size: 0.9em; color: var(--meta-color);">${digestTitleText}</td>
+                    <td style="padding: 12px 8px; font-size: 0.9em; color: var(--meta-color);">${scopeNames}</td>
+                    <td style="padding: 12px 8px; font-size: 0.9em; font-family: monospace;">
+                        ${escapeHtml(task.cronExpression || '')}
+                        ${task.timeZone ? `<div style="font-family: inherit; color: var(--meta-color);">${escapeHtml(task.timeZone)}</div>` : ''}
+                    </td>
+                    <td style="padding: 12px 8px; text-align: center; font-size: 0.9em;">${timeRangeText}</td>
+                    <td style="padding: 12px 8px; text-align: center;">${[task.enablePush && 'Webhook', task.enableWebPush && 'Web Push', task.pushChannels?.length && i18n.t('push_channel.count', { count: task.pushChannels.length })].filter(Boolean).join(', ') || i18n.t('digest.no')}</td>
+                    <td style="padding: 12px 8px; text-align: center;">${task.includeRead ? i18n.t('digest.yes') : i18n.t('digest.no')}</td>
+                    <td class="task-last-run" data-task-id="${task.id}" style="padding: 12px 8px; text-align: center; font-size: 0.9em; color: var(--meta-color);">-</td>
+                    <td style="padding: 12px 8px; text-align: center; white-space: nowrap;">
+                        <button class="icon-btn task-runs-btn" data-task-id="${task.id}" style="margin-right: 4px;" title="${i18n.t('digest_run.title')}">
+                            ${Icons.schedule}
+                        </button>
+                        <button class="icon-btn edit-task-btn" data-task-id="${task.id}" style="margin-right: 4px;" title="${i18n.t('digest.edit_task')}">
+                            ${Icons.edit}
+                        </button>
+                        <button class="icon-btn delete-task-btn" data-task-id="${task.id}" style="color: var(--danger-color);" title="${i18n.t('digest.delete_task')}">
+                            ${Icons.delete}
+                        </button>
+                    </td>
+                `;
+
+                tbody.appendChild(row);
+            });
+
+            // 最近一次运行状态
+            container.querySelectorAll('.task-last-run').forEach(cell => {
+                FeedManager.getDigestRuns(cell.dataset.taskId, 1).then(([run]) => {
+                    if (run) cell.innerHTML = this._renderDigestRunStatus(run);
+                }).catch(() => { });
+            });
+
+            // 运行记录
+            container.querySelectorAll('.task-runs-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const task = tasks.find(t => t.id === btn.dataset.taskId);
+                    this.showDigestRunsDialog(task, () => {
+                        this._loadDigestTasks(container);
+                    });
+                });
+            });
+
+            // 绑定编辑和删除事件
+            container.querySelectorAll('.edit-task-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const taskId = btn.dataset.taskId;
+                    const task = tasks.find(t => t.id === taskId);
+                    this.showDigestTaskEditDialog(task, () => {
+                        this._loadDigestTasks(container);
+                    });
+                });
+            });
+
+            container.querySelectorAll('.delete-task-btn').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    if (!await Modal.confirm(i18n.t('digest.confirm_delete_task'))) return;
+                    
+                    const taskId = btn.dataset.taskId;
+                    await this._deleteDigestTask(taskId);
+                    this._loadDigestTasks(container);
+                });
+            });
+
+        } catch (err) {
+            console.error('Load digest tasks error:', err);
+            container.innerHTML = `
+                <div style="text-align: center; padding: 20px; color: var(--danger-color);">
+                    ${i18n.t('common.load_error')}
+                </div>
+            `;
+        }
+    },
+
+    /**
+     * 运行状态标签
+     */
+    _renderDigestRunStatus(run) {
+        const colors = {
+            success: 'var(--accent-color)',
+            failed: 'var(--danger-color)',
+            running: 'var(--meta-color)'
+        };
+        const time = new Date(run.startedAt).toLocaleString();
+        return `<span style="color: ${colors[run.status] || 'inherit'}; font-weight: 600;" title="${escapeHtml(time)}">${i18n.t('digest_run.status_' + run.status)}</span>`;
+    },
+
+    /**
+     * 推送结果摘要
+     */
+    _formatDigestRunPush(push) {
+        if (!push) return '-';
+        const parts = [];
+        if (push.webhook) {
+            parts.push(`Webhook ${push.webhook.success ? '✓' : '✗'}`);
+        }
+        if (push.webPush) {
+            parts.push(`Web Push ${push.webPush.sent}/${push.webPush.sent + push.webPush.failed}`);
+        }
+        (push.channels || []).forEach(c => {
+            parts.push(`${escapeHtml(c.name)} ${c.success ? '✓' : '✗'}`);
+        });
+        return parts.join('<br>') || '-';
+    },
+
+    /**
+     * 显示简报任务运行记录对话框
+     */
+    showDigestRunsDialog(task, onClose) {
+        const { dialog, close } = createDialog('settings-dialog digest-runs-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 900px; max-height: 90vh; overflow-y: auto;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${i18n.t('digest_run.title')} · ${escapeHtml(task.title || i18n.t('common.unnamed'))}</h3>
+                <div id="digest-runs-container">
+                    <div style="text-align: center; padding: 20px; color: var(--meta-color);">
+                        ${i18n.t('common.loading')}
+                    </div>
+                </div>
+            </div>
+        `);
+
+        const container = dialog.querySelector('#digest-runs-container');
+        let refreshTimer = null;
+
+        const closeDialog = () => {
+            clearTimeout(refreshTimer);
+            close();
+            if (onClose) onClose();
+        };
+
+        dialog.querySelector('.close-dialog-btn').addEventListener('click', closeDialog);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) closeDialog();
+        });
+
+        const formatDuration = (run) => {
+            if (!run.finishedAt) return '-';
+            const seconds = Math.round((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000);
+            return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+        };
+
+        const load = async () => {
+            clearTimeout(refreshTimer);
+            try {
+                const runs = await FeedManager.getDigestRuns(task.id);
+                if (!dialog.isConnected) return;
+
+                if (runs.length === 0) {
+                    container.innerHTML = `
+                        <div style="text-align: center; padding: 40px 20px; color: var(--meta-color);">
+                            ${i18n.t('digest_run.no_runs')}
+                        </div>
+                    `;
+                    return;
+                }
+
+                container.innerHTML = `
+                    <div style="overflow-x: auto;">
+                        <table style="width: 100%; border-collapse: collapse;">
+                            <thead>
+                                <tr style="border-bottom: 2px solid var(--border-color);">
+                                    <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest_run.started_at')}</th>
+                                    <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest_run.duration')}</th>
+                                    <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest_run.status')}</th>
+                                    <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest_run.articles')}</th>
+                                    <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest_run.tokens')}</th>
+                                    <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest_run.push')}</th>
+                                    <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.options')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${runs.map(run => `
+                                <tr style="border-bottom: 1px solid var(--border-color);" data-run-id="${run.id}">
+                                    <td style="padding: 12px 8px; font-size: 0.9em;">
+                                        <div>${new Date(run.startedAt).toLocaleString()}</div>
+                                        ${run.trigger !== 'schedule' ? `<div style="color: var(--meta-color);">${i18n.t('digest_run.trigger_' + run.trigger)}</div>` : ''}
+                                    </td>
+                                    <td style="padding: 12px 8px; text-align: center; font-size: 0.9em;">${formatDuration(run)}</td>
+                                    <td style="padding: 12px 8px; text-align: center;">
+                                        ${this._renderDigestRunStatus(run)}
+                                        ${run.error ? `<div style="font-size: 0.85em; color: var(--danger-color); word-break: break-word; max-width: 240px;">${escapeHtml(run.error)}</div>` : ''}
+                                    </td>
+                                    <td style="padding: 12px 8px; text-align: center; font-size: 0.9em;">${run.status === 'running' ? '-' : run.articleCount}</td>
+                                    <td style="padding: 12px 8px; text-align: center; font-size: 0.9em;" title="${run.usage ? `${run.usage.promptTokens} + ${run.usage.completionTokens}` : ''}">${run.usage ? run.usage.totalTokens : '-'}</td>
+                                    <td style="padding: 12px 8px; font-size: 0.85em; color: var(--meta-color);">${this._formatDigestRunPush(run.push)}</td>
+                                    <td style="padding: 12px 8px; text-align: center; white-space: nowrap;">
+                                        ${run.status !== 'running' ? `<button class="icon-btn retry-run-btn" title="${i18n.t('digest_run.retry')}">${Icons.refresh}</button>` : ''}
+                                    </td>
+                                </tr>`).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `;
+
+                container.querySelectorAll('.retry-run-btn').forEach(btn => {
+                    btn.addEventListener('click', async () => {
+                        btn.disabled = true;
+                        try {
+                            await FeedManager.retryDigestRun(task.id, btn.closest('tr').dataset.runId);
+                            showToast(i18n.t('digest_run.retry_started'), 2000, false);
+                            load();
+                        } catch (err) {
+                            btn.disabled = false;
+                            await Modal.alert(err.message);
+                        }
+                    });
+                });
+
+                // 有运行中的记录时定时刷新
+                if (runs.some(r => r.status === 'running')) {
+                    refreshTimer = setTimeout(load, 5000);
+                }
+            } catch (err) {
+                console.error('Load digest runs error:', err);
+                container.innerHTML = `
+                    <div style="text-align: center; padding: 20px; color: var(--danger-color);">
+                        ${i18n.t('common.load_error')}
+                    </div>
+                `;
+            }
+        };
+
+        load();
+    },
+
+    /**
+     * 获取任务范围名称
+     */
+    _getTaskScopeNames(scopes) {
+        if (!scopes || scopes.length === 0) return i18n.t('digest.scope_all');
+        
+        if (scopes.includes('all')) return i18n.t('digest.scope_all');
+        
+        const names = scopes.map(scopeId => {
+            // 尝试从分组中查找
+            const group = AppState.groups?.find(g => g.id == scopeId);
+            if (group) return group.name;
+            
+            // 尝试从订阅源中查找
+            const feed = AppState.feeds?.find(f => f.id == scopeId);
+            if (feed) return feed.title;
+            
+            return `#${scopeId}`;
+        });
+        
+        return names.join(', ');
+    },
+
+    /**
+     * 删除简报任务
+     */
+    async _deleteDigestTask(taskId) {
+        const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.PREFERENCES.BASE);
+        if (!response.ok) throw new Error('Failed to load tasks');
+        
+        const prefs = await response.json();
+        const tasks = prefs.digest_tasks || [];
+        const newTasks = tasks.filter(t => t.id !== taskId);
+
+        const saveResponse = await AuthManager.fetchWithAuth(API_ENDPOINTS.PREFERENCES.BASE, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                key: 'digest_tasks',
+                value: newTasks
+            })
+        });
+
+        if (!saveResponse.ok) throw new Error('Failed to delete task');
+    },
+
+    /**
+     * 绑定浏览器推送（Web Push）开关与测试
+     */
+    async _bindWebPushSettings(dialog) {
+        const toggleBtn = dialog.querySelector('#webpush-toggle-btn');
+        const testBtn = dialog.querySelector('#webpush-test-btn');
+        const msgEl = dialog.querySelector('#webpush-msg');
+
+        const showMsg = (text, isError = false) => {
+            msgEl.textContent = text;
+            msgEl.style.color = isError ? 'var(--danger-color)' : 'var(--accent-color)';
+        };
+
+        if (!WebPushManager.isSupported()) {
+            toggleBtn.disabled = true;
+            testBtn.disabled = true;
+            showMsg(i18n.t('webpush.unsupported'), true);
+            return;
+        }
+
+        let subscribed = false;
+        const renderState = () => {
+            toggleBtn.textContent = subscribed ? i18n.t('webpush.disable') : i18n.t('webpush.enable');
+            toggleBtn.classList.toggle('active', !subscribed);
+            testBtn.disabled = !subscribed;
+        };
+
+        try {
+            subscribed = !!(await WebPushManager.getSubscription());
+        } catch (err) {
+            console.error('Get push subscription error:', err);
+        }
+        renderState();
+
+        toggleBtn.addEventListener('click', async () => {
+            toggleBtn.disabled = true;
+            msgEl.textContent = '';
+            try {
+                if (subscribed) {
+                    await WebPushManager.disable();
+                    subscribed = false;
+                    showMsg(`✓ ${i18n.t('webpush.disabled')}`);
+                } else {
+                    await WebPushManager.enable();
+                    subscribed = true;
+                    showMsg(`✓ ${i18n.t('webpush.enabled')}`);
+                }
+            } catch (err) {
+                showMsg(err.message, true);
+            } finally {
+                toggleBtn.disabled = false;
+                renderState();
+            }
+        });
+
+        testBtn.addEventListener('click', async () => {
+            testBtn.disabled = true;
+            msgEl.textContent = '';
+            try {
+                const result = await WebPushManager.sendTest();
+                if (result.sent > 0) {
+                    showMsg(`✓ ${i18n.t('webpush.test_sent', { count: result.sent })}`);
+                } else {
+                    showMsg(i18n.t('webpush.test_failed'), true);
+                }
+            } catch (err) {
+                showMsg(err.message, true);
+            } finally {
+                testBtn.disabled = !subscribed;
+            }
+        });
+    },
+
+    /**
+     * 加载推送渠道列表
+     */
+    async _loadPushChannels(container) {
+        try {
+            const channels = await FeedManager.getPushChannels();
+
+            if (channels.length === 0) {
+                container.innerHTML = `
+                    <div style="text-align: center; padding: 40px 20px; color: var(--meta-color);">
+                        ${i18n.t('push_channel.no_channels')}
+                    </div>
+                `;
+                return;
+            }
+
+            container.innerHTML = `
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <thead>
+                            <tr style="border-bottom: 2px solid var(--border-color);">
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('push_channel.name')}</th>
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('push_channel.type')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('settings.enable')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.options')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${channels.map(channel => `
+                            <tr style="border-bottom: 1px solid var(--border-color);" data-channel-id="${channel.id}">
+                                <td style="padding: 12px 8px;">${escapeHtml(channel.name)}</td>
+                                <td style="padding: 12px 8px; font-size: 0.9em; color: var(--meta-color);">${i18n.t('push_channel.type_' + channel.type)}</td>
+                                <td style="padding: 12px 8px; text-align: center;">${channel.enabled ? i18n.t('digest.yes') : i18n.t('digest.no')}</td>
+                                <td style="padding: 12px 8px; text-align: center; white-space: nowrap;">
+                                    <button class="icon-btn edit-channel-btn" style="margin-right: 4px;" title="${i18n.t('push_channel.edit')}">
+                                        ${Icons.edit}
+                                    </button>
+                                    <button class="icon-btn delete-channel-btn" style="color: var(--danger-color);" title="${i18n.t('push_channel.delete')}">
+                                        ${Icons.delete}
+                                    </button>
+                                </td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+
+            container.querySelectorAll('.edit-channel-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const channelId = btn.closest('tr').dataset.channelId;
+                    const channel = channels.find(c => c.id === channelId);
+                    this.showPushChannelEditDialog(channel, () => {
+                        this._loadPushChannels(container);
+                    });
+                });
+            });
+
+            container.querySelectorAll('.delete-channel-btn').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    if (!await Modal.confirm(i18n.t('push_channel.confirm_delete'))) return;
+
+                    const channelId = btn.closest('tr').dataset.channelId;
+                    try {
+                        await FeedManager.savePushChannels(channels.filter(c => c.id !== channelId));
+                        this._loadPushChannels(container);
+                    } catch (err) {
+                        await Modal.alert(err.message);
+                    }
+                });
+            });
+        } catch (err) {
+            console.error('Load push channels error:', err);
+            container.innerHTML = `
+                <div style="text-align: center; padding: 20px; color: var(--danger-color);">
+                    ${i18n.t('common.load_error')}
+                </div>
+            `;
+        }
+    },
+
+    /**
+     * 显示推送渠道编辑对话框
+     */
+    showPushChannelEditDialog(channel, onSave) {
+        const isEdit = !!channel;
+        const types = Object.keys(PUSH_CHANNEL_FIELDS);
+
+        const { dialog, close } = createDialog('settings-dialog push-channel-edit-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 600px; max-height: 90vh; overflow-y: auto;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${isEdit ? i18n.t('push_channel.edit') : i18n.t('push_channel.add')}</h3>
+
+                <form id="push-channel-form">
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('push_channel.type')}</label>
+                        <select id="push-channel-type" class="dialog-select" ${isEdit ? 'disabled' : ''}>
+                            ${types.map(t => `<option value="${t}">${i18n.t('push_channel.type_' + t)}</option>`).join('')}
+                        </select>
+                    </div>
+
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('push_channel.name')}</label>
+                        <input type="text" id="push-channel-name" class="auth-input" placeholder="${i18n.t('push_channel.name_placeholder')}">
+                    </div>
+
+                    <div id="push-channel-fields"></div>
+
+                    <div style="margin-bottom: 16px;">
+                        <div style="display: flex; align-items: center; gap: 10px;">
+                            <input type="checkbox" id="push-channel-enabled" style="width: 18px; height: 18px; cursor: pointer;" checked>
+                            <label for="push-channel-enabled" style="cursor: pointer; user-select: none;">${i18n.t('settings.enable')}</label>
+                        </div>
+                    </div>
+
+                    <div class="appearance-mode-group" style="margin-bottom: 8px;">
+                        <button type="button" id="push-channel-test-btn" class="appearance-mode-btn" style="flex: 1;">${i18n.t('digest.push_test')}</button>
+                        <button type="submit" class="appearance-mode-btn active" style="flex: 1;">${i18n.t('common.save')}</button>
+                    </div>
+                    <div id="push-channel-msg" style="text-align: center; font-size: 0.85em; margin-top: 8px;"></div>
+                </form>
+            </div>
+        `);
+
+        const closeBtn = dialog.querySelector('.close-dialog-btn');
+        const form = dialog.querySelector('#push-channel-form');
+        const typeSelect = dialog.querySelector('#push-channel-type');
+        const nameInput = dialog.querySelector('#push-channel-name');
+        const fieldsContainer = dialog.querySelector('#push-channel-fields');
+        const enabledCheckbox = dialog.querySelector('#push-channel-enabled');
+        const testBtn = dialog.querySelector('#push-channel-test-btn');
+        const msgEl = dialog.querySelector('#push-channel-msg');
+
+        closeBtn.addEventListener('click', close);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+
+        // 根据渠道类型渲染配置项
+        const renderFields = (config = {}) => {
+            fieldsContainer.innerHTML = PUSH_CHANNEL_FIELDS[typeSelect.value].map(field => {
+                const value = config[field.key] ?? '';
+                if (field.type === 'checkbox') {
+                    return `
+                    <div style="margin-bottom: 16px;">
+                        <div style="display: flex; align-items: center; gap: 10px;">
+                            <input type="checkbox" id="push-field-${field.key}" data-key="${field.key}" class="push-channel-field" style="width: 18px; height: 18px; cursor: pointer;" ${value ? 'checked' : ''}>
+                            <label for="push-field-${field.key}" style="cursor: pointer; user-select: none;">${i18n.t('push_channel.field_' + field.key)}</label>
+                        </div>
+                    </div>`;
+                }
+                return `
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('push_channel.field_' + field.key)}${field.required ? ' *' : ''}</label>
+                        <input type="${field.type || 'text'}" data-key="${field.key}" class="auth-input push-channel-field" value="${escapeHtml(String(value))}" placeholder="${escapeHtml(field.placeholder || '')}" ${field.required ? 'required' : ''} autocomplete="off" spellcheck="false">
+                    </div>`;
+            }).join('');
+        };
+
+        const collectChannel = () => {
+            const config = {};
+            fieldsContainer.querySelectorAll('.push-channel-field').forEach(input => {
+                config[input.dataset.key] = input.type === 'checkbox' ? input.checked : input.value.trim();
+            });
+            return {
+                id: channel?.id,
+                name: nameInput.value.trim(),
+                type: typeSelect.value,
+                enabled: enabledCheckbox.checked,
+                config
+            };
+        };
+
+        // 填充数据
+        typeSelect.value = channel?.type || types[0];
+        nameInput.value = channel?.name || '';
+        enabledCheckbox.checked = channel ? channel.enabled !== false : true;
+        renderFields(channel?.config);
+
+        CustomSelect.replaceAll(dialog.querySelector('.settings-dialog-content'));
+
+        typeSelect.addEventListener('change', () => renderFields());
+
+        // 发送测试消息
+        testBtn.addEventListener('click', async () => {
+            if (!form.reportValidity()) return;
+
+            testBtn.disabled = true;
+            testBtn.textContent = i18n.t('digest.push_testing');
+            msgEl.textContent = '';
+
+            try {
+                await FeedManager.testPushChannel(collectChannel());
+                msgEl.textContent = `✓ ${i18n.t('digest.push_success')}`;
+                msgEl.style.color = 'var(--accent-color)';
+            } catch (err) {
+                msgEl.textContent = `${i18n.t('digest.push_failed')}: ${err.message}`;
+                msgEl.style.color = 'var(--danger-color)';
+            } finally {
+                testBtn.disabled = false;
+                testBtn.textContent = i18n.t('digest.push_test');
+            }
+        });
+
+        // 保存渠道
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = collectChannel();
+
+            try {
+                const channels = await FeedManager.getPushChannels();
+                const newChannels = isEdit
+                    ? channels.map(c => c.id === channel.id ? data : c)
+                    : [...channels, data];
+
+                await FeedManager.savePushChannels(newChannels);
+
+                msgEl.textContent = `✓ ${i18n.t('common.save')}${i18n.t('common.success')}`;
+                msgEl.style.color = 'var(--accent-color)';
+
+                setTimeout(() => {
+                    close();
+                    if (onSave) onSave();
+                }, 1000);
+            } catch (err) {
+                msgEl.textContent = err.message;
+                msgEl.style.color = 'var(--danger-color)';
+            }
+        });
+    },
+
+    /**
+     * 显示分享目标对话框
+     */
+    showShareTargetsDialog() {
+        const { dialog, close } = createDialog('settings-dialog share-targets-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 720px;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${i18n.t('share.title')}</h3>
+                <p style="color: var(--meta-color); font-size: 0.9em; margin-bottom: 16px;">${i18n.t('share.description')}</p>
+
+                <div class="settings-section">
+                    <div id="share-targets-container" style="margin-bottom: 16px;">
+                        <div style="text-align: center; padding: 20px; color: var(--meta-color);">
+                            ${i18n.t('common.loading')}
+                        </div>
+                    </div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="add-share-target-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">
+                            ${i18n.t('share.add')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        const closeBtn = dialog.querySelector('.close-dialog-btn');
+        const targetsContainer = dialog.querySelector('#share-targets-container');
+        const addTargetBtn = dialog.querySelector('#add-share-target-btn');
+
+        closeBtn.addEventListener('click', close);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+
+        this._loadShareTargets(targetsContainer);
+
+        addTargetBtn.addEventListener('click', () => {
+            this.showShareTargetEditDialog(null, () => {
+                this._loadShareTargets(targetsContainer);
+            });
+        });
+    },
+
+    /**
+     * 加载分享目标列表
+     */
+    async _loadShareTargets(container) {
+        try {
+            const { targets } = await FeedManager.getShareTargets();
+
+            if (targets.length === 0) {
+                container.innerHTML = `
+                    <div style="text-align: center; padding: 40px 20px; color: var(--meta-color);">
+                        ${i18n.t('share.no_targets')}
+                    </div>
+                `;
+                return;
+            }
+
+            container.innerHTML = `
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <thead>
+                            <tr style="border-bottom: 2px solid var(--border-color);">
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('share.name')}</th>
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('share.type')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('settings.enable')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.options')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${targets.map(target => `
+                            <tr style="border-bottom: 1px solid var(--border-color);" data-target-id="${target.id}">
+                                <td style="padding: 12px 8px;">${escapeHtml(target.name)}</td>
+                                <td style="padding: 12px 8px; font-size: 0.9em; color: var(--meta-color);">${i18n.t('share.type_' + target.type)}</td>
+                                <td style="padding: 12px 8px; text-align: center;">${target.enabled ? i18n.t('digest.yes') : i18n.t('digest.no')}</td>
+                                <td style="padding: 12px 8px; text-align: center; white-space: nowrap;">
+                                    <button class="icon-btn edit-target-btn" style="margin-right: 4px;" title="${i18n.t('share.edit')}">
+                                        ${Icons.edit}
+                                    </button>
+                                    <button class="icon-btn delete-target-btn" style="color: var(--danger-color);" title="${i18n.t('share.delete')}">
+                                        ${Icons.delete}
+                                    </button>
+                                </td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+
+            container.querySelectorAll('.edit-target-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const targetId = btn.closest('tr').dataset.targetId;
+                    const target = targets.find(t => t.id === targetId);
+                    this.showShareTargetEditDialog(target, () => {
+                        this._loadShareTargets(container);
+                    });
+                });
+            });
+
+            container.querySelectorAll('.delete-target-btn').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    if (!await Modal.confirm(i18n.t('share.confirm_delete'))) return;
+
+                    const targetId = btn.closest('tr').dataset.targetId;
+                    try {
+                        await FeedManager.saveShareTargets(targets.filter(t => t.id !== targetId));
+                        this._loadShareTargets(container);
+                    } catch (err) {
+                        await Modal.alert(err.message);
+                    }
+                });
+            });
+        } catch (err) {
+            console.error('Load share targets error:', err);
+            container.innerHTML = `
+                <div style="text-align: center; padding: 20px; color: var(--danger-color);">
+                    ${i18n.t('common.load_error')}
+                </div>
+            `;
+        }
+    },
+
+    /**
+     * 显示分享目标编辑对话框
+     */
+    async showShareTargetEditDialog(target, onSave) {
+        const isEdit = !!target;
+
+        // 只提供服务器上可用的类型（例如未配置 vault 目录时没有 Obsidian）
+        let types;
+        try {
+            types = (await FeedManager.getShareTargets()).types.filter(t => SHARE_TARGET_FIELDS[t]);
+        } catch (err) {
+            await Modal.alert(err.message);
+            return;
+        }
+        if (isEdit && !types.includes(target.type)) types.push(target.type);
+
+        const { dialog, close } = createDialog('settings-dialog share-target-edit-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 600px; max-height: 90vh; overflow-y: auto;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${isEdit ? i18n.t('share.edit') : i18n.t('share.add')}</h3>
+
+                <form id="share-target-form">
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('share.type')}</label>
+                        <select id="share-target-type" class="dialog-select" ${isEdit ? 'disabled' : ''}>
+                            ${types.map(t => `<option value="${t}">${i18n.t('share.type_' + t)}</option>`).join('')}
+                        </select>
+                        <div id="share-target-hint" style="font-size: 0.85em; color: var(--meta-color); margin-top: 6px;"></div>
+                    </div>
+
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('share.name')}</label>
+                        <input type="text" id="share-target-name" class="auth-input" placeholder="${i18n.t('share.name_placeholder')}">
+                    </div>
+
+                    <div id="share-target-fields"></div>
+
+                    <div style="margin-bottom: 16px;">
+                        <div style="display: flex; align-items: center; gap: 10px;">
+                            <input type="checkbox" id="share-target-enabled" style="width: 18px; height: 18px; cursor: pointer;" checked>
+                            <label for="share-target-enabled" style="cursor: pointer; user-select: none;">${i18n.t('settings.enable')}</label>
+                        </div>
+                    </div>
+
+                    <div class="appearance-mode-group" style="margin-bottom: 8px;">
+                        <button type="button" id="share-target-test-btn" class="appearance-mode-btn" style="flex: 1;">${i18n.t('share.test')}</button>
+                        <button type="submit" class="appearance-mode-btn active" style="flex: 1;">${i18n.t('common.save')}</button>
+                    </div>
+                    <div id="share-target-msg" style="text-align: center; font-size: 0.85em; margin-top: 8px;"></div>
+                </form>
+            </div>
+        `);
+
+        const closeBtn = dialog.querySelector('.close-dialog-btn');
+        const form = dialog.querySelector('#share-target-form');
+        const typeSelect = dialog.querySelector('#share-target-type');
+        const hintEl = dialog.querySelector('#share-target-hint');
+        const nameInput = dialog.querySelector('#share-target-name');
+        const fieldsContainer = dialog.querySelector('#share-target-fields');
+        const enabledCheckbox = dialog.querySelector('#share-target-enabled');
+        const testBtn = dialog.querySelector('#share-target-test-btn');
+        const msgEl = dialog.querySelector('#share-target-msg');
+
+        closeBtn.addEventListener('click', close);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+
+        // 根据目标类型渲染配置项
+        const renderFields = (config = {}) => {
+            hintEl.textContent = i18n.t('share.hint_' + typeSelect.value);
+            fieldsContainer.innerHTML = SHARE_TARGET_FIELDS[typeSelect.value].map(field => {
+                const value = config[field.key] ?? '';
+                const label = `${i18n.t('share.field_' + field.key)}${field.required ? ' *' : ''}`;
+                if (field.type === 'select') {
+                    return `
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${label}</label>
+                        <select data-key="${field.key}" class="dialog-select share-target-field">
+                            ${field.options.map(option => `<option value="${option}" ${value === option ? 'selected' : ''}>${i18n.t(`share.${field.key}_${option}`)}</option>`).join('')}
+                        </select>
+                    </div>`;
+                }
+                return `
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${label}</label>
+                        <input type="${field.type || 'text'}" data-key="${field.key}" class="auth-input share-target-field" value="${escapeHtml(String(value))}" placeholder="${escapeHtml(field.placeholder || '')}" ${field.required ? 'required' : ''} autocomplete="off" spellcheck="false">
+                    </div>`;
+            }).join('');
+            CustomSelect.replaceAll(fieldsContainer);
+        };
+
+        const collectTarget = () => {
+            const config = {};
+            fieldsContainer.querySelectorAll('.share-target-field').forEach(input => {
+                config[input.dataset.key] = input.value.trim();
+            });
+            return {
+                id: target?.id,
+                name: nameInput.value.trim(),
+                type: typeSelect.value,
+                enabled: enabledCheckbox.checked,
+                config
+            };
+        };
+
+        // 填充数据
+        typeSelect.value = target?.type || types[0];
+        nameInput.value = target?.name || '';
+        enabledCheckbox.checked = target ? target.enabled !== false : true;
+
+        CustomSelect.replaceAll(dialog.querySelector('.settings-dialog-content'));
+        renderFields(target?.config);
+
+        typeSelect.addEventListener('change', () => renderFields());
+
+        // 检查配置
+        testBtn.addEventListener('click', async () => {
+            if (!form.reportValidity()) return;
+
+            testBtn.disabled = true;
+            testBtn.textContent = i18n.t('share.testing');
+            msgEl.textContent = '';
+
+            try {
+                await FeedManager.testShareTarget(collectTarget());
+                msgEl.textContent = `✓ ${i18n.t('share.test_success')}`;
+                msgEl.style.color = 'var(--accent-color)';
+            } catch (err) {
+                msgEl.textContent = `${i18n.t('share.test_failed')}: ${err.message}`;
+                msgEl.style.color = 'var(--danger-color)';
+            } finally {
+                testBtn.disabled = false;
+                testBtn.textContent = i18n.t('share.test');
+            }
+        });
+
+        // 保存目标
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = collectTarget();
+
+            try {
+                const { targets } = await FeedManager.getShareTargets();
+                const newTargets = isEdit
+                    ? targets.map(t => t.id === target.id ? data : t)
+                    : [...targets, data];
+
+                await FeedManager.saveShareTargets(newTargets);
+
+                msgEl.textContent = `✓ ${i18n.t('common.save')}${i18n.t('common.success')}`;
+                msgEl.style.color = 'var(--accent-color)';
+
+                setTimeout(() => {
+                    close();
+                    if (onSave) onSave();
+                }, 1000);
+            } catch (err) {
+                msgEl.textContent = err.message;
+                msgEl.style.color = 'var(--danger-color)';
+            }
+        });
+    },
+
+    /**
+     * 显示 AI 配置管理对话框：命名配置列表与按用途路由
+     */
+    showAIProfilesDialog() {
+        const { dialog, close } = createDialog('settings-dialog ai-profiles-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 720px;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${i18n.t('ai_profile.title')}</h3>
+                <p style="color: var(--meta-color); font-size: 0.9em; margin-bottom: 16px;">${i18n.t('ai_profile.description')}</p>
+
+                <div class="settings-section">
+                    <div id="ai-profiles-container" style="margin-bottom: 16px;">
+                        <div style="text-align: center; padding: 20px; color: var(--meta-color);">
+                            ${i18n.t('common.loading')}
+                        </div>
+                    </div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="add-ai-profile-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">
+                            ${i18n.t('ai_profile.add')}
+                        </button>
+                    </div>
+                </div>
+
+                <div class="settings-section">
+                    <div class="settings-section-title">${i18n.t('ai_profile.routing')}</div>
+                    <p style="color: var(--meta-color); font-size: 0.85em; margin-bottom: 12px;">${i18n.t('ai_profile.routing_hint')}</p>
+                    <div id="ai-routing-container"></div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="save-ai-routing-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">${i18n.t('common.save')}</button>
+                    </div>
+                    <div id="ai-routing-msg" style="text-align: center; margin-top: 8px; font-size: 0.85em;"></div>
+                </div>
+            </div>
+        `);
+
+        const closeBtn = dialog.querySelector('.close-dialog-btn');
+        const profilesContainer = dialog.querySelector('#ai-profiles-container');
+        const routingContainer = dialog.querySelector('#ai-routing-container');
+        const addProfileBtn = dialog.querySelector('#add-ai-profile-btn');
+        const saveRoutingBtn = dialog.querySelector('#save-ai-routing-btn');
+        const routingMsg = dialog.querySelector('#ai-routing-msg');
+
+        closeBtn.addEventListener('click', close);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+
+        const reload = () => this._loadAIProfiles(profilesContainer, routingContainer, reload);
+        reload();
+
+        addProfileBtn.addEventListener('click', () => {
+            this.showAIProfileEditDialog(null, reload);
+        });
+
+        // 保存用途路由
+        saveRoutingBtn.addEventListener('click', async () => {
+            const routing = {};
+            routingContainer.querySelectorAll('.ai-routing-select').forEach(select => {
+                if (select.value) routing[select.dataset.key] = select.value;
+            });
+
+            try {
+                const { profiles } = await AIService.getProfiles();
+                await AIService.saveProfiles(profiles, routing);
+                routingMsg.textContent = `✓ ${i18n.t('common.save')}${i18n.t('common.success')}`;
+                routingMsg.style.color = 'var(--accent-color)';
+            } catch (err) {
+                routingMsg.textContent = err.message;
+                routingMsg.style.color = 'var(--danger-color)';
+            }
+
+            setTimeout(() => {
+                routingMsg.textContent = '';
+            }, 3000);
+        });
+    },
+
+    /**
+     * 加载 AI 配置列表与用途路由
+     */
+    async _loadAIProfiles(container, routingContainer, reload) {
+        try {
+            const { profiles, routing } = await AIService.getProfiles();
+            const profileName = (id) => {
+                if (!id) return i18n.t('ai_profile.fallback_none');
+                if (id === DEFAULT_AI_PROFILE_ID) return i18n.t('ai_profile.default_profile');
+                const profile = profiles.find(p => p.id === id);
+                return profile ? escapeHtml(profile.name) : i18n.t('ai_profile.fallback_none');
+            };
+
+            // 用途路由：未选择时使用默认配置；默认配置的备用配置也在这里设置
+            const profileOptions = profiles.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+            routingContainer.innerHTML = [
+                ...AI_ACTIONS.map(action => ({
+                    key: action,
+                    label: i18n.t('ai_profile.action_' + action),
+                    options: `<option value="">${i18n.t('ai_profile.default_profile')}</option>${profileOptions}`
+                })),
+                {
+                    key: 'defaultFallbackId',
+                    label: i18n.t('ai_profile.default_fallback'),
+                    options: `<option value="">${i18n.t('ai_profile.fallback_none')}</option>${profileOptions}`
+                }
+            ].map(item => `
+                <div style="margin-bottom: 12px;">
+                    <label class="miniflux-input-label">${item.label}</label>
+                    <select class="dialog-select ai-routing-select" data-key="${item.key}">${item.options}</select>
+                </div>
+            `).join('');
+            routingContainer.querySelectorAll('.ai-routing-select').forEach(select => {
+                select.value = routing[select.dataset.key] || '';
+            });
+            CustomSelect.replaceAll(routingContainer);
+
+            if (profiles.length === 0) {
+                container.innerHTML = `
+                    <div style="text-align: center; padding: 40px 20px; color: var(--meta-color);">
+                        ${i18n.t('ai_profile.no_profiles')}
+                    </div>
                 `;
+                return;
+            }
+
+            container.innerHTML = `
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <thead>
+                            <tr style="border-bottom: 2px solid var(--border-color);">
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('ai_profile.name')}</th>
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('ai.provider')}</th>
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('ai.model')}</th>
+                                <th style="padding: 12px 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${i18n.t('ai_profile.fallback')}</th>
+                                <th style="padding: 12px 8px; text-align: center; font-weight: 600; color: var(--text-secondary);">${i18n.t('digest.options')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${profiles.map(profile => `
+                            <tr style="border-bottom: 1px solid var(--border-color);" data-profile-id="${profile.id}">
+                                <td style="padding: 12px 8px;">${escapeHtml(profile.name)}</td>
+                                <td style="padding: 12px 8px; font-size: 0.9em; color: var(--meta-color);">${i18n.t('ai.provider_' + profile.provider)}</td>
+                                <td style="padding: 12px 8px; font-size: 0.9em; color: var(--meta-color);">${escapeHtml(profile.model || '-')}</td>
+                                <td style="padding: 12px 8px; font-size: 0.9em; color: var(--meta-color);">${profileName(profile.fallbackId)}</td>
+                                <td style="padding: 12px 8px; text-align: center; white-space: nowrap;">
+                                    <button class="icon-btn edit-profile-btn" style="margin-right: 4px;" title="${i18n.t('ai_profile.edit')}">
+                                        ${Icons.edit}
+                                    </button>
+                                    <button class="icon-btn delete-profile-btn" style="color: var(--danger-color);" title="${i18n.t('ai_profile.delete')}">
+                                        ${Icons.delete}
+                                    </button>
+                                </td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+
+            container.querySelectorAll('.edit-profile-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const profileId = btn.closest('tr').dataset.profileId;
+                    this.showAIProfileEditDialog(profiles.find(p => p.id === profileId), reload);
+                });
+            });
+
+            // 删除后服务端会清除指向该配置的路由与备用配置
+            container.querySelectorAll('.delete-profile-btn').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    if (!await Modal.confirm(i18n.t('ai_profile.confirm_delete'))) return;
+
+                    const profileId = btn.closest('tr').dataset.profileId;
+                    try {
+                        await AIService.saveProfiles(profiles.filter(p => p.id !== profileId), routing);
+                        reload();
+                    } catch (err) {
+                        await Modal.alert(err.message);
+                    }
+                });
+            });
+        } catch (err) {
+            console.error('Load AI profiles error:', err);
+            container.innerHTML = `
+                <div style="text-align: center; padding: 20px; color: var(--danger-color);">
+                    ${i18n.t('common.load_error')}
+                </div>
+            `;
+        }
+    },
+
+    /**
+     * 显示 AI 配置编辑对话框
+     */
+    async showAIProfileEditDialog(profile, onSave) {
+        const isEdit = !!profile;
+
+        let profiles;
+        try {
+            ({ profiles } = await AIService.getProfiles());
+        } catch (err) {
+            await Modal.alert(err.message);
+            return;
+        }
+        const fallbackOptions = [
+            { id: DEFAULT_AI_PROFILE_ID, name: i18n.t('ai_profile.default_profile') },
+            ...profiles.filter(p => p.id !== profile?.id)
+        ];
+
+        const { dialog, close } = createDialog('settings-dialog ai-profile-edit-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 600px; max-height: 90vh; overflow-y: auto;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${isEdit ? i18n.t('ai_profile.edit') : i18n.t('ai_profile.add')}</h3>
+
+                <form id="ai-profile-form">
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('ai_profile.name')}</label>
+                        <input type="text" id="ai-profile-name" class="auth-input" placeholder="${i18n.t('ai_profile.name_placeholder')}" required>
+                    </div>
+
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('ai.provider')}</label>
+                        <select id="ai-profile-provider" class="dialog-select">
+                            ${AI_PROVIDERS.map(provider => `<option value="${provider.id}">${i18n.t('ai.provider_' + provider.id)}</option>`).join('')}
+                        </select>
+                    </div>
+
+                    <label class="miniflux-input-label">${i18n.t('ai.api_url')}</label>
+                    <input type="text" id="ai-profile-url" class="auth-input" style="margin-bottom: 8px;" autocomplete="off" spellcheck="false">
+
+                    <label class="miniflux-input-label">${i18n.t('ai.api_key')}</label>
+                    <input type="password" id="ai-profile-key" class="auth-input" style="margin-bottom: 8px;" autocomplete="off" spellcheck="false">
+
+                    <label class="miniflux-input-label">${i18n.t('ai.model')}</label>
+                    <input type="text" id="ai-profile-model" class="auth-input" style="margin-bottom: 8px;" autocomplete="off">
+
+                    <label class="miniflux-input-label">${i18n.t('ai.temperature')}</label>
+                    <input type="number" id="ai-profile-temperature" class="auth-input" min="0" max="2" step="0.1" placeholder="1.0" style="margin-bottom: 16px;">
+
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('ai_profile.fallback')}</label>
+                        <select id="ai-profile-fallback" class="dialog-select">
+                            <option value="">${i18n.t('ai_profile.fallback_none')}</option>
+                            ${fallbackOptions.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('')}
+                        </select>
+                        <div style="font-size: 0.85em; color: var(--meta-color); margin-top: 6px;">${i18n.t('ai_profile.fallback_hint')}</div>
+                    </div>
+
+                    <div class="appearance-mode-group" style="margin-bottom: 8px;">
+                        <button type="button" id="ai-profile-test-btn" class="appearance-mode-btn" style="flex: 1;">${i18n.t('settings.test_connection')}</button>
+                        <button type="submit" class="appearance-mode-btn active" style="flex: 1;">${i18n.t('common.save')}</button>
+                    </div>
+                    <div id="ai-profile-msg" style="text-align: center; font-size: 0.85em; margin-top: 8px;"></div>
+                </form>
+            </div>
+        `);
+
+        const closeBtn = dialog.querySelector('.close-dialog-btn');
+        const form = dialog.querySelector('#ai-profile-form');
+        const nameInput = dialog.querySelector('#ai-profile-name');
+        const providerSelect = dialog.querySelector('#ai-profile-provider');
+        const urlInput = dialog.querySelector('#ai-profile-url');
+        const keyInput = dialog.querySelector('#ai-profile-key');
+        const modelInput = dialog.querySelector('#ai-profile-model');
+        const temperatureInput = dialog.querySelector('#ai-profile-temperature');
+        const fallbackSelect = dialog.querySelector('#ai-profile-fallback');
+        const testBtn = dialog.querySelector('#ai-profile-test-btn');
+        const msgEl = dialog.querySelector('#ai-profile-msg');
+
+        closeBtn.addEventListener('click', close);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+
+        // 提供商切换时更新各输入框的示例值
+        providerSelect.addEventListener('change', () => {
+            const provider = getAIProvider(providerSelect.value);
+            urlInput.placeholder = provider.urlPlaceholder;
+            keyInput.placeholder = provider.keyPlaceholder;
+            modelInput.placeholder = provider.modelPlaceholder;
+        });
+
+        // 填充数据
+        nameInput.value = profile?.name || '';
+        providerSelect.value = getAIProvider(profile?.provider).id;
+        urlInput.value = profile?.apiUrl || '';
+        keyInput.value = profile?.apiKey || '';
+        modelInput.value = profile?.model || '';
+        temperatureInput.value = profile?.temperature ?? '';
+        fallbackSelect.value = profile?.fallbackId || '';
+
+        CustomSelect.replaceAll(dialog.querySelector('.settings-dialog-content'));
+        providerSelect.dispatchEvent(new Event('change'));
+
+        const collectProfile = () => ({
+            id: profile?.id,
+            name: nameInput.value.trim(),
+            provider: providerSelect.value,
+            apiUrl: urlInput.value.trim(),
+            apiKey: keyInput.value.trim(),
+            model: modelInput.value.trim(),
+            temperature: temperatureInput.value,
+            fallbackId: fallbackSelect.value
+        });
+
+        const hasRequired = (data) => getAIProvider(data.provider).required.every(key => data[key]);
+
+        // 测试连接；打码的 API Key 由服务端使用已保存的值
+        testBtn.addEventListener('click', async () => {
+            const data = collectProfile();
+            if (!hasRequired(data)) {
+                msgEl.textContent = i18n.t('settings.fill_all_info');
+                msgEl.style.color = 'var(--danger-color)';
+                return;
+            }
+
+            testBtn.disabled = true;
+            testBtn.textContent = i18n.t('settings.testing');
+            msgEl.textContent = '';
+
+            try {
+                const result = await AIService.testConnection({ ...data, profileId: profile?.id });
+                msgEl.textContent = `✓ Success! Reply: "${result.reply}"`;
+                msgEl.style.color = 'var(--accent-color)';
+            } catch (err) {
+                msgEl.textContent = err.message;
+                msgEl.style.color = 'var(--danger-color)';
+            } finally {
+                testBtn.disabled = false;
+                testBtn.textContent = i18n.t('settings.test_connection');
+            }
+        });
 
-                tbody.appendChild(row);
-            });
+        // 保存配置
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = collectProfile();
+            if (!hasRequired(data)) {
+                msgEl.textContent = i18n.t('settings.fill_all_info');
+                msgEl.style.color = 'var(--danger-color)';
+                return;
+            }
 
-            // 绑定编辑和删除事件
-            container.querySelectorAll('.edit-task-btn').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    const taskId = btn.dataset.taskId;
-                    const task = tasks.find(t => t.id === taskId);
-                    this.showDigestTaskEditDialog(task, () => {
-                        this._loadDigestTasks(container);
-                    });
-                });
-            });
+            try {
+                const { profiles: current, routing } = await AIService.getProfiles();
+                const newProfiles = isEdit
+                    ? current.map(p => p.id === profile.id ? data : p)
+                    : [...current, data];
 
-            container.querySelectorAll('.delete-task-btn').forEach(btn => {
-                btn.addEventListener('click', async () => {
-                    if (!await Modal.confirm(i18n.t('digest.confirm_delete_task'))) return;
-                    
-                    const taskId = btn.dataset.taskId;
-                    await this._deleteDigestTask(taskId);
-                    this._loadDigestTasks(container);
+                await AIService.saveProfiles(newProfiles, routing);
+
+                msgEl.textContent = `✓ ${i18n.t('common.save')}${i18n.t('common.success')}`;
+                msgEl.style.color = 'var(--accent-color)';
+
+                setTimeout(() => {
+                    close();
+                    if (onSave) onSave();
+                }, 1000);
+            } catch (err) {
+                msgEl.textContent = err.message;
+                msgEl.style.color = 'var(--danger-color)';
+            }
+        });
+    },
+
+    /**
+     * 显示 AI 缓存对话框：缓存用量与翻译预取设置
+     */
+    showAICacheDialog() {
+        const feeds = AppState.feeds || [];
+        const { dialog, close } = createDialog('settings-dialog ai-cache-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 600px; max-height: 90vh; overflow-y: auto;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${i18n.t('ai_cache.title')}</h3>
+                <p style="color: var(--meta-color); font-size: 0.9em; margin-bottom: 16px;">${i18n.t('ai_cache.description')}</p>
+
+                <div class="settings-section">
+                    <div id="ai-cache-stats" style="margin-bottom: 12px; font-size: 0.9em;">${i18n.t('common.loading')}</div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="ai-cache-clear-btn" class="appearance-mode-btn" style="justify-content: center; width: 100%; color: var(--danger-color);">${i18n.t('ai_cache.clear')}</button>
+                    </div>
+                </div>
+
+                <div class="settings-section">
+                    <div class="settings-section-title">${i18n.t('ai_cache.prefetch')}</div>
+                    <p style="color: var(--meta-color); font-size: 0.85em; margin-bottom: 12px;">${i18n.t('ai_cache.prefetch_hint')}</p>
+                    <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 12px;">
+                        <input type="checkbox" id="ai-prefetch-starred" style="width: 18px; height: 18px; cursor: pointer;">
+                        <label for="ai-prefetch-starred" style="cursor: pointer; user-select: none;">${i18n.t('ai_cache.prefetch_starred')}</label>
+                    </div>
+                    <label class="miniflux-input-label">${i18n.t('ai_cache.prefetch_feeds')}</label>
+                    <div id="ai-prefetch-feeds" style="max-height: 240px; overflow-y: auto; margin-bottom: 16px; padding: 8px; border: 1px solid var(--border-color); border-radius: var(--radius);">
+                        ${feeds.length === 0 ? `<div style="color: var(--meta-color); font-size: 0.9em;">${i18n.t('ai_cache.no_feeds')}</div>` : feeds.map(feed => `
+                        <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 6px;">
+                            <input type="checkbox" id="ai-prefetch-feed-${feed.id}" value="${feed.id}" class="ai-prefetch-feed" style="width: 16px; height: 16px; cursor: pointer;">
+                            <label for="ai-prefetch-feed-${feed.id}" style="cursor: pointer; user-select: none; font-size: 0.9em;">${escapeHtml(feed.title || '')}</label>
+                        </div>`).join('')}
+                    </div>
+                    <div class="appearance-mode-group">
+                        <button type="button" id="ai-prefetch-save-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">${i18n.t('common.save')}</button>
+                    </div>
+                    <div id="ai-cache-msg" style="text-align: center; margin-top: 8px; font-size: 0.85em;"></div>
+                </div>
+            </div>
+        `);
+
+        const closeBtn = dialog.querySelector('.close-dialog-btn');
+        const statsEl = dialog.querySelector('#ai-cache-stats');
+        const clearBtn = dialog.querySelector('#ai-cache-clear-btn');
+        const starredCheckbox = dialog.querySelector('#ai-prefetch-starred');
+        const feedsContainer = dialog.querySelector('#ai-prefetch-feeds');
+        const saveBtn = dialog.querySelector('#ai-prefetch-save-btn');
+        const msgEl = dialog.querySelector('#ai-cache-msg');
+
+        closeBtn.addEventListener('click', close);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+
+        const toMB = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+        const loadStats = async () => {
+            try {
+                const stats = await AIService.getCacheStats();
+                statsEl.textContent = i18n.t('ai_cache.stats', {
+                    count: stats.count,
+                    maxEntries: stats.maxEntries,
+                    size: toMB(stats.size),
+                    maxSize: toMB(stats.maxSize)
                 });
+            } catch (err) {
+                statsEl.textContent = err.message;
+                statsEl.style.color = 'var(--danger-color)';
+            }
+        };
+        loadStats();
+
+        // 加载预取设置
+        FeedManager.getPreferences().then(prefs => {
+            const settings = prefs.ai_prefetch || {};
+            const feedIds = (settings.feedIds || []).map(String);
+            starredCheckbox.checked = !!settings.starred;
+            feedsContainer.querySelectorAll('.ai-prefetch-feed').forEach(cb => {
+                cb.checked = feedIds.includes(cb.value);
             });
+        }).catch(err => {
+            console.error('Load AI prefetch settings error:', err);
+        });
 
-        } catch (err) {
-            console.error('Load digest tasks error:', err);
-            container.innerHTML = `
-                <div style="text-align: center; padding: 20px; color: var(--danger-color);">
-                    ${i18n.t('common.load_error')}
-                </div>
-            `;
+        clearBtn.addEventListener('click', async () => {
+            if (!await Modal.confirm(i18n.t('ai_cache.confirm_clear'))) return;
+
+            try {
+                await AIService.clearCache();
+                loadStats();
+            } catch (err) {
+                await Modal.alert(err.message);
+            }
+        });
+
+        saveBtn.addEventListener('click', async () => {
+            const settings = {
+                starred: starredCheckbox.checked,
+                feedIds: Array.from(feedsContainer.querySelectorAll('.ai-prefetch-feed:checked')).map(cb => parseInt(cb.value))
+            };
+
+            if (await FeedManager.setPreference('ai_prefetch', settings)) {
+                msgEl.textContent = `✓ ${i18n.t('common.save')}${i18n.t('common.success')}`;
+                msgEl.style.color = 'var(--accent-color)';
+            } else {
+                msgEl.textContent = i18n.t('ai_cache.save_failed');
+                msgEl.style.color = 'var(--danger-color)';
+            }
+
+            setTimeout(() => {
+                msgEl.textContent = '';
+            }, 3000);
+        });
+    },
+
+    /**
+     * 本月费用与预算的简要说明
+     */
+    _formatAIBudget(budget) {
+        const spent = budget.spent.toFixed(2);
+        if (budget.budget > 0) {
+            return i18n.t(budget.exceeded ? 'ai_usage.budget_exceeded' : 'ai_usage.budget_status', {
+                spent,
+                budget: budget.budget,
+                currency: budget.currency
+            });
         }
+        return i18n.t('ai_usage.month_spent', { spent, currency: budget.currency });
     },
 
     /**
-     * 获取任务范围名称
+     * 显示 AI 用量对话框：每日 Token 用量图表、按用途与模型的汇总，以及价格表与月度预算设置
      */
-    _getTaskScopeNames(scopes) {
-        if (!scopes || scopes.length === 0) return i18n.t('digest.scope_all');
-        
-        if (scopes.includes('all')) return i18n.t('digest.scope_all');
-        
-        const names = scopes.map(scopeId => {
-            // 尝试从分组中查找
-            const group = AppState.groups?.find(g => g.id == scopeId);
-            if (group) return group.name;
-            
-            // 尝试从订阅源中查找
-            const feed = AppState.feeds?.find(f => f.id == scopeId);
-            if (feed) return feed.title;
-            
-            return `#${scopeId}`;
+    showAIUsageDialog() {
+        const { dialog, close } = createDialog('settings-dialog ai-usage-dialog', `
+            <div class="settings-dialog-content" style="position: relative; max-width: 760px; max-height: 90vh; overflow-y: auto;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${i18n.t('ai_usage.title')}</h3>
+                <p style="color: var(--meta-color); font-size: 0.9em; margin-bottom: 16px;">${i18n.t('ai_usage.description')}</p>
+
+                <div class="settings-section">
+                    <select id="ai-usage-days" class="dialog-select" style="margin-bottom: 16px;">
+                        ${[7, 30, 90].map(days => `<option value="${days}" ${days === 30 ? 'selected' : ''}>${i18n.t('ai_usage.last_days', { days })}</option>`).join('')}
+                    </select>
+                    <div id="ai-usage-content">
+                        <div style="text-align: center; padding: 20px; color: var(--meta-color);">
+                            ${i18n.t('common.loading')}
+                        </div>
+                    </div>
+                </div>
+
+                <div class="settings-section">
+                    <div class="settings-section-title">${i18n.t('ai_usage.settings')}</div>
+                    <div style="display: flex; gap: 12px; margin-bottom: 12px;">
+                        <div style="flex: 1;">
+                            <label class="miniflux-input-label">${i18n.t('ai_usage.currency')}</label>
+                            <input type="text" id="ai-usage-currency" class="auth-input" maxlength="8" style="margin-bottom: 0;">
+                        </div>
+                        <div style="flex: 1;">
+                            <label class="miniflux-input-label">${i18n.t('ai_usage.monthly_budget')}</label>
+                            <input type="number" id="ai-usage-budget" class="auth-input" min="0" step="0.01" placeholder="0" style="margin-bottom: 0;">
+                        </div>
+                    </div>
+                    <label class="miniflux-input-label">${i18n.t('ai_usage.budget_mode')}</label>
+                    <select id="ai-usage-budget-mode" class="dialog-select" style="margin-bottom: 12px;">
+                        <option value="warn">${i18n.t('ai_usage.mode_warn')}</option>
+                        <option value="block">${i18n.t('ai_usage.mode_block')}</option>
+                    </select>
+
+                    <label class="miniflux-input-label">${i18n.t('ai_usage.prices')}</label>
+                    <p style="color: var(--meta-color); font-size: 0.85em; margin-bottom: 8px;">${i18n.t('ai_usage.prices_hint')}</p>
+                    <div id="ai-usage-prices" style="margin-bottom: 8px;"></div>
+                    <button type="button" id="ai-usage-add-price-btn" class="appearance-mode-btn" style="justify-content: center; width: 100%; margin-bottom: 16px;">${i18n.t('ai_usage.add_price')}</button>
+
+                    <div class="appearance-mode-group">
+                        <button type="button" id="ai-usage-save-btn" class="appearance-mode-btn active" style="justify-content: center; width: 100%;">${i18n.t('common.save')}</button>
+                    </div>
+                    <div id="ai-usage-msg" style="text-align: center; margin-top: 8px; font-size: 0.85em;"></div>
+                </div>
+            </div>
+        `);
+
+        const closeBtn = dialog.querySelector('.close-dialog-btn');
+        const daysSelect = dialog.querySelector('#ai-usage-days');
+        const contentEl = dialog.querySelector('#ai-usage-content');
+        const currencyInput = dialog.querySelector('#ai-usage-currency');
+        const budgetInput = dialog.querySelector('#ai-usage-budget');
+        const modeSelect = dialog.querySelector('#ai-usage-budget-mode');
+        const pricesContainer = dialog.querySelector('#ai-usage-prices');
+        const addPriceBtn = dialog.querySelector('#ai-usage-add-price-btn');
+        const saveBtn = dialog.querySelector('#ai-usage-save-btn');
+        const msgEl = dialog.querySelector('#ai-usage-msg');
+
+        closeBtn.addEventListener('click', close);
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+
+        const addPriceRow = (price = { model: '', input: '', output: '' }) => {
+            const row = document.createElement('div');
+            row.className = 'ai-usage-price-row';
+            row.style.cssText = 'display: flex; gap: 8px; align-items: center; margin-bottom: 8px;';
+            row.innerHTML = `
+                <input type="text" class="auth-input price-model" placeholder="${i18n.t('ai_usage.price_model')}" value="${escapeHtml(price.model)}" style="flex: 2; margin-bottom: 0;">
+                <input type="number" class="auth-input price-input" placeholder="${i18n.t('ai_usage.price_input')}" value="${price.input}" min="0" step="0.0001" style="flex: 1; margin-bottom: 0;">
+                <input type="number" class="auth-input price-output" placeholder="${i18n.t('ai_usage.price_output')}" value="${price.output}" min="0" step="0.0001" style="flex: 1; margin-bottom: 0;">
+                <button type="button" class="icon-btn delete-price-btn" style="color: var(--danger-color);" title="${i18n.t('ai_usage.delete_price')}">
+                    ${Icons.delete}
+                </button>
+            `;
+            row.querySelector('.delete-price-btn').addEventListener('click', () => row.remove());
+            pricesContainer.appendChild(row);
+        };
+
+        const load = async () => {
+            try {
+                const summary = await AIService.getUsage(parseInt(daysSelect.value));
+                this._renderAIUsage(contentEl, summary);
+                return summary;
+            } catch (err) {
+                contentEl.innerHTML = `<div style="text-align: center; padding: 20px; color: var(--danger-color);">${escapeHtml(err.message)}</div>`;
+                return null;
+            }
+        };
+
+        // 首次加载时填充设置表单
+        load().then(summary => {
+            if (!summary) return;
+            const { settings } = summary;
+            currencyInput.value = settings.currency;
+            budgetInput.value = settings.monthlyBudget || '';
+            modeSelect.value = settings.budgetMode;
+            settings.prices.forEach(price => addPriceRow(price));
+            CustomSelect.replaceAll(dialog);
+        });
+
+        daysSelect.addEventListener('change', load);
+        addPriceBtn.addEventListener('click', () => addPriceRow());
+
+        saveBtn.addEventListener('click', async () => {
+            const settings = {
+                currency: currencyInput.value.trim(),
+                monthlyBudget: budgetInput.value,
+                budgetMode: modeSelect.value,
+                prices: Array.from(pricesContainer.querySelectorAll('.ai-usage-price-row')).map(row => ({
+                    model: row.querySelector('.price-model').value.trim(),
+                    input: row.querySelector('.price-input').value,
+                    output: row.querySelector('.price-output').value
+                })).filter(price => price.model || price.input || price.output)
+            };
+
+            try {
+                await AIService.saveUsageSettings(settings);
+                msgEl.textContent = `✓ ${i18n.t('common.save')}${i18n.t('common.success')}`;
+                msgEl.style.color = 'var(--accent-color)';
+                // 价格变化后重新计算费用
+                load();
+            } catch (err) {
+                msgEl.textContent = err.message;
+                msgEl.style.color = 'var(--danger-color)';
+            }
+
+            setTimeout(() => {
+                msgEl.textContent = '';
+            }, 3000);
         });
-        
-        return names.join(', ');
     },
 
     /**
-     * 删除简报任务
+     * 渲染用量统计：合计、预算进度、每日用量柱状图与汇总表
      */
-    async _deleteDigestTask(taskId) {
-        const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.PREFERENCES.BASE);
-        if (!response.ok) throw new Error('Failed to load tasks');
-        
-        const prefs = await response.json();
-        const tasks = prefs.digest_tasks || [];
-        const newTasks = tasks.filter(t => t.id !== taskId);
+    _renderAIUsage(container, summary) {
+        const { budget, daily, byAction, byModel, estimatedRequests } = summary;
+        const currency = escapeHtml(budget.currency);
+        const formatTokens = (n) => n.toLocaleString();
+        const formatCost = (cost) => `${cost < 1 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)} ${currency}`;
+
+        const totals = daily.reduce((sum, day) => ({
+            requests: sum.requests + day.requests,
+            tokens: sum.tokens + day.promptTokens + day.completionTokens,
+            cost: sum.cost + day.cost
+        }), { requests: 0, tokens: 0, cost: 0 });
+
+        if (totals.requests === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; padding: 40px 20px; color: var(--meta-color);">
+                    ${i18n.t('ai_usage.no_usage')}
+                </div>
+            `;
+            return;
+        }
 
-        const saveResponse = await AuthManager.fetchWithAuth(API_ENDPOINTS.PREFERENCES.BASE, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                key: 'digest_tasks',
-                value: newTasks
-            })
-        });
+        // 月度预算进度
+        let budgetHtml = '';
+        if (budget.budget > 0) {
+            const percent = Math.min(100, budget.spent / budget.budget * 100);
+            budgetHtml = `
+                <div style="margin-bottom: 16px;">
+                    <div style="font-size: 0.85em; margin-bottom: 6px; color: ${budget.exceeded ? 'var(--danger-color)' : 'var(--meta-color)'};">${escapeHtml(this._formatAIBudget(budget))}</div>
+                    <div style="height: 8px; background: var(--border-color); border-radius: 4px; overflow: hidden;">
+                        <div style="height: 100%; width: ${percent}%; background: ${budget.exceeded ? 'var(--danger-color)' : 'var(--accent-color)'};"></div>
+                    </div>
+                </div>
+            `;
+        }
 
-        if (!saveResponse.ok) throw new Error('Failed to delete task');
+        // 每日用量：输入与输出 Token 堆叠显示
+        const maxTokens = Math.max(...daily.map(day => day.promptTokens + day.completionTokens), 1);
+        const chartHtml = `
+            <div style="display: flex; align-items: flex-end; gap: 2px; height: 140px; padding-bottom: 4px; border-bottom: 1px solid var(--border-color);">
+                ${daily.map(day => {
+            const title = i18n.t('ai_usage.day_tooltip', {
+                date: day.date,
+                requests: day.requests,
+                prompt: formatTokens(day.promptTokens),
+                completion: formatTokens(day.completionTokens),
+                cost: formatCost(day.cost)
+            });
+            return `
+                    <div title="${escapeHtml(title)}" style="flex: 1; height: 100%; display: flex; flex-direction: column; justify-content: flex-end; min-width: 0;">
+                        <div style="height: ${day.completionTokens / maxTokens * 100}%; background: var(--accent-color); opacity: 0.5;"></div>
+                        <div style="height: ${day.promptTokens / maxTokens * 100}%; background: var(--accent-color);"></div>
+                    </div>`;
+        }).join('')}
+            </div>
+            <div style="display: flex; justify-content: space-between; font-size: 0.75em; color: var(--meta-color); margin-top: 4px;">
+                <span>${daily[0].date}</span>
+                <span style="display: flex; gap: 12px;">
+                    <span><span style="display: inline-block; width: 8px; height: 8px; background: var(--accent-color);"></span> ${i18n.t('ai_usage.prompt_tokens')}</span>
+                    <span><span style="display: inline-block; width: 8px; height: 8px; background: var(--accent-color); opacity: 0.5;"></span> ${i18n.t('ai_usage.completion_tokens')}</span>
+                </span>
+                <span>${daily[daily.length - 1].date}</span>
+            </div>
+        `;
+
+        const renderTable = (title, groups, labelOf) => {
+            const maxGroupTokens = Math.max(...groups.map(g => g.promptTokens + g.completionTokens), 1);
+            return `
+                <div class="settings-item-label" style="margin-top: 20px;">${title}</div>
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; border-collapse: collapse; font-size: 0.9em;">
+                        <thead>
+                            <tr style="border-bottom: 2px solid var(--border-color);">
+                                <th style="padding: 8px; text-align: left; font-weight: 600; color: var(--text-secondary);">${title}</th>
+                                <th style="padding: 8px; text-align: right; font-weight: 600; color: var(--text-secondary);">${i18n.t('ai_usage.requests')}</th>
+                                <th style="padding: 8px; text-align: left; font-weight: 600; color: var(--text-secondary); width: 35%;">${i18n.t('ai_usage.tokens')}</th>
+                                <th style="padding: 8px; text-align: right; font-weight: 600; color: var(--text-secondary);">${i18n.t('ai_usage.cost')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${groups.map(group => {
+                const tokens = group.promptTokens + group.completionTokens;
+                return `
+                            <tr style="border-bottom: 1px solid var(--border-color);">
+                                <td style="padding: 8px;">${labelOf(group.key)}</td>
+                                <td style="padding: 8px; text-align: right; color: var(--meta-color);">${group.requests}</td>
+                                <td style="padding: 8px;">
+                                    <div style="display: flex; align-items: center; gap: 8px;">
+                                        <div style="flex: 1; height: 6px; background: var(--border-color); border-radius: 3px; overflow: hidden;">
+                                            <div style="height: 100%; width: ${tokens / maxGroupTokens * 100}%; background: var(--accent-color);"></div>
+                                        </div>
+                                        <span style="color: var(--meta-color); white-space: nowrap;">${formatTokens(tokens)}</span>
+                                    </div>
+                                </td>
+                                <td style="padding: 8px; text-align: right; white-space: nowrap;">${formatCost(group.cost)}</td>
+                            </tr>`;
+            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        };
+
+        container.innerHTML = `
+            ${budgetHtml}
+            <div style="display: flex; gap: 12px; margin-bottom: 16px; text-align: center;">
+                ${[
+                [i18n.t('ai_usage.requests'), totals.requests],
+                [i18n.t('ai_usage.tokens'), formatTokens(totals.tokens)],
+                [i18n.t('ai_usage.cost'), formatCost(totals.cost)]
+            ].map(([label, value]) => `
+                <div style="flex: 1; padding: 12px 8px; border: 1px solid var(--border-color); border-radius: var(--radius);">
+                    <div style="font-size: 1.2em; font-weight: 600;">${value}</div>
+                    <div style="font-size: 0.8em; color: var(--meta-color);">${label}</div>
+                </div>`).join('')}
+            </div>
+            ${chartHtml}
+            ${renderTable(i18n.t('ai_usage.by_action'), byAction, key => i18n.t('ai_profile.action_' + key))}
+            ${renderTable(i18n.t('ai_usage.by_model'), byModel, key => escapeHtml(key))}
+            ${estimatedRequests > 0 ? `<p style="color: var(--meta-color); font-size: 0.8em; margin-top: 12px;">${i18n.t('ai_usage.estimated_note', { count: estimatedRequests })}</p>` : ''}
+        `;
     },
 
     /**
@@ -2075,6 +4566,15 @@ export const Dialogs = {
                         </div>
                     </div>
 
+                    <!-- AI 配置 -->
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('ai_profile.task_profile')}</label>
+                        <select id="task-ai-profile" class="dialog-select" style="margin-bottom: 4px;">
+                            <option value="">${i18n.t('ai_profile.task_profile_default')}</option>
+                            <option value="${DEFAULT_AI_PROFILE_ID}">${i18n.t('ai_profile.default_profile')}</option>
+                        </select>
+                    </div>
+
                     <!-- Cron表达式 -->
                     <div style="margin-bottom: 16px;">
                         <label class="miniflux-input-label">${i18n.t('digest.cron_expression')}</label>
@@ -2085,6 +4585,15 @@ export const Dialogs = {
                         <div style="font-size: 0.85em; color: var(--meta-color); margin-bottom: 8px;">
                             ${i18n.t('digest.cron_hint')}
                         </div>
+                        <label class="miniflux-input-label">${i18n.t('digest.time_zone')}</label>
+                        <select id="task-time-zone" class="dialog-select" style="margin-bottom: 8px;">
+                            <option value="">${i18n.t('digest.time_zone_server')}</option>
+                            ${getTimeZones().map(tz => `<option value="${tz}">${tz}</option>`).join('')}
+                        </select>
+                        <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 8px;">
+                            <input type="checkbox" id="task-catch-up" style="width: 18px; height: 18px; cursor: pointer;" checked>
+                            <label for="task-catch-up" style="cursor: pointer; user-select: none;">${i18n.t('digest.catch_up')}</label>
+                        </div>
                         <div id="cron-next-runs" style="display: none; padding: 8px; background: var(--card-bg); border-radius: var(--radius); font-size: 0.85em;">
                             <div style="font-weight: 600; margin-bottom: 4px; color: var(--text-primary);">${i18n.t('digest.next_runs')}:</div>
                             <div id="cron-runs-list" style="color: var(--meta-color);"></div>
@@ -2106,10 +4615,30 @@ export const Dialogs = {
                             <input type="checkbox" id="task-include-read" style="width: 18px; height: 18px; cursor: pointer;">
                             <label for="task-include-read" style="cursor: pointer; user-select: none;">${i18n.t('digest.include_read_articles')}</label>
                         </div>
-                        <div style="display: flex; align-items: center; gap: 10px;">
+                        <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 8px;">
                             <input type="checkbox" id="task-enable-push" style="width: 18px; height: 18px; cursor: pointer;">
                             <label for="task-enable-push" style="cursor: pointer; user-select: none;">${i18n.t('digest.enable_push_notify')}</label>
                         </div>
+                        <div style="display: flex; align-items: center; gap: 10px;">
+                            <input type="checkbox" id="task-enable-webpush" style="width: 18px; height: 18px; cursor: pointer;">
+                            <label for="task-enable-webpush" style="cursor: pointer; user-select: none;">${i18n.t('webpush.task_option')}</label>
+                        </div>
+                    </div>
+
+                    <!-- 推送渠道 -->
+                    <div style="margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('push_channel.title')}</label>
+                        <div id="task-push-channels" style="font-size: 0.9em; color: var(--meta-color);">${i18n.t('common.loading')}</div>
+                    </div>
+
+                    <!-- 邮件选项（选择了邮件渠道时显示） -->
+                    <div id="task-email-options" style="display: none; margin-bottom: 16px;">
+                        <label class="miniflux-input-label">${i18n.t('push_channel.email_recipients')}</label>
+                        <input type="text" id="task-email-recipients" class="auth-input" placeholder="${i18n.t('push_channel.email_recipients_placeholder')}" style="margin-bottom: 4px;">
+                        <div style="font-size: 0.85em; color: var(--meta-color); margin-bottom: 8px;">${i18n.t('push_channel.email_recipients_hint')}</div>
+                        <label class="miniflux-input-label">${i18n.t('push_channel.email_subject')}</label>
+                        <input type="text" id="task-email-subject" class="auth-input" placeholder="{{title}} {{yyyy}}-{{MM}}-{{dd}}" style="margin-bottom: 4px;">
+                        <div style="font-size: 0.85em; color: var(--meta-color);">${i18n.t('push_channel.email_subject_hint')}</div>
                     </div>
 
                     <!-- 按钮 -->
@@ -2131,16 +4660,77 @@ export const Dialogs = {
         const promptInput = dialog.querySelector('#task-prompt');
         const cronInput = dialog.querySelector('#task-cron');
         const parseCronBtn = dialog.querySelector('#parse-cron-btn');
+        const timeZoneSelect = dialog.querySelector('#task-time-zone');
+        const catchUpCheckbox = dialog.querySelector('#task-catch-up');
         const cronNextRuns = dialog.querySelector('#cron-next-runs');
         const cronRunsList = dialog.querySelector('#cron-runs-list');
         const timeRangeInput = dialog.querySelector('#task-time-range');
         const includeReadCheckbox = dialog.querySelector('#task-include-read');
         const enablePushCheckbox = dialog.querySelector('#task-enable-push');
+        const enableWebPushCheckbox = dialog.querySelector('#task-enable-webpush');
+        const pushChannelsContainer = dialog.querySelector('#task-push-channels');
+        const emailOptions = dialog.querySelector('#task-email-options');
+        const emailRecipientsInput = dialog.querySelector('#task-email-recipients');
+        const emailSubjectInput = dialog.querySelector('#task-email-subject');
         const manualTriggerBtn = dialog.querySelector('#manual-trigger-btn');
+        const aiProfileSelect = dialog.querySelector('#task-ai-profile');
         const msgEl = dialog.querySelector('#task-edit-msg');
 
         let selectedScopes = [];
 
+        // 加载可选的 AI 配置；已删除的配置按简报用途路由处理
+        let aiProfilesLoaded = false;
+        AIService.getProfiles().then(({ profiles }) => {
+            profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                aiProfileSelect.appendChild(option);
+            });
+            const selected = task?.aiProfileId || '';
+            aiProfileSelect.value = Array.from(aiProfileSelect.options).some(o => o.value === selected) ? selected : '';
+            aiProfilesLoaded = true;
+        }).catch(err => {
+            console.error('Load AI profiles error:', err);
+        });
+
+        // 未加载配置列表时保留原有选择
+        const getSelectedAIProfile = () => aiProfilesLoaded ? aiProfileSelect.value : (task?.aiProfileId || '');
+
+        // 加载可选的推送渠道
+        FeedManager.getPushChannels().then(channels => {
+            if (channels.length === 0) {
+                pushChannelsContainer.textContent = i18n.t('push_channel.none_configured');
+                return;
+            }
+            const selected = task?.pushChannels || [];
+            pushChannelsContainer.innerHTML = channels.map(c => `
+                <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 8px; color: var(--text-primary);">
+                    <input type="checkbox" id="task-channel-${c.id}" value="${c.id}" class="task-push-channel" style="width: 18px; height: 18px; cursor: pointer;" ${selected.includes(c.id) ? 'checked' : ''}>
+                    <label for="task-channel-${c.id}" style="cursor: pointer; user-select: none;">${escapeHtml(c.name)} <span style="color: var(--meta-color);">(${i18n.t('push_channel.type_' + c.type)}${c.enabled ? '' : ', ' + i18n.t('push_channel.disabled')})</span></label>
+                </div>`).join('');
+
+            // 选择了邮件渠道时显示收件人与主题设置
+            const updateEmailOptions = () => {
+                const hasEmail = Array.from(pushChannelsContainer.querySelectorAll('.task-push-channel:checked'))
+                    .some(cb => cb.dataset.type === 'email');
+                emailOptions.style.display = hasEmail ? '' : 'none';
+            };
+            pushChannelsContainer.querySelectorAll('.task-push-channel').forEach(cb => {
+                cb.addEventListener('change', updateEmailOptions);
+            });
+            updateEmailOptions();
+        }).catch(() => {
+            pushChannelsContainer.textContent = i18n.t('push_channel.fetch_failed');
+        });
+
+        // 未加载渠道列表时保留原有选择
+        const getSelectedPushChannels = () => {
+            const checkboxes = pushChannelsContainer.querySelectorAll('.task-push-channel');
+            if (checkboxes.length === 0) return task?.pushChannels || [];
+            return Array.from(checkboxes).filter(cb => cb.checked).map(cb => cb.value);
+        };
+
         closeBtn.addEventListener('click', close);
         dialog.addEventListener('click', (e) => {
             if (e.target === dialog) close();
@@ -2257,14 +4847,15 @@ export const Dialogs = {
                 const response = await AuthManager.fetchWithAuth(`${API_ENDPOINTS.DIGEST.BASE}/parse-cron`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ expression: cronExpr })
+                    body: JSON.stringify({ expression: cronExpr, timeZone: timeZoneSelect.value || undefined })
                 });
 
                 if (!response.ok) throw new Error('Invalid cron expression');
 
                 const result = await response.json();
                 cronNextRuns.style.display = 'block';
-                cronRunsList.innerHTML = result.nextRuns.map(time => `<div>• ${time}</div>`).join('');
+                cronRunsList.innerHTML = result.nextRuns.map(time => `<div>• ${time}</div>`).join('')
+                    + `<div style="margin-top: 4px;">${i18n.t('digest.time_zone')}: ${escapeHtml(result.timeZone)}</div>`;
                 msgEl.textContent = '';
             } catch (err) {
                 msgEl.textContent = i18n.t('digest.invalid_cron');
@@ -2293,7 +4884,13 @@ export const Dialogs = {
                     customPrompt: promptInput.value.trim(),
                     timeRange: timeRangeInput.value ? parseInt(timeRangeInput.value) : 24,
                     includeRead: includeReadCheckbox.checked,
-                    enablePush: enablePushCheckbox.checked
+                    enablePush: enablePushCheckbox.checked,
+                    enableWebPush: enableWebPushCheckbox.checked,
+                    pushChannels: getSelectedPushChannels(),
+                    emailRecipients: emailRecipientsInput.value.trim(),
+                    emailSubject: emailSubjectInput.value.trim(),
+                    aiProfileId: getSelectedAIProfile(),
+                    timeZone: timeZoneSelect.value || undefined
                 };
 
                 const response = await AuthManager.fetchWithAuth(`${API_ENDPOINTS.DIGEST.BASE}/manual-trigger`, {
@@ -2332,9 +4929,18 @@ export const Dialogs = {
                 scopes: selectedScopes,
                 customPrompt: promptInput.value.trim(),
                 cronExpression: cronInput.value.trim(),
+                timeZone: timeZoneSelect.value,
+                catchUp: catchUpCheckbox.checked,
                 timeRange: timeRangeInput.value ? parseInt(timeRangeInput.value) : 24,
                 includeRead: includeReadCheckbox.checked,
-                enablePush: enablePushCheckbox.checked
+                enablePush: enablePushCheckbox.checked,
+                enableWebPush: enableWebPushCheckbox.checked,
+                pushChannels: getSelectedPushChannels(),
+                emailRecipients: emailRecipientsInput.value.trim(),
+                emailSubject: emailSubjectInput.value.trim(),
+                aiProfileId: getSelectedAIProfile(),
+                // 调度器以修改时间为起点补跑，避免修改表达式后立即补跑旧的计划时间
+                updatedAt: new Date().toISOString()
             };
 
             try {
@@ -2384,9 +4990,14 @@ export const Dialogs = {
             selectedScopes = task.scopes || [];
             promptInput.value = task.customPrompt || '';
             cronInput.value = task.cronExpression || '';
+            timeZoneSelect.value = task.timeZone || '';
+            catchUpCheckbox.checked = task.catchUp !== false;
             timeRangeInput.value = task.timeRange || 24;
             includeReadCheckbox.checked = task.includeRead || false;
             enablePushCheckbox.checked = task.enablePush || false;
+            enableWebPushCheckbox.checked = task.enableWebPush || false;
+            emailRecipientsInput.value = task.emailRecipients || '';
+            emailSubjectInput.value = task.emailSubject || '';
             
             renderScopeTags();
             updateScopeSelector();
@@ -2395,6 +5006,7 @@ export const Dialogs = {
             const defaultPrompt = AIService.getDefaultPrompt('digest');
             promptInput.value = defaultPrompt;
             timeRangeInput.value = 24;
+            timeZoneSelect.value = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
             renderScopeTags();
         }
     }
@@ -7,9 +7,10 @@
 import { i18n } from '../i18n.js';
 import { AuthManager } from '../auth-manager.js';
 import { AIService } from '../ai-service.js';
-import { showToast } from './utils.js';
+import { showToast, createDialog, renderMarkdown, escapeHtml } from './utils.js';
 import { Modal } from './components.js';
 import { Dialogs } from './dialogs.js';
+import { Icons } from '../icons.js';
 
 /**
  * 简报视图管理
@@ -25,6 +26,88 @@ export const DigestView = {
         this.viewManager = viewManager;
     },
 
+    /**
+     * 打开简报实时生成对话框
+     * 关闭对话框后生成在后台继续，完成后以 Toast 提示；点击取消则中止生成
+     * @param {Function} onCancel
+     * @returns {{isOpen: Function, setStatus: Function, appendDelta: Function, finish: Function, close: Function}}
+     */
+    _openLiveDialog(onCancel) {
+        const { dialog, close } = createDialog('settings-dialog digest-live-dialog', `
+            <div class="settings-dialog-content digest-dialog-content" style="position: relative; max-width: 720px;">
+                <button class="icon-btn close-dialog-btn" title="${i18n.t('common.close')}" style="position: absolute; right: 16px; top: 16px; width: 32px; height: 32px; z-index: 10;">
+                    ${Icons.close}
+                </button>
+                <h3>${i18n.t('digest.live_title')}</h3>
+                <div id="digest-body" class="digest-content">
+                    <div class="digest-loading">
+                        <div class="loading-spinner"></div>
+                        <span>${i18n.t('digest.live_waiting')}</span>
+                    </div>
+                </div>
+                <div class="digest-meta">
+                    <span class="digest-live-status">${i18n.t('digest.live_waiting')}</span>
+                    <div style="display: flex; gap: 8px;">
+                        <button class="appearance-mode-btn digest-cancel-btn">${i18n.t('common.cancel')}</button>
+                        <button class="appearance-mode-btn active digest-view-btn" style="display: none;">${i18n.t('common.view')}</button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        const body = dialog.querySelector('#digest-body');
+        const statusEl = dialog.querySelector('.digest-live-status');
+        const cancelBtn = dialog.querySelector('.digest-cancel-btn');
+        const viewBtn = dialog.querySelector('.digest-view-btn');
+
+        let text = '';
+        let renderScheduled = false;
+
+        // 合并同一帧内的多个增量，避免频繁重绘
+        const render = () => {
+            renderScheduled = false;
+            const nearBottom = body.scrollHeight - body.scrollTop - body.clientHeight < 40;
+            body.innerHTML = renderMarkdown(text);
+            if (nearBottom) body.scrollTop = body.scrollHeight;
+        };
+
+        cancelBtn.addEventListener('click', () => {
+            cancelBtn.disabled = true;
+            onCancel();
+        });
+
+        return {
+            isOpen: () => dialog.classList.contains('active'),
+            setStatus: (message) => {
+                statusEl.textContent = message;
+            },
+            appendDelta: (delta) => {
+                if (!text) statusEl.textContent = i18n.t('digest.live_streaming');
+                text += delta;
+                if (!renderScheduled) {
+                    renderScheduled = true;
+                    requestAnimationFrame(render);
+                }
+            },
+            finish: (message, onView = null) => {
+                cancelBtn.style.display = 'none';
+                statusEl.textContent = message;
+                if (onView) {
+                    viewBtn.style.display = '';
+                    viewBtn.addEventListener('click', () => {
+                        close();
+                        onView();
+                    });
+                }
+                // 无增量输出时（如没有文章）直接显示提示
+                if (!text) {
+                    body.innerHTML = `<p>${escapeHtml(message)}</p>`;
+                }
+            },
+            close
+        };
+    },
+
     /**
      * 生成简报
      * @param {string} scope - 'all' | 'feed' | 'group'
@@ -33,13 +116,24 @@ export const DigestView = {
      */
     async generate(scope = 'all', feedId = null, groupId = null) {
         // 检查 AI 配置
-        if (!AIService.isConfigured()) {
+        if (!AIService.isConfigured('digest')) {
             await Modal.alertWithSettings(i18n.t('digest.ai_not_configured'), i18n.t('common.go_to_settings'), () => Dialogs.showSettingsDialog(false));
             return;
         }
 
-        // 显示正在生成提示 (长连接，提示用户稍后查看)
-        showToast(i18n.t('digest.generating'), 5000, true);
+        // 取消生成时断开连接，服务端会中止 AI 请求并保存已生成的内容
+        const controller = new AbortController();
+        const live = this._openLiveDialog(() => controller.abort());
+        let receivedDelta = false;
+
+        // 对话框已关闭时改用 Toast 提示
+        const notify = (message, duration, showLoadingIcon, onClick = null) => {
+            if (live.isOpen()) {
+                live.setStatus(message);
+            } else {
+                showToast(message, duration, showLoadingIcon, onClick);
+            }
+        };
 
         try {
             const aiConfig = AIService.getConfig();
@@ -57,7 +151,8 @@ export const DigestView = {
                     hours: 12,
                     targetLang: AIService.getLanguageName(aiConfig.targetLang || 'zh-CN'),
                     prompt: aiConfig.digestPrompt
-                })
+                }),
+                signal: controller.signal
             });
 
             if (!response.ok) {
@@ -91,12 +186,23 @@ export const DigestView = {
                                     throw new Error(event.data?.error || i18n.t('digest.error'));
                                 }
 
+                                if (event.type === 'delta') {
+                                    receivedDelta = true;
+                                    live.appendDelta(event.text || '');
+                                }
+
+                                if (event.type === 'progress') {
+                                    // 分批生成时显示当前阶段进度
+                                    const message = event.stage === 'reduce'
+                                        ? i18n.t('digest.progress_reduce')
+                                        : i18n.t('digest.progress_map', { completed: event.completed, total: event.total });
+                                    notify(message, 30000, true);
+                                }
+
                                 if (event.type === 'result') {
                                     const { digest } = event.data;
 
                                     if (digest && digest.id) {
-                                        // 成功生成，显示可交互 Toast
-
                                         // 标记列表强制刷新，以便下次进入列表时重新加载（显示新简报）
                                         // 不要直接清空 AppState.articles，否则会导致当前显示的列表突然清空
                                         if (this.viewManager) {
@@ -111,13 +217,24 @@ export const DigestView = {
                                         const hash = queryString
                                             ? `#/article/${digest.id}?${queryString}`
                                             : `#/article/${digest.id}`;
-
-                                        showToast(i18n.t('digest.success'), 15000, false, () => {
+                                        const openDigest = () => {
                                             window.location.hash = hash;
-                                        });
+                                        };
+
+                                        if (live.isOpen()) {
+                                            live.finish(i18n.t('digest.generated'), openDigest);
+                                        } else {
+                                            // 成功生成，显示可交互 Toast
+                                            showToast(i18n.t('digest.success'), 15000, false, openDigest);
+                                        }
                                     } else {
                                         // 无内容
-                                        showToast(digest?.content || i18n.t('digest.no_articles', { hours: 12 }), 5000, false);
+                                        const message = digest?.content || i18n.t('digest.no_articles', { hours: 12 });
+                                        if (live.isOpen()) {
+                                            live.finish(message);
+                                        } else {
+                                            showToast(message, 5000, false);
+                                        }
                                     }
                                 }
                             } catch (e) {
@@ -133,10 +250,22 @@ export const DigestView = {
             }
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                // 已生成的部分内容由服务端保存为简报
+                if (receivedDelta && this.viewManager) {
+                    this.viewManager.forceRefreshList = true;
+                }
+                live.close();
+                showToast(i18n.t(receivedDelta ? 'digest.cancelled_partial' : 'digest.cancelled'), 5000, false);
+                return;
+            }
+
             console.error('Generate digest error:', error);
-            // 只有明显错误才弹窗，避免干扰
-            if (error.name !== 'AbortError') {
-                showToast(error.message || i18n.t('digest.error'), 5000, false);
+            const message = error.message || i18n.t('digest.error');
+            if (live.isOpen()) {
+                live.finish(message);
+            } else {
+                showToast(message, 5000, false);
             }
         }
     },
@@ -9,12 +9,66 @@ import { FeedManager } from '../feed-manager.js';
 import { setTheme, setColorScheme } from '../theme-manager.js';
 import { i18n } from '../i18n.js';
 import { Icons } from '../icons.js';
-import { API_ENDPOINTS } from '../../constants.js';
+import { getFaviconUrl, escapeHtml } from './utils.js';
 
 const STORAGE_KEY_COLLAPSED = 'tidyflux_collapsed_groups';
 const STORAGE_KEY_PINNED = 'tidyflux_pinned_groups';
 const DEFAULT_ICON = '/icons/rss.svg';
 
+/**
+ * 移动端长按处理
+ * @param {HTMLElement} element
+ * @param {Function} callback - 接收模拟的事件对象
+ */
+function addLongPressHandler(element, callback) {
+    let timer;
+    let startX, startY;
+    let isLongPress = false;
+
+    element.addEventListener('touchstart', (e) => {
+        isLongPress = false;
+        startX = e.touches[0].clientX;
+        startY = e.touches[0].clientY;
+        timer = setTimeout(() => {
+            isLongPress = true;
+            if (navigator.vibrate) navigator.vibrate(50);
+
+            // 构造模拟事件对象
+            const mockEvent = {
+                preventDefault: () => { },
+                stopPropagation: () => { },
+                clientX: startX,
+                clientY: startY,
+                target: element,
+                currentTarget: element
+            };
+            callback(mockEvent);
+        }, 500);
+    }, { passive: true });
+
+    element.addEventListener('touchmove', (e) => {
+        if (!timer) return;
+        const diffX = Math.abs(e.touches[0].clientX - startX);
+        const diffY = Math.abs(e.touches[0].clientY - startY);
+        // 如果移动超过 10px，视为滚动，取消长按
+        if (diffX > 10 || diffY > 10) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    }, { passive: true });
+
+    element.addEventListener('touchend', (e) => {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        // 如果触发了长按，阻止默认行为（主要是阻止后续的 click 事件）
+        if (isLongPress) {
+            if (e.cancelable) e.preventDefault();
+        }
+    }, { passive: false });
+}
+
 /**
  * 订阅源视图管理
  */
@@ -25,6 +79,9 @@ export const FeedsView = {
     /** IntersectionObserver for lazy loading feed icons */
     _iconObserver: null,
 
+    /** 保存的搜索未读数缓存 { [id]: count } */
+    _savedSearchCounts: {},
+
     /**
      * 初始化模块
      * @param {Object} viewManager - ViewManager 实例引用
@@ -54,15 +111,26 @@ export const FeedsView = {
                 }
             };
 
-            const [feeds, groups, prefs, digestsData] = await Promise.all([
+            const safeGetTags = async () => {
+                try {
+                    return await FeedManager.getTags();
+                } catch (e) {
+                    console.error('Failed to load tags', e);
+                    return [];
+                }
+            };
+
+            const [feeds, groups, prefs, digestsData, tags] = await Promise.all([
                 FeedManager.getFeeds(),
                 FeedManager.getGroups(),
                 FeedManager.getPreferences(),
-                safeGetDigests()
+                safeGetDigests(),
+                safeGetTags()
             ]);
 
             AppState.feeds = feeds;
             AppState.groups = groups;
+            AppState.tags = tags;
             AppState.preferences = prefs || {};
 
             // 应用主题设置
@@ -109,6 +177,9 @@ export const FeedsView = {
         } else if (AppState.currentGroupId) {
             const group = groups.find(g => g.id == AppState.currentGroupId);
             if (group) DOMElements.currentFeedTitle.textContent = group.name;
+        } else if (AppState.currentTagId) {
+            const tag = AppState.tags.find(t => t.id === AppState.currentTagId);
+            if (tag) DOMElements.currentFeedTitle.textContent = tag.name;
         }
     },
 
@@ -144,6 +215,20 @@ export const FeedsView = {
                 <span class="feed-name">${i18n.t('nav.briefings')}</span>
                 ${this._getDigestUnreadBadge(digestsData)}
             </button>
+            <button class="feed-item-btn" id="highlights-btn">
+                ${Icons.highlight}
+                <span class="feed-name">${i18n.t('highlights.title')}</span>
+            </button>
+            <button class="feed-item-btn" id="archive-btn">
+                ${Icons.archive}
+                <span class="feed-name">${i18n.t('archive.title')}</span>
+            </button>
+            <button class="feed-item-btn" id="ask-btn">
+                ${Icons.ask}
+                <span class="feed-name">${i18n.t('ask.title')}</span>
+            </button>
+            <div id="saved-searches-list">${this._renderSavedSearchItems()}</div>
+            <div id="tags-list">${this._renderTagItems()}</div>
         `;
 
         // 按分组组织订阅源
@@ -200,6 +285,119 @@ export const FeedsView = {
 
         DOMElements.feedsList.innerHTML = html + groupsHtml + ungroupedHtml;
         this.bindFeedsListEvents();
+        this.refreshSavedSearchCounts();
+    },
+
+    /**
+     * 保存的搜索按钮（虚拟订阅源）
+     * @returns {string} HTML 字符串
+     */
+    _renderSavedSearchItems() {
+        return this.getSavedSearches().map(saved => {
+            const count = this._savedSearchCounts[saved.id] || 0;
+            return `
+                <button class="feed-item-btn saved-search-btn ${AppState.isSearchMode && AppState.savedSearchId === saved.id ? 'active' : ''}" data-saved-search-id="${escapeHtml(saved.id)}" title="${escapeHtml(saved.query)}">
+                    ${Icons.search}
+                    <span class="feed-name">${escapeHtml(saved.name)}</span>
+                    ${count > 0 ? `<span class="feed-unread-count">${count}</span>` : ''}
+                </button>
+            `;
+        }).join('');
+    },
+
+    /**
+     * 仅重新渲染保存的搜索（新增、编辑、删除后）
+     */
+    renderSavedSearches() {
+        const container = document.getElementById('saved-searches-list');
+        if (!container) return;
+        container.innerHTML = this._renderSavedSearchItems();
+        this._bindSavedSearchEvents();
+        this.refreshSavedSearchCounts();
+    },
+
+    /**
+     * 标签分区（无标签时不显示）
+     * @returns {string} HTML 字符串
+     */
+    _renderTagItems() {
+        const tags = AppState.tags || [];
+        if (tags.length === 0) return '';
+
+        return `
+            <div class="sidebar-section-label">${i18n.t('tags.title')}</div>
+            ${tags.map(tag => `
+                <button class="feed-item-btn tag-btn ${AppState.currentTagId === tag.id ? 'active' : ''}" data-tag-id="${escapeHtml(tag.id)}">
+                    ${Icons.label}
+                    <span class="feed-name">${escapeHtml(tag.name)}</span>
+                    ${tag.count > 0 ? `<span class="feed-unread-count">${tag.count}</span>` : ''}
+                </button>
+            `).join('')}
+        `;
+    },
+
+    /**
+     * 重新获取标签并只渲染标签分区（标签增删后调用）
+     */
+    async loadTags() {
+        try {
+            AppState.tags = await FeedManager.getTags();
+        } catch (err) {
+            console.error('Load tags error:', err);
+            return;
+        }
+
+        const container = document.getElementById('tags-list');
+        if (!container) return;
+        container.innerHTML = this._renderTagItems();
+        this._bindTagEvents();
+    },
+
+    _bindTagEvents() {
+        const vm = this.viewManager;
+        DOMElements.feedsList.querySelectorAll('.tag-btn').forEach(btn => {
+            const id = btn.dataset.tagId;
+
+            btn.addEventListener('click', () => this.selectTag(id));
+            btn.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                vm.showTagContextMenu(e, id);
+            });
+            addLongPressHandler(btn, (e) => {
+                vm.showTagContextMenu(e, id);
+            });
+        });
+    },
+
+    _bindSavedSearchEvents() {
+        const vm = this.viewManager;
+        DOMElements.feedsList.querySelectorAll('.saved-search-btn').forEach(btn => {
+            const id = btn.dataset.savedSearchId;
+
+            btn.addEventListener('click', () => this.selectSavedSearch(id));
+            btn.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                vm.showSavedSearchContextMenu(e, id);
+            });
+            addLongPressHandler(btn, (e) => {
+                vm.showSavedSearchContextMenu(e, id);
+            });
+        });
+    },
+
+    /**
+     * 获取保存的搜索的未读数并更新徽标（计数需要同步搜索索引，不阻塞侧边栏渲染）
+     */
+    async refreshSavedSearchCounts() {
+        if (this.getSavedSearches().length === 0) return;
+        try {
+            this._savedSearchCounts = await FeedManager.getSavedSearchCounts();
+            DOMElements.feedsList.querySelectorAll('.saved-search-btn').forEach(btn => {
+                this._updateBadge(btn, this._savedSearchCounts[btn.dataset.savedSearchId] || 0, 'feed-unread-count');
+            });
+        } catch (err) {
+            console.debug('Refresh saved search counts failed', err);
+        }
     },
 
     _getDigestUnreadBadge(digestsData) {
@@ -288,7 +486,7 @@ export const FeedsView = {
         // Use data-src for lazy loading with IntersectionObserver
         return `
             <button class="feed-item-btn ${AppState.currentFeedId === feed.id ? 'active' : ''}" data-feed-id="${feed.id}">
-                <img class="feed-icon" src="${DEFAULT_ICON}" data-src="${API_ENDPOINTS.FAVICON.BASE}?feedId=${feed.id}" decoding="async" alt="">
+                <img class="feed-icon" src="${DEFAULT_ICON}" data-src="${getFaviconUrl(feed.id)}" decoding="async" alt="">
                 <span class="feed-name">${feed.title || i18n.t('common.unnamed')}</span>
                 ${unread > 0 ? `<span class="feed-unread-count">${unread}</span>` : ''}
             </button>
@@ -325,59 +523,31 @@ export const FeedsView = {
             briefBtn.addEventListener('click', () => this.selectDigests());
         }
 
-        // 长按处理辅助函数
-        const addLongPressHandler = (element, callback) => {
-            let timer;
-            let startX, startY;
-            let isLongPress = false;
-
-            element.addEventListener('touchstart', (e) => {
-                isLongPress = false;
-                startX = e.touches[0].clientX;
-                startY = e.touches[0].clientY;
-                timer = setTimeout(() => {
-                    isLongPress = true;
-                    if (navigator.vibrate) navigator.vibrate(50);
-
-                    // 构造模拟事件对象
-                    const mockEvent = {
-                        preventDefault: () => { },
-                        stopPropagation: () => { },
-                        clientX: startX,
-                        clientY: startY,
-                        target: element,
-                        currentTarget: element
-                    };
-                    callback(mockEvent);
-                }, 500);
-            }, { passive: true });
-
-            element.addEventListener('touchmove', (e) => {
-                if (!timer) return;
-                const diffX = Math.abs(e.touches[0].clientX - startX);
-                const diffY = Math.abs(e.touches[0].clientY - startY);
-                // 如果移动超过 10px，视为滚动，取消长按
-                if (diffX > 10 || diffY > 10) {
-                    clearTimeout(timer);
-                    timer = null;
-                }
-            }, { passive: true });
+        // 高亮按钮
+        const highlightsBtn = document.getElementById('highlights-btn');
+        if (highlightsBtn) {
+            highlightsBtn.addEventListener('click', () => this.selectHighlights());
+        }
 
-            element.addEventListener('touchend', (e) => {
-                if (timer) {
-                    clearTimeout(timer);
-                    timer = null;
-                }
-                // 如果触发了长按，阻止默认行为（主要是阻止后续的 click 事件）
-                if (isLongPress) {
-                    if (e.cancelable) e.preventDefault();
-                }
-            }, { passive: false });
-        };
+        // 存档按钮
+        const archiveBtn = document.getElementById('archive-btn');
+        if (archiveBtn) {
+            archiveBtn.addEventListener('click', () => this.selectArchive());
+        }
+
+        // AI 问答按钮
+        const askBtn = document.getElementById('ask-btn');
+        if (askBtn) {
+            askBtn.addEventListener('click', () => this.selectAsk());
+        }
+
+        // 保存的搜索与标签
+        this._bindSavedSearchEvents();
+        this._bindTagEvents();
 
         // 订阅源点击和右键菜单
         DOMElements.feedsList.querySelectorAll('.feed-item-btn').forEach(btn => {
-            if (btn.id !== 'favorites-btn' && btn.id !== 'digests-btn') {
+            if (btn.id !== 'favorites-btn' && btn.id !== 'digests-btn' && btn.id !== 'highlights-btn' && btn.id !== 'archive-btn' && btn.id !== 'ask-btn' && !btn.classList.contains('saved-search-btn') && !btn.classList.contains('tag-btn')) {
                 const feedId = btn.dataset.feedId || null;
 
                 // 点击事件
@@ -492,6 +662,40 @@ export const FeedsView = {
         }
     },
 
+    /**
+     * 选择保存的搜索
+     * @param {string} id - 保存的搜索 ID
+     */
+    selectSavedSearch(id) {
+        const vm = this.viewManager;
+        vm.isProgrammaticNav = true;
+        vm.forceRefreshList = true;
+
+        const hash = `#/search/${id}`;
+        if (window.location.hash === hash) {
+            window.dispatchEvent(new HashChangeEvent('hashchange'));
+        } else {
+            window.location.hash = hash;
+        }
+    },
+
+    /**
+     * 选择标签
+     * @param {string} tagId - 标签 ID
+     */
+    selectTag(tagId) {
+        const vm = this.viewManager;
+        vm.isProgrammaticNav = true;
+        vm.forceRefreshList = true;
+
+        const hash = `#/tag/${tagId}`;
+        if (window.location.hash === hash) {
+            window.dispatchEvent(new HashChangeEvent('hashchange'));
+        } else {
+            window.location.hash = hash;
+        }
+    },
+
     /**
      * Select Briefings
      */
@@ -508,6 +712,51 @@ export const FeedsView = {
         }
     },
 
+    /**
+     * 打开高亮列表
+     */
+    selectHighlights() {
+        const vm = this.viewManager;
+        vm.isProgrammaticNav = true;
+
+        const hash = '#/highlights';
+        if (window.location.hash === hash) {
+            window.dispatchEvent(new HashChangeEvent('hashchange'));
+        } else {
+            window.location.hash = hash;
+        }
+    },
+
+    /**
+     * 打开存档列表
+     */
+    selectArchive() {
+        const vm = this.viewManager;
+        vm.isProgrammaticNav = true;
+
+        const hash = '#/archive';
+        if (window.location.hash === hash) {
+            window.dispatchEvent(new HashChangeEvent('hashchange'));
+        } else {
+            window.location.hash = hash;
+        }
+    },
+
+    /**
+     * 打开 AI 问答
+     */
+    selectAsk() {
+        const vm = this.viewManager;
+        vm.isProgrammaticNav = true;
+
+        const hash = '#/ask';
+        if (window.location.hash === hash) {
+            window.dispatchEvent(new HashChangeEvent('hashchange'));
+        } else {
+            window.location.hash = hash;
+        }
+    },
+
     /**
      * 更新侧边栏激活状态
      * @param {Object} options - 选项
@@ -523,6 +772,21 @@ export const FeedsView = {
         } else if (options?.digests) {
             const btn = document.getElementById('digests-btn');
             if (btn) btn.classList.add('active');
+        } else if (options?.highlights) {
+            const btn = document.getElementById('highlights-btn');
+            if (btn) btn.classList.add('active');
+        } else if (options?.archive) {
+            const btn = document.getElementById('archive-btn');
+            if (btn) btn.classList.add('active');
+        } else if (options?.ask) {
+            const btn = document.getElementById('ask-btn');
+            if (btn) btn.classList.add('active');
+        } else if (options?.tagId) {
+            const btn = DOMElements.feedsList.querySelector(`.tag-btn[data-tag-id="${options.tagId}"]`);
+            if (btn) btn.classList.add('active');
+        } else if (options?.savedSearchId) {
+            const btn = DOMElements.feedsList.querySelector(`.saved-search-btn[data-saved-search-id="${options.savedSearchId}"]`);
+            if (btn) btn.classList.add('active');
         } else if (options?.groupId) {
             const groupName = DOMElements.feedsList.querySelector(`.feed-group[data-group-id="${options.groupId}"] .feed-group-name`);
             if (groupName) groupName.classList.add('active');
@@ -625,6 +889,29 @@ export const FeedsView = {
         }
     },
 
+    /**
+     * 获取保存的搜索列表
+     * @returns {Array<{id: string, name: string, query: string, groupId: number|null, unreadOnly: boolean, after: string, before: string}>}
+     */
+    getSavedSearches() {
+        const list = AppState.preferences?.saved_searches;
+        return Array.isArray(list) ? list : [];
+    },
+
+    /**
+     * 保存搜索列表并刷新侧边栏
+     * @param {Array} list
+     */
+    async setSavedSearches(list) {
+        AppState.preferences = AppState.preferences || {};
+        AppState.preferences.saved_searches = list;
+        this.renderSavedSearches();
+
+        if (!await FeedManager.setPreference('saved_searches', list)) {
+            throw new Error(i18n.t('saved_search.save_failed'));
+        }
+    },
+
     /**
      * Setup IntersectionObserver for lazy loading feed icons
      * @param {HTMLElement} container - The scrollable container element
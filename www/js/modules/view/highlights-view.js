@@ -0,0 +1,405 @@
+/**
+ * HighlightsView - 高亮与批注
+ * 负责正文中选区高亮的创建、重绘与编辑，以及「高亮」列表页
+ * @module view/highlights-view
+ */
+
+import { DOMElements } from '../../dom.js';
+import { FeedManager } from '../feed-manager.js';
+import { Highlighter, HIGHLIGHT_CLASS } from '../highlighter.js';
+import { showToast, createContextMenu, escapeHtml, downloadBlob } from './utils.js';
+import { Modal } from './components.js';
+import { i18n } from '../i18n.js';
+import { Icons } from '../icons.js';
+
+// 选区变化后延迟显示浮动按钮，避免拖选过程中闪烁
+const SELECTION_DEBOUNCE_MS = 250;
+
+export const HighlightsView = {
+    /** 视图管理器引用 */
+    viewManager: null,
+    /** 当前显示的文章及其高亮 */
+    article: null,
+    highlights: [],
+    /** 从高亮列表打开文章后需要滚动到的高亮 ID */
+    pendingFocusId: null,
+    /** 选区浮动按钮 */
+    popover: null,
+    selectionTimer: null,
+
+    /**
+     * 初始化模块
+     * @param {Object} viewManager - ViewManager 实例引用
+     */
+    init(viewManager) {
+        this.viewManager = viewManager;
+        this._bindEvents();
+    },
+
+    _getBody() {
+        return DOMElements.articleContent?.querySelector('.article-body');
+    },
+
+    /**
+     * 文章渲染后加载并绘制高亮
+     * @param {Object} article - 文章对象
+     */
+    async attach(article) {
+        this.article = article;
+        this.highlights = [];
+        try {
+            const highlights = await FeedManager.getArticleHighlights(article.id);
+            // 异步返回时可能已切换到其他文章
+            if (this.article !== article) return;
+            this.highlights = highlights;
+            this.repaint();
+        } catch (err) {
+            console.error('Load highlights error:', err);
+        }
+    },
+
+    /**
+     * 离开文章（打开简报或高亮列表）时停止高亮交互
+     */
+    detach() {
+        this.article = null;
+        this.highlights = [];
+        this._hidePopover();
+    },
+
+    /**
+     * 重新绘制当前文章的全部高亮（正文被替换后调用）
+     */
+    repaint() {
+        const body = this._getBody();
+        if (!body || !this.article) return;
+
+        Highlighter.unwrap(body);
+        this.highlights.forEach(highlight => this._paint(body, highlight));
+
+        if (this.pendingFocusId) {
+            const mark = body.querySelector(`mark.${HIGHLIGHT_CLASS}[data-highlight-id="${this.pendingFocusId}"]`);
+            if (mark) mark.scrollIntoView({ block: 'center' });
+            this.pendingFocusId = null;
+        }
+    },
+
+    _paint(body, highlight) {
+        // 原文已变化、找不到引用文本时不绘制，高亮仍保留在列表中
+        const span = Highlighter.locate(body, highlight);
+        if (!span) return;
+
+        Highlighter.wrap(body, span, highlight.id).forEach(mark => {
+            if (highlight.note) {
+                mark.classList.add('has-note');
+                mark.title = highlight.note;
+            }
+        });
+    },
+
+    _bindEvents() {
+        document.addEventListener('selectionchange', () => {
+            clearTimeout(this.selectionTimer);
+            this.selectionTimer = setTimeout(() => this._onSelectionChange(), SELECTION_DEBOUNCE_MS);
+        });
+
+        DOMElements.articleContent?.addEventListener('scroll', () => this._hidePopover(), { passive: true });
+
+        DOMElements.articleContent?.addEventListener('click', (e) => {
+            const mark = e.target.closest(`mark.${HIGHLIGHT_CLASS}`);
+            if (!mark || !this.article) return;
+            // 正在选择文本时不打开菜单
+            if (!window.getSelection()?.isCollapsed) return;
+
+            e.preventDefault();
+            this.showHighlightMenu(e, mark.dataset.highlightId);
+        });
+    },
+
+    _getSelectionRange() {
+        const body = this._getBody();
+        const selection = window.getSelection();
+        if (!this.article || !body || !selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+        const range = selection.getRangeAt(0);
+        return body.contains(range.commonAncestorContainer) ? range : null;
+    },
+
+    _onSelectionChange() {
+        const range = this._getSelectionRange();
+        if (range) {
+            this._showPopover(range);
+        } else {
+            this._hidePopover();
+        }
+    },
+
+    _showPopover(range) {
+        if (!this.popover) {
+            this.popover = document.createElement('div');
+            this.popover.className = 'highlight-popover';
+            this.popover.innerHTML = `
+                <button class="highlight-popover-btn" data-action="highlight">
+                    ${Icons.highlight}
+                    <span>${i18n.t('highlights.highlight')}</span>
+                </button>
+                <button class="highlight-popover-btn" data-action="note">
+                    ${Icons.edit}
+                    <span>${i18n.t('highlights.add_note')}</span>
+                </button>
+            `;
+            // 阻止按下按钮时清除选区
+            this.popover.addEventListener('mousedown', (e) => e.preventDefault());
+            this.popover.addEventListener('click', (e) => {
+                const btn = e.target.closest('.highlight-popover-btn');
+                if (btn) this.createFromSelection(btn.dataset.action === 'note');
+            });
+            document.body.appendChild(this.popover);
+        }
+
+        this.popover.style.display = 'flex';
+        const rect = range.getBoundingClientRect();
+        const width = this.popover.offsetWidth;
+        const height = this.popover.offsetHeight;
+
+        let top = rect.top - height - 8;
+        if (top < 8) top = rect.bottom + 8;
+        const left = Math.min(Math.max(8, rect.left + rect.width / 2 - width / 2), window.innerWidth - width - 8);
+
+        this.popover.style.top = `${top}px`;
+        this.popover.style.left = `${left}px`;
+    },
+
+    _hidePopover() {
+        if (this.popover) this.popover.style.display = 'none';
+    },
+
+    /**
+     * 将当前选区保存为高亮
+     * @param {boolean} withNote - 是否先填写批注
+     */
+    async createFromSelection(withNote = false) {
+        const range = this._getSelectionRange();
+        const body = this._getBody();
+        if (!range) return;
+
+        const article = this.article;
+        // 弹出输入框会清除选区，先记录选择器
+        const selector = Highlighter.describe(body, range);
+        this._hidePopover();
+        if (!selector) return;
+
+        let note = '';
+        if (withNote) {
+            note = await Modal.prompt(i18n.t('highlights.note_prompt'));
+            if (note === null) return;
+        }
+
+        try {
+            const highlight = await FeedManager.addArticleHighlight(article.id, { ...selector, note });
+            window.getSelection()?.removeAllRanges();
+            if (this.article !== article) return;
+
+            this.highlights.push(highlight);
+            this._paint(this._getBody(), highlight);
+        } catch (err) {
+            showToast(err.message);
+        }
+    },
+
+    /**
+     * 编辑批注
+     * @param {Object} highlight
+     * @returns {Promise<Object|null>} 更新后的高亮，取消时返回 null
+     */
+    async editNote(highlight) {
+        const note = await Modal.prompt(i18n.t('highlights.note_prompt'), escapeHtml(highlight.note || ''));
+        if (note === null) return null;
+
+        try {
+            return await FeedManager.updateHighlightNote(highlight.id, note);
+        } catch (err) {
+            await Modal.alert(err.message);
+            return null;
+        }
+    },
+
+    /**
+     * 确认后删除高亮
+     * @returns {Promise<boolean>}
+     */
+    async confirmDelete(highlight) {
+        if (!await Modal.confirm(i18n.t('highlights.confirm_delete'))) return false;
+
+        try {
+            await FeedManager.deleteHighlight(highlight.id);
+            return true;
+        } catch (err) {
+            await Modal.alert(err.message);
+            return false;
+        }
+    },
+
+    /**
+     * 正文中点击高亮时的菜单
+     * @param {MouseEvent} event
+     * @param {string} highlightId
+     */
+    showHighlightMenu(event, highlightId) {
+        const highlight = this.highlights.find(h => h.id === highlightId);
+        if (!highlight) return;
+
+        const html = `
+            <div class="context-menu-item" data-action="edit-note">
+                ${Icons.edit}
+                ${highlight.note ? i18n.t('highlights.edit_note') : i18n.t('highlights.add_note')}
+            </div>
+            <div class="context-menu-divider"></div>
+            <div class="context-menu-item danger" data-action="delete">
+                ${Icons.delete}
+                ${i18n.t('highlights.delete')}
+            </div>
+        `;
+
+        const { menu, cleanup } = createContextMenu(event, html);
+
+        menu.addEventListener('click', async (e) => {
+            const item = e.target.closest('.context-menu-item');
+            if (!item) return;
+
+            const action = item.dataset.action;
+            cleanup();
+
+            if (action === 'edit-note') {
+                const updated = await this.editNote(highlight);
+                if (updated) {
+                    Object.assign(highlight, updated);
+                    this.repaint();
+                }
+            } else if (action === 'delete') {
+                if (await this.confirmDelete(highlight)) {
+                    this.highlights = this.highlights.filter(h => h.id !== highlightId);
+                    const body = this._getBody();
+                    if (body) Highlighter.unwrap(body, highlightId);
+                }
+            }
+        });
+    },
+
+    // ==================== 高亮列表页 ====================
+
+    /**
+     * 在内容面板中渲染全部高亮，按文章分组（最近高亮的文章在前）
+     */
+    async render() {
+        this.detach();
+        DOMElements.articleContent.innerHTML = `<div class="loading" style="padding: 40px; text-align: center;">${i18n.t('common.loading')}</div>`;
+        DOMElements.articleContent.scrollTop = 0;
+
+        let highlights;
+        try {
+            highlights = await FeedManager.getHighlights();
+        } catch (err) {
+            DOMElements.articleContent.innerHTML = `<div class="error-msg" style="padding: 40px; text-align: center; color: red;">${escapeHtml(err.message)}</div>`;
+            return;
+        }
+
+        // 渲染期间已打开其他页面
+        if (window.location.hash !== '#/highlights') return;
+
+        const groups = new Map();
+        highlights.forEach(h => {
+            if (!groups.has(h.entryId)) groups.set(h.entryId, []);
+            groups.get(h.entryId).push(h);
+        });
+
+        const groupsHtml = Array.from(groups.values()).map(items => {
+            const first = items[0];
+            items.sort((a, b) => a.position.start - b.position.start);
+            return `
+                <section class="highlight-group">
+                    <h3 class="highlight-group-title" data-entry-id="${first.entryId}">${escapeHtml(first.articleTitle || String(first.entryId))}</h3>
+                    ${first.feedTitle ? `<div class="highlight-group-feed">${escapeHtml(first.feedTitle)}</div>` : ''}
+                    ${items.map(h => `
+                        <div class="highlight-item" data-highlight-id="${escapeHtml(h.id)}">
+                            <blockquote class="highlight-quote" data-entry-id="${h.entryId}">${escapeHtml(h.quote.exact)}</blockquote>
+                            ${h.note ? `<div class="highlight-note">${escapeHtml(h.note)}</div>` : ''}
+                            <div class="highlight-item-actions">
+                                <button class="highlight-action-btn" data-action="edit-note" title="${h.note ? i18n.t('highlights.edit_note') : i18n.t('highlights.add_note')}">${Icons.edit}</button>
+                                <button class="highlight-action-btn" data-action="delete" title="${i18n.t('highlights.delete')}">${Icons.delete}</button>
+                            </div>
+                        </div>
+                    `).join('')}
+                </section>
+            `;
+        }).join('');
+
+        DOMElements.articleContent.innerHTML = `
+            <div class="article-toolbar">
+                <div class="article-toolbar-left">
+                    <button class="article-toolbar-btn" id="article-back-btn" title="${i18n.t('common.close')}">
+                        ${Icons.arrow_back}
+                    </button>
+                </div>
+                <div class="article-toolbar-right">
+                    <button class="article-toolbar-btn" id="highlights-export-btn" title="${i18n.t('highlights.export')}" ${highlights.length === 0 ? 'disabled' : ''}>
+                        ${Icons.download}
+                    </button>
+                </div>
+            </div>
+            <header class="article-header">
+                <h1>${i18n.t('highlights.title')}</h1>
+                <div class="article-header-info" style="color: var(--text-secondary); font-size: 14px; margin-top: 16px;">
+                    ${i18n.t('highlights.count', { count: highlights.length })}
+                </div>
+            </header>
+            <div class="highlights-page">
+                ${highlights.length > 0 ? groupsHtml : `<div class="empty-msg" style="padding: 40px 0; text-align: center; color: var(--meta-color);">${i18n.t('highlights.empty')}</div>`}
+            </div>
+        `;
+
+        this._bindPageEvents(highlights);
+    },
+
+    _bindPageEvents(highlights) {
+        const container = DOMElements.articleContent;
+
+        container.querySelector('#article-back-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.location.hash = this.viewManager.getListHash();
+        });
+
+        container.querySelector('#highlights-export-btn')?.addEventListener('click', () => this.exportMarkdown());
+
+        container.querySelector('.highlights-page')?.addEventListener('click', async (e) => {
+            const title = e.target.closest('.highlight-group-title');
+            const quote = e.target.closest('.highlight-quote');
+            if (title || quote) {
+                if (quote) this.pendingFocusId = quote.closest('.highlight-item').dataset.highlightId;
+                this.viewManager.selectArticle((title || quote).dataset.entryId);
+                return;
+            }
+
+            const btn = e.target.closest('.highlight-action-btn');
+            if (!btn) return;
+
+            const highlight = highlights.find(h => h.id === btn.closest('.highlight-item').dataset.highlightId);
+            if (!highlight) return;
+
+            if (btn.dataset.action === 'edit-note') {
+                if (await this.editNote(highlight)) this.render();
+            } else if (btn.dataset.action === 'delete') {
+                if (await this.confirmDelete(highlight)) this.render();
+            }
+        });
+    },
+
+    async exportMarkdown() {
+        try {
+            const blob = await FeedManager.exportHighlights();
+            downloadBlob(blob, 'tidyflux_highlights.md');
+        } catch (err) {
+            await Modal.alert(err.message);
+        }
+    }
+};
@@ -4,6 +4,9 @@ import { AppState } from '../../state.js';
 import { DOMElements } from '../../dom.js';
 import { ArticlesView } from './articles-view.js';
 import { Icons } from '../icons.js';
+import { Dialogs } from './dialogs.js';
+import { Modal } from './components.js';
+import { escapeHtml, showToast } from './utils.js';
 
 /**
  * 搜索功能常量配置
@@ -15,11 +18,14 @@ const SEARCH_CONFIG = {
     CALIBRATION_DELAY_MS: 50   // 滚动校准延迟
 };
 
+const TITLE_BUTTON_STYLE = 'margin-left: 8px; width: 24px; height: 24px; min-width: 24px; display: inline-flex; align-items: center; justify-content: center; vertical-align: middle; padding: 0; background: none; border: none; cursor: pointer; color: inherit; opacity: 0.7;';
+
 /**
  * 搜索状态
  */
 const searchState = {
     lastQuery: '',
+    lastSavedSearchId: null,
     lastResults: null,
     lastPage: 1,
     hasMore: false,
@@ -67,7 +73,7 @@ export const SearchView = {
         const searchBox = document.createElement('div');
         searchBox.className = 'inline-search-box';
         searchBox.innerHTML = `
-            <input type="text" id="inline-search-input" placeholder="${i18n.t('nav.search_placeholder')}" autofocus>
+            <input type="text" id="inline-search-input" placeholder="${i18n.t('nav.search_placeholder')}" title="${i18n.t('nav.search_syntax_hint')}" autofocus>
             <button class="search-confirm-btn" title="${i18n.t('common.search')}">
                 ${Icons.search}
             </button>
@@ -119,68 +125,12 @@ export const SearchView = {
 
             close();
 
-            // 设置搜索模式
-            AppState.isSearchMode = true;
-            AppState.searchQuery = query;
-            AppState.currentFeedId = null;
-            AppState.currentGroupId = null;
-            AppState.viewingFavorites = false;
+            this._enterSearchMode(query);
 
             // 更新 URL
             history.replaceState(null, '', `#/search?q=${encodeURIComponent(query)}`);
 
-            // 更新标题
-            this.updateSearchTitle(query);
-
-            // 清除侧边栏选中状态
-            document.querySelectorAll('.nav-item, .feed-item, .feed-item-btn, .feed-group-name').forEach(el => el.classList.remove('active'));
-
-            // 显示加载状态
-            DOMElements.articlesList.innerHTML = `<div class="loading">${i18n.t('common.searching')}</div>`;
-
-            // 清理虚拟列表
-            if (ArticlesView.virtualList) {
-                ArticlesView.virtualList.destroy();
-                ArticlesView.virtualList = null;
-            }
-            ArticlesView.useVirtualScroll = false;
-
-            try {
-                const data = await FeedManager.searchArticles(query, 1);
-                const articles = data.articles || [];
-
-                // 更新搜索状态
-                searchState.lastQuery = query;
-                searchState.lastResults = articles;
-                searchState.lastPage = 1;
-                searchState.hasMore = data.pagination && data.pagination.hasMore;
-                searchState.total = data.pagination ? data.pagination.total : 0;
-
-                AppState.articles = articles;
-                AppState.pagination = {
-                    page: 1,
-                    limit: SEARCH_CONFIG.PAGINATION_LIMIT,
-                    total: searchState.total,
-                    hasMore: searchState.hasMore,
-                    totalPages: Math.ceil(searchState.total / SEARCH_CONFIG.PAGINATION_LIMIT)
-                };
-
-                // 渲染结果
-                if (articles.length === 0) {
-                    DOMElements.articlesList.innerHTML = `
-                        <div class="empty-content" style="flex-direction: column; gap: 8px;">
-                            ${Icons.search_large}
-                            <p>${i18n.t('article.no_results')}</p>
-                        </div>
-                    `;
-                } else {
-                    ArticlesView.renderArticlesList(articles);
-                    // 无限滚动会自动处理加载更多
-                }
-            } catch (error) {
-                console.error('Search error:', error);
-                DOMElements.articlesList.innerHTML = `<div class="error-msg">${i18n.t('common.search_failed')}</div>`;
-            }
+            await this._loadResults(query);
         };
 
         // 事件绑定
@@ -207,17 +157,51 @@ export const SearchView = {
      */
     exitSearch() {
         AppState.searchQuery = '';
+        AppState.savedSearchId = null;
         window.location.hash = '#/all';
     },
 
+    /**
+     * 设置搜索模式状态、标题与侧边栏选中状态
+     * @param {string} query - 搜索关键词
+     * @param {Object} [savedSearch] - 打开的保存的搜索
+     */
+    _enterSearchMode(query, savedSearch = null) {
+        AppState.isSearchMode = true;
+        AppState.searchQuery = query;
+        AppState.savedSearchId = savedSearch ? savedSearch.id : null;
+        AppState.currentFeedId = null;
+        AppState.currentGroupId = null;
+        AppState.currentTagId = null;
+        AppState.viewingFavorites = false;
+        AppState.viewingDigests = false;
+
+        this.updateSearchTitle(query, savedSearch);
+
+        // 清除侧边栏选中状态
+        document.querySelectorAll('.nav-item, .feed-item, .feed-item-btn, .feed-group-name').forEach(el => el.classList.remove('active'));
+        if (savedSearch) {
+            this.viewManager.updateSidebarActiveState({ savedSearchId: savedSearch.id });
+        }
+    },
+
     /**
      * 更新搜索标题
      * @param {string} query - 搜索关键词
+     * @param {Object} [savedSearch] - 打开的保存的搜索，显示其名称与编辑按钮
      */
-    updateSearchTitle(query) {
+    updateSearchTitle(query, savedSearch = null) {
+        const label = savedSearch
+            ? `<span class="search-query-text" title="${escapeHtml(query)}">${escapeHtml(savedSearch.name)}</span>`
+            : `${i18n.t('common.search')}: <span class="search-query-text">${escapeHtml(query)}</span>`;
+        const saveTitle = savedSearch ? i18n.t('saved_search.edit') : i18n.t('saved_search.save');
+
         DOMElements.currentFeedTitle.innerHTML = `
-            ${i18n.t('common.search')}: <span class="search-query-text">${query}</span>
-            <button id="exit-search-btn" class="icon-btn" style="margin-left: 8px; width: 24px; height: 24px; min-width: 24px; display: inline-flex; align-items: center; justify-content: center; vertical-align: middle; padding: 0; background: none; border: none; cursor: pointer; color: inherit; opacity: 0.7;" title="${i18n.t('common.close')}">
+            ${label}
+            <button id="save-search-btn" class="icon-btn" style="${TITLE_BUTTON_STYLE}" title="${saveTitle}">
+                ${savedSearch ? Icons.edit : Icons.bookmark}
+            </button>
+            <button id="exit-search-btn" class="icon-btn" style="${TITLE_BUTTON_STYLE}" title="${i18n.t('common.close')}">
                 ${Icons.close}
             </button>
         `;
@@ -230,6 +214,13 @@ export const SearchView = {
                     this.exitSearch();
                 });
             }
+            const saveBtn = document.getElementById('save-search-btn');
+            if (saveBtn) {
+                saveBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.showSaveSearchDialog(savedSearch || { query });
+                });
+            }
         });
     },
 
@@ -240,55 +231,86 @@ export const SearchView = {
     async restoreSearch(query) {
         if (!query) return;
 
-        // 设置搜索模式
-        AppState.isSearchMode = true;
-        AppState.searchQuery = query;
-        AppState.currentFeedId = null;
-        AppState.currentGroupId = null;
-        AppState.viewingFavorites = false;
+        this._enterSearchMode(query);
 
-        // 更新标题
-        this.updateSearchTitle(query);
+        // 如果 AppState 中已有该查询的搜索结果，直接使用（包括加载更多后的所有文章）
+        if (searchState.lastQuery === query && !searchState.lastSavedSearchId && AppState.articles && AppState.articles.length > 0) {
+            this._restoreCachedResults();
+            return;
+        }
 
-        // 清除侧边栏选中状态
-        document.querySelectorAll('.nav-item, .feed-item, .feed-item-btn, .feed-group-name').forEach(el => el.classList.remove('active'));
+        await this._loadResults(query);
+    },
 
-        // 如果 AppState 中已有该查询的搜索结果，直接使用（包括加载更多后的所有文章）
-        if (searchState.lastQuery === query && AppState.articles && AppState.articles.length > 0) {
-            // 检查列表是否需要重新渲染：如果为空或显示loading，则渲染
-            const listEl = DOMElements.articlesList;
-            const isEmpty = listEl.children.length === 0 || listEl.querySelector('.loading');
-
-            // 只有当需要时才重新渲染，避免不必要的 DOM 重建导致的闪烁和位置丢失
-            if (isEmpty || (ArticlesView.useVirtualScroll && !ArticlesView.virtualList)) {
-                ArticlesView.renderArticlesList(AppState.articles);
-            }
+    /**
+     * 打开保存的搜索 #/search/:id
+     * 从文章返回时沿用已加载的结果，从侧边栏点击时重新搜索
+     * @param {string} id - 保存的搜索 ID
+     */
+    async openSavedSearch(id) {
+        const savedSearch = this.getSavedSearch(id);
+        if (!savedSearch) {
+            showToast(i18n.t('saved_search.not_found'));
+            window.location.hash = '#/all';
+            return;
+        }
 
-            // 恢复滚动位置
-            // 恢复滚动位置 - 使用多阶段恢复以确保准确性
-            if (AppState.lastListViewScrollTop !== null) {
-                // 第一阶段：立即尝试恢复（减少视觉跳变）
-                requestAnimationFrame(() => {
-                    if (ArticlesView.useVirtualScroll && ArticlesView.virtualList) {
-                        ArticlesView.virtualList.setScrollTop(AppState.lastListViewScrollTop);
-                    } else if (DOMElements.articlesList) {
-                        DOMElements.articlesList.scrollTop = AppState.lastListViewScrollTop;
-                    }
-                });
+        const forceRefresh = this.viewManager.forceRefreshList;
+        this.viewManager.forceRefreshList = false;
 
-                // 第二阶段：延时再次校准（等待布局完全稳定）
-                setTimeout(() => {
-                    if (ArticlesView.useVirtualScroll && ArticlesView.virtualList) {
-                        ArticlesView.virtualList.setScrollTop(AppState.lastListViewScrollTop);
-                        ArticlesView.virtualList.render(); // 强制重绘一次以修正可能的空白
-                    } else if (DOMElements.articlesList) {
-                        DOMElements.articlesList.scrollTop = AppState.lastListViewScrollTop;
-                    }
-                }, SEARCH_CONFIG.CALIBRATION_DELAY_MS);
-            }
+        this._enterSearchMode(savedSearch.query, savedSearch);
+
+        if (!forceRefresh && searchState.lastSavedSearchId === id && searchState.lastQuery === savedSearch.query &&
+            AppState.articles && AppState.articles.length > 0) {
+            this._restoreCachedResults();
             return;
         }
 
+        await this._loadResults(savedSearch.query, savedSearch);
+    },
+
+    /**
+     * 使用已加载的搜索结果恢复列表与滚动位置
+     */
+    _restoreCachedResults() {
+        // 检查列表是否需要重新渲染：如果为空或显示loading，则渲染
+        const listEl = DOMElements.articlesList;
+        const isEmpty = listEl.children.length === 0 || listEl.querySelector('.loading');
+
+        // 只有当需要时才重新渲染，避免不必要的 DOM 重建导致的闪烁和位置丢失
+        if (isEmpty || (ArticlesView.useVirtualScroll && !ArticlesView.virtualList)) {
+            ArticlesView.renderArticlesList(AppState.articles);
+        }
+
+        // 恢复滚动位置 - 使用多阶段恢复以确保准确性
+        if (AppState.lastListViewScrollTop !== null) {
+            // 第一阶段：立即尝试恢复（减少视觉跳变）
+            requestAnimationFrame(() => {
+                if (ArticlesView.useVirtualScroll && ArticlesView.virtualList) {
+                    ArticlesView.virtualList.setScrollTop(AppState.lastListViewScrollTop);
+                } else if (DOMElements.articlesList) {
+                    DOMElements.articlesList.scrollTop = AppState.lastListViewScrollTop;
+                }
+            });
+
+            // 第二阶段：延时再次校准（等待布局完全稳定）
+            setTimeout(() => {
+                if (ArticlesView.useVirtualScroll && ArticlesView.virtualList) {
+                    ArticlesView.virtualList.setScrollTop(AppState.lastListViewScrollTop);
+                    ArticlesView.virtualList.render(); // 强制重绘一次以修正可能的空白
+                } else if (DOMElements.articlesList) {
+                    DOMElements.articlesList.scrollTop = AppState.lastListViewScrollTop;
+                }
+            }, SEARCH_CONFIG.CALIBRATION_DELAY_MS);
+        }
+    },
+
+    /**
+     * 加载并渲染第一页搜索结果
+     * @param {string} query - 搜索关键词
+     * @param {Object} [savedSearch] - 保存的搜索，附加其筛选条件
+     */
+    async _loadResults(query, savedSearch = null) {
         // 显示加载状态
         DOMElements.articlesList.innerHTML = `<div class="loading">${i18n.t('common.searching')}</div>`;
 
@@ -300,11 +322,12 @@ export const SearchView = {
         ArticlesView.useVirtualScroll = false;
 
         try {
-            const data = await FeedManager.searchArticles(query, 1);
+            const data = this.toListResult(await FeedManager.searchArticles(query, 1, this.getSearchFilters(savedSearch)));
             const articles = data.articles || [];
 
             // 更新搜索状态
             searchState.lastQuery = query;
+            searchState.lastSavedSearchId = savedSearch ? savedSearch.id : null;
             searchState.lastResults = articles;
             searchState.lastPage = 1;
             searchState.hasMore = data.pagination && data.pagination.hasMore;
@@ -323,19 +346,105 @@ export const SearchView = {
             if (articles.length === 0) {
                 DOMElements.articlesList.innerHTML = `
                     <div class="empty-content" style="flex-direction: column; gap: 8px;">
-                    ${Icons.search_large}
+                        ${Icons.search_large}
                         <p>${i18n.t('article.no_results')}</p>
                     </div>
                 `;
             } else {
                 ArticlesView.renderArticlesList(articles);
+                // 无限滚动会自动处理加载更多
             }
         } catch (error) {
-            console.error('Search restore error:', error);
+            console.error('Search error:', error);
             DOMElements.articlesList.innerHTML = `<div class="error-msg">${i18n.t('common.search_failed')}</div>`;
         }
     },
 
+    /**
+     * 保存的搜索附加的筛选条件（加载更多时使用当前打开的保存的搜索）
+     * @param {Object} [savedSearch]
+     * @returns {Object} { groupId, unreadOnly, after, before }
+     */
+    getSearchFilters(savedSearch = undefined) {
+        const source = savedSearch === undefined && AppState.savedSearchId
+            ? this.getSavedSearch(AppState.savedSearchId)
+            : savedSearch;
+        if (!source) return {};
+        return {
+            groupId: source.groupId || null,
+            unreadOnly: !!source.unreadOnly,
+            after: source.after || '',
+            before: source.before || ''
+        };
+    },
+
+    // ==================== 保存的搜索 ====================
+
+    getSavedSearch(id) {
+        return this.viewManager.getSavedSearches().find(s => s.id === id) || null;
+    },
+
+    /**
+     * 显示保存/编辑搜索对话框
+     * @param {Object} savedSearch - 已保存的搜索，或仅含 query 的新搜索
+     */
+    showSaveSearchDialog(savedSearch) {
+        Dialogs.showSavedSearchDialog(savedSearch, (data) => this.saveSavedSearch(data));
+    },
+
+    /**
+     * 新增或更新保存的搜索，并打开它
+     * @param {Object} data
+     */
+    async saveSavedSearch(data) {
+        const list = this.viewManager.getSavedSearches();
+        let newList;
+        if (data.id) {
+            newList = list.map(s => s.id === data.id ? data : s);
+        } else {
+            data.id = `search_${Date.now().toString(36)}`;
+            newList = [...list, data];
+        }
+
+        await this.viewManager.setSavedSearches(newList);
+        showToast(i18n.t('saved_search.saved'));
+        this.viewManager.selectSavedSearch(data.id);
+    },
+
+    /**
+     * 删除保存的搜索
+     * @param {string} id
+     */
+    async deleteSavedSearch(id) {
+        const savedSearch = this.getSavedSearch(id);
+        if (!savedSearch) return;
+        if (!await Modal.confirm(i18n.t('saved_search.confirm_delete', { name: savedSearch.name }))) return;
+
+        try {
+            await this.viewManager.setSavedSearches(this.viewManager.getSavedSearches().filter(s => s.id !== id));
+            if (AppState.isSearchMode && AppState.savedSearchId === id) {
+                this.exitSearch();
+            }
+        } catch (err) {
+            await Modal.alert(err.message);
+        }
+    },
+
+    /**
+     * 将搜索接口结果转换为文章列表可渲染的数据
+     * 结果包含文章与简报，标题与片段的高亮 HTML 由服务端生成（已转义）
+     * @param {{results: Array, pagination: Object}} data
+     * @returns {{articles: Array, pagination: Object}}
+     */
+    toListResult(data) {
+        const articles = (data.results || []).map(result => ({
+            ...result,
+            search_title_html: result.highlights?.title || '',
+            search_snippet: result.highlights?.snippet || ''
+        }));
+        return { articles, pagination: data.pagination };
+    },
+
     /**
      * 高亮搜索关键词
      */
@@ -1,4 +1,6 @@
 import { i18n } from '../i18n.js';
+import { AuthManager } from '../auth-manager.js';
+import { API_ENDPOINTS } from '../../constants.js';
 
 /**
  * UI 常量配置
@@ -165,6 +167,18 @@ export function getThumbnailUrl(originalUrl) {
     return originalUrl;
 }
 
+/**
+ * 生成订阅源图标 URL
+ * 图标请求无法携带 Authorization 头，附带图标令牌以便服务端选择该用户的 Miniflux 连接
+ * @param {string|number} feedId - 订阅源 ID
+ * @returns {string} 图标 URL
+ */
+export function getFaviconUrl(feedId) {
+    const token = AuthManager.getFaviconToken();
+    const base = `${API_ENDPOINTS.FAVICON.BASE}?feedId=${feedId}`;
+    return token ? `${base}&t=${encodeURIComponent(token)}` : base;
+}
+
 /**
  * 显示 Toast 提示
  * @param {string} message - 提示消息
@@ -354,6 +368,22 @@ export function createDialog(className, innerHTML) {
     return { dialog, close };
 }
 
+/**
+ * 以文件形式下载 Blob
+ * @param {Blob} blob - 文件内容
+ * @param {string} filename - 文件名，其中不能用于文件名的字符会被替换
+ */
+export function downloadBlob(blob, filename) {
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename.replace(/[\\/:*?"<>|]+/g, ' ').trim();
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
 /**
  * 简单的 Markdown 渲染器
  * @param {string} markdown - Markdown 文本
@@ -0,0 +1,128 @@
+/**
+ * Web Push Manager Module - 浏览器推送通知
+ * @module web-push-manager
+ */
+
+import { AuthManager } from './auth-manager.js';
+import { i18n } from './i18n.js';
+import { API_ENDPOINTS } from '../constants.js';
+
+// VAPID 公钥为 URL 安全的 base64，订阅时需转换为 Uint8Array
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(base64);
+    return Uint8Array.from(raw, c => c.charCodeAt(0));
+}
+
+export const WebPushManager = {
+    /**
+     * 监听 Service Worker 的通知点击消息，在已打开的窗口中跳转
+     */
+    init() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'OPEN_HASH' && event.data.hash) {
+                window.location.hash = event.data.hash;
+            }
+        });
+    },
+
+    isSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    },
+
+    async getSubscription() {
+        if (!this.isSupported()) return null;
+        const registration = await navigator.serviceWorker.ready;
+        return registration.pushManager.getSubscription();
+    },
+
+    /**
+     * 在当前设备开启推送：请求通知权限、创建订阅并保存到服务器
+     */
+    async enable() {
+        if (!this.isSupported()) {
+            throw new Error(i18n.t('webpush.unsupported'));
+        }
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            throw new Error(i18n.t('webpush.permission_denied'));
+        }
+
+        const keyResponse = await AuthManager.fetchWithAuth(API_ENDPOINTS.PUSH.VAPID_PUBLIC_KEY);
+        if (!keyResponse.ok) {
+            throw new Error(i18n.t('webpush.enable_failed'));
+        }
+        const { publicKey } = await keyResponse.json();
+
+        const registration = await navigator.serviceWorker.ready;
+        let subscription = await registration.pushManager.getSubscription();
+
+        // 服务器密钥变化后旧订阅无法使用，需要重新订阅
+        const applicationServerKey = urlBase64ToUint8Array(publicKey);
+        if (subscription && subscription.options?.applicationServerKey) {
+            const currentKey = new Uint8Array(subscription.options.applicationServerKey);
+            if (currentKey.length !== applicationServerKey.length || currentKey.some((b, i) => b !== applicationServerKey[i])) {
+                await subscription.unsubscribe();
+                subscription = null;
+            }
+        }
+
+        if (!subscription) {
+            subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey
+            });
+        }
+
+        const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.PUSH.SUBSCRIBE, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ subscription: subscription.toJSON() })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('webpush.enable_failed'));
+        }
+
+        return true;
+    },
+
+    /**
+     * 关闭当前设备的推送
+     */
+    async disable() {
+        const subscription = await this.getSubscription();
+        if (!subscription) return true;
+
+        await AuthManager.fetchWithAuth(API_ENDPOINTS.PUSH.UNSUBSCRIBE, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint: subscription.endpoint })
+        });
+        await subscription.unsubscribe();
+        return true;
+    },
+
+    /**
+     * 向当前用户的所有设备发送测试通知
+     * @returns {Promise<{sent: number, failed: number}>}
+     */
+    async sendTest() {
+        const response = await AuthManager.fetchWithAuth(API_ENDPOINTS.PUSH.TEST, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: i18n.t('webpush.test_message') })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || i18n.t('webpush.test_failed'));
+        }
+
+        return data;
+    }
+};
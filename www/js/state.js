@@ -17,10 +17,12 @@ const state = {
     navigation: {
         feeds: [],
         groups: [],
+        tags: [],
         currentFeedId: null,
         currentGroupId: null,
         viewingFavorites: false,
         viewingDigests: false,
+        currentTagId: null,
     },
     // 内容与分页状态
     content: {
@@ -46,6 +48,7 @@ const state = {
     search: {
         isSearchMode: false,
         searchQuery: '',
+        savedSearchId: null,
     },
     // 内部观察者列表（不建议直接访问）
     _observers: {
@@ -61,16 +64,19 @@ const legacyMap = {
     isLoggedIn: ['user', 'isLoggedIn'],
     feeds: ['navigation', 'feeds'],
     groups: ['navigation', 'groups'],
+    tags: ['navigation', 'tags'],
     currentFeedId: ['navigation', 'currentFeedId'],
     currentGroupId: ['navigation', 'currentGroupId'],
     viewingFavorites: ['navigation', 'viewingFavorites'],
     viewingDigests: ['navigation', 'viewingDigests'],
+    currentTagId: ['navigation', 'currentTagId'],
     articles: ['content', 'articles'],
     pagination: ['content', 'pagination'],
     currentArticleId: ['content', 'currentArticleId'],
     showUnreadOnly: ['filter', 'showUnreadOnly'],
     isSearchMode: ['search', 'isSearchMode'],
     searchQuery: ['search', 'searchQuery'],
+    savedSearchId: ['search', 'savedSearchId'],
     preferences: ['user', 'preferences'],
     lastListViewScrollTop: ['ui', 'lastListViewScrollTop']
 };
@@ -1,4 +1,30 @@
-const CACHE_NAME = 'tidyflux-cache-v7.0';
+const CACHE_NAME = 'tidyflux-cache-v7.3';
+
+// 离线阅读：文章与待提交操作（outbox）存放在 IndexedDB，图片与接口响应存放在独立缓存
+const OFFLINE_DB_NAME = 'tidyflux-offline';
+const OFFLINE_DB_VERSION = 2;
+const OFFLINE_IMAGE_CACHE = 'tidyflux-offline-images';
+const OFFLINE_API_CACHE = 'tidyflux-offline-api';
+const KEEP_CACHES = [CACHE_NAME, OFFLINE_IMAGE_CACHE, OFFLINE_API_CACHE];
+
+// 离线时可回退到上次成功响应的只读接口
+const OFFLINE_API_PATHS = [
+  '/api/feeds',
+  '/api/groups',
+  '/api/preferences',
+  '/api/auth/miniflux-config',
+  '/api/auth/me',
+  '/api/digest/list'
+];
+
+const IMAGE_FETCH_CONCURRENCY = 4;
+
+// outbox：失败后按指数退避重试，并通过 Background Sync 在后台提交
+const OUTBOX_SYNC_TAG = 'tidyflux-outbox';
+const OUTBOX_BASE_DELAY_MS = 5000;
+const OUTBOX_MAX_DELAY_MS = 10 * 60 * 1000;
+// 这些状态码视为暂时性错误，操作进入 outbox 稍后重试
+const OUTBOX_RETRY_STATUS = [502, 503, 504];
 
 const URLS_TO_CACHE = [
   '/',
@@ -42,7 +68,75 @@ self.addEventListener('install', event => {
 self.addEventListener('message', event => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
+    return;
   }
+
+  // 离线阅读相关消息，结果通过 MessageChannel 返回
+  const handlers = {
+    OFFLINE_SYNC: data => syncOfflineArticles(data.token, data.perGroup),
+    OUTBOX_FLUSH: data => flushOutbox(data.token),
+    OFFLINE_STATUS: () => getOfflineStatus(),
+    OFFLINE_CLEAR: () => clearOfflineData()
+  };
+  const handler = event.data && handlers[event.data.type];
+  if (!handler) return;
+
+  const port = event.ports && event.ports[0];
+  event.waitUntil(
+    handler(event.data)
+      .then(result => port && port.postMessage({ ok: true, result }))
+      .catch(err => port && port.postMessage({ ok: false, error: err.message }))
+  );
+});
+
+// Background Sync：网络恢复后由浏览器唤起，即使页面已关闭
+self.addEventListener('sync', event => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+  event.waitUntil(
+    flushOutbox().then(summary => {
+      // 抛出错误让浏览器稍后再次触发 sync
+      if (summary.failed > 0) throw new Error('Outbox flush incomplete');
+    })
+  );
+});
+
+// Web Push：显示简报完成等通知
+self.addEventListener('push', event => {
+  let data = {};
+  if (event.data) {
+    try {
+      data = event.data.json();
+    } catch (err) {
+      data = { body: event.data.text() };
+    }
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Tidyflux', {
+      body: data.body || '',
+      icon: '/icons/icon-192x192.png',
+      badge: '/icons/icon-192x192.png',
+      tag: data.tag,
+      data: { url: data.url || '/' }
+    })
+  );
+});
+
+// 点击通知：优先复用已打开的窗口并跳转到对应页面
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const target = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin);
+
+  event.waitUntil((async () => {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = clientList.find(c => new URL(c.url).origin === target.origin);
+    if (client) {
+      await client.focus();
+      client.postMessage({ type: 'OPEN_HASH', hash: target.hash });
+      return;
+    }
+    await self.clients.openWindow(target.href);
+  })());
 });
 
 self.addEventListener('activate', event => {
@@ -51,7 +145,7 @@ self.addEventListener('activate', event => {
       const cacheNames = await caches.keys();
       await Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
+          if (!KEEP_CACHES.includes(cacheName)) {
             return caches.delete(cacheName);
           }
         })
@@ -65,11 +159,41 @@ self.addEventListener('fetch', event => {
   const { request } = event;
   const url = new URL(request.url);
 
+  // 已读/收藏操作：离线时写入队列，联网后重放
+  if (url.origin === self.location.origin && getArticleMutation(request.method, url.pathname)) {
+    event.respondWith(handleArticleMutation(request, url));
+    return;
+  }
+
   // Ignore non-GET requests
   if (request.method !== 'GET') {
     return;
   }
 
+  if (url.origin === self.location.origin) {
+    if (url.pathname === '/api/articles' || /^\/api\/articles\/\d+$/.test(url.pathname)) {
+      event.respondWith(handleArticleRequest(request, url));
+      return;
+    }
+
+    if (OFFLINE_API_PATHS.includes(url.pathname)) {
+      event.respondWith(
+        fetch(request)
+          .then(response => {
+            if (response && response.ok) {
+              const responseToCache = response.clone();
+              caches.open(OFFLINE_API_CACHE).then(cache => cache.put(url.pathname, responseToCache));
+            }
+            return response;
+          })
+          .catch(() => caches.open(OFFLINE_API_CACHE)
+            .then(cache => cache.match(url.pathname))
+            .then(cached => cached || Response.error()))
+      );
+      return;
+    }
+  }
+
   if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
     event.respondWith(
       caches.match(request).then(cachedResponse => {
@@ -170,3 +294,549 @@ self.addEventListener('fetch', event => {
     );
   }
 });
+
+// ==================== 离线阅读 ====================
+
+function openOfflineDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('articles')) {
+        const store = db.createObjectStore('articles', { keyPath: 'id' });
+        store.createIndex('group_id', 'group_id');
+        store.createIndex('feed_id', 'feed_id');
+      }
+      if (!db.objectStoreNames.contains('meta')) {
+        db.createObjectStore('meta', { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains('outbox')) {
+        // 以「文章 + 字段」为主键，同一篇文章的重复切换只保留最后一次
+        const outbox = db.createObjectStore('outbox', { keyPath: 'key' });
+
+        // 迁移旧版离线队列
+        if (db.objectStoreNames.contains('actions')) {
+          const legacy = req.transaction.objectStore('actions');
+          legacy.getAll().onsuccess = e => {
+            e.target.result.forEach(action => outbox.put(createOutboxEntry(action, action.queuedAt)));
+            db.deleteObjectStore('actions');
+          };
+        }
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(storeName, mode, callback) {
+  const db = await openOfflineDB();
+  try {
+    const tx = db.transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = await callback(tx.objectStore(storeName));
+    await done;
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'X-Tidyflux-Offline': '1', ...headers }
+  });
+}
+
+function authHeaders(token) {
+  return { 'Authorization': token ? `Bearer ${token}` : '' };
+}
+
+async function notifyClients(message) {
+  const clientList = await self.clients.matchAll({ type: 'window' });
+  clientList.forEach(client => client.postMessage(message));
+}
+
+/**
+ * 解析已读/收藏类写操作
+ * @returns {Array<{type: string, articleId?: number}>|null} batch-read 需要读取请求体后再补全 ID
+ */
+function getArticleMutation(method, pathname) {
+  if (method === 'POST' && pathname === '/api/articles/batch-read') {
+    return [{ type: 'read' }];
+  }
+  const match = pathname.match(/^\/api\/articles\/(\d+)\/(read|favorite)$/);
+  if (!match || (method !== 'POST' && method !== 'DELETE')) return null;
+
+  const articleId = parseInt(match[1]);
+  if (match[2] === 'read') {
+    return [{ type: method === 'POST' ? 'read' : 'unread', articleId }];
+  }
+  return [{ type: method === 'POST' ? 'favorite' : 'unfavorite', articleId }];
+}
+
+// 操作对应的文章字段与目标值
+function getActionTarget(type) {
+  switch (type) {
+    case 'read': return { field: 'is_read', value: 1 };
+    case 'unread': return { field: 'is_read', value: 0 };
+    case 'favorite': return { field: 'is_favorited', value: 1 };
+    case 'unfavorite': return { field: 'is_favorited', value: 0 };
+    default: return null;
+  }
+}
+
+function getActionRequest(action) {
+  const path = action.type === 'read' || action.type === 'unread' ? 'read' : 'favorite';
+  const method = action.type === 'read' || action.type === 'favorite' ? 'POST' : 'DELETE';
+  return { url: `/api/articles/${action.articleId}/${path}`, method };
+}
+
+// 同步更新离线缓存中的文章状态
+async function applyActionsToCache(actions) {
+  await withStore('articles', 'readwrite', async store => {
+    for (const action of actions) {
+      const article = await idbRequest(store.get(action.articleId));
+      const target = getActionTarget(action.type);
+      if (article && target) {
+        article[target.field] = target.value;
+        store.put(article);
+      }
+    }
+  });
+}
+
+function createOutboxEntry(action, queuedAt = Date.now()) {
+  const target = getActionTarget(action.type);
+  return {
+    key: `${action.articleId}:${target.field}`,
+    articleId: action.articleId,
+    type: action.type,
+    queuedAt,
+    attempts: 0,
+    nextAttemptAt: 0
+  };
+}
+
+async function getOutboxEntries() {
+  const entries = await withStore('outbox', 'readonly', store => idbRequest(store.getAll()));
+  return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+async function getOutboxSummary() {
+  const entries = await getOutboxEntries();
+  const retryAt = entries.filter(e => e.nextAttemptAt > 0).map(e => e.nextAttemptAt);
+  return {
+    pendingCount: entries.length,
+    nextAttemptAt: retryAt.length > 0 ? Math.min(...retryAt) : null
+  };
+}
+
+async function notifyOutboxChanged(extra = {}) {
+  const summary = await getOutboxSummary();
+  notifyClients({ type: 'OUTBOX_CHANGED', ...summary, ...extra });
+}
+
+// 保存最近一次请求使用的凭证，供 Background Sync 在无页面时提交
+async function saveAuthorization(value) {
+  if (!value) return;
+  await withStore('meta', 'readwrite', store => idbRequest(store.put({ key: 'authorization', value })));
+}
+
+async function getAuthorization() {
+  const record = await withStore('meta', 'readonly', store => idbRequest(store.get('authorization')));
+  return record ? record.value : null;
+}
+
+/**
+ * 写入 outbox：同一篇文章同一字段的操作会合并，只保留最后一次
+ */
+async function enqueueOutbox(actions) {
+  const queuedAt = Date.now();
+  await withStore('outbox', 'readwrite', async store => {
+    actions.forEach(action => store.put(createOutboxEntry(action, queuedAt)));
+  });
+  await applyActionsToCache(actions).catch(() => { });
+
+  if (self.registration.sync) {
+    self.registration.sync.register(OUTBOX_SYNC_TAG).catch(() => { });
+  }
+  await notifyOutboxChanged();
+}
+
+async function handleArticleMutation(request, url) {
+  let actions = getArticleMutation(request.method, url.pathname);
+  if (url.pathname === '/api/articles/batch-read') {
+    const body = await request.clone().json().catch(() => ({}));
+    actions = (Array.isArray(body.ids) ? body.ids : []).map(id => ({ type: 'read', articleId: parseInt(id) }));
+  }
+
+  await saveAuthorization(request.headers.get('Authorization')).catch(() => { });
+
+  // 同一篇文章已有待提交操作时必须排在其后，避免旧操作覆盖新操作
+  const pendingKeys = new Set((await getOutboxEntries().catch(() => [])).map(e => e.key));
+  if (actions.some(action => pendingKeys.has(createOutboxEntry(action).key))) {
+    await enqueueOutbox(actions);
+    flushOutbox().catch(() => { });
+    return jsonResponse({ success: true, queued: true }, 202);
+  }
+
+  let response;
+  try {
+    response = await fetch(request);
+  } catch (err) {
+    // 网络不可用：写入 outbox，先按成功处理
+    await enqueueOutbox(actions);
+    return jsonResponse({ success: true, queued: true }, 202);
+  }
+
+  if (OUTBOX_RETRY_STATUS.includes(response.status)) {
+    await enqueueOutbox(actions);
+    return jsonResponse({ success: true, queued: true }, 202);
+  }
+
+  if (response.ok) {
+    applyActionsToCache(actions).catch(() => { });
+  }
+  return response;
+}
+
+// 记录一次失败，按指数退避安排下次重试
+async function scheduleOutboxRetry(entry) {
+  const attempts = entry.attempts + 1;
+  const delay = Math.min(OUTBOX_BASE_DELAY_MS * 2 ** (attempts - 1), OUTBOX_MAX_DELAY_MS);
+  await withStore('outbox', 'readwrite', async store => {
+    // 等待期间可能已被新的操作替换
+    const current = await idbRequest(store.get(entry.key));
+    if (current && current.queuedAt === entry.queuedAt) {
+      store.put({ ...current, attempts, nextAttemptAt: Date.now() + delay });
+    }
+  });
+}
+
+async function removeOutboxEntry(entry) {
+  await withStore('outbox', 'readwrite', async store => {
+    const current = await idbRequest(store.get(entry.key));
+    if (current && current.queuedAt === entry.queuedAt) {
+      store.delete(entry.key);
+    }
+  });
+}
+
+/**
+ * 提交 outbox 中到期的操作
+ * 冲突处理：先获取服务器上的最新状态
+ * - 条目已不存在：丢弃
+ * - 已是目标状态：丢弃
+ * - 服务器在排队之后有更新（changed_at 更晚）：以服务器为准，丢弃
+ * - 否则：提交操作
+ * 网络错误时停止；服务器暂时性错误按退避重试；凭证失效时等待页面提供新凭证
+ */
+let outboxFlushing = null;
+
+function flushOutbox(token) {
+  if (!outboxFlushing) {
+    outboxFlushing = runOutboxFlush(token).finally(() => {
+      outboxFlushing = null;
+    });
+  }
+  return outboxFlushing;
+}
+
+async function runOutboxFlush(token) {
+  if (token) await saveAuthorization(`Bearer ${token}`);
+  const authorization = await getAuthorization();
+  const headers = { 'Authorization': authorization || '' };
+
+  const entries = await getOutboxEntries();
+  const summary = { applied: 0, skipped: 0, failed: 0 };
+  if (entries.length === 0 || !authorization) {
+    summary.failed = entries.length;
+    return summary;
+  }
+
+  const now = Date.now();
+  for (const entry of entries) {
+    if (entry.nextAttemptAt > now) {
+      summary.failed++;
+      continue;
+    }
+
+    let current;
+    try {
+      current = await fetch(`/api/articles/${entry.articleId}`, { headers });
+    } catch (err) {
+      await scheduleOutboxRetry(entry);
+      summary.failed++;
+      break;
+    }
+    if (current.status === 401 || current.status === 403) {
+      summary.failed++;
+      break;
+    }
+    if (current.status >= 500) {
+      await scheduleOutboxRetry(entry);
+      summary.failed++;
+      continue;
+    }
+
+    let apply = false;
+    let serverArticle = null;
+    if (current.ok) {
+      serverArticle = await current.json();
+      const target = getActionTarget(entry.type);
+      const changedAt = serverArticle.changed_at ? new Date(serverArticle.changed_at).getTime() : 0;
+      apply = serverArticle[target.field] !== target.value && changedAt <= entry.queuedAt;
+    }
+
+    if (apply) {
+      const { url, method } = getActionRequest(entry);
+      let response;
+      try {
+        response = await fetch(url, { method, headers });
+      } catch (err) {
+        await scheduleOutboxRetry(entry);
+        summary.failed++;
+        break;
+      }
+      if (response.status === 401 || response.status === 403) {
+        summary.failed++;
+        break;
+      }
+      if (response.status >= 500) {
+        await scheduleOutboxRetry(entry);
+        summary.failed++;
+        continue;
+      }
+      if (response.ok) {
+        summary.applied++;
+        await applyActionsToCache([entry]);
+      } else {
+        summary.skipped++;
+      }
+    } else {
+      summary.skipped++;
+      if (serverArticle) {
+        await withStore('articles', 'readwrite', async store => {
+          const cached = await idbRequest(store.get(entry.articleId));
+          if (cached) {
+            store.put({ ...cached, is_read: serverArticle.is_read, is_favorited: serverArticle.is_favorited });
+          }
+        });
+      }
+    }
+
+    await removeOutboxEntry(entry);
+  }
+
+  await notifyOutboxChanged({ applied: summary.applied });
+  return summary;
+}
+
+// 提取文章内容中的图片地址
+function extractImageUrls(article) {
+  const urls = new Set();
+  const regex = /<img[^>]+src\s*=\s*["']([^"']+)["']/gi;
+  let match;
+  while ((match = regex.exec(article.content || '')) !== null) {
+    urls.add(match[1].replace(/&amp;/g, '&'));
+  }
+  if (article.thumbnail_url) urls.add(article.thumbnail_url);
+  return Array.from(urls).filter(u => /^https?:\/\//i.test(u));
+}
+
+async function cacheImages(urls) {
+  const cache = await caches.open(OFFLINE_IMAGE_CACHE);
+  const existing = new Set((await cache.keys()).map(req => req.url));
+  const wanted = new Set(urls.map(u => new URL(u).href));
+
+  // 清理不再需要的图片
+  await Promise.all(Array.from(existing)
+    .filter(u => !wanted.has(u))
+    .map(u => cache.delete(u)));
+
+  const queue = Array.from(wanted).filter(u => !existing.has(u));
+  let cached = 0;
+  const worker = async () => {
+    while (queue.length > 0) {
+      const imageUrl = queue.shift();
+      try {
+        const response = await fetch(new Request(imageUrl, { mode: 'no-cors' }));
+        if (response && (response.ok || response.type === 'opaque')) {
+          await cache.put(imageUrl, response);
+          cached++;
+        }
+      } catch (err) {
+        // 单张图片失败不影响整体同步
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: IMAGE_FETCH_CONCURRENCY }, worker));
+  return Array.from(existing).filter(u => wanted.has(u)).length + cached;
+}
+
+/**
+ * 下载每个分组最新的未读文章（含正文与图片）到离线缓存
+ */
+async function syncOfflineArticles(token, perGroup) {
+  const limit = Math.max(1, Math.min(parseInt(perGroup) || 50, 200));
+
+  // 先提交待提交的操作，避免缓存状态被覆盖
+  await flushOutbox(token);
+
+  const groupsRes = await fetch('/api/groups', { headers: authHeaders(token) });
+  if (!groupsRes.ok) throw new Error(`HTTP ${groupsRes.status}`);
+  const groups = await groupsRes.json();
+
+  const articles = [];
+  for (const group of groups) {
+    const params = new URLSearchParams({ group_id: group.id, unread_only: 'true', limit: String(limit) });
+    const res = await fetch(`/api/articles?${params.toString()}`, { headers: authHeaders(token) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    (data.articles || []).forEach(article => {
+      articles.push({ ...article, group_id: group.id, cached_at: Date.now() });
+    });
+  }
+
+  // 保留仍有待提交操作的文章
+  const pendingIds = new Set((await getOutboxEntries()).map(e => e.articleId));
+  const keepIds = new Set(articles.map(a => a.id));
+
+  await withStore('articles', 'readwrite', async store => {
+    const existing = await idbRequest(store.getAll());
+    existing.forEach(article => {
+      if (!keepIds.has(article.id) && !pendingIds.has(article.id)) {
+        store.delete(article.id);
+      }
+    });
+    articles.forEach(article => store.put(article));
+  });
+
+  const retained = await withStore('articles', 'readonly', store => idbRequest(store.getAll()));
+  const imageCount = await cacheImages(retained.flatMap(extractImageUrls));
+
+  const lastSync = Date.now();
+  await withStore('meta', 'readwrite', store => idbRequest(store.put({ key: 'lastSync', value: lastSync })));
+
+  return { articleCount: retained.length, imageCount, lastSync };
+}
+
+async function getOfflineStatus() {
+  const [articleCount, outbox, lastSync] = await Promise.all([
+    withStore('articles', 'readonly', store => idbRequest(store.count())),
+    getOutboxSummary(),
+    withStore('meta', 'readonly', store => idbRequest(store.get('lastSync')))
+  ]);
+  return { articleCount, ...outbox, lastSync: lastSync ? lastSync.value : null };
+}
+
+async function clearOfflineData() {
+  await withStore('articles', 'readwrite', store => idbRequest(store.clear()));
+  await withStore('outbox', 'readwrite', store => idbRequest(store.clear()));
+  await withStore('meta', 'readwrite', store => idbRequest(store.clear()));
+  await caches.delete(OFFLINE_IMAGE_CACHE);
+  await caches.delete(OFFLINE_API_CACHE);
+  return true;
+}
+
+// 在离线缓存中按列表参数查询文章
+async function queryOfflineArticles(url) {
+  const params = url.searchParams;
+  const limit = parseInt(params.get('limit')) || 50;
+  const page = parseInt(params.get('page')) || 1;
+  const feedId = params.get('feed_id');
+  const groupId = params.get('group_id');
+  const unreadOnly = params.get('unread_only') === 'true' || params.get('unread_only') === '1';
+  const favorites = params.get('favorites') === 'true' || params.get('favorites') === '1';
+  const search = (params.get('search') || '').toLowerCase();
+  const beforeAt = params.get('before_published_at');
+  const beforeId = parseInt(params.get('before_id'));
+  const afterAt = params.get('after_published_at');
+  const afterId = parseInt(params.get('after_id'));
+
+  let articles = await withStore('articles', 'readonly', store => idbRequest(store.getAll()));
+
+  articles = articles.filter(a => {
+    if (feedId && a.feed_id != feedId) return false;
+    if (groupId && a.group_id != groupId) return false;
+    if (unreadOnly && a.is_read) return false;
+    if (favorites && !a.is_favorited) return false;
+    if (search && !`${a.title} ${a.content}`.toLowerCase().includes(search)) return false;
+    return true;
+  });
+
+  articles.sort((a, b) => {
+    const diff = new Date(b.published_at).getTime() - new Date(a.published_at).getTime();
+    return diff !== 0 ? diff : b.id - a.id;
+  });
+
+  // 游标分页
+  const compare = (a, at, id) => {
+    const diff = new Date(a.published_at).getTime() - new Date(at).getTime();
+    return diff !== 0 ? diff : a.id - (id || 0);
+  };
+  let offset = (page - 1) * limit;
+  if (beforeAt) {
+    articles = articles.filter(a => compare(a, beforeAt, beforeId) < 0);
+    offset = 0;
+  } else if (afterAt) {
+    articles = articles.filter(a => compare(a, afterAt, afterId) > 0);
+    offset = 0;
+  }
+
+  const total = articles.length;
+  return {
+    articles: articles.slice(offset, offset + limit).map(({ group_id, cached_at, ...article }) => article),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore: offset + limit < total
+    },
+    offline: true
+  };
+}
+
+// 文章列表与详情：优先网络，离线时读取 IndexedDB
+async function handleArticleRequest(request, url) {
+  const detailMatch = url.pathname.match(/^\/api\/articles\/(\d+)$/);
+
+  let response;
+  try {
+    response = await fetch(request);
+  } catch (err) {
+    if (detailMatch) {
+      const article = await withStore('articles', 'readonly', store => idbRequest(store.get(parseInt(detailMatch[1]))))
+        .catch(() => null);
+      if (!article) return jsonResponse({ error: 'offline' }, 503);
+      const { group_id, cached_at, ...data } = article;
+      return jsonResponse(data);
+    }
+    const data = await queryOfflineArticles(url).catch(() => null);
+    return data ? jsonResponse(data) : jsonResponse({ error: 'offline' }, 503);
+  }
+
+  // 在线获取到详情时，顺便刷新离线缓存中的副本
+  if (detailMatch && response.ok) {
+    const copy = response.clone();
+    copy.json().then(data => withStore('articles', 'readwrite', async store => {
+      const cached = await idbRequest(store.get(data.id));
+      if (cached) store.put({ ...cached, ...data });
+    })).catch(() => { });
+  }
+  return response;
+}